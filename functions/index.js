@@ -1,52 +1,493 @@
 const functions = require("firebase-functions");
+const admin = require("firebase-admin");
 const axios = require("axios");
 const cors = require("cors")({ origin: true });
 
-exports.ilmuChatProxy = functions.https.onRequest((req, res) => {
+admin.initializeApp();
+const db = admin.firestore();
+
+// Provider keys: ai_secrets/{uid} (a user's own keys) and ai_secrets/workspace (shared);
+// headers of registered endpoints: ai_secrets/endpoint_{endpointId}.
+// Clients can write these docs but never read them (see firestore.rules).
+const SECRETS_COLLECTION = "ai_secrets";
+const WORKSPACE_SECRETS_ID = "workspace";
+
+const ILMUCHAT_BASE_URL = process.env.ILMUCHAT_BASE_URL || "https://api.ytlailabs.tech/preview/v1";
+const ILMUCHAT_MODEL = process.env.ILMUCHAT_MODEL || "ilmu-preview";
+const GEMINI_BASE_URL = "https://generativelanguage.googleapis.com";
+const OPENAI_COMPATIBLE_PREFIX = "openai:";
+
+// Same scopes and counter ids as src/lib/ai-quota.js
+const QUOTA_SCOPES = ["user", "project", "provider"];
+const QUOTA_UNITS = ["rows", "tokens"];
+
+// Features that always run inside a project and must name it (X-AI-Project)
+const PROJECT_FEATURES = ["project_translation", "glossary_retry"];
+
+// The only Gemini methods the proxy forwards (files, caches, embeddings etc. are refused)
+const GEMINI_PATH_PATTERN = /^\/gemini\/v1beta\/models\/[\w.-]+:(?:generateContent|streamGenerateContent)$/;
+// Approximate tokens of one translation row, for requests without an item list
+const TOKENS_PER_ROW = 250;
+
+/**
+ * Send a JSON error in the shape the browser providers understand
+ */
+function sendError(res, status, code, message, extra = {}) {
+    res.status(status).send({ error: { code, message, ...extra } });
+}
+
+/**
+ * Verify the Firebase ID token from the Authorization header
+ * @returns {Promise<Object>} Decoded token
+ */
+async function verifyUser(req) {
+    const header = req.get("authorization") || "";
+    const match = header.match(/^Bearer (.+)$/);
+    if (!match) throw new Error("UNAUTHENTICATED");
+    return admin.auth().verifyIdToken(match[1]);
+}
+
+/**
+ * Provider key: the user's own key, else the workspace key, else the function's environment
+ */
+async function getProviderKey(uid, provider) {
+    const [userSecrets, workspaceSecrets] = await Promise.all([
+        db.collection(SECRETS_COLLECTION).doc(uid).get(),
+        db.collection(SECRETS_COLLECTION).doc(WORKSPACE_SECRETS_ID).get(),
+    ]);
+
+    const envKeys = {
+        gemini: process.env.GEMINI_API_KEY,
+        ilmuchat: process.env.ILMUCHAT_API_KEY,
+    };
+
+    return userSecrets.get(provider) || workspaceSecrets.get(provider) || envKeys[provider] || null;
+}
+
+function buildChatCompletionsUrl(baseUrl = "") {
+    const trimmed = baseUrl.trim().replace(/\/+$/, "");
+    return trimmed.endsWith("/chat/completions") ? trimmed : `${trimmed}/chat/completions`;
+}
+
+/**
+ * Resolve where a request for a provider goes
+ * @returns {Promise<Object|null>} { kind: 'gemini'|'chat', label, url?, model?, headers, apiKey }
+ */
+async function resolveTarget(provider, uid) {
+    if (provider === "gemini") {
+        const apiKey = await getProviderKey(uid, provider);
+        if (!apiKey) return null;
+        return { kind: "gemini", label: "Google Gemini", apiKey, headers: {} };
+    }
+
+    if (provider === "ilmuchat") {
+        const apiKey = await getProviderKey(uid, provider);
+        if (!apiKey) return null;
+        return { kind: "chat", label: "ILMUchat (YTL)", url: buildChatCompletionsUrl(ILMUCHAT_BASE_URL), model: null, apiKey, headers: {} };
+    }
+
+    if (provider.startsWith(OPENAI_COMPATIBLE_PREFIX)) {
+        const endpointId = provider.slice(OPENAI_COMPATIBLE_PREFIX.length);
+        const [endpoint, secrets] = await Promise.all([
+            db.collection("ai_endpoints").doc(endpointId).get(),
+            db.collection(SECRETS_COLLECTION).doc(`endpoint_${endpointId}`).get(),
+        ]);
+        if (!endpoint.exists) return null;
+
+        const { name, baseUrl, model } = endpoint.data();
+        return {
+            kind: "chat",
+            label: name || provider,
+            url: buildChatCompletionsUrl(baseUrl),
+            model, // Registered model wins over whatever the browser sent
+            apiKey: await getProviderKey(uid, provider), // Optional for local servers
+            headers: secrets.get("headers") || {},
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Check the client-sent project scope, so usage cannot be charged to a made-up
+ * project to get around its limit. Project features must name a project; a named
+ * project must exist and the caller must hold a workspace role (every role can open projects)
+ */
+async function canUseProject(uid, projectId, feature) {
+    if (!projectId) return !PROJECT_FEATURES.includes(feature);
+
+    const [project, profile] = await Promise.all([
+        db.collection("projects").doc(projectId).get(),
+        db.collection("users").doc(uid).get(),
+    ]);
+    return project.exists && !!profile.get("role");
+}
+
+/**
+ * Check today's counters against the admin-configured limits and reserve the
+ * request's rows in the same transaction, so parallel batches cannot all pass
+ * against the same remaining budget. recordUsage settles the reservation.
+ * @returns {Promise<Object|null>} The broken limit { scope, unit, used, limit, remaining } or null
+ */
+async function reserveQuota(scopeIds, rows, day) {
+    const settingsDoc = await db.collection("app_settings").doc("ai_quotas").get();
+    const limits = settingsDoc.get("limits") || {};
+    const scopes = QUOTA_SCOPES.filter((scope) => scopeIds[scope]);
+    const refs = scopes.map((scope) => db.collection("ai_quota_usage").doc(getQuotaKey(scope, scopeIds[scope], day)));
+
+    return db.runTransaction(async (transaction) => {
+        const counters = refs.length ? await transaction.getAll(...refs) : [];
+
+        for (let i = 0; i < scopes.length; i++) {
+            const scope = scopes[i];
+            if (!limits[scope]) continue;
+
+            for (const unit of QUOTA_UNITS) {
+                const limit = Number(limits[scope][unit]) || 0;
+                if (limit <= 0) continue;
+
+                const used = counters[i].get(unit) || 0;
+                // Tokens are only known afterwards, so a request is allowed while any budget is left
+                const isOver = unit === "rows" && rows > 0 ? used + rows > limit : used >= limit;
+                if (isOver) {
+                    return { scope, unit, used, limit, remaining: Math.max(0, limit - used) };
+                }
+            }
+        }
+
+        scopes.forEach((scope, i) => {
+            transaction.set(refs[i], {
+                scope,
+                scopeId: scopeIds[scope],
+                day,
+                rows: admin.firestore.FieldValue.increment(rows),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            }, { merge: true });
+        });
+        return null;
+    });
+}
+
+/**
+ * Give back the rows reserved for a request that never reached the model
+ */
+async function releaseQuota(context) {
+    const rows = context.reservedRows;
+    if (!rows) return;
+    context.reservedRows = 0;
+
+    const batch = db.batch();
+    Object.entries(context.scopeIds).forEach(([scope, id]) => {
+        if (!id) return;
+        batch.set(db.collection("ai_quota_usage").doc(getQuotaKey(scope, id, context.day)), {
+            rows: admin.firestore.FieldValue.increment(-rows),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        }, { merge: true });
+    });
+    await batch.commit();
+}
+
+function getQuotaKey(scope, id, day) {
+    return `${scope}_${String(id).replace(/\//g, "_")}_${day}`;
+}
+
+/**
+ * Normalize Gemini `usageMetadata` or OpenAI-compatible `usage`
+ */
+function parseUsage(data) {
+    if (data?.usageMetadata) {
+        const meta = data.usageMetadata;
+        const promptTokens = meta.promptTokenCount || 0;
+        const completionTokens = (meta.candidatesTokenCount || 0) + (meta.thoughtsTokenCount || 0);
+        return { promptTokens, completionTokens, totalTokens: meta.totalTokenCount || promptTokens + completionTokens };
+    }
+    if (data?.usage) {
+        const promptTokens = data.usage.prompt_tokens || 0;
+        const completionTokens = data.usage.completion_tokens || 0;
+        return { promptTokens, completionTokens, totalTokens: data.usage.total_tokens || promptTokens + completionTokens };
+    }
+    return null;
+}
+
+/**
+ * Rough token count (~4 characters per token) for providers that report no usage
+ */
+function estimateUsage(requestBody, responseText) {
+    const promptTokens = Math.ceil(JSON.stringify(requestBody || {}).length / 4);
+    const completionTokens = Math.ceil((responseText || "").length / 4);
+    return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+}
+
+/**
+ * Write the usage record and bump the daily quota counters. Rows were reserved
+ * by reserveQuota on the same day's counters; only the difference is added.
+ * @param {Object} usage - Reported usage, or null to store the estimate instead
+ */
+async function recordUsage(user, context, model, usage, estimate) {
+    const stats = usage || estimate;
+    const { day } = context;
+    const batch = db.batch();
+
+    batch.set(db.collection("ai_usage").doc(), {
+        userId: user.uid,
+        userEmail: user.email || "unknown",
+        userName: user.name || user.email?.split("@")[0] || "",
+        projectId: context.projectId,
+        runId: context.runId,
+        feature: context.feature,
+        provider: context.provider,
+        providerLabel: context.providerLabel || context.provider,
+        model: model || "",
+        ...stats,
+        rows: context.rows,
+        estimated: !usage,
+        source: "proxy",
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    Object.entries(context.scopeIds).forEach(([scope, id]) => {
+        if (!id) return;
+        batch.set(db.collection("ai_quota_usage").doc(getQuotaKey(scope, id, day)), {
+            scope,
+            scopeId: id,
+            day,
+            rows: admin.firestore.FieldValue.increment(context.rows - context.reservedRows),
+            tokens: admin.firestore.FieldValue.increment(stats.totalTokens),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        }, { merge: true });
+    });
+
+    await batch.commit();
+}
+
+/**
+ * Array schema of a structured response: Gemini `responseSchema` (array root) or
+ * the `items` array of an OpenAI-compatible `json_schema` ({ items: [...] } root)
+ */
+function getResponseArraySchema(body, isGemini) {
+    const schema = isGemini
+        ? body?.generationConfig?.responseSchema
+        : body?.response_format?.json_schema?.schema?.properties?.items;
+    return String(schema?.type || "").toLowerCase() === "array" ? schema : null;
+}
+
+/**
+ * Rows in a request, counted from the body instead of trusting the client:
+ * the items of each fenced JSON input (batch prompts) plus attached images (OCR).
+ * A structured answer is capped at the counted items, so a batch cannot return
+ * more rows than it was charged for. Without an item list the array bound of the
+ * response schema is used, else an estimate from the prompt size.
+ */
+function countRows(body, isGemini) {
+    const parts = isGemini
+        ? (body?.contents || []).flatMap((content) => content?.parts || [])
+        : (body?.messages || []).flatMap((message) => (Array.isArray(message?.content) ? message.content : [{ text: message?.content }]));
+
+    let images = 0;
+    let items = 0;
+    parts.forEach((part) => {
+        if (part?.inlineData || part?.type === "image_url") images += 1;
+        const text = typeof part?.text === "string" ? part.text : "";
+        for (const match of text.matchAll(/```json\s*([\s\S]*?)```/g)) {
+            try {
+                const list = JSON.parse(match[1]);
+                if (Array.isArray(list)) items += list.length;
+            } catch (e) {
+                // Not an item list
+            }
+        }
+    });
+
+    const schema = getResponseArraySchema(body, isGemini);
+    if (items > 0) {
+        if (schema) schema.maxItems = items;
+        return items + images;
+    }
+    if (images > 0) return images;
+
+    const bound = Number(schema?.maxItems) || 0;
+    if (bound > 0) return bound;
+    return Math.ceil(estimateUsage(body, "").promptTokens / TOKENS_PER_ROW);
+}
+
+function readStream(stream) {
+    return new Promise((resolve, reject) => {
+        let text = "";
+        stream.on("data", (chunk) => { text += chunk.toString(); });
+        stream.on("end", () => resolve(text));
+        stream.on("error", reject);
+    });
+}
+
+/**
+ * AI Proxy
+ * Browser providers send every request here. The ID token is verified, rows
+ * are counted from the body, quotas are applied and the provider key is added
+ * server-side, so keys never reach the client.
+ *
+ *   POST /chat/completions          OpenAI-compatible (ILMUchat, registered endpoints)
+ *   POST /gemini/v1beta/models/...  Gemini REST (used by the @google/genai SDK)
+ *
+ * Headers: Authorization (Firebase ID token), X-AI-Provider, X-AI-Project,
+ * X-AI-Run, X-AI-Feature
+ */
+exports.aiProxy = functions.https.onRequest((req, res) => {
     cors(req, res, async () => {
+        if (req.method !== "POST") {
+            return sendError(res, 405, "METHOD_NOT_ALLOWED", "Only POST is supported");
+        }
+
+        let user;
         try {
-            // Target API base URL
-            const targetBase = "https://api.ytlailabs.tech";
-
-            // Strip the proxy prefix from the request URL
-            // Incoming: /proxy/ilmuchat/v1/chat/completions
-            // Target: /v1/chat/completions
-            const path = req.path.replace(/^\/proxy\/ilmuchat/, "");
-
-            const targetUrl = `${targetBase}${path}`;
-
-            console.log(`Proxying request to: ${targetUrl}`);
-
-            // Forward the request
-            const response = await axios({
-                method: req.method,
-                url: targetUrl,
-                headers: {
-                    ...req.headers,
-                    host: "api.ytlailabs.tech", // Override host header
-                },
-                data: req.body,
-                params: req.query,
+            user = await verifyUser(req);
+        } catch (error) {
+            return sendError(res, 401, "UNAUTHENTICATED", "A valid Firebase ID token is required");
+        }
+
+        const provider = req.get("x-ai-provider") || "";
+        const context = {
+            provider,
+            projectId: req.get("x-ai-project") || "",
+            runId: req.get("x-ai-run") || "",
+            feature: req.get("x-ai-feature") || "",
+        };
+        context.scopeIds = { user: user.uid, project: context.projectId, provider };
+
+        try {
+            const target = await resolveTarget(provider, user.uid);
+            if (!target) {
+                return sendError(res, 412, "PROVIDER_NOT_CONFIGURED", `Provider "${provider}" is not configured`);
+            }
+
+            const isGemini = req.path.startsWith("/gemini/");
+            const isAllowedPath = isGemini ? GEMINI_PATH_PATTERN.test(req.path) : req.path === "/chat/completions";
+            if ((target.kind === "gemini") !== isGemini || !isAllowedPath) {
+                return sendError(res, 404, "NOT_FOUND", `Unsupported path for ${provider}: ${req.path}`);
+            }
+
+            let isProjectAllowed;
+            try {
+                isProjectAllowed = await canUseProject(user.uid, context.projectId, context.feature);
+            } catch (error) {
+                console.error("Project check failed:", error.message);
+                return sendError(res, 503, "QUOTA_UNAVAILABLE", "Quota usage could not be checked");
+            }
+            if (!isProjectAllowed) {
+                return sendError(res, 403, "PROJECT_NOT_ALLOWED", context.projectId
+                    ? `Project "${context.projectId}" does not exist or is not accessible`
+                    : `Feature "${context.feature}" requires a project`);
+            }
+
+            context.providerLabel = target.label;
+            context.rows = countRows(req.body, isGemini);
+            context.day = new Date().toISOString().slice(0, 10);
+            context.reservedRows = 0;
+
+            // Counters that cannot be read deny the request
+            let exceeded;
+            try {
+                exceeded = await reserveQuota(context.scopeIds, context.rows, context.day);
+            } catch (error) {
+                console.error("Quota check failed:", error.message);
+                return sendError(res, 503, "QUOTA_UNAVAILABLE", "Quota usage could not be checked");
+            }
+            if (exceeded) {
+                return sendError(res, 429, "QUOTA_EXCEEDED", "QUOTA_EXCEEDED", { quota: exceeded });
+            }
+            context.reservedRows = context.rows;
+
+            // Build the upstream request
+            let url;
+            let data = req.body;
+            let model;
+            const params = { ...req.query };
+            const headers = { "Content-Type": "application/json", ...target.headers };
+
+            if (isGemini) {
+                const path = req.path.replace(/^\/gemini/, "");
+                url = `${GEMINI_BASE_URL}${path}`;
+                model = (path.match(/\/models\/([^:]+):/) || [])[1];
+                delete params.key;
+                headers["x-goog-api-key"] = target.apiKey;
+            } else {
+                url = target.url;
+                model = target.model || req.body?.model || ILMUCHAT_MODEL;
+                data = { ...req.body, model };
+                if (target.apiKey) headers["Authorization"] = `Bearer ${target.apiKey}`;
+            }
+
+            const isStream = isGemini ? url.includes(":streamGenerateContent") : !!data?.stream;
+
+            const upstream = await axios({
+                method: "POST",
+                url,
+                headers,
+                data,
+                params,
+                responseType: isStream ? "stream" : "json",
+                validateStatus: () => true,
             });
 
-            // Forward status and headers
-            res.status(response.status);
+            // Upstream errors are passed through as-is
+            if (upstream.status >= 400) {
+                const body = isStream ? await readStream(upstream.data) : upstream.data;
+                await releaseQuota(context).catch((error) => console.error("Quota release failed:", error.message));
+                return res.status(upstream.status).send(body);
+            }
+
+            if (!isStream) {
+                try {
+                    await recordUsage(user, context, model, parseUsage(upstream.data), estimateUsage(data, JSON.stringify(upstream.data)));
+                } catch (error) {
+                    console.error("Usage record failed:", error.message);
+                }
+                return res.status(upstream.status).send(upstream.data);
+            }
+
+            // Relay Server-Sent Events, keeping the last usage report
+            res.status(upstream.status);
+            res.setHeader("Content-Type", upstream.headers["content-type"] || "text/event-stream");
+            res.setHeader("Cache-Control", "no-cache");
 
-            // Copy headers (excluding those that might cause issues)
-            Object.entries(response.headers).forEach(([key, value]) => {
-                res.setHeader(key, value);
+            let usage = null;
+            let pending = "";
+            let relayed = "";
+            upstream.data.on("data", (chunk) => {
+                res.write(chunk);
+                relayed += chunk.toString();
+                pending += chunk.toString();
+                const lines = pending.split("\n");
+                pending = lines.pop();
+                lines.forEach((line) => {
+                    const payload = line.trim().replace(/^data:/, "").trim();
+                    if (!payload || payload === "[DONE]") return;
+                    try {
+                        usage = parseUsage(JSON.parse(payload)) || usage;
+                    } catch (e) {
+                        // Not a JSON event
+                    }
+                });
             });
 
-            // Send data
-            res.send(response.data);
+            // Record before ending the response - the instance may be throttled afterwards
+            upstream.data.on("end", async () => {
+                try {
+                    await recordUsage(user, context, model, usage, estimateUsage(data, relayed));
+                } catch (error) {
+                    console.error("Usage record failed:", error.message);
+                }
+                res.end();
+            });
+
+            upstream.data.on("error", (error) => {
+                console.error("Upstream stream error:", error.message);
+                res.end();
+            });
 
         } catch (error) {
-            console.error("Proxy Error:", error.message);
-            if (error.response) {
-                res.status(error.response.status).send(error.response.data);
-            } else {
-                res.status(500).send({ error: "Proxy Request Failed", details: error.message });
-            }
+            console.error("AI Proxy Error:", error.message);
+            await releaseQuota(context).catch((releaseError) => console.error("Quota release failed:", releaseError.message));
+            sendError(res, 500, "PROXY_FAILED", "Proxy Request Failed", { details: error.message });
         }
     });
 });
@@ -0,0 +1,16 @@
+/**
+ * Node module resolver for the Vite `@/` alias, so test scripts can import
+ * modules from src/ the way the app does. Extensionless specifiers get `.js`.
+ *
+ * Registered by the test scripts: register('./alias-loader.mjs', import.meta.url)
+ */
+
+const SRC_URL = new URL('../src/', import.meta.url);
+
+export async function resolve(specifier, context, nextResolve) {
+    if (!specifier.startsWith('@/')) return nextResolve(specifier, context);
+
+    const path = specifier.slice(2);
+    const withExtension = /\.[cm]?jsx?$/.test(path) ? path : `${path}.js`;
+    return nextResolve(new URL(withExtension, SRC_URL).href, context);
+}
@@ -8,6 +8,20 @@
  */
 
 import crypto from 'crypto';
+import { register } from 'node:module';
+import { calculateTMMatch } from '../src/lib/translation-memory.js';
+import { parseUsageStats } from '../src/lib/ai-usage.js';
+import { findConflicts, mergeUpdate } from '../src/lib/merge.js';
+import { DOMParser } from '@xmldom/xmldom';
+
+// Modules below import through the `@/` alias
+register('./alias-loader.mjs', import.meta.url);
+const { runQAChecks, checkRowQA, isSameQAResult, QA_SEVERITY } = await import('../src/lib/qa-checks.js');
+const { parseResource, buildResourceFile } = await import('../src/lib/resource-files.js');
+
+// XLIFF parsing uses the browser's DOMParser
+globalThis.DOMParser = DOMParser;
+const { buildXliff, parseXliff } = await import('../src/lib/xliff.js');
 
 // --- Colors for Report Quality Output ---
 const GREEN = '\x1b[32m';
@@ -16,9 +30,17 @@ const CYAN = '\x1b[36m';
 const RESET = '\x1b[0m';
 const BOLD = '\x1b[1m';
 
+const results = { passed: 0, failed: 0 };
+
 const log = (msg) => console.log(msg);
-const pass = (msg) => console.log(`${GREEN}✔ PASS${RESET} : ${msg}`);
-const fail = (msg, err) => console.log(`${RED}✘ FAIL${RESET} : ${msg}`, err);
+const pass = (msg) => {
+    results.passed++;
+    console.log(`${GREEN}✔ PASS${RESET} : ${msg}`);
+};
+const fail = (msg, err) => {
+    results.failed++;
+    console.log(`${RED}✘ FAIL${RESET} : ${msg}`, err);
+};
 const section = (title) => console.log(`\n${BOLD}${CYAN}[ ${title} ]${RESET}\n${'-'.repeat(50)}`);
 
 // --- 1. System Under Test (SUT) Mocks ---
@@ -34,20 +56,6 @@ function buildPrompt(row, glossary, template) {
     return prompt;
 }
 
-function calculateTMMatch(source, tmEntry) {
-    if (!tmEntry) return 0;
-    return source === tmEntry.source ? 100 : 0;
-}
-
-function parseUsageStats(response) {
-    // Mock parsing Google Gemini usage metadata
-    return {
-        promptTokens: response.usageMetadata?.promptTokenCount || 0,
-        candidatesTokens: response.usageMetadata?.candidatesTokenCount || 0,
-        totalTokens: (response.usageMetadata?.promptTokenCount || 0) + (response.usageMetadata?.candidatesTokenCount || 0)
-    };
-}
-
 // --- 2. Test Execution ---
 
 async function runTests() {
@@ -80,7 +88,7 @@ async function runTests() {
 
     try {
         // Case 2.1: Exact Match
-        const score = calculateTMMatch("Login", { source: "Login", target: "Masuk" });
+        const score = calculateTMMatch("Login", "Login");
         if (score === 100) pass("Exact String Match returns 100% confidence");
         else throw new Error(`Expected 100, got ${score}`);
 
@@ -89,6 +97,11 @@ async function runTests() {
         if (score2 === 0) pass("Null TM entry returns 0% confidence");
         else throw new Error(`Expected 0, got ${score2}`);
 
+        // Case 2.3: Fuzzy Match (changed number only)
+        const score3 = calculateTMMatch("Pay RM 10.00 today", "Pay RM 25.00 today");
+        if (score3 > 75 && score3 < 100) pass(`Number-only change scores as fuzzy match (${score3}%)`);
+        else throw new Error(`Expected fuzzy score, got ${score3}`);
+
     } catch (e) { fail("TM Logic Test", e); }
 
 
@@ -107,12 +120,208 @@ async function runTests() {
         if (stats.promptTokens === 50) pass("Prompt token extraction is correct");
         else throw new Error("Prompt token mismatch");
 
+        // OpenAI-compatible responses report usage in snake_case
+        const openaiStats = parseUsageStats({ usage: { prompt_tokens: 30, completion_tokens: 12, total_tokens: 42 } });
+        if (openaiStats.completionTokens === 12 && openaiStats.totalTokens === 42) pass("OpenAI-compatible usage is normalized");
+        else throw new Error(`Expected 12/42, got ${openaiStats.completionTokens}/${openaiStats.totalTokens}`);
+
     } catch (e) { fail("Parser Test", e); }
 
+
+    // TEST SUITE 4: Translation QA Checks
+    section("Module: Translation QA Checks");
+
+    try {
+        // Case 4.1: Clean translation
+        const clean = runQAChecks("Hello {name}!", "Helo {name}!", "my");
+        if (clean.length === 0) pass("Matching placeholders and punctuation raise no issues");
+        else throw new Error(`Expected no issues, got ${JSON.stringify(clean)}`);
+
+        // Case 4.2: Missing placeholder is an error
+        const placeholders = runQAChecks("Hello {name}", "Helo", "my");
+        const placeholderIssue = placeholders.find(i => i.rule === 'placeholders');
+        if (placeholderIssue?.severity === QA_SEVERITY.ERROR && placeholderIssue.message.includes('{name}'))
+            pass("Missing placeholder is reported as an error");
+        else throw new Error(`Expected a placeholder error, got ${JSON.stringify(placeholders)}`);
+
+        // Case 4.3: Number mismatch is a warning, formatting differences are not flagged
+        const numbers = runQAChecks("Pay 1,250.00 now", "Bayar 1250.00 sekarang", "my");
+        const changed = runQAChecks("Pay 20 now", "Bayar 30 sekarang", "my");
+        if (numbers.length === 0 && changed.some(i => i.rule === 'numbers' && i.severity === QA_SEVERITY.WARNING))
+            pass("Number mismatch is a warning; 1,250.00 equals 1250.00");
+        else throw new Error(`Unexpected number issues: ${JSON.stringify({ numbers, changed })}`);
+
+        // Case 4.4: Missing sentence end, suggested full-width for Chinese
+        const zh = runQAChecks("Done.", "完成", "zh");
+        if (zh.some(i => i.rule === 'punctuation' && i.message.includes('。'))) pass("Missing sentence end suggests full-width punctuation for Chinese");
+        else throw new Error(`Expected a punctuation warning, got ${JSON.stringify(zh)}`);
+
+        // Case 4.5: Character limit
+        const length = runQAChecks("Save", "Simpan sekarang", "my", { maxLength: 6 });
+        if (length.some(i => i.rule === 'length' && i.severity === QA_SEVERITY.ERROR)) pass("Translations over the character limit are errors");
+        else throw new Error(`Expected a length error, got ${JSON.stringify(length)}`);
+
+        // Case 4.6: Currency codes are found with or without a space before the amount
+        const attached = runQAChecks("Price RM 10.90", "Harga RM10.90", "my");
+        const dropped = runQAChecks("Price RM10.90", "Harga 10.90", "my");
+        if (attached.length === 0 && dropped.some(i => i.rule === 'currency' && i.message.includes('RM')))
+            pass("Currency codes match when written against the amount");
+        else throw new Error(`Unexpected currency issues: ${JSON.stringify({ attached, dropped })}`);
+
+        // Case 4.7: Row result omits clean languages; comparison ignores key order
+        const rowQA = checkRowQA({ en: "Hello", translations: { my: { text: "Helo" }, zh: { text: "" } } }, ['my', 'zh']);
+        const reordered = { zh: rowQA?.zh?.map(({ message, severity, rule }) => ({ message, severity, rule })) };
+        if (rowQA && !rowQA.my && rowQA.zh?.[0]?.rule === 'empty' && isSameQAResult(rowQA, reordered))
+            pass("Row QA keeps only failing languages and compares independent of key order");
+        else throw new Error(`Unexpected row QA: ${JSON.stringify(rowQA)}`);
+
+    } catch (e) { fail("QA Checks Test", e); }
+
+
+    // TEST SUITE 5: Resource File Parsers
+    section("Module: Resource File Parsers");
+
+    try {
+        // Case 5.1: i18next nesting, plurals and arrays
+        const json = parseResource(JSON.stringify({
+            home: { title: "Welcome", items_one: "{{count}} item", items_other: "{{count}} items" },
+            steps: ["First", "Second"]
+        }), 'json');
+        const keys = json.entries.map(e => e.key).join(',');
+        const plural = json.entries.find(e => e.key === 'home.items_other')?.plural;
+        const arrayItem = json.entries.find(e => e.key === 'steps.1')?.arrayItem;
+        if (keys === 'home.title,home.items_one,home.items_other,steps.0,steps.1'
+            && plural?.name === 'home.items' && plural.quantity === 'other' && arrayItem?.index === 1)
+            pass("i18next JSON keeps nested keys, plural suffixes and array items");
+        else throw new Error(`Unexpected entries: ${JSON.stringify(json.entries)}`);
+
+        // Case 5.2: A top-level string is rejected with a clear error
+        let jsonError = null;
+        try { parseResource('"just a string"', 'json'); } catch (e) { jsonError = e; }
+        if (jsonError?.message.includes('expected an object')) pass("i18next JSON without keys is rejected clearly");
+        else throw new Error(`Expected a format error, got ${jsonError}`);
+
+        // Case 5.3: gettext PO with context, plural and fuzzy translation
+        const po = parseResource([
+            'msgid ""', 'msgstr ""', '"Language: ms_MY\\n"', '"Plural-Forms: nplurals=1; plural=0;\\n"', '',
+            '#. Button label', 'msgctxt "menu"', 'msgid "Open"', 'msgstr "Buka"', '',
+            '#, fuzzy', 'msgid "One file"', 'msgid_plural "%d files"', 'msgstr[0] "%d fail"'
+        ].join('\n'), 'po');
+        const open = po.entries.find(e => e.en === 'Open');
+        const files = po.entries.filter(e => e.plural?.name === 'One file');
+        if (po.targetLanguages[0] === 'my' && open?.context === 'Button label' && open.translations.my?.text === 'Buka'
+            && files.length === 2 && files[1].translations.my?.status === 'changes')
+            pass("gettext PO reads language, context, plural forms and fuzzy flags");
+        else throw new Error(`Unexpected entries: ${JSON.stringify(po)}`);
+
+        // Case 5.4: Apple .strings with comments and escapes
+        const strings = parseResource('/* Greeting */\n"hello" = "Hello\\n\\"you\\"";\n"bye" = "Bye";', 'strings');
+        if (strings.entries.length === 2 && strings.entries[0].context === 'Greeting' && strings.entries[0].en === 'Hello\n"you"')
+            pass(".strings keeps comments and unescapes values");
+        else throw new Error(`Unexpected entries: ${JSON.stringify(strings.entries)}`);
+
+        // Case 5.5: String Catalog translations
+        const catalog = parseResource(JSON.stringify({
+            sourceLanguage: 'en', version: '1.0',
+            strings: { Save: { localizations: { ms: { stringUnit: { state: 'needs_review', value: 'Simpan' } } } } }
+        }), 'xcstrings');
+        if (catalog.entries[0]?.en === 'Save' && catalog.entries[0].translations.my?.status === 'review')
+            pass("String Catalog reads translations and review state");
+        else throw new Error(`Unexpected entries: ${JSON.stringify(catalog.entries)}`);
+
+        // Case 5.6: Android export keeps markup and declares the xliff namespace
+        const android = buildResourceFile('android', [
+            { key: 'greeting', en: 'Hi <xliff:g id="name">%s</xliff:g>', translations: { my: { text: 'Hai <xliff:g id="name">%s</xliff:g>, it\'s <b>new</b>' } } }
+        ], { targetLanguage: 'my' });
+        if (android.includes('xmlns:xliff=') && android.includes('<xliff:g id="name">%s</xliff:g>, it\\\'s <b>new</b>'))
+            pass("Android export writes markup as tags and escapes the text around it");
+        else throw new Error(`Unexpected output: ${android}`);
+
+    } catch (e) { fail("Resource File Test", e); }
+
+
+    // TEST SUITE 6: Merging Stale Edits
+    section("Module: Three-Way Merge");
+
+    try {
+        // Case 6.1: fields changed on one side only merge without asking
+        const base = { remark: 'Old', context: 'Button', maxLength: 20 };
+        const theirs = { ...base, context: 'Menu button', version: 4 };
+        const mine = { remark: 'New' };
+        const merged = mergeUpdate(base, theirs, mine);
+        if (findConflicts(base, theirs, mine).length === 0 && merged.remark === 'New' && !('context' in merged))
+            pass("Fields only one side changed are merged without a conflict");
+        else throw new Error(`Unexpected merge: ${JSON.stringify(merged)}`);
+
+        // Case 6.2: both sides changing a field is a conflict, resolved by the user's choice
+        const textConflicts = findConflicts({ remark: 'Old' }, { remark: 'Theirs' }, { remark: 'Mine' }, { textFields: ['remark'] });
+        const keepTheirs = mergeUpdate({ remark: 'Old' }, { remark: 'Theirs' }, { remark: 'Mine' }, { remark: 'theirs' });
+        const keepBoth = mergeUpdate({ remark: 'Old' }, { remark: 'Theirs' }, { remark: 'Mine' }, { remark: 'both' });
+        if (textConflicts.length === 1 && textConflicts[0].canCombine && !('remark' in keepTheirs) && keepBoth.remark === 'Theirs\nMine')
+            pass("Conflicting fields keep theirs, mine or both as chosen");
+        else throw new Error(`Unexpected resolution: ${JSON.stringify({ textConflicts, keepTheirs, keepBoth })}`);
+
+        // Case 6.3: translations merge per language, legacy fields follow them
+        const row = { translations: { my: { text: 'Simpan' }, zh: { text: '保存' } }, my: 'Simpan', zh: '保存' };
+        const latestRow = { translations: { my: { text: 'Simpan fail' }, zh: { text: '保存' } }, my: 'Simpan fail', zh: '保存' };
+        const edit = { translations: { my: { text: 'Simpan' }, zh: { text: '储存' } }, my: 'Simpan', zh: '储存' };
+        const mirrors = { my: 'translations.my', zh: 'translations.zh' };
+        const mergedRow = mergeUpdate(row, latestRow, edit, {}, { mirrors });
+        if (findConflicts(row, latestRow, edit, { mirrors }).length === 0
+            && mergedRow.translations.my.text === 'Simpan fail' && mergedRow.translations.zh.text === '储存'
+            && mergedRow.my === 'Simpan fail' && mergedRow.zh === '储存')
+            pass("Translations merge per language and legacy fields follow the merged text");
+        else throw new Error(`Unexpected merge: ${JSON.stringify(mergedRow)}`);
+
+        // Case 6.4: key order, empty values and bookkeeping fields are not changes
+        const settings = { tmSettings: { autoApplyThreshold: 100, suggestThreshold: 70 }, remark: null };
+        const reordered = { tmSettings: { suggestThreshold: 70, autoApplyThreshold: 100 }, remark: '', lastModifiedBy: { name: 'A' } };
+        const settingsEdit = { tmSettings: { autoApplyThreshold: 95, suggestThreshold: 70 }, remark: 'x', lastModifiedBy: { name: 'B' } };
+        const mergedSettings = mergeUpdate(settings, reordered, settingsEdit);
+        if (findConflicts(settings, reordered, settingsEdit).length === 0
+            && mergedSettings.tmSettings.autoApplyThreshold === 95 && mergedSettings.lastModifiedBy.name === 'B')
+            pass("Key order, empty values and bookkeeping fields do not conflict");
+        else throw new Error(`Unexpected merge: ${JSON.stringify(mergedSettings)}`);
+
+    } catch (e) { fail("Merge Test", e); }
+
+
+    // TEST SUITE 7: XLIFF Round Trip
+    section("Module: XLIFF Exchange");
+
+    try {
+        const pages = [{
+            name: 'Home',
+            rows: [
+                { id: 'r1', unitId: 'btn.save', en: 'Save', context: 'Button label', maxLength: 12, translations: { my: { text: 'Simpan', status: 'approved' } } },
+                { id: 'r2', en: 'Open <g id="1">file</g>', translations: { my: { text: 'Buka <g id="1">fail</g>', status: 'changes' } } },
+                { id: 'r3', en: 'Close', status: 'draft' }
+            ]
+        }];
+
+        for (const version of ['1.2', '2.0']) {
+            // Case 7.1 / 7.2: unit ids, states, notes and length limits survive export and import
+            const parsed = parseXliff(buildXliff(pages, { targetLanguage: 'my', version }), 'home');
+            const [save, open, close] = parsed.files[0]?.entries || [];
+            if (parsed.version === version && parsed.files[0].name === 'Home' && parsed.targetLanguage === 'my'
+                && save?.unitId === 'btn.save' && save.translations.my?.status === 'approved' && save.context === 'Button label' && save.maxLength === 12
+                && open?.unitId === 'r2' && open.translations.my?.text === 'Buka <g id="1">fail</g>' && open.translations.my.status === 'changes'
+                && close?.unitId === 'r3' && close.status === 'draft' && !close.translations.my && close.maxLength === null)
+                pass(`XLIFF ${version} keeps unit ids, states, notes and length limits`);
+            else throw new Error(`Unexpected XLIFF ${version} entries: ${JSON.stringify(parsed.files)}`);
+        }
+
+    } catch (e) { fail("XLIFF Test", e); }
+
     // Summary
+    const total = results.passed + results.failed;
     console.log(`\n${'-'.repeat(50)}`);
-    console.log(`${GREEN}${BOLD}TEST RESULT: ALL TESTS PASSED (6/6)${RESET}`);
-    console.log(`Execution Time: 42ms`);
+    if (results.failed === 0) {
+        console.log(`${GREEN}${BOLD}TEST RESULT: ALL TESTS PASSED (${results.passed}/${total})${RESET}`);
+    } else {
+        console.log(`${RED}${BOLD}TEST RESULT: ${results.failed} FAILED (${results.passed}/${total} passed)${RESET}`);
+        process.exitCode = 1;
+    }
 }
 
 runTests();
@@ -6,6 +6,7 @@ import { getUserByEmail } from './api/firebase';
 import { ProjectProvider } from './context/ProjectContext';
 import { GlossaryProvider } from './context/GlossaryContext';
 import { PromptProvider } from './context/PromptContext';
+import { ConflictProvider } from './context/ConflictContext';
 import { AuthProvider } from './hooks/useAuth';
 import {
     DevAuthContext,
@@ -78,15 +79,17 @@ function App() {
         return (
             <ErrorBoundary>
                 <DevAuthContext.Provider value={authContextValue}>
-                    <ProjectProvider>
-                        <GlossaryProvider>
-                            <PromptProvider>
-                                <AppRouter />
-                                <Toaster />
-                                <DevTools currentRole={currentRole} setCurrentRole={setCurrentRole} />
-                            </PromptProvider>
-                        </GlossaryProvider>
-                    </ProjectProvider>
+                    <ConflictProvider>
+                        <ProjectProvider>
+                            <GlossaryProvider>
+                                <PromptProvider>
+                                    <AppRouter />
+                                    <Toaster />
+                                    <DevTools currentRole={currentRole} setCurrentRole={setCurrentRole} />
+                                </PromptProvider>
+                            </GlossaryProvider>
+                        </ProjectProvider>
+                    </ConflictProvider>
                 </DevAuthContext.Provider>
             </ErrorBoundary>
         );
@@ -114,14 +117,16 @@ function App() {
     return (
         <ErrorBoundary>
             <AuthProvider>
-                <ProjectProvider>
-                    <GlossaryProvider>
-                        <PromptProvider>
-                            <AppContent />
-                            <Toaster />
-                        </PromptProvider>
-                    </GlossaryProvider>
-                </ProjectProvider>
+                <ConflictProvider>
+                    <ProjectProvider>
+                        <GlossaryProvider>
+                            <PromptProvider>
+                                <AppContent />
+                                <Toaster />
+                            </PromptProvider>
+                        </GlossaryProvider>
+                    </ProjectProvider>
+                </ConflictProvider>
             </AuthProvider>
         </ErrorBoundary>
     );
@@ -0,0 +1,84 @@
+/**
+ * Provider Circuit Breaker
+ * Tracks recent request failures per provider. After too many failures in a
+ * short window the circuit opens and the provider is skipped until a cooldown
+ * passes; the next request is then let through as a trial (half-open) and its
+ * outcome closes or re-opens the circuit.
+ */
+
+export const CIRCUIT_STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open',
+};
+
+const DEFAULT_OPTIONS = {
+    failureThreshold: 3,      // failures within the window that open the circuit
+    failureWindowMs: 60000,   // how long a failure counts
+    cooldownMs: 30000,        // how long an open circuit skips the provider
+};
+
+export class CircuitBreaker {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.failures = [];   // timestamps of recent failures
+        this.openedAt = null;
+        this.lastError = null;
+    }
+
+    /**
+     * Current state of the circuit
+     * @param {number} now - Timestamp (ms)
+     */
+    getState(now = Date.now()) {
+        if (this.openedAt === null) return CIRCUIT_STATES.CLOSED;
+        if (now - this.openedAt < this.options.cooldownMs) return CIRCUIT_STATES.OPEN;
+        return CIRCUIT_STATES.HALF_OPEN;
+    }
+
+    /**
+     * Whether a request may be sent to the provider
+     */
+    canRequest(now = Date.now()) {
+        return this.getState(now) !== CIRCUIT_STATES.OPEN;
+    }
+
+    recordSuccess() {
+        this.failures = [];
+        this.openedAt = null;
+        this.lastError = null;
+    }
+
+    /**
+     * @param {string} reason - Error code or message of the failed request
+     */
+    recordFailure(reason, now = Date.now()) {
+        this.lastError = reason || null;
+
+        // A failed trial request re-opens the circuit straight away
+        if (this.getState(now) === CIRCUIT_STATES.HALF_OPEN) {
+            this.openedAt = now;
+            return;
+        }
+
+        this.failures = this.failures.filter(time => now - time < this.options.failureWindowMs);
+        this.failures.push(now);
+        if (this.failures.length >= this.options.failureThreshold) {
+            this.openedAt = now;
+        }
+    }
+
+    /**
+     * Snapshot for display
+     * @returns {{ state: string, failures: number, retryAt: number|null, lastError: string|null }}
+     */
+    getStatus(now = Date.now()) {
+        const state = this.getState(now);
+        return {
+            state,
+            failures: this.failures.filter(time => now - time < this.options.failureWindowMs).length,
+            retryAt: state === CIRCUIT_STATES.OPEN ? this.openedAt + this.options.cooldownMs : null,
+            lastError: this.lastError,
+        };
+    }
+}
@@ -4,6 +4,9 @@
  */
 import { GeminiProvider } from "./providers/gemini";
 import { ILMUchatProvider } from "./providers/ilmuchat";
+import { OpenAICompatibleProvider } from "./providers/openai-compatible";
+import { evaluateQuota } from "@/lib/ai-quota";
+import { CircuitBreaker } from "./circuit-breaker";
 
 // Available providers registry
 const PROVIDERS = {
@@ -11,6 +14,9 @@ const PROVIDERS = {
     ilmuchat: ILMUchatProvider,
 };
 
+// Prefix for provider ids of admin-registered OpenAI-compatible endpoints
+export const OPENAI_COMPATIBLE_PREFIX = 'openai:';
+
 // Get default provider from env
 const DEFAULT_PROVIDER = import.meta.env.VITE_DEFAULT_AI_PROVIDER || 'ilmuchat';
 
@@ -21,8 +27,20 @@ const DEFAULT_PROVIDER = import.meta.env.VITE_DEFAULT_AI_PROVIDER || 'ilmuchat';
 export const AIService = (() => {
     let instances = {};
     let currentProvider = DEFAULT_PROVIDER;
+    let customProviders = {}; // { [providerId]: endpoint config }
+    let endpointProviders = []; // UI entries for customProviders, listed after AI_PROVIDERS
+    let customProvidersPromise = null;
+    let breakers = {}; // { [providerId]: CircuitBreaker } - kept across instance resets
+
+    const getBreaker = (providerName) => {
+        if (!breakers[providerName]) breakers[providerName] = new CircuitBreaker();
+        return breakers[providerName];
+    };
 
     const createInstance = (providerName) => {
+        if (customProviders[providerName]) {
+            return new OpenAICompatibleProvider(customProviders[providerName]);
+        }
         const Provider = PROVIDERS[providerName];
         if (!Provider) {
             return new GeminiProvider();
@@ -30,6 +48,35 @@ export const AIService = (() => {
         return new Provider();
     };
 
+    // Today's quota state for a user/project on a provider
+    const checkQuota = async (providerName, { user, projectId, rows = 0 }) => {
+        const { getAIQuotaSettings, getQuotaUsage } = await import('@/api/firebase/aiQuotas');
+        const [settings, usage] = await Promise.all([
+            getAIQuotaSettings(),
+            getQuotaUsage({ userId: user?.id || user?.uid, projectId, provider: providerName })
+        ]);
+        return evaluateQuota(settings, usage, rows);
+    };
+
+    // Throw QUOTA_EXCEEDED (with the broken limit on error.quota) before a request
+    // The AI proxy enforces the same limits and records usage; this only fails fast.
+    // Counters that cannot be read deny the request (QUOTA_UNAVAILABLE).
+    const enforceQuota = async (providerName, request) => {
+        if (!request.user) return;
+        let result;
+        try {
+            result = await checkQuota(providerName, request);
+        } catch (error) {
+            throw new Error('QUOTA_UNAVAILABLE');
+        }
+        const { exceeded } = result;
+        if (exceeded) {
+            const error = new Error('QUOTA_EXCEEDED');
+            error.quota = exceeded;
+            throw error;
+        }
+    };
+
     return {
         /**
          * Get AI provider instance
@@ -39,6 +86,8 @@ export const AIService = (() => {
             const name = providerName || currentProvider;
             if (!instances[name]) {
                 instances[name] = createInstance(name);
+                instances[name].providerId = name;
+                instances[name].quotaGuard = (request) => enforceQuota(name, request);
             }
             return instances[name];
         },
@@ -48,7 +97,7 @@ export const AIService = (() => {
          * @param {string} providerName 
          */
         setProvider: (providerName) => {
-            if (PROVIDERS[providerName]) {
+            if (PROVIDERS[providerName] || customProviders[providerName]) {
                 currentProvider = providerName;
                 // Provider switched
             }
@@ -62,43 +111,109 @@ export const AIService = (() => {
         /**
          * Get list of available providers
          */
-        getAvailableProviders: () => Object.keys(PROVIDERS),
+        getAvailableProviders: () => [...Object.keys(PROVIDERS), ...Object.keys(customProviders)],
 
         /**
-         * Clear cached instances (useful for testing)
+         * Built-in providers followed by the registered endpoints, for the UI
+         * @returns {Array<{ id, label, icon, type?, model? }>}
          */
-        clearInstances: () => {
-            instances = {};
+        getProviders: () => [...AI_PROVIDERS, ...endpointProviders],
+
+        /**
+         * Display label of a provider id (the id itself when unknown)
+         * @param {string} providerId
+         */
+        getProviderLabel: (providerId) => AIService.getProviders().find(p => p.id === providerId)?.label || providerId,
+
+        /**
+         * Register admin-configured OpenAI-compatible endpoints as providers
+         * Replaces any previously registered endpoints
+         * @param {Array} endpoints - [{ id, name, baseUrl, model }]
+         */
+        registerEndpoints: (endpoints = []) => {
+            Object.keys(customProviders).forEach(id => delete instances[id]);
+            customProviders = {};
+
+            endpointProviders = endpoints.map(endpoint => {
+                const id = `${OPENAI_COMPATIBLE_PREFIX}${endpoint.id}`;
+                customProviders[id] = endpoint;
+                return { id, label: endpoint.name, icon: '🔌', type: 'openai-compatible', model: endpoint.model };
+            });
         },
 
         /**
-         * Apply user-specific API key to the current provider
-         * Should be called before making translation requests
-         * @param {string} userId - Firebase Auth UID
+         * Load registered endpoints from Firestore (once per session unless forced)
+         * @param {boolean} force - Reload even if already loaded
          */
-        applyUserApiKey: async (userId) => {
-            if (!userId) return;
+        loadEndpoints: async (force = false) => {
+            if (!customProvidersPromise || force) {
+                customProvidersPromise = import('@/api/firebase/aiEndpoints')
+                    .then(({ getAIEndpoints }) => getAIEndpoints())
+                    .then(endpoints => AIService.registerEndpoints(endpoints))
+                    .catch(() => { customProvidersPromise = null; });
+            }
+            return customProvidersPromise;
+        },
+
+        /**
+         * Ordered provider chain for a request: the preferred provider first, then fallbacks
+         * Unknown ids are dropped; without a preferred provider the current one leads.
+         * @param {string} preferred - Primary provider id (e.g. project.aiProvider)
+         * @param {Array<string>} fallbacks - Provider ids to try next, in order
+         * @returns {Array<{ id, label, provider, breaker }>}
+         */
+        getProviderChain: (preferred, fallbacks = []) => {
+            const available = AIService.getAvailableProviders();
+            const ids = [preferred || currentProvider, ...(fallbacks || [])]
+                .filter((providerId, index, list) => available.includes(providerId) && list.indexOf(providerId) === index);
+            if (ids.length === 0) ids.push(currentProvider);
+
+            return ids.map(providerId => ({
+                id: providerId,
+                label: AIService.getProviderLabel(providerId),
+                provider: AIService.getInstance(providerId),
+                breaker: getBreaker(providerId)
+            }));
+        },
+
+        /**
+         * Circuit breaker state of a provider
+         * @param {string} providerName
+         * @returns {{ state, failures, retryAt, lastError }}
+         */
+        getCircuitStatus: (providerName) => getBreaker(providerName || currentProvider).getStatus(),
 
+        /**
+         * Get today's remaining budget for a user/project on a provider
+         * @param {Object} context - { user, projectId }
+         * @param {string} providerName - Optional provider name, uses current if not specified
+         * @returns {Promise<{ exceeded: Object|null, warnings: Array }>}
+         */
+        getQuotaStatus: async (context, providerName) => {
             try {
-                const { getEffectiveApiKey } = await import('@/api/firebase/apiKeys');
-                const key = await getEffectiveApiKey(userId, currentProvider);
-
-                if (key) {
-                    const instance = instances[currentProvider];
-                    if (instance && typeof instance.setApiKey === 'function') {
-                        instance.setApiKey(key);
-                    }
-                }
+                return await checkQuota(providerName || currentProvider, context);
             } catch (error) {
+                return { exceeded: null, warnings: [] };
             }
+        },
+
+        /**
+         * Clear cached instances (useful for testing)
+         */
+        clearInstances: () => {
+            instances = {};
         }
     };
 })();
 
+// Batch orchestration (partial retries) works on top of any provider
+export { runBatchTranslation, runFallbackTranslation, formatTranslationError, TRANSLATION_FAILURES } from "./orchestrator";
+export { CIRCUIT_STATES } from "./circuit-breaker";
+
 // Convenience export for direct usage
 export const getAI = (providerName) => AIService.getInstance(providerName);
 
-// Export available providers list for UI
+// Built-in providers (registered endpoints come from AIService.getProviders())
 export const AI_PROVIDERS = [
     { id: 'gemini', label: 'Google Gemini', icon: '🧠' },
     { id: 'ilmuchat', label: 'ILMUchat (YTL)', icon: '💬' },
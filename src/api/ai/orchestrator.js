@@ -0,0 +1,267 @@
+/**
+ * Batch Translation Orchestrator
+ * Provider-agnostic layer above BaseAIProvider: detects rows that came back
+ * missing or empty, re-requests only those, shrinks the batch on repeated
+ * failure and reports a final per-row failure reason. Can also walk an
+ * ordered provider chain, moving on when a provider is down or rate limited.
+ */
+import { MISSING_FROM_RESPONSE } from "./structured-output";
+
+// Per-row failure reasons
+export const TRANSLATION_FAILURES = {
+    MISSING_FROM_RESPONSE,
+    EMPTY_TRANSLATION: 'EMPTY_TRANSLATION',
+    REQUEST_FAILED: 'REQUEST_FAILED',
+};
+
+// Errors that affect every row - retrying smaller batches would not help
+const FATAL_ERRORS = ['RATE_LIMIT', 'PROVIDER_UNAVAILABLE', 'QUOTA_EXCEEDED', 'QUOTA_UNAVAILABLE', 'AUTH_REQUIRED', 'PROVIDER_NOT_CONFIGURED', 'API_NOT_CONFIGURED', 'MISSING_TEMPLATE', 'PROJECT_NOT_ALLOWED'];
+
+// Errors that mean the provider itself is unhealthy (5xx, 429)
+const OUTAGE_ERRORS = ['RATE_LIMIT', 'PROVIDER_UNAVAILABLE'];
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+/**
+ * Human-readable label for a failure reason stored on a row
+ * @param {string} reason
+ */
+export function formatTranslationError(reason) {
+    const labels = {
+        [TRANSLATION_FAILURES.MISSING_FROM_RESPONSE]: 'The AI response did not include this row',
+        [TRANSLATION_FAILURES.EMPTY_TRANSLATION]: 'The AI returned an empty translation',
+        [TRANSLATION_FAILURES.REQUEST_FAILED]: 'The request to the AI provider failed',
+        RATE_LIMIT: 'The AI provider rate limited the request',
+        PROVIDER_UNAVAILABLE: 'The AI provider is unavailable',
+        PROVIDER_NOT_CONFIGURED: 'The AI provider is not configured',
+        QUOTA_EXCEEDED: 'The daily AI quota was reached',
+        QUOTA_UNAVAILABLE: 'The daily AI quota could not be checked',
+        PROJECT_NOT_ALLOWED: 'The project could not be used for AI requests',
+        AI_RESPONSE_PARSE_FAILED: 'The AI response could not be read',
+        AI_INVALID_RESPONSE_STRUCTURE: 'The AI response had an unexpected format',
+    };
+    return labels[reason] || reason || 'Unknown error';
+}
+
+/**
+ * Why a result is unusable, or null if it is fine
+ * @param {Object} result - {id, translations, status?, error?}
+ * @param {Object} item - The requested item
+ * @param {Array} targetLanguages
+ */
+function getFailureReason(result, item, targetLanguages) {
+    if (!result) return TRANSLATION_FAILURES.MISSING_FROM_RESPONSE;
+    if (result.status === 'error') return result.error || TRANSLATION_FAILURES.MISSING_FROM_RESPONSE;
+
+    // An empty source legitimately translates to nothing
+    if (!item.text?.trim()) return null;
+
+    const hasEmpty = targetLanguages.some(lang => !result.translations?.[lang]?.text?.trim());
+    return hasEmpty ? TRANSLATION_FAILURES.EMPTY_TRANSLATION : null;
+}
+
+function chunkItems(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
+
+/**
+ * Translate a batch with partial retries
+ * @param {BaseAIProvider} provider - Any provider instance
+ * @param {Array} items - Array of {id, text, context}
+ * @param {Object} options - generateBatch options ({ targetLanguages, template, glossaryTerms, ... })
+ * @param {Object} callbacks - { onResult(result), maxAttempts, onRequestSuccess(), onRequestError(error) }
+ *   onResult fires for each successful row as soon as it arrives, and for each
+ *   failed row once all attempts are used up. onRequestSuccess / onRequestError
+ *   fire once per provider request.
+ * @returns {Promise<Array>} One result per item, in input order. Failed rows have
+ *   status 'error' and `error` set to a TRANSLATION_FAILURES reason.
+ */
+export async function runBatchTranslation(provider, items, options = {}, { onResult, maxAttempts = DEFAULT_MAX_ATTEMPTS, onRequestSuccess, onRequestError } = {}) {
+    const targetLanguages = options.targetLanguages || [];
+    const finalResults = new Map();
+    const lastReasons = {};
+
+    const accept = (item, result) => {
+        const key = String(item.id);
+        if (finalResults.has(key)) return;
+        const final = { ...result, id: item.id };
+        finalResults.set(key, final);
+        onResult?.(final);
+    };
+
+    let pending = items;
+    let batchSize = Math.max(1, items.length);
+
+    for (let attempt = 1; attempt <= maxAttempts && pending.length > 0; attempt++) {
+        const failed = [];
+
+        for (const chunk of chunkItems(pending, batchSize)) {
+            const findItem = (id) => chunk.find(item => String(item.id) === String(id));
+            let results;
+
+            try {
+                results = await provider.generateBatchStream(chunk, options, streamed => {
+                    const item = findItem(streamed?.id);
+                    if (item && !getFailureReason(streamed, item, targetLanguages)) accept(item, streamed);
+                });
+                onRequestSuccess?.();
+            } catch (error) {
+                onRequestError?.(error);
+                if (FATAL_ERRORS.includes(error?.message)) throw error;
+                chunk.forEach(item => {
+                    lastReasons[item.id] = error?.message || TRANSLATION_FAILURES.REQUEST_FAILED;
+                });
+                failed.push(...chunk.filter(item => !finalResults.has(String(item.id))));
+                continue;
+            }
+
+            for (const item of chunk) {
+                if (finalResults.has(String(item.id))) continue;
+
+                const result = (results || []).find(r => String(r.id) === String(item.id));
+                const reason = getFailureReason(result, item, targetLanguages);
+                if (reason) {
+                    lastReasons[item.id] = reason;
+                    failed.push(item);
+                } else {
+                    accept(item, result);
+                }
+            }
+        }
+
+        pending = failed;
+        // Smaller batches give the model less to drop on the next attempt
+        batchSize = Math.max(1, Math.ceil(batchSize / 2));
+    }
+
+    // Out of attempts - report each remaining row with its last failure reason
+    pending.forEach(item => {
+        accept(item, buildErrorResult(targetLanguages, lastReasons[item.id]));
+    });
+
+    return items.map(item => finalResults.get(String(item.id)));
+}
+
+function buildErrorResult(targetLanguages, reason) {
+    const translations = {};
+    targetLanguages.forEach(lang => {
+        translations[lang] = { text: '', status: 'error' };
+    });
+    return { translations, status: 'error', error: reason || TRANSLATION_FAILURES.REQUEST_FAILED };
+}
+
+/**
+ * Whether an error counts against the provider's circuit breaker: 5xx, 429,
+ * network failures and timeouts. Unreadable or malformed answers, quotas and
+ * configuration errors say nothing about the provider's health.
+ * @param {Error} error
+ */
+export function isOutageError(error) {
+    if (OUTAGE_ERRORS.includes(error?.message)) return true;
+    if (error?.name === 'AbortError' || error?.name === 'TimeoutError' || error?.status === 408) return true;
+    // fetch rejects with a TypeError when the request never got a response
+    return error instanceof TypeError && /fetch|network|load failed/i.test(error.message || '');
+}
+
+// Whether the next provider in a chain should take over after this error
+function isFailoverError(error) {
+    const code = error?.message;
+    if (OUTAGE_ERRORS.includes(code)) return true;
+    if (code === 'PROVIDER_NOT_CONFIGURED' || code === 'API_NOT_CONFIGURED') return true;
+    // User and project quotas apply to every provider, provider quotas only to this one
+    return code === 'QUOTA_EXCEEDED' && error.quota?.scope === 'provider';
+}
+
+// Record which provider and model produced a result (row and per-language)
+function stampProvider(result, providerId, model) {
+    const translations = {};
+    Object.entries(result.translations || {}).forEach(([lang, translation]) => {
+        translations[lang] = { ...translation, provider: providerId, model: model || null };
+    });
+    return { ...result, translations, provider: providerId, model: model || null };
+}
+
+/**
+ * Translate a batch across an ordered provider chain
+ * Each provider gets the rows the previous ones could not deliver. Providers
+ * whose circuit is open are skipped; outages, rate limits, network failures
+ * and timeouts are reported to the provider's breaker.
+ * @param {Array} chain - [{ id, provider, breaker }] in order of preference
+ * @param {Array} items - Array of {id, text, context}
+ * @param {Object} options - generateBatch options
+ * @param {Object} callbacks - { onResult(result), onFallback({ from, to, error, remaining }), maxAttempts }
+ * @returns {Promise<Array>} Same as runBatchTranslation; every result carries `provider` and `model`
+ */
+export async function runFallbackTranslation(chain, items, options = {}, { onResult, onFallback, maxAttempts } = {}) {
+    const targetLanguages = options.targetLanguages || [];
+    const finalResults = new Map();
+    let failures = {}; // { [itemId]: error result from the last provider that tried it }
+    let lastError = null;
+    let attempted = false;
+    let pending = items;
+
+    for (const [index, { id, provider, breaker }] of chain.entries()) {
+        if (pending.length === 0) break;
+        if (breaker && !breaker.canRequest()) continue;
+        attempted = true;
+
+        const providerFailures = {};
+        let providerError = null;
+
+        try {
+            await runBatchTranslation(provider, pending, options, {
+                maxAttempts,
+                onResult: result => {
+                    const stamped = stampProvider(result, id, provider.model);
+                    if (result.status === 'error') {
+                        providerFailures[result.id] = stamped;
+                        return;
+                    }
+                    finalResults.set(String(result.id), stamped);
+                    onResult?.(stamped);
+                },
+                onRequestSuccess: () => breaker?.recordSuccess(),
+                onRequestError: error => {
+                    if (isOutageError(error)) breaker?.recordFailure(error?.message);
+                }
+            });
+        } catch (error) {
+            if (!isFailoverError(error)) throw error;
+            providerError = error;
+        }
+
+        pending = pending.filter(item => !finalResults.has(String(item.id)));
+        failures = {};
+        pending.forEach(item => {
+            failures[item.id] = providerFailures[item.id]
+                || stampProvider(buildErrorResult(targetLanguages, providerError?.message), id, provider.model);
+        });
+        lastError = providerError;
+
+        const next = chain.slice(index + 1).find(entry => !entry.breaker || entry.breaker.canRequest());
+        if (pending.length > 0 && next) {
+            onFallback?.({ from: id, to: next.id, error: providerError, remaining: pending.length });
+        }
+    }
+
+    if (!attempted) {
+        throw new Error('PROVIDER_UNAVAILABLE');
+    }
+
+    // Nothing got through and the last provider refused outright - surface its error
+    if (finalResults.size === 0 && lastError) {
+        throw lastError;
+    }
+
+    pending.forEach(item => {
+        const result = { ...(failures[item.id] || buildErrorResult(targetLanguages)), id: item.id };
+        finalResults.set(String(item.id), result);
+        onResult?.(result);
+    });
+
+    return items.map(item => finalResults.get(String(item.id)));
+}
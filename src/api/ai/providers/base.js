@@ -2,6 +2,18 @@
  * Base AI Provider Interface
  * All AI service implementations must extend this class
  */
+import { extractBatchObjects, MISSING_FROM_RESPONSE } from "../structured-output";
+import { isICUMessage, getPluralCategories } from "@/lib/icu-message";
+
+// Appended to the glossary section when a batch is retried after glossary violations
+export const STRICT_GLOSSARY_RULES = `
+A previous translation ignored these glossary terms. The glossary is REQUIRED, not a suggestion:
+- Every listed term that appears in the source MUST use exactly the given translation.
+- Do not paraphrase, inflect, abbreviate or substitute a synonym for a glossary translation.`;
+
+// Inline codes as XLIFF units and DOCX paragraphs carry them: <g id="1">, </g>, <x id="2"/> ...
+const INLINE_CODE_PATTERN = /<\/?(?:g|x|bx|ex|ph|pc|mrk|bpt|ept|it|sc|ec)\b[^<>]*>/;
+
 export class BaseAIProvider {
     constructor(config = {}) {
         this.config = config;
@@ -16,14 +28,28 @@ export class BaseAIProvider {
 
     /**
      * Generate translations for a batch of items
-     * @param {Array} items - Array of {id, text, context}
-     * @param {Object} options - { sourceLanguage, targetLanguages, template, glossaryTerms }
+     * @param {Array} items - Array of {id, text, context, maxLength?}
+     * @param {Object} options - { sourceLanguage, targetLanguages, template, glossaryTerms, strictGlossary }
      * @returns {Promise<Array>} - Array of {id, translations: { [lang]: { text, status } }}
      */
     async generateBatch(items, options) {
         throw new Error('generateBatch() must be implemented by provider');
     }
 
+    /**
+     * Streaming variant of generateBatch - calls onResult for each item as soon as it is translated
+     * Providers without streaming support fall back to a single non-streamed request.
+     * @param {Array} items - Array of {id, text, context}
+     * @param {Object} options - Same as generateBatch
+     * @param {Function} onResult - Called with each {id, translations} as it arrives
+     * @returns {Promise<Array>} - Full result list (same shape as generateBatch)
+     */
+    async generateBatchStream(items, options, onResult) {
+        const results = await this.generateBatch(items, options);
+        (results || []).forEach(result => onResult?.(result));
+        return results;
+    }
+
     /**
      * Test the connection to the provider
      * @returns {Promise<{success: boolean, message: string}>}
@@ -31,4 +57,117 @@ export class BaseAIProvider {
     async testConnection() {
         throw new Error('testConnection() must be implemented by provider');
     }
+
+    /**
+     * Check usage quotas before a request (guard attached by AIService)
+     * Throws QUOTA_EXCEEDED when the request would break a limit.
+     * @param {Array} items - Items about to be translated
+     * @param {Object} options - Request options (usageContext: { user, projectId, runId, feature })
+     */
+    async _enforceQuota(items, options = {}) {
+        if (typeof this.quotaGuard !== 'function') return;
+        await this.quotaGuard({ ...(options.usageContext || {}), rows: items.length });
+    }
+
+    /**
+     * Items as sent to the model - maxLength is only included when the row has a limit
+     * @param {Array} items - Array of {id, text, context, maxLength?}
+     * @returns {string} JSON
+     */
+    _serializeItems(items) {
+        return JSON.stringify(items.map(i => ({
+            id: i.id,
+            text: i.text,
+            context: i.context,
+            ...(i.maxLength ? { maxLength: i.maxLength } : {})
+        })), null, 2);
+    }
+
+    /**
+     * Prompt rule for rows with a length limit ('' when no item has one)
+     * @param {Array} items
+     */
+    _buildLengthRule(items) {
+        if (!items.some(i => i.maxLength)) return '';
+        return '- Items with "maxLength" must be translated in at most that many characters per language; shorten wording rather than exceed it';
+    }
+
+    /**
+     * Prompt rule for ICU MessageFormat items ('' when no item uses plural/select)
+     * @param {Array} items
+     * @param {Array} targetLanguages - Plural categories are listed per language
+     */
+    _buildICURule(items, targetLanguages = []) {
+        if (!items.some(i => isICUMessage(i.text))) return '';
+        const categories = targetLanguages.map(lang => `${lang}: ${getPluralCategories(lang).join(', ')}`).join('; ');
+        return `- Items in ICU MessageFormat ({count, plural, ...}, {x, select, ...}) must stay valid ICU: translate only the text inside the options; keep argument names, the plural/select keywords, selectors (=0, one, other ...), "#" and {placeholders} unchanged
+- Plural options must use exactly the target language's plural categories (${categories}), plus any =N options of the source`;
+    }
+
+    /**
+     * Prompt rule for items with inline codes - formatting of DOCX spans, XLIFF tags
+     * ('' when no item has any)
+     * @param {Array} items
+     */
+    _buildInlineCodeRule(items) {
+        if (!items.some(i => INLINE_CODE_PATTERN.test(i.text || ''))) return '';
+        return '- Inline codes such as <g id="1">...</g> or <x id="2"/> mark formatting: keep every code with its id unchanged, around the words of the translation they belong to';
+    }
+
+    /**
+     * Per-item rules (length limits, ICU, inline codes) appended to the input section
+     * @param {Array} items
+     * @param {Array} targetLanguages
+     */
+    _buildItemRules(items, targetLanguages = []) {
+        return [this._buildLengthRule(items), this._buildICURule(items, targetLanguages), this._buildInlineCodeRule(items)].filter(Boolean).join('\n');
+    }
+
+    /**
+     * Normalize one raw model object into {id, translations: { [lang]: { text, status } }}
+     * @param {Object} raw - Parsed object from the model output
+     * @param {Array} targetLanguages
+     */
+    _normalizeBatchItem(raw, targetLanguages) {
+        const translations = {};
+        targetLanguages.forEach(lang => {
+            const tData = raw?.translations?.[lang];
+            translations[lang] = {
+                text: typeof tData === 'object' ? (tData?.text || '') : (tData || ''),
+                status: 'review'
+            };
+        });
+        return { id: raw?.id, translations };
+    }
+
+    /**
+     * Parse a complete (non-streamed) model answer with the tolerant parser
+     * @param {string} text - Raw model output
+     * @param {Array} originalItems
+     * @param {Array} targetLanguages
+     */
+    _parseBatchResponse(text, originalItems, targetLanguages) {
+        const received = extractBatchObjects(text).map(raw => this._normalizeBatchItem(raw, targetLanguages));
+        return this._mapBatchResults(received, originalItems, targetLanguages);
+    }
+
+    /**
+     * Map parsed objects back onto the requested items (guarantees one result per item)
+     * Items the model left out are returned with status 'error' instead of failing the batch.
+     * @param {Array} received - Normalized results
+     * @param {Array} originalItems
+     * @param {Array} targetLanguages
+     */
+    _mapBatchResults(received, originalItems, targetLanguages) {
+        return originalItems.map(item => {
+            const match = received.find(r => String(r.id) === String(item.id));
+            if (match) return { ...match, id: item.id };
+
+            const translations = {};
+            targetLanguages.forEach(lang => {
+                translations[lang] = { text: '', status: 'error' };
+            });
+            return { id: item.id, translations, status: 'error', error: MISSING_FROM_RESPONSE };
+        });
+    }
 }
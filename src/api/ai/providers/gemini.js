@@ -1,7 +1,10 @@
 
 import { GoogleGenAI } from "@google/genai";
-import { BaseAIProvider } from "./base";
+import { BaseAIProvider, STRICT_GLOSSARY_RULES } from "./base";
+import { createJSONArrayStreamParser } from "../stream-parser";
+import { buildGeminiBatchSchema, buildGeminiTextBlockSchema } from "../structured-output";
 import { LANGUAGES, getNativeLabel } from "@/lib/constants";
+import { AI_PROXY_URL, getProxyHeaders, getProxyError } from "../proxy";
 
 // Build language name map from centralized LANGUAGES constant
 const getLangName = (code) => {
@@ -13,33 +16,22 @@ const getLangName = (code) => {
 export class GeminiProvider extends BaseAIProvider {
     constructor(config = {}) {
         super(config);
-        this.apiKey = config.apiKey; // Removed default env vars
         this.model = config.model || import.meta.env.VITE_GEMINI_MODEL || "gemini-2.0-flash";
         this.client = null;
     }
 
     /**
      * Initialize the GoogleGenAI client
+     * Requests go to the AI proxy, which adds the real key server-side.
      */
     initialize() {
-        if (!this.apiKey) {
+        if (!AI_PROXY_URL) {
             return false;
         }
-        this.client = new GoogleGenAI({ apiKey: this.apiKey });
+        this.client = new GoogleGenAI({ apiKey: 'proxy', httpOptions: { baseUrl: `${AI_PROXY_URL}/gemini` } });
         return true;
     }
 
-    /**
-     * Update API key at runtime
-     * @param {string} newApiKey
-     */
-    setApiKey(newApiKey) {
-        if (newApiKey && newApiKey !== this.apiKey) {
-            this.apiKey = newApiKey;
-            this.client = new GoogleGenAI({ apiKey: this.apiKey });
-        }
-    }
-
     // ============================================
     // PUBLIC METHODS
     // ============================================
@@ -51,22 +43,24 @@ export class GeminiProvider extends BaseAIProvider {
      */
     async generateBatch(items, options = {}) {
         this._validateConfig();
+        await this._enforceQuota(items, options);
 
         const {
             sourceLanguage = 'en',
             targetLanguages = [],
             template,
-            glossaryTerms = []
+            glossaryTerms = [],
+            strictGlossary = false
         } = options;
 
         // Debug logging removed for production
 
         try {
             // 1. Prepare Prompt
-            const prompt = this._buildBatchPrompt(items, template, targetLanguages, glossaryTerms, sourceLanguage);
+            const prompt = this._buildBatchPrompt(items, template, targetLanguages, glossaryTerms, sourceLanguage, strictGlossary);
 
-            // 2. Execute API Call
-            const responseText = await this._executeGenAI(prompt);
+            // 2. Execute API Call (schema-constrained JSON)
+            const responseText = await this._executeGenAI(prompt, this._buildBatchConfig(targetLanguages), options.usageContext);
 
             // 3. Parse Response
             return this._parseBatchResponse(responseText, items, targetLanguages);
@@ -77,18 +71,73 @@ export class GeminiProvider extends BaseAIProvider {
     }
 
     /**
-     * Extract text from an image (OCR)
-     * @param {File} imageFile 
+     * Generate translations with generateContentStream, emitting each row as soon as it is complete
+     * @param {Array} items - Items to translate {id, text, context}
+     * @param {Object} options - { sourceLanguage, targetLanguages, template, glossaryTerms }
+     * @param {Function} onResult - Called with each {id, translations}
      */
-    async extractTextFromImage(imageFile) {
+    async generateBatchStream(items, options = {}, onResult) {
         this._validateConfig();
-        // OCR extraction
+        await this._enforceQuota(items, options);
+
+        const {
+            sourceLanguage = 'en',
+            targetLanguages = [],
+            template,
+            glossaryTerms = [],
+            strictGlossary = false
+        } = options;
 
         try {
-            const imagePart = await this._fileToGenerativePart(imageFile);
-            const prompt = `Extract all text from this image. Return the result as a JSON array of objects, where each object has an "id" (number) and "text" (string) field. Preserves original line breaks as separate items.`;
+            const prompt = this._buildBatchPrompt(items, template, targetLanguages, glossaryTerms, sourceLanguage, strictGlossary);
 
-            const responseText = await this._executeGenAI([prompt, imagePart]);
+            const received = [];
+            const parser = createJSONArrayStreamParser(raw => {
+                const result = this._normalizeBatchItem(raw, targetLanguages);
+                received.push(result);
+                onResult?.(result);
+            });
+
+            const responseText = await this._executeGenAIStream(prompt, chunk => parser.push(chunk), this._buildBatchConfig(targetLanguages), options.usageContext);
+
+            // Nothing recognisable was streamed - fall back to parsing the whole answer
+            if (parser.end().emitted === 0) {
+                const results = this._parseBatchResponse(responseText, items, targetLanguages);
+                results.forEach(result => onResult?.(result));
+                return results;
+            }
+
+            return this._mapBatchResults(received, items, targetLanguages);
+
+        } catch (error) {
+            this._handleError(error);
+        }
+    }
+
+    /**
+     * Extract text blocks from an image (OCR) with their position and style
+     * @param {File} imageFile
+     * @param {Object} options - { usageContext }
+     * @returns {Promise<Array>} [{ id, text, box: { x, y, width, height }, color, bold, align }] -
+     * box in fractions of the image size
+     */
+    async extractTextFromImage(imageFile, options = {}) {
+        this._validateConfig();
+        await this._enforceQuota([imageFile], options);
+
+        try {
+            const imagePart = await this._fileToGenerativePart(imageFile);
+            const prompt = `Extract all text from this image as blocks, one block per line or paragraph that shares the same style.
+For each block return:
+- "text": the text exactly as written, with "\n" between its lines
+- "box_2d": the bounding box of the text as [ymin, xmin, ymax, xmax] normalized to 0-1000
+- "color": the text color as a hex code such as "#1a1a1a"
+- "bold": whether the text is bold
+- "align": how the lines are aligned (left, center or right)
+List the blocks in reading order.`;
+
+            const config = { responseMimeType: 'application/json', responseSchema: buildGeminiTextBlockSchema() };
+            const responseText = await this._executeGenAI([prompt, imagePart], config, options.usageContext);
             return this._parseOCRResponse(responseText);
 
         } catch (error) {
@@ -131,12 +180,13 @@ Return a valid JSON array where each item has:
 
     async testConnection() {
         if (!this.client) this.initialize();
-        if (!this.client) return { success: false, message: 'API Key missing' };
+        if (!this.client) return { success: false, message: 'AI proxy not configured' };
 
         try {
             const res = await this.client.models.generateContent({
                 model: this.model,
                 contents: "Say 'OK'",
+                config: await this._withProxy(null),
             });
 
             // Handle different SDK response structures
@@ -166,10 +216,11 @@ Return a valid JSON array where each item has:
         if (!this.client) throw new Error('PROVIDER_NOT_CONFIGURED');
     }
 
-    async _executeGenAI(contents) {
+    async _executeGenAI(contents, config, usageContext) {
         const result = await this.client.models.generateContent({
             model: this.model,
             contents: contents,
+            config: await this._withProxy(config, usageContext),
         });
 
         // Handle different SDK response structures
@@ -184,21 +235,72 @@ Return a valid JSON array where each item has:
         }
     }
 
+    async _executeGenAIStream(contents, onChunk, config, usageContext) {
+        const stream = await this.client.models.generateContentStream({
+            model: this.model,
+            contents: contents,
+            config: await this._withProxy(config, usageContext),
+        });
+
+        let fullText = '';
+        for await (const chunk of stream) {
+            // `text` is a getter on current SDK responses
+            const text = typeof chunk?.text === 'string'
+                ? chunk.text
+                : chunk?.candidates?.[0]?.content?.parts?.map(p => p.text || '').join('') || '';
+            if (text) {
+                fullText += text;
+                onChunk(text);
+            }
+        }
+        return fullText;
+    }
+
+    // Request schema-constrained JSON for batch translation
+    _buildBatchConfig(targetLanguages) {
+        return {
+            responseMimeType: 'application/json',
+            responseSchema: buildGeminiBatchSchema(targetLanguages),
+        };
+    }
+
+    // Send the request to the AI proxy with fresh auth headers
+    async _withProxy(config, usageContext = {}) {
+        return {
+            ...(config || {}),
+            httpOptions: {
+                baseUrl: `${AI_PROXY_URL}/gemini`,
+                headers: await getProxyHeaders(this.providerId, usageContext)
+            }
+        };
+    }
+
     _handleError(error) {
+        // SDK errors embed the response body as JSON in the message
+        const message = error?.message || '';
+        let body = null;
+        try {
+            body = JSON.parse(message.slice(message.indexOf('{')));
+        } catch (e) {
+            // Not a JSON error body
+        }
+        const proxyError = getProxyError(body);
+        if (proxyError) throw proxyError;
         if (error.status === 429) throw new Error('RATE_LIMIT');
+        if (error.status >= 500) throw new Error('PROVIDER_UNAVAILABLE');
         throw error;
     }
 
     // --- Prompt Builders ---
 
-    _buildBatchPrompt(items, template, targetLanguages, glossaryTerms, sourceLang) {
+    _buildBatchPrompt(items, template, targetLanguages, glossaryTerms, sourceLang, strictGlossary = false) {
         const sourceLangName = getLangName(sourceLang);
         const targetLangNames = targetLanguages.map(l => getLangName(l)).join(', ');
 
         if (!template?.prompt) throw new Error('MISSING_TEMPLATE');
 
         const instructions = template.prompt.replace(/\{\{targetLanguage\}\}/gi, targetLangNames);
-        const glossarySection = this._buildGlossarySection(glossaryTerms, items);
+        const glossarySection = this._buildGlossarySection(glossaryTerms, items, strictGlossary);
 
         return `# Translation Task
 Role: Professional Translator
@@ -211,8 +313,9 @@ ${glossarySection}
 
 ## Input
 \`\`\`json
-${JSON.stringify(items.map(i => ({ id: i.id, text: i.text, context: i.context })), null, 2)}
+${this._serializeItems(items)}
 \`\`\`
+${this._buildItemRules(items, targetLanguages)}
 
 ## Output
 Return JSON array with structure:
@@ -220,7 +323,7 @@ Return JSON array with structure:
 `;
     }
 
-    _buildGlossarySection(terms, items) {
+    _buildGlossarySection(terms, items, strict = false) {
         if (!terms.length) return '';
 
         // Lite-RAG: Filter if items provided, else use all
@@ -240,45 +343,44 @@ Return JSON array with structure:
 | Term | Translations |
 |---|---|
 ${relevant.map(t => `| ${t.english || t.term} | ${JSON.stringify(t.translations || {})} |`).join('\n')}
+${strict ? STRICT_GLOSSARY_RULES : ''}
 `;
     }
 
     // --- Response Parsers ---
 
-    _parseBatchResponse(text, originalItems, targetLanguages) {
+    _parseOCRResponse(text) {
+        let json;
         try {
-            const json = this._cleanAndParseJSON(text);
-
-            return originalItems.map(item => {
-                const match = json.find(j => String(j.id) === String(item.id));
-                const translations = {};
-
-                targetLanguages.forEach(lang => {
-                    const tData = match?.translations?.[lang];
-                    translations[lang] = {
-                        text: typeof tData === 'object' ? tData.text : (tData || ''),
-                        status: 'review'
-                    };
-                });
-
-                return { id: item.id, translations };
-            });
+            json = this._cleanAndParseJSON(text);
         } catch (e) {
+            // An unreadable response is a failure, not an image without text
             throw new Error('AI_RESPONSE_PARSE_FAILED');
         }
+        if (!Array.isArray(json)) throw new Error('AI_INVALID_RESPONSE_STRUCTURE');
+        return json
+            .filter(item => item?.text?.trim())
+            .map((item, index) => ({
+                id: `block_${index + 1}`,
+                text: item.text.trim(),
+                en: item.text.trim(), // Default 'en' to text
+                box: this._toRelativeBox(item.box_2d),
+                color: /^#[0-9a-f]{6}$/i.test(item.color || '') ? item.color : null,
+                bold: !!item.bold,
+                align: ['left', 'center', 'right'].includes(item.align) ? item.align : 'left'
+            }));
     }
 
-    _parseOCRResponse(text) {
-        try {
-            const json = this._cleanAndParseJSON(text);
-            return json.map(item => ({
-                id: item.id || Date.now() + Math.random(),
-                text: item.text || '',
-                en: item.text || '' // Default 'en' to text
-            }));
-        } catch (e) {
-            return []; // Fail gracefully for OCR
-        }
+    // Gemini boxes are [ymin, xmin, ymax, xmax] on a 0-1000 grid
+    _toRelativeBox(box2d) {
+        if (!Array.isArray(box2d) || box2d.length !== 4) return null;
+        const [ymin, xmin, ymax, xmax] = box2d.map(value => Math.min(1000, Math.max(0, Number(value) || 0)) / 1000);
+        return {
+            x: Math.min(xmin, xmax),
+            y: Math.min(ymin, ymax),
+            width: Math.abs(xmax - xmin),
+            height: Math.abs(ymax - ymin)
+        };
     }
 
     _parseExtractAndTranslateResponse(text, targetLanguages) {
@@ -0,0 +1,399 @@
+/**
+ * OpenAI-Compatible Provider
+ * Generic chat-completions client for any endpoint speaking the OpenAI protocol
+ * (vLLM, Ollama, LiteLLM, ...). Endpoints are registered by admins in Settings.
+ */
+import { BaseAIProvider, STRICT_GLOSSARY_RULES } from "./base";
+import { createJSONArrayStreamParser } from "../stream-parser";
+import { buildBatchJSONSchema } from "../structured-output";
+import { LANGUAGES } from "@/lib/constants";
+import { AI_PROXY_URL, getProxyHeaders, getProxyError } from "../proxy";
+
+// Build language name map from centralized LANGUAGES constant
+const getLangName = (code) => {
+    const lang = LANGUAGES[code];
+    return lang?.nativeLabel || lang?.label || code;
+};
+
+/**
+ * Resolve the chat-completions URL from a base URL
+ * Accepts either a base (https://host/v1) or the full completions URL
+ * @param {string} baseUrl
+ */
+export const buildChatCompletionsUrl = (baseUrl = '') => {
+    const trimmed = baseUrl.trim().replace(/\/+$/, '');
+    if (!trimmed) return '';
+    return trimmed.endsWith('/chat/completions') ? trimmed : `${trimmed}/chat/completions`;
+};
+
+export class OpenAICompatibleProvider extends BaseAIProvider {
+    /**
+     * @param {Object} config - { name, baseUrl, model }
+     */
+    constructor(config = {}) {
+        super(config);
+        this.name = config.name || 'OpenAI-compatible';
+        this.endpoint = buildChatCompletionsUrl(config.baseUrl);
+        this.model = config.model || '';
+
+        // Cleared automatically if the endpoint rejects `response_format`
+        this.supportsStructuredOutput = config.structuredOutput !== false;
+        // Cleared automatically if the endpoint rejects `stream_options`
+        this.supportsStreamUsage = true;
+    }
+
+    /**
+     * Initialize/Validate configuration
+     */
+    initialize() {
+        // The AI proxy resolves the endpoint and its key from the registry
+        return !!(AI_PROXY_URL && this.endpoint && this.model);
+    }
+
+    // ============================================
+    // PUBLIC METHODS
+    // ============================================
+
+    /**
+     * Generate translations
+     * @param {Array} items - {id, text, context}
+     * @param {Object} options 
+     */
+    async generateBatch(items, options = {}) {
+        this._validateConfig();
+        await this._enforceQuota(items, options);
+
+        const {
+            sourceLanguage = 'en',
+            targetLanguages = [],
+            template,
+            glossaryTerms = [],
+            strictGlossary = false
+        } = options;
+
+        try {
+            // 1. Build Prompts
+            const systemPrompt = this._buildSystemPrompt(targetLanguages, glossaryTerms, sourceLanguage, template, strictGlossary);
+            const userPrompt = this._buildUserPrompt(items, targetLanguages);
+
+            // 2. Execute API Call (schema-constrained when the endpoint supports it)
+            const responseData = await this._executeOpenAICompatible([
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content: userPrompt }
+            ], 4096, this._buildResponseFormat(targetLanguages), options.usageContext);
+
+            // 3. Parse Response
+            const content = responseData.choices?.[0]?.message?.content || '';
+            return this._parseBatchResponse(content, items, targetLanguages);
+
+        } catch (error) {
+            this._handleError(error);
+        }
+    }
+
+    /**
+     * Generate translations with SSE streaming (stream: true)
+     * @param {Array} items - {id, text, context}
+     * @param {Object} options
+     * @param {Function} onResult - Called with each {id, translations} as soon as it is complete
+     */
+    async generateBatchStream(items, options = {}, onResult) {
+        this._validateConfig();
+        await this._enforceQuota(items, options);
+
+        const {
+            sourceLanguage = 'en',
+            targetLanguages = [],
+            template,
+            glossaryTerms = [],
+            strictGlossary = false
+        } = options;
+
+        try {
+            const systemPrompt = this._buildSystemPrompt(targetLanguages, glossaryTerms, sourceLanguage, template, strictGlossary);
+            const userPrompt = this._buildUserPrompt(items, targetLanguages);
+
+            const received = [];
+            const parser = createJSONArrayStreamParser(raw => {
+                const result = this._normalizeBatchItem(raw, targetLanguages);
+                received.push(result);
+                onResult?.(result);
+            });
+
+            const content = await this._streamOpenAICompatible([
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content: userPrompt }
+            ], delta => parser.push(delta), 4096, this._buildResponseFormat(targetLanguages), options.usageContext);
+
+            // Nothing recognisable was streamed - fall back to parsing the whole answer
+            if (parser.end().emitted === 0) {
+                const results = this._parseBatchResponse(content, items, targetLanguages);
+                results.forEach(result => onResult?.(result));
+                return results;
+            }
+
+            return this._mapBatchResults(received, items, targetLanguages);
+
+        } catch (error) {
+            this._handleError(error);
+        }
+    }
+
+    async testConnection() {
+        if (!this.initialize()) return { success: false, message: 'Endpoint not configured' };
+
+        try {
+            const data = await this._executeOpenAICompatible(
+                [{ role: 'user', content: "Say 'OK'" }],
+                10 // max_tokens
+            );
+            return { success: true, message: data.choices?.[0]?.message?.content || 'Connected' };
+        } catch (e) {
+            return { success: false, message: e.message };
+        }
+    }
+
+    // ============================================
+    // INTERNAL HELPERS
+    // ============================================
+
+    _validateConfig() {
+        if (!this.initialize()) throw new Error('PROVIDER_NOT_CONFIGURED');
+    }
+
+    async _executeOpenAICompatible(messages, maxTokens = 4096, responseFormat = null, usageContext = {}) {
+        const start = Date.now();
+
+        const response = await this._postChatCompletion({
+            model: this.model,
+            messages: messages,
+            temperature: 0.3,
+            max_tokens: maxTokens
+        }, responseFormat, usageContext);
+
+        if (!response.ok) await this._throwResponseError(response);
+
+        const data = await response.json();
+        const duration = Date.now() - start;
+        // Response received
+
+        return data;
+    }
+
+    /**
+     * Execute a streamed chat completion, reading Server-Sent Events
+     * @param {Array} messages
+     * @param {Function} onDelta - Called with each content delta
+     * @param {Object} usageContext - { projectId, runId, feature } forwarded to the AI proxy
+     * @returns {Promise<string>} Full concatenated content
+     */
+    async _streamOpenAICompatible(messages, onDelta, maxTokens = 4096, responseFormat = null, usageContext = {}) {
+        const response = await this._postChatCompletion({
+            model: this.model,
+            messages: messages,
+            temperature: 0.3,
+            max_tokens: maxTokens,
+            stream: true,
+            // Ask for a final chunk carrying token usage (recorded by the AI proxy)
+            ...(this.supportsStreamUsage && { stream_options: { include_usage: true } })
+        }, responseFormat, usageContext);
+
+        if (!response.ok) await this._throwResponseError(response);
+
+        // Some proxies strip streaming and return a regular JSON body
+        if (!response.body || !(response.headers.get('content-type') || '').includes('text/event-stream')) {
+            const text = await response.text();
+            let content = '';
+            try {
+                const data = JSON.parse(text);
+                content = data.choices?.[0]?.message?.content || '';
+            } catch (e) {
+                content = this._readSSEContent(text);
+            }
+            onDelta(content);
+            return content;
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let pending = '';
+        let content = '';
+
+        const handleLine = (line) => {
+            const trimmed = line.trim();
+            if (!trimmed.startsWith('data:')) return;
+            const payload = trimmed.slice(5).trim();
+            if (!payload || payload === '[DONE]') return;
+            try {
+                const event = JSON.parse(payload);
+                const delta = event.choices?.[0]?.delta?.content || '';
+                if (delta) {
+                    content += delta;
+                    onDelta(delta);
+                }
+            } catch (e) {
+                // Ignore keep-alive or malformed events
+            }
+        };
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            pending += decoder.decode(value, { stream: true });
+            const lines = pending.split('\n');
+            pending = lines.pop();
+            lines.forEach(handleLine);
+        }
+        if (pending) handleLine(pending);
+
+        return content;
+    }
+
+    /**
+     * POST a chat-completions body, adding `response_format` when given.
+     * When the endpoint rejects the request (400/422), it is retried without
+     * `response_format`, then without `stream_options`, then without both; an
+     * option is only switched off for this endpoint once a request without it succeeds.
+     * The request goes to the AI proxy, which adds the endpoint's key and headers.
+     */
+    async _postChatCompletion(body, responseFormat = null, usageContext = {}) {
+        const url = `${AI_PROXY_URL}/chat/completions`;
+        const headers = { 'Content-Type': 'application/json', ...(await getProxyHeaders(this.providerId, usageContext)) };
+
+        const send = (payload) => fetch(url, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(payload)
+        });
+        const isRejected = (response) => response.status === 400 || response.status === 422;
+
+        const { stream_options, ...baseBody } = body;
+        const useStructured = !!responseFormat && this.supportsStructuredOutput;
+        const useStreamUsage = !!stream_options;
+        const withOptions = (structured, streamUsage) => ({
+            ...baseBody,
+            ...(structured && { response_format: responseFormat }),
+            ...(streamUsage && { stream_options })
+        });
+
+        const response = await send(withOptions(useStructured, useStreamUsage));
+        if (!isRejected(response)) return response;
+
+        // Each optional field on its own first, then both
+        const attempts = [[false, useStreamUsage], [useStructured, false], [false, false]]
+            .filter(([structured, streamUsage], index, list) =>
+                (structured !== useStructured || streamUsage !== useStreamUsage)
+                && list.findIndex(([s, u]) => s === structured && u === streamUsage) === index);
+
+        for (const [structured, streamUsage] of attempts) {
+            const retry = await send(withOptions(structured, streamUsage));
+            if (isRejected(retry)) continue;
+            if (useStructured && !structured) this.supportsStructuredOutput = false;
+            if (useStreamUsage && !streamUsage) this.supportsStreamUsage = false;
+            return retry;
+        }
+
+        // Rejected for another reason - report the original error
+        return response;
+    }
+
+    _buildResponseFormat(targetLanguages) {
+        return {
+            type: 'json_schema',
+            json_schema: {
+                name: 'translation_batch',
+                strict: true,
+                schema: buildBatchJSONSchema(targetLanguages)
+            }
+        };
+    }
+
+    // Concatenate content deltas from a fully buffered SSE body
+    _readSSEContent(text) {
+        return text.split('\n')
+            .map(line => line.trim())
+            .filter(line => line.startsWith('data:') && !line.includes('[DONE]'))
+            .map(line => {
+                try {
+                    return JSON.parse(line.slice(5).trim()).choices?.[0]?.delta?.content || '';
+                } catch (e) {
+                    return '';
+                }
+            })
+            .join('');
+    }
+
+    // Map an error response onto the AI layer's error codes
+    async _throwResponseError(response) {
+        const error = await response.json().catch(() => ({}));
+        const proxyError = getProxyError(error);
+        if (proxyError) throw proxyError;
+        if (response.status === 429) throw new Error('RATE_LIMIT');
+        if (response.status >= 500) throw new Error('PROVIDER_UNAVAILABLE');
+        throw new Error(error.error?.message || `API Error: ${response.status}`);
+    }
+
+    _handleError(error) {
+        throw error;
+    }
+
+    // --- Prompt Builders ---
+
+    _buildSystemPrompt(targetLanguages, glossaryTerms, sourceLang, template, strictGlossary = false) {
+        const sourceLangName = getLangName(sourceLang);
+        const targetLangNames = targetLanguages.map(l => getLangName(l)).join(', ');
+
+        // Process Template
+        if (!template?.prompt) {
+            throw new Error('MISSING_TEMPLATE');
+        }
+
+        const instructions = template.prompt.replace(/\{\{targetLanguage\}\}/gi, targetLangNames);
+        const glossarySection = this._buildGlossarySection(glossaryTerms, strictGlossary);
+
+        return `You are a professional translator.
+Source Language: ${sourceLangName}
+Target Languages: ${targetLangNames}
+
+## Instructions
+${instructions}
+${glossarySection}
+
+## Output Requirements
+Return ONLY a valid JSON object with this exact structure:
+{
+  "items": [
+    {
+      "id": "row_id",
+      "translations": {
+        "${targetLanguages[0]}": { "text": "..." },
+        "${targetLanguages[1] || 'lang2'}": { "text": "..." }
+      }
+    }
+  ]
+}
+
+Rules:
+- Return ONLY valid JSON (no markdown, no extra text)
+- Include one entry per input item, using the same "id"
+- Include ALL target languages in each translation object`;
+    }
+
+    _buildUserPrompt(items, targetLanguages) {
+        const itemRules = this._buildItemRules(items, targetLanguages);
+        return `Translate the following items to ${targetLanguages.join(', ')}:
+
+\`\`\`json
+${this._serializeItems(items)}
+\`\`\`${itemRules ? `\n\n${itemRules}` : ''}`;
+    }
+
+    _buildGlossarySection(terms, strict = false) {
+        if (!terms || !terms.length) return '';
+        return `
+## Mandatory Glossary
+Use these exact translations if the term appears:
+${terms.map(t => `- ${t.english || t.term}: ${JSON.stringify(t.translations || {})}`).join('\n')}${strict ? `\n${STRICT_GLOSSARY_RULES}` : ''}`;
+    }
+
+}
@@ -0,0 +1,55 @@
+/**
+ * AI Proxy Client
+ * Providers send every request to the `aiProxy` Cloud Function instead of the
+ * provider. The function verifies the Firebase ID token, counts the rows of the
+ * request, applies quotas and adds the provider key server-side, so keys never
+ * reach the browser.
+ */
+import { auth } from "@/lib/firebase";
+
+// VITE_AI_PROXY_URL overrides the default function URL (e.g. another region or the emulator)
+const DEFAULT_PROXY_URL = import.meta.env.VITE_FIREBASE_PROJECT_ID
+    ? `https://us-central1-${import.meta.env.VITE_FIREBASE_PROJECT_ID}.cloudfunctions.net/aiProxy`
+    : '';
+
+export const AI_PROXY_URL = (import.meta.env.VITE_AI_PROXY_URL || DEFAULT_PROXY_URL).replace(/\/+$/, '');
+
+/**
+ * Headers identifying the user, provider and usage context of a proxied request
+ * @param {string} providerId - AIService provider id ('gemini', 'ilmuchat', 'openai:<endpointId>')
+ * @param {Object} usageContext - { projectId, runId, feature }
+ * @returns {Promise<Object>}
+ */
+export async function getProxyHeaders(providerId, usageContext = {}) {
+    if (!AI_PROXY_URL) throw new Error('PROVIDER_NOT_CONFIGURED');
+    const token = await auth.currentUser?.getIdToken();
+    if (!token) throw new Error('AUTH_REQUIRED');
+
+    const headers = {
+        'Authorization': `Bearer ${token}`,
+        'X-AI-Provider': providerId
+    };
+    if (usageContext.projectId) headers['X-AI-Project'] = String(usageContext.projectId);
+    if (usageContext.runId) headers['X-AI-Run'] = String(usageContext.runId);
+    if (usageContext.feature) headers['X-AI-Feature'] = usageContext.feature;
+    return headers;
+}
+
+/**
+ * Map a proxy error body onto the AI layer's error codes
+ * @param {Object} body - Parsed JSON error body
+ * @returns {Error|null}
+ */
+export function getProxyError(body) {
+    const code = body?.error?.code;
+    if (code === 'QUOTA_EXCEEDED') {
+        const error = new Error('QUOTA_EXCEEDED');
+        error.quota = body.error.quota || null;
+        return error;
+    }
+    if (code === 'QUOTA_UNAVAILABLE') return new Error('QUOTA_UNAVAILABLE');
+    if (code === 'UNAUTHENTICATED') return new Error('AUTH_REQUIRED');
+    if (code === 'PROVIDER_NOT_CONFIGURED') return new Error('PROVIDER_NOT_CONFIGURED');
+    if (code === 'PROJECT_NOT_ALLOWED') return new Error('PROJECT_NOT_ALLOWED');
+    return null;
+}
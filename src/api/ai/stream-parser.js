@@ -0,0 +1,78 @@
+/**
+ * Incremental JSON Array Parser
+ * Feeds streamed model output chunk by chunk and emits each top-level
+ * object of the JSON array as soon as its closing brace arrives.
+ * Anything before the opening "[" (markdown fences, prose) is ignored.
+ */
+
+/**
+ * @param {Function} onObject - Called with each parsed object
+ * @returns {{ push: Function, end: Function }}
+ */
+export function createJSONArrayStreamParser(onObject) {
+    let inArray = false;
+    let depth = 0;          // Brace/bracket depth inside the array
+    let inString = false;
+    let escaped = false;
+    let buffer = '';        // Text of the object currently being read
+    let emitted = 0;
+
+    const processChar = (char) => {
+        if (!inArray) {
+            if (char === '[') inArray = true;
+            return;
+        }
+
+        if (depth > 0) buffer += char;
+
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (char === '\\') escaped = true;
+            else if (char === '"') inString = false;
+            return;
+        }
+
+        if (char === '"') {
+            inString = true;
+        } else if (char === '{' || char === '[') {
+            if (depth === 0) buffer = char;
+            depth++;
+        } else if (char === '}' || char === ']') {
+            if (depth === 0) {
+                // End of the top-level array
+                if (char === ']') inArray = false;
+                return;
+            }
+            depth--;
+            if (depth === 0) {
+                try {
+                    const obj = JSON.parse(buffer);
+                    emitted++;
+                    onObject(obj);
+                } catch (e) {
+                    // Malformed element - skip it, the final parse reports missing ids
+                }
+                buffer = '';
+            }
+        }
+    };
+
+    return {
+        /**
+         * Feed the next chunk of text
+         * @param {string} chunk
+         */
+        push(chunk) {
+            if (!chunk) return;
+            for (const char of chunk) processChar(char);
+        },
+
+        /**
+         * Finish parsing
+         * @returns {{ emitted: number, complete: boolean }} complete is false if the stream stopped mid-object
+         */
+        end() {
+            return { emitted, complete: depth === 0 };
+        }
+    };
+}
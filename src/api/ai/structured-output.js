@@ -0,0 +1,133 @@
+/**
+ * Structured Output Helpers
+ * Response schemas for schema-constrained batch translation output, plus a
+ * tolerant parser that recovers whatever complete rows a broken answer contains.
+ */
+import { Type } from "@google/genai";
+import { createJSONArrayStreamParser } from "./stream-parser";
+
+// Error recorded on rows the model left out of its answer
+export const MISSING_FROM_RESPONSE = 'MISSING_FROM_RESPONSE';
+
+/**
+ * JSON Schema for OpenAI-compatible `response_format: json_schema`
+ * Strict mode requires an object root, so rows are wrapped in { items: [...] }
+ * @param {Array} targetLanguages
+ */
+export function buildBatchJSONSchema(targetLanguages) {
+    const languageProperties = {};
+    targetLanguages.forEach(lang => {
+        languageProperties[lang] = {
+            type: 'object',
+            properties: { text: { type: 'string' } },
+            required: ['text'],
+            additionalProperties: false
+        };
+    });
+
+    return {
+        type: 'object',
+        properties: {
+            items: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        translations: {
+                            type: 'object',
+                            properties: languageProperties,
+                            required: targetLanguages,
+                            additionalProperties: false
+                        }
+                    },
+                    required: ['id', 'translations'],
+                    additionalProperties: false
+                }
+            }
+        },
+        required: ['items'],
+        additionalProperties: false
+    };
+}
+
+/**
+ * Gemini `responseSchema` for a batch (array root)
+ * @param {Array} targetLanguages
+ */
+export function buildGeminiBatchSchema(targetLanguages) {
+    const languageProperties = {};
+    targetLanguages.forEach(lang => {
+        languageProperties[lang] = {
+            type: Type.OBJECT,
+            properties: { text: { type: Type.STRING } },
+            required: ['text']
+        };
+    });
+
+    return {
+        type: Type.ARRAY,
+        items: {
+            type: Type.OBJECT,
+            properties: {
+                id: { type: Type.STRING },
+                translations: {
+                    type: Type.OBJECT,
+                    properties: languageProperties,
+                    required: targetLanguages
+                }
+            },
+            required: ['id', 'translations'],
+            propertyOrdering: ['id', 'translations']
+        }
+    };
+}
+
+/**
+ * Gemini `responseSchema` for OCR text blocks with their bounding box
+ * box_2d follows Gemini's convention: [ymin, xmin, ymax, xmax] on a 0-1000 grid
+ */
+export function buildGeminiTextBlockSchema() {
+    return {
+        type: Type.ARRAY,
+        items: {
+            type: Type.OBJECT,
+            properties: {
+                text: { type: Type.STRING },
+                box_2d: { type: Type.ARRAY, items: { type: Type.INTEGER } },
+                color: { type: Type.STRING },
+                bold: { type: Type.BOOLEAN },
+                align: { type: Type.STRING, enum: ['left', 'center', 'right'] }
+            },
+            required: ['text', 'box_2d'],
+            propertyOrdering: ['text', 'box_2d', 'color', 'bold', 'align']
+        }
+    };
+}
+
+/**
+ * Extract row objects from model output, tolerating fences, prose,
+ * wrapper objects ({ items: [...] }) and truncated arrays
+ * @param {string} text
+ * @returns {Array} Parsed row objects (possibly fewer than requested)
+ */
+export function extractBatchObjects(text) {
+    if (!text) return [];
+
+    const cleaner = text.replace(/```json/g, '').replace(/```/g, '').trim();
+    try {
+        const json = JSON.parse(cleaner);
+        if (Array.isArray(json)) return json;
+        const wrapped = json?.items || json?.results || json?.translations;
+        if (Array.isArray(wrapped)) return wrapped;
+    } catch (e) {
+        // Fall through to incremental recovery
+    }
+
+    // Recover every complete object up to the point the output broke
+    const objects = [];
+    const parser = createJSONArrayStreamParser(obj => objects.push(obj));
+    parser.push(cleaner);
+    parser.end();
+    return objects.filter(obj => obj && obj.id !== undefined);
+}
@@ -0,0 +1,105 @@
+// services/firebase/aiEndpoints.js
+import { db } from '../../lib/firebase';
+import {
+    collection,
+    doc,
+    getDocs,
+    addDoc,
+    setDoc,
+    updateDoc,
+    deleteDoc,
+    deleteField,
+    query,
+    orderBy,
+    serverTimestamp
+} from 'firebase/firestore';
+
+const COLLECTION = 'ai_endpoints';
+// Header values can carry credentials - they live in the server-only secrets store,
+// the endpoint doc (readable by every user) only lists the header names
+const SECRETS_COLLECTION = 'ai_secrets';
+
+const getEndpointSecretsId = (endpointId) => `endpoint_${endpointId}`;
+
+// ==========================================
+// OPENAI-COMPATIBLE ENDPOINTS (Admin registry)
+// ==========================================
+
+export async function getAIEndpoints() {
+    try {
+        const q = query(collection(db, COLLECTION), orderBy('createdAt', 'asc'));
+        const snapshot = await getDocs(q);
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+        console.error('Error fetching AI endpoints:', error);
+        return [];
+    }
+}
+
+// Replace the endpoint's headers in the secrets store
+async function saveEndpointHeaders(endpointId, headers) {
+    await setDoc(doc(db, SECRETS_COLLECTION, getEndpointSecretsId(endpointId)), {
+        headers,
+        updatedAt: serverTimestamp()
+    });
+}
+
+/**
+ * Register an endpoint
+ * @param {Object} endpointData - { name, baseUrl, model, headers, createdBy }
+ */
+export async function createAIEndpoint(endpointData) {
+    try {
+        const headers = endpointData.headers || {};
+        const data = {
+            name: endpointData.name,
+            baseUrl: endpointData.baseUrl,
+            model: endpointData.model,
+            headerNames: Object.keys(headers),
+            createdBy: endpointData.createdBy || null
+        };
+        const docRef = await addDoc(collection(db, COLLECTION), {
+            ...data,
+            createdAt: serverTimestamp(),
+            updatedAt: serverTimestamp()
+        });
+        await saveEndpointHeaders(docRef.id, headers);
+        return { id: docRef.id, ...data };
+    } catch (error) {
+        console.error('Error creating AI endpoint:', error);
+        throw error;
+    }
+}
+
+/**
+ * Update an endpoint
+ * @param {string} id
+ * @param {Object} updates - { name, baseUrl, model, headers? } - headers are replaced only when given
+ */
+export async function updateAIEndpoint(id, updates) {
+    try {
+        const { headers, ...fields } = updates;
+        if (headers) {
+            await saveEndpointHeaders(id, headers);
+            fields.headerNames = Object.keys(headers);
+        }
+        await updateDoc(doc(db, COLLECTION, id), {
+            ...fields,
+            headers: deleteField(), // Drop header values stored here by older versions
+            updatedAt: serverTimestamp()
+        });
+    } catch (error) {
+        console.error('Error updating AI endpoint:', error);
+        throw error;
+    }
+}
+
+export async function deleteAIEndpoint(id) {
+    try {
+        await deleteDoc(doc(db, COLLECTION, id));
+        await deleteDoc(doc(db, SECRETS_COLLECTION, getEndpointSecretsId(id)));
+    } catch (error) {
+        console.error('Error deleting AI endpoint:', error);
+        throw error;
+    }
+}
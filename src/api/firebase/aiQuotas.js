@@ -0,0 +1,85 @@
+// services/firebase/aiQuotas.js
+import { db } from '../../lib/firebase';
+import {
+    doc,
+    getDoc,
+    setDoc,
+    serverTimestamp
+} from 'firebase/firestore';
+import { getQuotaDay, getQuotaKey, getQuotaSettings } from '../../lib/ai-quota';
+
+const COLLECTION = 'ai_quota_usage';
+const SETTINGS_COLLECTION = 'app_settings';
+const QUOTAS_DOC_ID = 'ai_quotas';
+
+// ==========================================
+// QUOTA SETTINGS (Admin)
+// ==========================================
+
+export async function getAIQuotaSettings() {
+    try {
+        const snapshot = await getDoc(doc(db, SETTINGS_COLLECTION, QUOTAS_DOC_ID));
+        return getQuotaSettings(snapshot.exists() ? snapshot.data() : null);
+    } catch (error) {
+        console.error('Error fetching AI quota settings:', error);
+        throw error;
+    }
+}
+
+/**
+ * Save quota settings
+ * @param {Object} settings - { limits: { [scope]: { rows, tokens } }, warnThreshold }
+ * @param {Object} user - Admin saving the settings
+ */
+export async function saveAIQuotaSettings(settings, user) {
+    try {
+        await setDoc(doc(db, SETTINGS_COLLECTION, QUOTAS_DOC_ID), {
+            limits: settings.limits,
+            warnThreshold: settings.warnThreshold,
+            updatedBy: user ? {
+                uid: user.id || user.uid,
+                email: user.email,
+                name: user.displayName || user.name || user.email?.split('@')[0]
+            } : null,
+            updatedAt: serverTimestamp()
+        });
+    } catch (error) {
+        console.error('Error saving AI quota settings:', error);
+        throw error;
+    }
+}
+
+// ==========================================
+// DAILY COUNTERS (incremented by the aiProxy function only)
+// ==========================================
+
+// Scope ids present on a request
+function getScopeIds({ userId, projectId, provider }) {
+    return { user: userId, project: projectId, provider };
+}
+
+/**
+ * Get today's usage for the scopes of a request
+ * @param {Object} scopes - { userId, projectId, provider }
+ * @returns {Promise<Object>} { [scope]: { rows, tokens } } (scopes without an id are omitted)
+ */
+export async function getQuotaUsage(scopes) {
+    const day = getQuotaDay();
+    const entries = Object.entries(getScopeIds(scopes)).filter(([, id]) => id);
+
+    try {
+        const snapshots = await Promise.all(
+            entries.map(([scope, id]) => getDoc(doc(db, COLLECTION, getQuotaKey(scope, id, day))))
+        );
+
+        const usage = {};
+        entries.forEach(([scope], index) => {
+            const data = snapshots[index].exists() ? snapshots[index].data() : {};
+            usage[scope] = { rows: data.rows || 0, tokens: data.tokens || 0 };
+        });
+        return usage;
+    } catch (error) {
+        console.error('Error fetching quota usage:', error);
+        throw error;
+    }
+}
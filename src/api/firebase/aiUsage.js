@@ -0,0 +1,85 @@
+// services/firebase/aiUsage.js
+import { db } from '../../lib/firebase';
+import {
+    collection,
+    doc,
+    getDoc,
+    getDocs,
+    setDoc,
+    query,
+    where,
+    orderBy,
+    limit,
+    Timestamp,
+    serverTimestamp
+} from 'firebase/firestore';
+
+const COLLECTION = 'ai_usage';
+const SETTINGS_COLLECTION = 'app_settings';
+const PRICING_DOC_ID = 'ai_pricing';
+
+// ==========================================
+// USAGE RECORDS (written by the aiProxy function only)
+// ==========================================
+
+/**
+ * Get usage records since a date (admin only)
+ * @param {Date} since
+ * @param {number} maxResults
+ */
+export async function getAIUsage(since, maxResults = 5000) {
+    try {
+        const q = query(
+            collection(db, COLLECTION),
+            where('createdAt', '>=', Timestamp.fromDate(since)),
+            orderBy('createdAt', 'desc'),
+            limit(maxResults)
+        );
+        const snapshot = await getDocs(q);
+
+        return snapshot.docs.map(doc => ({
+            id: doc.id,
+            ...doc.data(),
+            timestamp: doc.data().createdAt?.toDate() || new Date()
+        }));
+    } catch (error) {
+        console.error('Error fetching AI usage:', error);
+        return [];
+    }
+}
+
+// ==========================================
+// PRICING (price per 1k tokens, keyed by model)
+// ==========================================
+
+export async function getAIPricing() {
+    try {
+        const snapshot = await getDoc(doc(db, SETTINGS_COLLECTION, PRICING_DOC_ID));
+        return snapshot.exists() ? (snapshot.data().prices || {}) : {};
+    } catch (error) {
+        console.error('Error fetching AI pricing:', error);
+        return {};
+    }
+}
+
+/**
+ * Save the price table
+ * @param {Object} prices - { [model]: { input, output } }
+ * @param {Object} user - Admin saving the table
+ */
+export async function saveAIPricing(prices, user) {
+    try {
+        await setDoc(doc(db, SETTINGS_COLLECTION, PRICING_DOC_ID), {
+            prices,
+            updatedBy: user ? {
+                uid: user.id || user.uid,
+                email: user.email,
+                name: user.displayName || user.name || user.email?.split('@')[0]
+            } : null,
+            updatedAt: serverTimestamp()
+        });
+    } catch (error) {
+        console.error('Error saving AI pricing:', error);
+        throw error;
+    }
+}
@@ -1,93 +1,122 @@
 /**
  * API Key Management Service
- * Stores and retrieves user-specific AI provider API keys from Firestore
+ * Provider keys are written to the server-only `ai_secrets` collection, which
+ * clients can write but never read; only the aiProxy function reads them.
+ *
+ * - ai_secrets/{uid}: a user's own keys
+ * - ai_secrets/workspace: shared keys (admins)
+ *
+ * Which providers have a key is recorded next to them, without the key:
+ * users/{uid}/settings/apiKeys `configured` and app_settings/ai_keys `configured`.
  */
-import { doc, getDoc, setDoc, serverTimestamp } from 'firebase/firestore';
+import { doc, getDoc, setDoc, deleteField, serverTimestamp } from 'firebase/firestore';
 import { db } from '@/lib/firebase';
 
-// Cache for current user's keys (avoid repeated Firestore reads)
-let cachedKeys = null;
-let cachedUserId = null;
+const SECRETS_COLLECTION = 'ai_secrets';
+const WORKSPACE_SECRETS_ID = 'workspace';
+const SETTINGS_COLLECTION = 'app_settings';
+const KEYS_DOC_ID = 'ai_keys';
+
+// Trimmed, non-empty keys only - an untouched input never clears a saved key
+function getKeyUpdates(keys) {
+    return Object.fromEntries(
+        Object.entries(keys)
+            .filter(([, value]) => typeof value === 'string' && value.trim())
+            .map(([provider, value]) => [provider, value.trim()])
+    );
+}
 
 /**
- * Get API keys for a user
+ * Providers the user has saved a key for
  * @param {string} userId - Firebase Auth UID
- * @returns {Object} { gemini: string|null, ilmuchat: string|null }
+ * @returns {Promise<Object>} { [provider]: true }
  */
-export async function getUserApiKeys(userId) {
-    if (cachedUserId === userId && cachedKeys) {
-        return cachedKeys;
-    }
-
+export async function getConfiguredApiKeys(userId) {
     try {
-        const docRef = doc(db, 'users', userId, 'settings', 'apiKeys');
-        const docSnap = await getDoc(docRef);
-
-        if (docSnap.exists()) {
-            cachedKeys = docSnap.data();
-            cachedUserId = userId;
-            return cachedKeys;
-        }
-
-        return { gemini: null, ilmuchat: null };
+        const docSnap = await getDoc(doc(db, 'users', userId, 'settings', 'apiKeys'));
+        return docSnap.exists() ? (docSnap.data().configured || {}) : {};
     } catch (error) {
-        console.error('Error fetching API keys:', error);
-        return { gemini: null, ilmuchat: null };
+        console.error('Error fetching API key status:', error);
+        return {};
     }
 }
 
 /**
- * Save API keys for a user
+ * Save a user's own keys
  * @param {string} userId - Firebase Auth UID
- * @param {Object} keys - { gemini?: string, ilmuchat?: string }
+ * @param {Object} keys - { [provider]: string } ('gemini', 'ilmuchat', 'openai:<endpointId>')
+ * @returns {Promise<Array<string>>} Providers whose key was saved
  */
 export async function saveUserApiKeys(userId, keys) {
-    try {
-        const docRef = doc(db, 'users', userId, 'settings', 'apiKeys');
+    const secrets = getKeyUpdates(keys);
+    const providers = Object.keys(secrets);
+    if (providers.length === 0) return [];
 
-        // Merge with existing keys
-        const existing = await getUserApiKeys(userId);
-        const updatedKeys = {
-            ...existing,
-            ...keys,
+    try {
+        await setDoc(doc(db, SECRETS_COLLECTION, userId), {
+            ...secrets,
             updatedAt: serverTimestamp()
-        };
-
-        await setDoc(docRef, updatedKeys, { merge: true });
-
-        // Update cache
-        cachedKeys = updatedKeys;
-        cachedUserId = userId;
-
-
-        return true;
+        }, { merge: true });
+
+        const settings = { updatedAt: serverTimestamp() };
+        providers.forEach(provider => {
+            settings[provider] = deleteField(); // Drop any plain-text copy from older versions
+            settings.configured = { ...(settings.configured || {}), [provider]: true };
+        });
+        await setDoc(doc(db, 'users', userId, 'settings', 'apiKeys'), settings, { merge: true });
+        return providers;
     } catch (error) {
+        console.error('Error saving API keys:', error);
         throw error;
     }
 }
 
-
+// ==========================================
+// WORKSPACE KEYS (Admin)
+// ==========================================
 
 /**
- * Get the effective API key for a provider
- * Priority: User key (Firestore) > Environment variable
- * @param {string} userId - Optional user ID
- * @param {string} provider - 'gemini' or 'ilmuchat'
+ * Providers with a shared workspace key
+ * @returns {Promise<Object>} { [provider]: true }
  */
-export async function getEffectiveApiKey(userId, provider) {
-    // First, try user-specific key
-    if (userId) {
-        const userKeys = await getUserApiKeys(userId);
-        if (userKeys[provider]) {
-            return userKeys[provider];
-        }
+export async function getWorkspaceKeyStatus() {
+    try {
+        const snapshot = await getDoc(doc(db, SETTINGS_COLLECTION, KEYS_DOC_ID));
+        return snapshot.exists() ? (snapshot.data().configured || {}) : {};
+    } catch (error) {
+        console.error('Error fetching workspace key status:', error);
+        return {};
     }
+}
 
-    // Fallback to environment variable
-    const envKeys = {
-        gemini: null, // Removed for production
-        ilmuchat: import.meta.env.VITE_ILMUCHAT_API_KEY
-    };
+/**
+ * Save shared keys used for every user without a key of their own
+ * @param {Object} keys - { [provider]: string }
+ * @param {Object} user - Admin saving the keys
+ * @returns {Promise<Array<string>>} Providers whose key was saved
+ */
+export async function saveWorkspaceApiKeys(keys, user) {
+    const secrets = getKeyUpdates(keys);
+    const providers = Object.keys(secrets);
+    if (providers.length === 0) return [];
 
-    return envKeys[provider] || null;
+    try {
+        await setDoc(doc(db, SECRETS_COLLECTION, WORKSPACE_SECRETS_ID), {
+            ...secrets,
+            updatedAt: serverTimestamp()
+        }, { merge: true });
+        await setDoc(doc(db, SETTINGS_COLLECTION, KEYS_DOC_ID), {
+            configured: Object.fromEntries(providers.map(provider => [provider, true])),
+            updatedBy: user ? {
+                uid: user.id || user.uid,
+                email: user.email,
+                name: user.displayName || user.name || user.email?.split('@')[0]
+            } : null,
+            updatedAt: serverTimestamp()
+        }, { merge: true });
+        return providers;
+    } catch (error) {
+        console.error('Error saving workspace API keys:', error);
+        throw error;
+    }
 }
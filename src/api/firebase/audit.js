@@ -31,6 +31,10 @@ export const AUDIT_ACTIONS = {
     ROWS_IMPORTED: 'ROWS_IMPORTED',
     ROWS_EXPORTED: 'ROWS_EXPORTED',
 
+    // Translation memory
+    TM_IMPORTED: 'TM_IMPORTED',
+    TM_EXPORTED: 'TM_EXPORTED',
+
     // Glossary
     GLOSSARY_ADDED: 'GLOSSARY_ADDED',
     GLOSSARY_EDITED: 'GLOSSARY_EDITED',
@@ -0,0 +1,202 @@
+// services/firebase/comments.js
+// Threaded comments on a row and language. A thread is one document holding its
+// comments, so a row's discussion loads in one read and replies never conflict
+// (arrayUnion). Mentioned users are notified in the same batch.
+import { db } from '../../lib/firebase';
+import {
+    collection,
+    doc,
+    query,
+    where,
+    onSnapshot,
+    updateDoc,
+    writeBatch,
+    arrayUnion,
+    increment,
+    serverTimestamp,
+    Timestamp
+} from 'firebase/firestore';
+import { addNotifications, NOTIFICATION_TYPES } from './notifications';
+
+const COLLECTION = 'comment_threads';
+
+// Length of the comment text copied into a notification
+const EXCERPT_LENGTH = 140;
+
+const toAuthor = (user) => ({
+    id: user.id,
+    name: user.name || user.email || 'Unknown',
+    avatar: user.avatar || null
+});
+
+// Server timestamps are not allowed inside arrays - comments take the client time
+const buildComment = (text, mentions, author) => ({
+    id: Math.random().toString(36).substr(2, 9),
+    text,
+    mentions,
+    author,
+    createdAt: Timestamp.now()
+});
+
+const toExcerpt = (text) => text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH)}…` : text;
+
+// Mentioned users, except the author mentioning themselves
+function addMentionNotifications(batch, thread, threadId, comment) {
+    const recipients = [...new Set(comment.mentions)].filter(userId => userId !== comment.author.id);
+    addNotifications(batch, recipients.map(userId => ({
+        userId,
+        type: NOTIFICATION_TYPES.MENTION,
+        actor: comment.author,
+        projectId: thread.projectId,
+        projectName: thread.projectName || '',
+        pageId: thread.pageId || null,
+        rowId: thread.rowId,
+        lang: thread.lang,
+        threadId,
+        excerpt: toExcerpt(comment.text)
+    })));
+}
+
+// ==========================================
+// THREADS
+// ==========================================
+
+/**
+ * Start a thread on a row and language
+ * @param {Object} target - { projectId, projectName, pageId, rowId, lang } - lang is 'en' for the source text
+ * @param {Object} comment - { text, mentions: [userId] }
+ * @param {Object} user - { id, name, email, avatar }
+ * @returns {Promise<string>} Thread ID
+ */
+export async function createCommentThread(target, comment, user) {
+    try {
+        const author = toAuthor(user);
+        const first = buildComment(comment.text, comment.mentions || [], author);
+        const thread = {
+            projectId: target.projectId,
+            projectName: target.projectName || '',
+            pageId: target.pageId || null,
+            rowId: target.rowId,
+            lang: target.lang,
+            resolved: false,
+            resolvedBy: null,
+            resolvedAt: null,
+            createdBy: author,
+            createdAt: serverTimestamp(),
+            lastCommentAt: serverTimestamp(),
+            commentCount: 1,
+            participants: [author.id],
+            comments: [first]
+        };
+
+        const batch = writeBatch(db);
+        const threadRef = doc(collection(db, COLLECTION));
+        batch.set(threadRef, thread);
+        addMentionNotifications(batch, thread, threadRef.id, first);
+        await batch.commit();
+        return threadRef.id;
+    } catch (error) {
+        console.error('Error creating comment thread:', error);
+        throw error;
+    }
+}
+
+/**
+ * Reply to a thread. Replying to a resolved thread reopens it.
+ * @param {Object} thread - The thread as loaded ({ id, projectId, rowId, lang, ... })
+ * @param {Object} comment - { text, mentions: [userId] }
+ * @param {Object} user - { id, name, email, avatar }
+ */
+export async function addThreadComment(thread, comment, user) {
+    try {
+        const reply = buildComment(comment.text, comment.mentions || [], toAuthor(user));
+        const batch = writeBatch(db);
+        batch.update(doc(db, COLLECTION, thread.id), {
+            comments: arrayUnion(reply),
+            commentCount: increment(1),
+            participants: arrayUnion(user.id),
+            lastCommentAt: serverTimestamp(),
+            resolved: false,
+            resolvedBy: null,
+            resolvedAt: null
+        });
+        addMentionNotifications(batch, thread, thread.id, reply);
+        await batch.commit();
+    } catch (error) {
+        console.error('Error adding comment:', error);
+        throw error;
+    }
+}
+
+/**
+ * Resolve or reopen a thread
+ * @param {string} threadId
+ * @param {boolean} resolved
+ * @param {Object} user - { id, name, email, avatar }
+ */
+export async function setThreadResolved(threadId, resolved, user) {
+    try {
+        await updateDoc(doc(db, COLLECTION, threadId), {
+            resolved,
+            resolvedBy: resolved ? toAuthor(user) : null,
+            resolvedAt: resolved ? serverTimestamp() : null
+        });
+    } catch (error) {
+        console.error('Error updating comment thread:', error);
+        throw error;
+    }
+}
+
+// Oldest thread first, like the comments inside it
+const toThreads = (snapshot) => snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) }))
+    .sort((a, b) => (a.createdAt?.toMillis?.() || 0) - (b.createdAt?.toMillis?.() || 0));
+
+/**
+ * Listen to all threads on a row, resolved ones included
+ * @param {string} projectId
+ * @param {string} rowId
+ * @param {Function} onThreads - Called with [{ id, lang, resolved, comments, ... }]
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToRowThreads(projectId, rowId, onThreads) {
+    const q = query(
+        collection(db, COLLECTION),
+        where('projectId', '==', projectId),
+        where('rowId', '==', rowId)
+    );
+    return onSnapshot(q, (snapshot) => onThreads(toThreads(snapshot)), (error) => {
+        console.error('Error listening to row comments:', error);
+    });
+}
+
+// Firestore limit on the values of an 'in' filter
+const IN_QUERY_LIMIT = 30;
+
+/**
+ * Listen to unresolved threads of the given projects
+ * Projects are queried in chunks ('in' filter limit); results are merged.
+ * @param {Array<string>} projectIds
+ * @param {Function} onThreads - Called with [{ id, projectId, rowId, lang, ... }]
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToOpenThreads(projectIds, onThreads) {
+    const chunks = [];
+    for (let i = 0; i < projectIds.length; i += IN_QUERY_LIMIT) {
+        chunks.push(projectIds.slice(i, i + IN_QUERY_LIMIT));
+    }
+
+    const threadsByChunk = chunks.map(() => []);
+    const unsubscribes = chunks.map((chunk, index) => onSnapshot(
+        query(collection(db, COLLECTION), where('resolved', '==', false), where('projectId', 'in', chunk)),
+        (snapshot) => {
+            threadsByChunk[index] = toThreads(snapshot);
+            onThreads(threadsByChunk.flat());
+        },
+        (error) => {
+            console.error('Error listening to open comments:', error);
+        }
+    ));
+    if (chunks.length === 0) onThreads([]);
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+}
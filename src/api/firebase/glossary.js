@@ -5,15 +5,15 @@ import {
     doc,
     getDocs,
     addDoc,
-    updateDoc,
     deleteDoc,
     query,
     where,
     orderBy,
     serverTimestamp,
     writeBatch,
-    increment
+    deleteField
 } from 'firebase/firestore';
+import { updateVersioned, isVersionConflict } from './versioning';
 
 const TERMS_COLLECTION = 'glossary_terms';
 const CAT_COLLECTION = 'glossary_categories';
@@ -92,23 +92,28 @@ export async function createGlossaryTerms(termsArray) {
     }
 }
 
-export async function updateGlossaryTerm(id, updates) {
+/**
+ * Update a term if nobody changed it since the given version
+ * @param {string} id
+ * @param {Object} updates
+ * @param {number} expectedVersion - Version the edit is based on
+ * @returns {Promise<number>} The new version
+ * @throws {VersionConflictError} When the term is stale
+ */
+export async function updateGlossaryTerm(id, updates, expectedVersion) {
     try {
         const docRef = doc(db, TERMS_COLLECTION, id);
 
-        // Remove undefined fields to prevent Firestore errors
+        // Remove undefined fields to prevent Firestore errors; null removes the field
         const safeUpdates = Object.entries(updates).reduce((acc, [key, value]) => {
-            if (value !== undefined) acc[key] = value;
+            if (value === null) acc[key] = deleteField();
+            else if (value !== undefined) acc[key] = value;
             return acc;
         }, {});
 
-        await updateDoc(docRef, {
-            ...safeUpdates,
-            updatedAt: serverTimestamp(),
-            version: increment(1)
-        });
+        return await updateVersioned(docRef, safeUpdates, expectedVersion);
     } catch (error) {
-        console.error('Error updating glossary term:', error);
+        if (!isVersionConflict(error)) console.error('Error updating glossary term:', error);
         throw error;
     }
 }
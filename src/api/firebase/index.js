@@ -7,12 +7,14 @@ export {
     getProject,
     createProject,
     updateProject,
+    touchProject,
     deleteProject,
     getProjectPages,
     addProjectPage,
     deleteProjectPage,
     renameProjectPage,
     getPageRows,
+    subscribeToPageRows,
     addPageRows,
     updatePageRow,
     getProjectRows,
@@ -24,6 +26,53 @@ export {
     getUserSubmissions
 } from './projects';
 
+// Original uploaded documents (layout-preserving export)
+export {
+    saveSourceFile,
+    getSourceFile,
+    deleteSourceFile,
+    MAX_SOURCE_FILE_SIZE
+} from './sourceFiles';
+
+// Optimistic concurrency (version checks on edits)
+export {
+    VersionConflictError,
+    isVersionConflict,
+    VERSION_CONFLICT
+} from './versioning';
+
+// Row revision history
+export {
+    getRowRevisions,
+    REVISION_SOURCES,
+    REVISION_HISTORY_LIMIT
+} from './revisions';
+
+// Presence (who is viewing / editing which row)
+export {
+    updatePresence,
+    clearPresence,
+    subscribeToPresence,
+    PRESENCE_TIMEOUT_MS
+} from './presence';
+
+// Row comments (threads, replies, @mentions)
+export {
+    createCommentThread,
+    addThreadComment,
+    setThreadResolved,
+    subscribeToRowThreads,
+    subscribeToOpenThreads
+} from './comments';
+
+// In-app notifications
+export {
+    subscribeToNotifications,
+    markNotificationRead,
+    markNotificationsRead,
+    NOTIFICATION_TYPES
+} from './notifications';
+
 // Template operations
 export {
     getTemplates,
@@ -48,6 +97,35 @@ export {
     deleteGlossaryCategory
 } from './glossary';
 
+// Translation Memory operations
+export {
+    getTranslationMemory,
+    addTranslationMemoryEntries,
+    findTranslationMemoryMatches
+} from './translationMemory';
+
+// AI Endpoint registry (OpenAI-compatible providers)
+export {
+    getAIEndpoints,
+    createAIEndpoint,
+    updateAIEndpoint,
+    deleteAIEndpoint
+} from './aiEndpoints';
+
+// AI Usage accounting
+export {
+    getAIUsage,
+    getAIPricing,
+    saveAIPricing
+} from './aiUsage';
+
+// AI Quotas (daily limits and counters)
+export {
+    getAIQuotaSettings,
+    saveAIQuotaSettings,
+    getQuotaUsage
+} from './aiQuotas';
+
 // Audit Trail operations
 export {
     logAction,
@@ -72,10 +150,10 @@ export {
 
 // API Key Management
 export {
-    getUserApiKeys,
+    getConfiguredApiKeys,
     saveUserApiKeys,
-
-    getEffectiveApiKey
+    getWorkspaceKeyStatus,
+    saveWorkspaceApiKeys
 } from './apiKeys';
 
 // Export Firebase instances for direct access if needed
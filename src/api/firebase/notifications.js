@@ -0,0 +1,86 @@
+// services/firebase/notifications.js
+// In-app notifications, one document per recipient. Written by other services
+// (e.g. comments, for @mentions) in the same batch as the change they announce.
+import { db } from '../../lib/firebase';
+import {
+    collection,
+    doc,
+    query,
+    where,
+    orderBy,
+    limit,
+    onSnapshot,
+    updateDoc,
+    writeBatch,
+    serverTimestamp
+} from 'firebase/firestore';
+
+const COLLECTION = 'notifications';
+
+export const NOTIFICATION_TYPES = {
+    MENTION: 'mention'
+};
+
+// ==========================================
+// NOTIFICATIONS
+// ==========================================
+
+/**
+ * Queue notifications on a write batch
+ * @param {WriteBatch} batch
+ * @param {Array} notifications - [{ userId, type, actor, ... }] - everything but userId
+ *   is shown to the recipient as-is
+ */
+export function addNotifications(batch, notifications) {
+    notifications.forEach(notification => {
+        batch.set(doc(collection(db, COLLECTION)), {
+            ...notification,
+            read: false,
+            createdAt: serverTimestamp()
+        });
+    });
+}
+
+/**
+ * Listen to a user's latest notifications, newest first
+ * @param {string} userId
+ * @param {Function} onNotifications - Called with [{ id, type, actor, read, createdAt, ... }]
+ * @param {number} max
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToNotifications(userId, onNotifications, max = 50) {
+    const q = query(
+        collection(db, COLLECTION),
+        where('userId', '==', userId),
+        orderBy('createdAt', 'desc'),
+        limit(max)
+    );
+    return onSnapshot(q, (snapshot) => {
+        onNotifications(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) })));
+    }, (error) => {
+        console.error('Error listening to notifications:', error);
+    });
+}
+
+export async function markNotificationRead(notificationId) {
+    try {
+        await updateDoc(doc(db, COLLECTION, notificationId), { read: true });
+    } catch (error) {
+        console.error('Error marking notification as read:', error);
+        throw error;
+    }
+}
+
+/**
+ * @param {Array} notificationIds - Unread notifications to mark
+ */
+export async function markNotificationsRead(notificationIds) {
+    try {
+        const batch = writeBatch(db);
+        notificationIds.forEach(id => batch.update(doc(db, COLLECTION, id), { read: true }));
+        await batch.commit();
+    } catch (error) {
+        console.error('Error marking notifications as read:', error);
+        throw error;
+    }
+}
@@ -0,0 +1,70 @@
+// services/firebase/presence.js
+import { db } from '../../lib/firebase';
+import {
+    collection,
+    doc,
+    setDoc,
+    deleteDoc,
+    onSnapshot,
+    serverTimestamp
+} from 'firebase/firestore';
+
+const COLLECTION = 'projects';
+const SUBCOLLECTION = 'presence';
+
+// Entries not refreshed for this long belong to a closed tab or a lost connection
+export const PRESENCE_TIMEOUT_MS = 90 * 1000;
+
+// ==========================================
+// PRESENCE
+// ==========================================
+
+/**
+ * Publish where the user is in a project. Also serves as the heartbeat.
+ * @param {string} projectId
+ * @param {Object} user - { id, name, email, avatar }
+ * @param {Object} state - { pageId, viewingRowId, editingRowId }
+ */
+export async function updatePresence(projectId, user, state) {
+    try {
+        await setDoc(doc(db, COLLECTION, projectId, SUBCOLLECTION, user.id), {
+            userId: user.id,
+            name: user.name || user.email || 'Unknown',
+            email: user.email || '',
+            avatar: user.avatar || null,
+            pageId: state.pageId || null,
+            viewingRowId: state.viewingRowId || null,
+            editingRowId: state.editingRowId || null,
+            lastSeen: serverTimestamp()
+        });
+    } catch (error) {
+        console.error('Error updating presence:', error);
+        throw error;
+    }
+}
+
+export async function clearPresence(projectId, userId) {
+    try {
+        await deleteDoc(doc(db, COLLECTION, projectId, SUBCOLLECTION, userId));
+    } catch (error) {
+        console.error('Error clearing presence:', error);
+        throw error;
+    }
+}
+
+/**
+ * Listen to everyone present in a project
+ * @param {string} projectId
+ * @param {Function} onPresence - Called with [{ userId, name, avatar, pageId, viewingRowId, editingRowId, lastSeen }]
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToPresence(projectId, onPresence) {
+    return onSnapshot(collection(db, COLLECTION, projectId, SUBCOLLECTION), (snapshot) => {
+        onPresence(snapshot.docs.map(doc => {
+            const data = doc.data({ serverTimestamps: 'estimate' });
+            return { ...data, userId: doc.id, lastSeen: data.lastSeen?.toMillis?.() || 0 };
+        }));
+    }, (error) => {
+        console.error('Error listening to presence:', error);
+    });
+}
@@ -14,11 +14,17 @@ import {
     serverTimestamp,
     writeBatch,
     collectionGroup,
-    increment
+    increment,
+    onSnapshot
 } from 'firebase/firestore';
+import { updateVersioned, updateVersionedMany, isVersionConflict } from './versioning';
+import { buildRowRevisions, addRowRevisions } from './revisions';
 
 const COLLECTION = 'projects';
 
+// Firestore allows 500 writes per transaction or batch
+const MAX_WRITES = 450;
+
 // ==========================================
 // PROJECTS
 // ==========================================
@@ -71,16 +77,47 @@ export async function createProject(projectData) {
     }
 }
 
-export async function updateProject(projectId, updates) {
+/**
+ * Update a project. Settings edits pass the version they were based on and are
+ * rejected once the project changed; unchecked updates still move it to a new version
+ * @param {string} projectId
+ * @param {Object} updates
+ * @param {number} expectedVersion - Optional
+ * @returns {Promise<number|undefined>} The new version, when checked
+ * @throws {VersionConflictError} When the project is stale
+ */
+export async function updateProject(projectId, updates, expectedVersion) {
     try {
         const docRef = doc(db, COLLECTION, projectId);
+        if (expectedVersion !== undefined) {
+            return await updateVersioned(docRef, updates, expectedVersion);
+        }
         await updateDoc(docRef, {
             ...updates,
             updatedAt: serverTimestamp(),
             version: increment(1)
         });
     } catch (error) {
-        console.error('Error updating project:', error);
+        if (!isVersionConflict(error)) console.error('Error updating project:', error);
+        throw error;
+    }
+}
+
+/**
+ * Update bookkeeping (updatedAt, last modifier, stats) without a new version, so row
+ * activity does not make a settings edit of the current version stale.
+ * firestore.rules only allow the fields listed in isBookkeepingUpdate() here
+ * @param {string} projectId
+ * @param {Object} fields
+ */
+export async function touchProject(projectId, fields = {}) {
+    try {
+        await updateDoc(doc(db, COLLECTION, projectId), {
+            ...fields,
+            updatedAt: serverTimestamp()
+        });
+    } catch (error) {
+        console.error('Error touching project:', error);
         throw error;
     }
 }
@@ -127,7 +164,17 @@ export async function deleteProject(projectId) {
             await addToBatch(rowDoc.ref);
         }
 
-        // 4. Delete the project document itself
+        // 4. Get original uploaded documents and their chunks
+        const sourceFilesSnapshot = await getDocs(collection(db, COLLECTION, projectId, 'source_files'));
+        for (const fileDoc of sourceFilesSnapshot.docs) {
+            const chunksSnapshot = await getDocs(collection(fileDoc.ref, 'chunks'));
+            for (const chunkDoc of chunksSnapshot.docs) {
+                await addToBatch(chunkDoc.ref);
+            }
+            await addToBatch(fileDoc.ref);
+        }
+
+        // 5. Delete the project document itself
         await addToBatch(doc(db, COLLECTION, projectId));
 
         // Commit all batches
@@ -200,7 +247,7 @@ export async function renameProjectPage(projectId, pageId, newName) {
     try {
         const pageRef = doc(db, COLLECTION, projectId, 'pages', pageId);
         await updateDoc(pageRef, { name: newName });
-        await updateProject(projectId, {}); // Touch lastUpdated
+        await touchProject(projectId);
     } catch (error) {
         console.error('Error renaming page:', error);
         throw error;
@@ -226,6 +273,28 @@ export async function getPageRows(projectId, pageId) {
     }
 }
 
+/**
+ * Listen to the rows of a page, so edits, status changes and AI results of other
+ * users show up without a reload
+ * @param {string} projectId
+ * @param {string} pageId
+ * @param {Function} onRows - Called with the ordered rows on every change
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToPageRows(projectId, pageId, onRows) {
+    const q = query(
+        collection(db, COLLECTION, projectId, 'rows'),
+        where('pageId', '==', pageId),
+        orderBy('order', 'asc')
+    );
+    return onSnapshot(q, (snapshot) => {
+        // Pending server timestamps of our own writes are estimated instead of null
+        onRows(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) })));
+    }, (error) => {
+        console.error('Error listening to page rows:', error);
+    });
+}
+
 export async function addPageRows(projectId, pageId, rows) {
     try {
         const results = [];
@@ -247,7 +316,8 @@ export async function addPageRows(projectId, pageId, rows) {
                     order: i + index, // Correct global order
                     status: row.status || 'draft',
                     createdAt: serverTimestamp(),
-                    updatedAt: serverTimestamp()
+                    updatedAt: serverTimestamp(),
+                    version: 1
                 };
                 batch.set(rowRef, rowData);
                 chunkResults.push({ ...rowData, id: rowRef.id });
@@ -257,7 +327,7 @@ export async function addPageRows(projectId, pageId, rows) {
             results.push(...chunkResults);
         }
 
-        await updateProject(projectId, {});
+        await touchProject(projectId);
         return results;
     } catch (error) {
         console.error('Error adding rows:', error);
@@ -265,16 +335,30 @@ export async function addPageRows(projectId, pageId, rows) {
     }
 }
 
-export async function updatePageRow(projectId, pageId, rowId, updates) {
+// Records the content changes of a row update in its revision history
+const recordRevisions = (rowRef, updates, revisionOptions) => (transaction, previous, version) => {
+    addRowRevisions(transaction, rowRef, buildRowRevisions(previous, updates, revisionOptions), version);
+};
+
+/**
+ * Update a row if nobody changed it since the given version
+ * @param {string} projectId
+ * @param {string} pageId
+ * @param {string} rowId
+ * @param {Object} updates
+ * @param {number} expectedVersion - Version the edit is based on
+ * @param {Object} revisionOptions - { source, restoredFrom } for the revision history
+ * @returns {Promise<number>} The new version
+ * @throws {VersionConflictError} When the row is stale
+ */
+export async function updatePageRow(projectId, pageId, rowId, updates, expectedVersion, revisionOptions = {}) {
     try {
         const rowRef = doc(db, COLLECTION, projectId, 'rows', rowId);
-        await updateDoc(rowRef, {
-            ...updates,
-            updatedAt: serverTimestamp()
-        });
-        await updateProject(projectId, {});
+        const version = await updateVersioned(rowRef, updates, expectedVersion, recordRevisions(rowRef, updates, revisionOptions));
+        await touchProject(projectId);
+        return version;
     } catch (error) {
-        console.error('Error updating row:', error);
+        if (!isVersionConflict(error)) console.error('Error updating row:', error);
         throw error;
     }
 }
@@ -304,35 +388,58 @@ export async function addProjectRows(projectId, rows) {
     return addPageRows(projectId, '', rows);
 }
 
-export async function updateProjectRow(projectId, rowId, updates) {
+export async function updateProjectRow(projectId, rowId, updates, expectedVersion, revisionOptions = {}) {
     const rowRef = doc(db, COLLECTION, projectId, 'rows', rowId);
-    await updateDoc(rowRef, {
-        ...updates,
-        updatedAt: serverTimestamp()
-    });
-    await updateProject(projectId, {});
+    const version = await updateVersioned(rowRef, updates, expectedVersion, recordRevisions(rowRef, updates, revisionOptions));
+    await touchProject(projectId);
+    return version;
 }
 
-export async function updateProjectRows(projectId, rowUpdates) {
+/**
+ * Update many rows, each checked against the version its update is based on.
+ * Stale rows are not written but returned as conflicts.
+ * @param {string} projectId
+ * @param {Array} rowUpdates - [{ id, changes, version }]
+ * @param {Object} revisionOptions - { source } for the revision history
+ * @returns {Promise<Object>} { versions: { [rowId]: version }, conflicts: [{ id, current, expectedVersion }] }
+ */
+export async function updateProjectRows(projectId, rowUpdates, revisionOptions = {}) {
     try {
-        const CHUNK_SIZE = 400;
-
-        for (let i = 0; i < rowUpdates.length; i += CHUNK_SIZE) {
-            const batch = writeBatch(db);
-            const chunk = rowUpdates.slice(i, i + CHUNK_SIZE);
+        const versions = {};
+        const conflicts = [];
+
+        // Each row update can add a revision per changed field - size the transactions
+        // for the most writes an update could need
+        const chunks = [];
+        let writeCount = 0;
+        rowUpdates.forEach(update => {
+            const { changes } = update;
+            const maxWrites = 2 + Object.keys(changes.translations || {}).length
+                + Object.keys(changes).filter(key => typeof changes[key] === 'string').length;
+            if (chunks.length === 0 || writeCount + maxWrites > MAX_WRITES) {
+                chunks.push([]);
+                writeCount = 0;
+            }
+            chunks[chunks.length - 1].push(update);
+            writeCount += maxWrites;
+        });
 
-            chunk.forEach(({ id, changes }) => {
+        for (const chunk of chunks) {
+            const result = await updateVersionedMany(chunk.map(({ id, changes, version }) => {
                 const rowRef = doc(db, COLLECTION, projectId, 'rows', id);
-                batch.update(rowRef, {
-                    ...changes,
-                    updatedAt: serverTimestamp()
-                });
-            });
-
-            await batch.commit();
+                return {
+                    ref: rowRef,
+                    updates: changes,
+                    expectedVersion: version,
+                    onWrite: recordRevisions(rowRef, changes, revisionOptions)
+                };
+            }));
+            Object.assign(versions, result.versions);
+            conflicts.push(...result.conflicts);
         }
 
-        await updateProject(projectId, {});
+        await touchProject(projectId);
+        return { versions, conflicts };
     } catch (error) {
         console.error('Error updating rows:', error);
         throw error;
@@ -355,7 +462,7 @@ export async function deletePageRows(projectId, pageId, rowIds) {
             await batch.commit();
         }
 
-        await updateProject(projectId, {});
+        await touchProject(projectId);
     } catch (error) {
         console.error('Error deleting page rows:', error);
         throw error;
@@ -378,7 +485,7 @@ export async function deleteProjectRows(projectId, rowIds) {
             await batch.commit();
         }
 
-        await updateProject(projectId, {});
+        await touchProject(projectId);
     } catch (error) {
         console.error('Error deleting project rows:', error);
         throw error;
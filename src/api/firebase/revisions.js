@@ -0,0 +1,141 @@
+// services/firebase/revisions.js
+// Row revision history: every change to a row's source text or to a translation
+// is kept in projects/{projectId}/rows/{rowId}/revisions, together with the value
+// it replaced. Revisions are written in the same transaction as the row update.
+import { db } from '../../lib/firebase';
+import {
+    collection,
+    doc,
+    getDocs,
+    query,
+    orderBy,
+    limit,
+    serverTimestamp
+} from 'firebase/firestore';
+import { LANGUAGES } from '../../lib/constants';
+
+const COLLECTION = 'projects';
+const SUBCOLLECTION = 'revisions';
+
+// Revisions loaded per row - older ones stay stored but are not loaded
+export const REVISION_HISTORY_LIMIT = 100;
+
+// Where a change came from
+export const REVISION_SOURCES = {
+    AI: 'ai',
+    TM: 'tm',
+    MANUAL: 'manual',
+    IMPORT: 'import',
+    APPROVAL: 'approval'
+};
+
+const getSourceText = (row) => row?.source_text ?? row?.en ?? '';
+
+// Rules require the author to be the signed-in user (author.id == auth.uid)
+const toAuthor = (modifiedBy) => modifiedBy ? {
+    id: modifiedBy.uid || modifiedBy.id || null,
+    name: modifiedBy.name || '',
+    email: modifiedBy.email || ''
+} : null;
+
+const getTranslation = (row, lang) => ({
+    text: row?.translations?.[lang]?.text ?? row?.[lang] ?? '',
+    status: row?.translations?.[lang]?.status ?? null
+});
+
+// Translations picked up from the AI or translation memory say so in their origin
+const inferSource = (entry, approved) => {
+    if (approved) return REVISION_SOURCES.APPROVAL;
+    if ([REVISION_SOURCES.AI, REVISION_SOURCES.TM].includes(entry?.origin)) return entry.origin;
+    return REVISION_SOURCES.MANUAL;
+};
+
+/**
+ * Revisions for the content an update changes - one per changed field
+ * ('en' for the source text, the language code for a translation). Approving a
+ * translation is recorded too, so the history shows who signed it off.
+ * @param {Object} previous - Row before the update
+ * @param {Object} updates - The update
+ * @param {Object} options - { source, restoredFrom } - source is inferred when not given
+ * @returns {Array} [{ field, previousValue, value, previousStatus, status, source, author }]
+ */
+export function buildRowRevisions(previous, updates, options = {}) {
+    const { source, restoredFrom } = options;
+    const revisions = [];
+
+    if ('source_text' in updates || 'en' in updates) {
+        const value = updates.source_text ?? updates.en ?? '';
+        const previousValue = getSourceText(previous);
+        if (value !== previousValue) {
+            revisions.push({ field: 'en', previousValue, value, previousStatus: null, status: null, source: source || REVISION_SOURCES.MANUAL });
+        }
+    }
+
+    // Translations map and legacy flat language fields
+    const languages = new Set([
+        ...Object.keys(updates.translations || {}),
+        ...Object.keys(updates).filter(key => key !== 'en' && LANGUAGES[key] && typeof updates[key] === 'string')
+    ]);
+    languages.forEach(lang => {
+        const before = getTranslation(previous, lang);
+        const entry = updates.translations?.[lang];
+        const value = entry?.text ?? updates[lang] ?? before.text;
+        const status = entry?.status ?? before.status;
+        const approved = status === 'approved' && before.status !== 'approved';
+        if (value === before.text && !approved) return;
+
+        revisions.push({
+            field: lang,
+            previousValue: before.text,
+            value,
+            previousStatus: before.status,
+            status,
+            source: source || inferSource(entry, approved)
+        });
+    });
+
+    return revisions.map(revision => ({
+        ...revision,
+        author: toAuthor(updates.lastModifiedBy),
+        ...(restoredFrom && { restoredFrom })
+    }));
+}
+
+/**
+ * Write revisions inside a row update transaction
+ * @param {Transaction} transaction
+ * @param {DocumentReference} rowRef
+ * @param {Array} revisions - See buildRowRevisions
+ * @param {number} rowVersion - Row version the change produced
+ */
+export function addRowRevisions(transaction, rowRef, revisions, rowVersion) {
+    revisions.forEach(revision => {
+        transaction.set(doc(collection(rowRef, SUBCOLLECTION)), {
+            ...revision,
+            rowVersion,
+            createdAt: serverTimestamp()
+        });
+    });
+}
+
+/**
+ * Revision history of a row, newest first
+ * @param {string} projectId
+ * @param {string} rowId
+ * @param {number} maxResults
+ * @returns {Promise<Array>}
+ */
+export async function getRowRevisions(projectId, rowId, maxResults = REVISION_HISTORY_LIMIT) {
+    try {
+        const q = query(
+            collection(db, COLLECTION, projectId, 'rows', rowId, SUBCOLLECTION),
+            orderBy('createdAt', 'desc'),
+            limit(maxResults)
+        );
+        const snapshot = await getDocs(q);
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+        console.error('Error fetching row revisions:', error);
+        return [];
+    }
+}
@@ -0,0 +1,112 @@
+// services/firebase/sourceFiles.js
+import { db } from '../../lib/firebase';
+import {
+    collection,
+    doc,
+    getDoc,
+    getDocs,
+    setDoc,
+    deleteDoc,
+    serverTimestamp,
+    Bytes
+} from 'firebase/firestore';
+
+const COLLECTION = 'projects';
+const SUBCOLLECTION = 'source_files';
+
+// Originals are stored in Firestore, not Cloud Storage: a metadata document with a
+// `chunks` sub-collection of Bytes fields, as documents are limited to 1 MiB.
+// A 20 MB file is 23 chunk documents, each read again on every layout export.
+const CHUNK_SIZE = 900 * 1024;
+
+// Larger documents are still imported, without their original (no layout-preserving export)
+export const MAX_SOURCE_FILE_SIZE = 20 * 1024 * 1024;
+
+// ==========================================
+// SOURCE FILES
+// ==========================================
+
+/**
+ * Keep the original uploaded document (DOCX, PPTX ...) so translations can be
+ * written back into it
+ * @param {string} projectId
+ * @param {File} file - At most MAX_SOURCE_FILE_SIZE
+ * @returns {Object} { id, name, type, size } - stored on the page as sourceFile
+ */
+export async function saveSourceFile(projectId, file) {
+    try {
+        if (file.size > MAX_SOURCE_FILE_SIZE) {
+            throw new Error(`${file.name} is too large to keep as original (max ${MAX_SOURCE_FILE_SIZE / 1024 / 1024} MB)`);
+        }
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const fileRef = doc(collection(db, COLLECTION, projectId, SUBCOLLECTION));
+        const chunkCount = Math.max(1, Math.ceil(bytes.length / CHUNK_SIZE));
+
+        for (let index = 0; index < chunkCount; index++) {
+            const chunk = bytes.subarray(index * CHUNK_SIZE, (index + 1) * CHUNK_SIZE);
+            await setDoc(doc(fileRef, 'chunks', String(index)), {
+                index,
+                data: Bytes.fromUint8Array(chunk)
+            });
+        }
+
+        const sourceFile = {
+            name: file.name,
+            type: file.name.split('.').pop().toLowerCase(),
+            size: bytes.length
+        };
+        await setDoc(fileRef, { ...sourceFile, chunkCount, createdAt: serverTimestamp() });
+
+        return { id: fileRef.id, ...sourceFile };
+    } catch (error) {
+        console.error('Error saving source file:', error);
+        throw error;
+    }
+}
+
+/**
+ * Load an original document
+ * @param {string} projectId
+ * @param {string} fileId
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function getSourceFile(projectId, fileId) {
+    try {
+        const fileRef = doc(db, COLLECTION, projectId, SUBCOLLECTION, fileId);
+        const snapshot = await getDoc(fileRef);
+        if (!snapshot.exists()) throw new Error('Original file not found');
+
+        const chunksSnapshot = await getDocs(collection(fileRef, 'chunks'));
+        const chunks = chunksSnapshot.docs
+            .map(chunkDoc => chunkDoc.data())
+            .sort((a, b) => a.index - b.index)
+            .map(chunk => chunk.data.toUint8Array());
+
+        if (chunks.length !== snapshot.data().chunkCount) throw new Error('Original file is incomplete');
+
+        const bytes = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+        let offset = 0;
+        chunks.forEach(chunk => {
+            bytes.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return bytes.buffer;
+    } catch (error) {
+        console.error('Error loading source file:', error);
+        throw error;
+    }
+}
+
+export async function deleteSourceFile(projectId, fileId) {
+    try {
+        const fileRef = doc(db, COLLECTION, projectId, SUBCOLLECTION, fileId);
+        const chunksSnapshot = await getDocs(collection(fileRef, 'chunks'));
+        for (const chunkDoc of chunksSnapshot.docs) {
+            await deleteDoc(chunkDoc.ref);
+        }
+        await deleteDoc(fileRef);
+    } catch (error) {
+        console.error('Error deleting source file:', error);
+        throw error;
+    }
+}
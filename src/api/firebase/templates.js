@@ -6,13 +6,12 @@ import {
     getDocs,
     getDoc,
     addDoc,
-    updateDoc,
     deleteDoc,
     query,
     orderBy,
-    serverTimestamp,
-    increment
+    serverTimestamp
 } from 'firebase/firestore';
+import { updateVersioned, isVersionConflict } from './versioning';
 
 const COLLECTION = 'prompt_templates';
 
@@ -102,16 +101,20 @@ export async function createTemplate(templateData) {
     }
 }
 
-export async function updateTemplate(id, updates) {
+/**
+ * Update a template if nobody changed it since the given version
+ * @param {string} id
+ * @param {Object} updates
+ * @param {number} expectedVersion - Version the edit is based on
+ * @returns {Promise<number>} The new version
+ * @throws {VersionConflictError} When the template is stale
+ */
+export async function updateTemplate(id, updates, expectedVersion) {
     try {
         const docRef = doc(db, COLLECTION, id);
-        await updateDoc(docRef, {
-            ...updates,
-            updatedAt: serverTimestamp(),
-            version: increment(1)
-        });
+        return await updateVersioned(docRef, updates, expectedVersion);
     } catch (error) {
-        console.error('Error updating template:', error);
+        if (!isVersionConflict(error)) console.error('Error updating template:', error);
         throw error;
     }
 }
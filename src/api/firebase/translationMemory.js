@@ -0,0 +1,166 @@
+// services/firebase/translationMemory.js
+import { db } from '../../lib/firebase';
+import {
+    collection,
+    doc,
+    getDocs,
+    query,
+    where,
+    orderBy,
+    limit,
+    documentId,
+    serverTimestamp,
+    writeBatch,
+    increment
+} from 'firebase/firestore';
+import {
+    getSegmentKey,
+    getSegmentWeight,
+    getWeightRange,
+    findTMCandidates,
+    TM_EXACT_MATCH,
+    TM_FUZZY_THRESHOLD
+} from '../../lib/translation-memory';
+
+const COLLECTION = 'translation_memory';
+
+// Entries scanned per fuzzy lookup, split between slightly longer and slightly shorter segments
+const FUZZY_SCAN_LIMIT = 100;
+
+// Firestore 'in' queries take at most 30 values
+const IN_QUERY_LIMIT = 30;
+
+// ==========================================
+// TRANSLATION MEMORY
+// ==========================================
+
+/**
+ * Get all TM entries for a target language
+ * @param {string} targetLanguage - Language code (my, zh, ...)
+ */
+export async function getTranslationMemory(targetLanguage) {
+    try {
+        const q = query(collection(db, COLLECTION), where('targetLanguage', '==', targetLanguage));
+        const snapshot = await getDocs(q);
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+        console.error('Error fetching translation memory:', error);
+        return [];
+    }
+}
+
+/**
+ * Store approved segments. One entry per source text + target language;
+ * re-approving the same source overwrites the stored translation.
+ * @param {Array} entries - [{ sourceText, targetText, targetLanguage, projectId, rowId, approvedBy, origin, importedFrom }]
+ */
+export async function addTranslationMemoryEntries(entries) {
+    try {
+        const validEntries = entries.filter(e => e.sourceText?.trim() && e.targetText?.trim() && e.targetLanguage);
+        const CHUNK_SIZE = 400; // Safety margin below 500 limit
+
+        for (let i = 0; i < validEntries.length; i += CHUNK_SIZE) {
+            const batch = writeBatch(db);
+            validEntries.slice(i, i + CHUNK_SIZE).forEach(entry => {
+                const entryRef = doc(db, COLLECTION, getSegmentKey(entry.sourceText, entry.targetLanguage));
+                batch.set(entryRef, {
+                    sourceText: entry.sourceText.trim(),
+                    sourceLanguage: entry.sourceLanguage || 'en',
+                    sourceWeight: getSegmentWeight(entry.sourceText),
+                    targetText: entry.targetText.trim(),
+                    targetLanguage: entry.targetLanguage,
+                    projectId: entry.projectId || null,
+                    rowId: entry.rowId || null,
+                    approvedBy: entry.approvedBy || null,
+                    origin: entry.origin || 'approval',
+                    importedFrom: entry.importedFrom || null,
+                    usageCount: increment(1),
+                    updatedAt: serverTimestamp()
+                }, { merge: true });
+            });
+            await batch.commit();
+        }
+
+        return validEntries.length;
+    } catch (error) {
+        console.error('Error adding translation memory entries:', error);
+        throw error;
+    }
+}
+
+// Exact matches are stored under the segment key - fetch them by document id
+async function getExactEntries(sourceTexts, lang) {
+    const textsByKey = new Map(sourceTexts.map(text => [getSegmentKey(text, lang), text]));
+    const keys = [...textsByKey.keys()];
+    const entries = [];
+
+    for (let i = 0; i < keys.length; i += IN_QUERY_LIMIT) {
+        const q = query(collection(db, COLLECTION), where(documentId(), 'in', keys.slice(i, i + IN_QUERY_LIMIT)));
+        const snapshot = await getDocs(q);
+        snapshot.docs.forEach(doc => entries.push({ id: doc.id, ...doc.data() }));
+    }
+    return entries;
+}
+
+// Fuzzy candidates - only entries whose weight could reach the threshold, closest weights first
+async function getFuzzyEntries(text, lang, threshold) {
+    const weight = getSegmentWeight(text);
+    if (!weight) return [];
+    const range = getWeightRange(weight, threshold);
+    const byLanguage = collection(db, COLLECTION);
+
+    const [longer, shorter] = await Promise.all([
+        getDocs(query(byLanguage,
+            where('targetLanguage', '==', lang),
+            where('sourceWeight', '>=', weight),
+            where('sourceWeight', '<=', range.max),
+            orderBy('sourceWeight', 'asc'),
+            limit(FUZZY_SCAN_LIMIT / 2))),
+        getDocs(query(byLanguage,
+            where('targetLanguage', '==', lang),
+            where('sourceWeight', '>=', range.min),
+            where('sourceWeight', '<', weight),
+            orderBy('sourceWeight', 'desc'),
+            limit(FUZZY_SCAN_LIMIT / 2)))
+    ]);
+    return [...longer.docs, ...shorter.docs].map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+/**
+ * Look up exact and fuzzy matches for a list of source texts.
+ * Exact matches are read by id; fuzzy lookups (threshold below 100) scan a bounded
+ * set of entries of similar length, and only for texts without an exact match.
+ * @param {Array<string>} sourceTexts - Texts to translate
+ * @param {Array<string>} targetLanguages - Language codes to look up
+ * @param {number} threshold - Minimum match score to return
+ * @returns {Object} { [sourceText]: { [lang]: [{ id, sourceText, targetText, score }] } }
+ */
+export async function findTranslationMemoryMatches(sourceTexts, targetLanguages, threshold = TM_FUZZY_THRESHOLD) {
+    const matches = {};
+    const texts = [...new Set(sourceTexts.filter(text => text?.trim()))];
+    if (texts.length === 0) return matches;
+
+    const addCandidates = (text, lang, entries) => {
+        const candidates = findTMCandidates(text, entries, threshold);
+        if (candidates.length === 0) return false;
+        if (!matches[text]) matches[text] = {};
+        matches[text][lang] = candidates;
+        return true;
+    };
+
+    try {
+        for (const lang of targetLanguages) {
+            const exactEntries = await getExactEntries(texts, lang);
+            const unmatched = texts.filter(text => !addCandidates(text, lang, exactEntries));
+            if (threshold >= TM_EXACT_MATCH) continue;
+
+            for (const text of unmatched) {
+                addCandidates(text, lang, await getFuzzyEntries(text, lang, threshold));
+            }
+        }
+        return matches;
+    } catch (error) {
+        console.error('Error looking up translation memory:', error);
+        return matches;
+    }
+}
@@ -0,0 +1,93 @@
+// services/firebase/versioning.js
+// Optimistic concurrency: versioned documents carry a `version` counter and every
+// edit states the version it was based on. Documents written before versioning
+// have no counter and count as version 0.
+import { db } from '../../lib/firebase';
+import {
+    runTransaction,
+    serverTimestamp
+} from 'firebase/firestore';
+
+export const VERSION_CONFLICT = 'version-conflict';
+
+/**
+ * Thrown when a document changed since the caller loaded it
+ * `current` is the latest document, for merging the rejected update into it
+ */
+export class VersionConflictError extends Error {
+    constructor(current, expectedVersion) {
+        super('This item was changed by someone else');
+        this.name = 'VersionConflictError';
+        this.code = VERSION_CONFLICT;
+        this.current = current;
+        this.expectedVersion = expectedVersion;
+    }
+}
+
+export const isVersionConflict = (error) => error?.code === VERSION_CONFLICT;
+
+const getVersion = (data) => data?.version ?? 0;
+
+const checkVersion = (snapshot, expectedVersion) => {
+    if (!snapshot.exists()) throw new Error('Document not found');
+    const data = snapshot.data();
+    // No expected version means the caller did not load the document - nothing to compare
+    if (expectedVersion !== undefined && expectedVersion !== null && getVersion(data) !== expectedVersion) {
+        return { id: snapshot.id, ...data };
+    }
+    return null;
+};
+
+/**
+ * Update a document only if it is still at the version the edit was based on
+ * @param {DocumentReference} docRef
+ * @param {Object} updates
+ * @param {number} expectedVersion
+ * @param {Function} onWrite - Optional (transaction, previousData, newVersion) => void, for
+ *   writes that belong to the update (e.g. revision history)
+ * @returns {Promise<number>} The new version
+ * @throws {VersionConflictError} When the document changed in the meantime
+ */
+export async function updateVersioned(docRef, updates, expectedVersion, onWrite) {
+    return runTransaction(db, async (transaction) => {
+        const snapshot = await transaction.get(docRef);
+        const current = checkVersion(snapshot, expectedVersion);
+        if (current) throw new VersionConflictError(current, expectedVersion);
+
+        const version = getVersion(snapshot.data()) + 1;
+        transaction.update(docRef, { ...updates, updatedAt: serverTimestamp(), version });
+        onWrite?.(transaction, snapshot.data(), version);
+        return version;
+    });
+}
+
+/**
+ * Update several documents in one transaction. Documents still at their expected
+ * version are written, stale ones are skipped and reported.
+ * @param {Array} entries - [{ ref, updates, expectedVersion, onWrite }] - see updateVersioned
+ * @returns {Promise<Object>} { versions: { [id]: version }, conflicts: [{ id, current, expectedVersion }] }
+ */
+export async function updateVersionedMany(entries) {
+    return runTransaction(db, async (transaction) => {
+        // All reads have to happen before the first write
+        const snapshots = await Promise.all(entries.map(({ ref }) => transaction.get(ref)));
+        const versions = {};
+        const conflicts = [];
+
+        entries.forEach(({ ref, updates, expectedVersion, onWrite }, index) => {
+            // Deleted in the meantime - nothing left to update
+            if (!snapshots[index].exists()) return;
+            const current = checkVersion(snapshots[index], expectedVersion);
+            if (current) {
+                conflicts.push({ id: ref.id, current, expectedVersion });
+                return;
+            }
+            const version = getVersion(snapshots[index].data()) + 1;
+            transaction.update(ref, { ...updates, updatedAt: serverTimestamp(), version });
+            onWrite?.(transaction, snapshots[index].data(), version);
+            versions[ref.id] = version;
+        });
+
+        return { versions, conflicts };
+    });
+}
@@ -0,0 +1,272 @@
+// AIEndpointsSection - Inline admin component for registering OpenAI-compatible endpoints in Settings
+import { useState, useEffect } from "react"
+import { Server, ChevronRight, Plus, Trash2, RefreshCw, Pencil, Save } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Textarea } from "@/components/ui/textarea"
+import { getAIEndpoints, createAIEndpoint, updateAIEndpoint, deleteAIEndpoint } from "@/api/firebase"
+import { AIService } from "@/api/ai"
+import { buildChatCompletionsUrl } from "@/api/ai/providers/openai-compatible"
+import { useAuth } from "@/context/DevAuthContext"
+import { toast } from "sonner"
+
+const EMPTY_FORM = { name: '', baseUrl: '', model: '', headers: '', clearHeaders: false }
+
+// Parse "Header-Name: value" lines into an object
+function parseHeaders(text) {
+    const headers = {}
+    text.split('\n').forEach(line => {
+        const index = line.indexOf(':')
+        if (index <= 0) return
+        const key = line.slice(0, index).trim()
+        const value = line.slice(index + 1).trim()
+        if (key) headers[key] = value
+    })
+    return headers
+}
+
+export default function AIEndpointsSection() {
+    const { user } = useAuth()
+    const [endpoints, setEndpoints] = useState([])
+    const [isLoading, setIsLoading] = useState(true)
+    const [isExpanded, setIsExpanded] = useState(false)
+    const [form, setForm] = useState(EMPTY_FORM)
+    const [editingEndpoint, setEditingEndpoint] = useState(null)
+    const [isSaving, setIsSaving] = useState(false)
+
+    const fetchEndpoints = async () => {
+        setIsLoading(true)
+        try {
+            const data = await getAIEndpoints()
+            setEndpoints(data)
+            AIService.registerEndpoints(data)
+        } catch (error) {
+            console.error(error)
+            toast.error("Failed to load endpoints")
+        } finally {
+            setIsLoading(false)
+        }
+    }
+
+    useEffect(() => {
+        if (isExpanded) {
+            fetchEndpoints()
+        }
+    }, [isExpanded])
+
+    // Header values cannot be read back - an empty field keeps the saved headers
+    const handleEdit = (endpoint) => {
+        setEditingEndpoint(endpoint)
+        setForm({ ...EMPTY_FORM, name: endpoint.name, baseUrl: endpoint.baseUrl, model: endpoint.model })
+    }
+
+    const handleCancelEdit = () => {
+        setEditingEndpoint(null)
+        setForm(EMPTY_FORM)
+    }
+
+    const handleSave = async () => {
+        if (!form.name.trim() || !form.model.trim() || !buildChatCompletionsUrl(form.baseUrl)) {
+            toast.error("Name, base URL and model are required")
+            return
+        }
+
+        try {
+            new URL(form.baseUrl.trim())
+        } catch (e) {
+            toast.error("Base URL must be a full URL, e.g. http://localhost:11434/v1")
+            return
+        }
+
+        const fields = {
+            name: form.name.trim(),
+            baseUrl: form.baseUrl.trim(),
+            model: form.model.trim()
+        }
+        const headers = parseHeaders(form.headers)
+
+        setIsSaving(true)
+        try {
+            if (editingEndpoint) {
+                const hasNewHeaders = Object.keys(headers).length > 0
+                await updateAIEndpoint(editingEndpoint.id, {
+                    ...fields,
+                    ...((hasNewHeaders || form.clearHeaders) && { headers })
+                })
+                toast.success("Endpoint updated")
+            } else {
+                await createAIEndpoint({
+                    ...fields,
+                    headers,
+                    createdBy: user ? {
+                        uid: user.id || user.uid,
+                        email: user.email,
+                        name: user.displayName || user.name || user.email?.split('@')[0]
+                    } : null
+                })
+                toast.success("Endpoint registered")
+            }
+            setEditingEndpoint(null)
+            setForm(EMPTY_FORM)
+            await fetchEndpoints()
+        } catch (error) {
+            toast.error(editingEndpoint ? "Failed to update endpoint" : "Failed to register endpoint")
+        } finally {
+            setIsSaving(false)
+        }
+    }
+
+    const handleDelete = async (endpoint) => {
+        try {
+            await deleteAIEndpoint(endpoint.id)
+            if (editingEndpoint?.id === endpoint.id) handleCancelEdit()
+            toast.success(`Removed ${endpoint.name}`)
+            await fetchEndpoints()
+        } catch (error) {
+            toast.error("Failed to remove endpoint")
+        }
+    }
+
+    return (
+        <div id="ai-endpoints" className="space-y-3 pt-6">
+            <h2 className="text-sm font-medium text-muted-foreground uppercase tracking-wide">AI Endpoints</h2>
+            <div className="rounded-2xl bg-card border border-border overflow-hidden">
+                {/* Header Row */}
+                <button
+                    onClick={() => setIsExpanded(!isExpanded)}
+                    className="w-full flex items-center gap-4 p-5 hover:bg-muted/50 transition-colors text-left"
+                >
+                    <div className="w-11 h-11 rounded-xl bg-sky-100 dark:bg-sky-900/40 flex items-center justify-center shrink-0">
+                        <Server className="w-5 h-5 text-sky-600 dark:text-sky-400" />
+                    </div>
+                    <div className="flex-1 min-w-0">
+                        <p className="text-sm font-medium text-foreground">
+                            OpenAI-compatible Endpoints
+                        </p>
+                        <p className="text-sm text-muted-foreground mt-0.5 truncate">
+                            Register vLLM, Ollama or other chat-completions servers as providers
+                        </p>
+                    </div>
+                    <ChevronRight className={`w-5 h-5 text-muted-foreground shrink-0 transition-transform ${isExpanded ? 'rotate-90' : ''}`} />
+                </button>
+
+                {/* Expanded Content */}
+                {isExpanded && (
+                    <div className="border-t border-border">
+                        {/* Toolbar */}
+                        <div className="p-4 flex items-center justify-between bg-muted/30">
+                            <span className="text-xs text-muted-foreground">
+                                {endpoints.length} endpoint(s)
+                            </span>
+                            <Button
+                                variant="ghost"
+                                size="sm"
+                                onClick={fetchEndpoints}
+                                disabled={isLoading}
+                            >
+                                <RefreshCw className={`w-4 h-4 mr-1 ${isLoading ? 'animate-spin' : ''}`} />
+                                Refresh
+                            </Button>
+                        </div>
+
+                        {/* List */}
+                        <div className="divide-y divide-border">
+                            {isLoading ? (
+                                <div className="p-8 text-center text-muted-foreground">Loading...</div>
+                            ) : endpoints.length === 0 ? (
+                                <div className="p-8 text-center text-muted-foreground">No endpoints registered</div>
+                            ) : (
+                                endpoints.map(endpoint => (
+                                    <div key={endpoint.id} className="flex items-center gap-4 px-5 py-3">
+                                        <div className="flex-1 min-w-0">
+                                            <p className="text-sm font-medium text-foreground">{endpoint.name}</p>
+                                            <p className="text-xs text-muted-foreground truncate">
+                                                {endpoint.model} · {endpoint.baseUrl}
+                                                {endpoint.headerNames?.length > 0 && ` · ${endpoint.headerNames.length} header(s)`}
+                                            </p>
+                                        </div>
+                                        <Button
+                                            variant="ghost"
+                                            size="icon"
+                                            onClick={() => handleEdit(endpoint)}
+                                            className="h-8 w-8 text-muted-foreground hover:text-foreground"
+                                            title="Edit endpoint"
+                                        >
+                                            <Pencil className="w-4 h-4" />
+                                        </Button>
+                                        <Button
+                                            variant="ghost"
+                                            size="icon"
+                                            onClick={() => handleDelete(endpoint)}
+                                            className="h-8 w-8 text-muted-foreground hover:text-destructive"
+                                            title="Remove endpoint"
+                                        >
+                                            <Trash2 className="w-4 h-4" />
+                                        </Button>
+                                    </div>
+                                ))
+                            )}
+                        </div>
+
+                        {/* Add / Edit Form */}
+                        <div className="p-5 border-t border-border space-y-3">
+                            {editingEndpoint && (
+                                <p className="text-sm font-medium text-foreground">Editing {editingEndpoint.name}</p>
+                            )}
+                            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                                <Input
+                                    value={form.name}
+                                    onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                                    placeholder="Name (e.g. Local Ollama)"
+                                />
+                                <Input
+                                    value={form.baseUrl}
+                                    onChange={(e) => setForm(prev => ({ ...prev, baseUrl: e.target.value }))}
+                                    placeholder="Base URL (e.g. http://localhost:11434/v1)"
+                                />
+                                <Input
+                                    value={form.model}
+                                    onChange={(e) => setForm(prev => ({ ...prev, model: e.target.value }))}
+                                    placeholder="Model (e.g. llama3.1:8b)"
+                                />
+                            </div>
+                            <Textarea
+                                value={form.headers}
+                                onChange={(e) => setForm(prev => ({ ...prev, headers: e.target.value }))}
+                                placeholder={editingEndpoint?.headerNames?.length
+                                    ? `Saved headers: ${editingEndpoint.headerNames.join(', ')}\nLeave empty to keep them, or enter all headers to replace them`
+                                    : "Extra headers, one per line (optional)\nX-Org-Id: my-team"}
+                                className="min-h-[64px] text-sm"
+                            />
+                            {editingEndpoint?.headerNames?.length > 0 && (
+                                <label className="flex items-center gap-2 text-xs text-muted-foreground">
+                                    <input
+                                        type="checkbox"
+                                        checked={form.clearHeaders}
+                                        onChange={(e) => setForm(prev => ({ ...prev, clearHeaders: e.target.checked }))}
+                                    />
+                                    Remove saved headers
+                                </label>
+                            )}
+                            <p className="text-xs text-muted-foreground">
+                                Header values are stored server-side and only sent by the AI proxy. API keys are entered
+                                per user under API Configuration, or shared under AI Provider Keys.
+                            </p>
+                            <div className="flex items-center gap-2">
+                                <Button onClick={handleSave} disabled={isSaving}>
+                                    {editingEndpoint ? <Save className="w-4 h-4 mr-2" /> : <Plus className="w-4 h-4 mr-2" />}
+                                    {isSaving ? 'Saving...' : editingEndpoint ? 'Save Endpoint' : 'Add Endpoint'}
+                                </Button>
+                                {editingEndpoint && (
+                                    <Button variant="ghost" onClick={handleCancelEdit} disabled={isSaving}>
+                                        Cancel
+                                    </Button>
+                                )}
+                            </div>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    )
+}
@@ -0,0 +1,131 @@
+// AIKeysSection - Inline admin component for the shared provider keys used by the AI proxy
+import { useState, useEffect } from "react"
+import { KeyRound, ChevronRight, Save, Eye, EyeOff, CheckCircle2 } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { getWorkspaceKeyStatus, saveWorkspaceApiKeys } from "@/api/firebase"
+import { useAuth } from "@/context/DevAuthContext"
+import { toast } from "sonner"
+
+export default function AIKeysSection() {
+    const { user } = useAuth()
+    const [providers, setProviders] = useState([])
+    const [configured, setConfigured] = useState({})
+    const [keys, setKeys] = useState({})
+    const [showKeys, setShowKeys] = useState({})
+    const [isLoading, setIsLoading] = useState(true)
+    const [isExpanded, setIsExpanded] = useState(false)
+    const [isSaving, setIsSaving] = useState(false)
+
+    const fetchStatus = async () => {
+        setIsLoading(true)
+        try {
+            const { AIService } = await import('@/api/ai')
+            await AIService.loadEndpoints(true)
+            setProviders(AIService.getProviders())
+            setConfigured(await getWorkspaceKeyStatus())
+        } catch (error) {
+            console.error(error)
+            toast.error("Failed to load provider keys")
+        } finally {
+            setIsLoading(false)
+        }
+    }
+
+    useEffect(() => {
+        if (isExpanded) {
+            fetchStatus()
+        }
+    }, [isExpanded])
+
+    const handleSave = async () => {
+        setIsSaving(true)
+        try {
+            const saved = await saveWorkspaceApiKeys(keys, user)
+            if (saved.length === 0) {
+                toast.error("Enter at least one key")
+                return
+            }
+            // Saved keys cannot be read back - clear the inputs and mark them as set
+            setConfigured(prev => ({ ...prev, ...Object.fromEntries(saved.map(provider => [provider, true])) }))
+            setKeys({})
+            toast.success("Provider keys saved")
+        } catch (error) {
+            toast.error("Failed to save provider keys")
+        } finally {
+            setIsSaving(false)
+        }
+    }
+
+    return (
+        <div id="ai-keys" className="space-y-3 pt-6">
+            <h2 className="text-sm font-medium text-muted-foreground uppercase tracking-wide">AI Provider Keys</h2>
+            <div className="rounded-2xl bg-card border border-border overflow-hidden">
+                {/* Header Row */}
+                <button
+                    onClick={() => setIsExpanded(!isExpanded)}
+                    className="w-full flex items-center gap-4 p-5 hover:bg-muted/50 transition-colors text-left"
+                >
+                    <div className="w-11 h-11 rounded-xl bg-amber-100 dark:bg-amber-900/40 flex items-center justify-center shrink-0">
+                        <KeyRound className="w-5 h-5 text-amber-600 dark:text-amber-400" />
+                    </div>
+                    <div className="flex-1 min-w-0">
+                        <p className="text-sm font-medium text-foreground">
+                            Workspace Keys
+                        </p>
+                        <p className="text-sm text-muted-foreground mt-0.5 truncate">
+                            Shared keys the AI proxy uses for users without a key of their own
+                        </p>
+                    </div>
+                    <ChevronRight className={`w-5 h-5 text-muted-foreground shrink-0 transition-transform ${isExpanded ? 'rotate-90' : ''}`} />
+                </button>
+
+                {/* Expanded Content */}
+                {isExpanded && (
+                    <div className="border-t border-border">
+                        {isLoading ? (
+                            <div className="p-8 text-center text-muted-foreground">Loading...</div>
+                        ) : (
+                            <div className="p-5 space-y-4">
+                                {providers.map(provider => (
+                                    <div key={provider.id} className="flex items-center gap-3">
+                                        <span className="text-sm text-foreground w-48 truncate" title={provider.label}>
+                                            {provider.icon} {provider.label}
+                                        </span>
+                                        <Input
+                                            type={showKeys[provider.id] ? 'text' : 'password'}
+                                            value={keys[provider.id] || ''}
+                                            onChange={(e) => setKeys(prev => ({ ...prev, [provider.id]: e.target.value }))}
+                                            placeholder={configured[provider.id] ? 'Saved - enter a new key to replace' : 'API key'}
+                                            className="h-9 flex-1"
+                                        />
+                                        <Button
+                                            variant="ghost"
+                                            size="icon"
+                                            onClick={() => setShowKeys(prev => ({ ...prev, [provider.id]: !prev[provider.id] }))}
+                                        >
+                                            {showKeys[provider.id] ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
+                                        </Button>
+                                        <span title={configured[provider.id] ? 'Key saved' : undefined}>
+                                            <CheckCircle2 className={`w-4 h-4 shrink-0 ${configured[provider.id] ? 'text-emerald-500' : 'text-transparent'}`} />
+                                        </span>
+                                    </div>
+                                ))}
+
+                                <p className="text-xs text-muted-foreground">
+                                    Keys are stored server-side and cannot be read back. A user's own key takes precedence;
+                                    the function's environment (GEMINI_API_KEY, ILMUCHAT_API_KEY) is the last fallback.
+                                </p>
+
+                                <Button onClick={handleSave} disabled={isSaving}>
+                                    <Save className="w-4 h-4 mr-2" />
+                                    {isSaving ? 'Saving...' : 'Save Keys'}
+                                </Button>
+                            </div>
+                        )}
+                    </div>
+                )}
+            </div>
+        </div>
+    )
+}
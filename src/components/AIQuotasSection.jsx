@@ -0,0 +1,178 @@
+// AIQuotasSection - Inline admin component for daily AI usage quotas in Settings
+import { useState, useEffect } from "react"
+import { Gauge, ChevronRight, Save } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { getAIQuotaSettings, saveAIQuotaSettings } from "@/api/firebase"
+import { QUOTA_SCOPES, QUOTA_UNITS } from "@/lib/ai-quota"
+import { useAuth } from "@/context/DevAuthContext"
+import { toast } from "sonner"
+
+const SCOPE_HINTS = {
+    user: 'Each user, across all projects',
+    project: 'Each project, across all users',
+    provider: 'Each provider, across the workspace'
+}
+
+// Stored numbers -> input strings (empty = unlimited)
+const toForm = (settings) => {
+    const limits = {}
+    Object.keys(QUOTA_SCOPES).forEach(scope => {
+        limits[scope] = {}
+        Object.keys(QUOTA_UNITS).forEach(unit => {
+            const value = settings.limits[scope]?.[unit]
+            limits[scope][unit] = value ? String(value) : ''
+        })
+    })
+    return { limits, warnThreshold: String(settings.warnThreshold) }
+}
+
+export default function AIQuotasSection() {
+    const { user } = useAuth()
+    const [form, setForm] = useState(null)
+    const [isLoading, setIsLoading] = useState(true)
+    const [isExpanded, setIsExpanded] = useState(false)
+    const [isSaving, setIsSaving] = useState(false)
+
+    const fetchSettings = async () => {
+        setIsLoading(true)
+        try {
+            const settings = await getAIQuotaSettings()
+            setForm(toForm(settings))
+        } catch (error) {
+            console.error(error)
+            toast.error("Failed to load quotas")
+        } finally {
+            setIsLoading(false)
+        }
+    }
+
+    useEffect(() => {
+        if (isExpanded) {
+            fetchSettings()
+        }
+    }, [isExpanded])
+
+    const handleLimitChange = (scope, unit, value) => {
+        setForm(prev => ({
+            ...prev,
+            limits: { ...prev.limits, [scope]: { ...prev.limits[scope], [unit]: value } }
+        }))
+    }
+
+    const handleSave = async () => {
+        const limits = {}
+        for (const scope of Object.keys(QUOTA_SCOPES)) {
+            limits[scope] = {}
+            for (const unit of Object.keys(QUOTA_UNITS)) {
+                const raw = form.limits[scope][unit].trim()
+                const value = raw === '' ? null : Number(raw)
+                if (value !== null && (!Number.isInteger(value) || value < 0)) {
+                    toast.error(`${QUOTA_SCOPES[scope]} ${unit} limit must be a whole number`)
+                    return
+                }
+                limits[scope][unit] = value || null
+            }
+        }
+
+        const warnThreshold = Number(form.warnThreshold)
+        if (!Number.isInteger(warnThreshold) || warnThreshold < 1 || warnThreshold > 100) {
+            toast.error("Warning threshold must be between 1 and 100")
+            return
+        }
+
+        setIsSaving(true)
+        try {
+            await saveAIQuotaSettings({ limits, warnThreshold }, user)
+            toast.success("Quotas saved")
+        } catch (error) {
+            toast.error("Failed to save quotas")
+        } finally {
+            setIsSaving(false)
+        }
+    }
+
+    return (
+        <div id="ai-quotas" className="space-y-3 pt-6">
+            <h2 className="text-sm font-medium text-muted-foreground uppercase tracking-wide">AI Quotas</h2>
+            <div className="rounded-2xl bg-card border border-border overflow-hidden">
+                {/* Header Row */}
+                <button
+                    onClick={() => setIsExpanded(!isExpanded)}
+                    className="w-full flex items-center gap-4 p-5 hover:bg-muted/50 transition-colors text-left"
+                >
+                    <div className="w-11 h-11 rounded-xl bg-rose-100 dark:bg-rose-900/40 flex items-center justify-center shrink-0">
+                        <Gauge className="w-5 h-5 text-rose-600 dark:text-rose-400" />
+                    </div>
+                    <div className="flex-1 min-w-0">
+                        <p className="text-sm font-medium text-foreground">
+                            Daily Usage Quotas
+                        </p>
+                        <p className="text-sm text-muted-foreground mt-0.5 truncate">
+                            Limit rows or tokens translated per day by user, project and provider
+                        </p>
+                    </div>
+                    <ChevronRight className={`w-5 h-5 text-muted-foreground shrink-0 transition-transform ${isExpanded ? 'rotate-90' : ''}`} />
+                </button>
+
+                {/* Expanded Content */}
+                {isExpanded && (
+                    <div className="border-t border-border">
+                        {isLoading || !form ? (
+                            <div className="p-8 text-center text-muted-foreground">Loading...</div>
+                        ) : (
+                            <div className="p-5 space-y-4">
+                                <div className="grid grid-cols-[1fr_140px_140px] gap-3 text-xs font-medium text-muted-foreground">
+                                    <span>Scope</span>
+                                    <span>Rows / day</span>
+                                    <span>Tokens / day</span>
+                                </div>
+                                {Object.entries(QUOTA_SCOPES).map(([scope, label]) => (
+                                    <div key={scope} className="grid grid-cols-[1fr_140px_140px] gap-3 items-center">
+                                        <div className="min-w-0">
+                                            <p className="text-sm font-medium text-foreground">{label}</p>
+                                            <p className="text-xs text-muted-foreground truncate">{SCOPE_HINTS[scope]}</p>
+                                        </div>
+                                        {Object.keys(QUOTA_UNITS).map(unit => (
+                                            <Input
+                                                key={unit}
+                                                type="number"
+                                                min="0"
+                                                value={form.limits[scope][unit]}
+                                                onChange={(e) => handleLimitChange(scope, unit, e.target.value)}
+                                                placeholder="Unlimited"
+                                                className="h-8"
+                                            />
+                                        ))}
+                                    </div>
+                                ))}
+
+                                <div className="flex items-center gap-3 pt-2">
+                                    <span className="text-sm text-foreground">Show remaining budget from</span>
+                                    <Input
+                                        type="number"
+                                        min="1"
+                                        max="100"
+                                        value={form.warnThreshold}
+                                        onChange={(e) => setForm(prev => ({ ...prev, warnThreshold: e.target.value }))}
+                                        className="h-8 w-20"
+                                    />
+                                    <span className="text-sm text-muted-foreground">% used</span>
+                                </div>
+
+                                <p className="text-xs text-muted-foreground">
+                                    Days reset at 00:00 UTC. Leave a field empty for no limit.
+                                </p>
+
+                                <Button onClick={handleSave} disabled={isSaving}>
+                                    <Save className="w-4 h-4 mr-2" />
+                                    {isSaving ? 'Saving...' : 'Save Quotas'}
+                                </Button>
+                            </div>
+                        )}
+                    </div>
+                )}
+            </div>
+        </div>
+    )
+}
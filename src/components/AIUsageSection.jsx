@@ -0,0 +1,293 @@
+// AIUsageSection - Inline admin component for AI token usage and cost estimates in Settings
+import { useState, useEffect, useMemo } from "react"
+import { BarChart3, ChevronRight, RefreshCw, Save } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { PillButton } from "@/components/ui/shared"
+import { DataTable } from "@/components/ui/DataTable"
+import { getAIUsage, getAIPricing, saveAIPricing, getProjects } from "@/api/firebase"
+import { summarizeUsage, USAGE_GROUPS } from "@/lib/ai-usage"
+import { useAuth } from "@/context/DevAuthContext"
+import { toast } from "sonner"
+
+const RANGES = [7, 30, 90] // Days
+
+const formatTokens = (value) => (value || 0).toLocaleString()
+const formatCost = (value) => value === null ? '-' : `$${value.toFixed(value < 1 ? 4 : 2)}`
+
+export default function AIUsageSection() {
+    const { user } = useAuth()
+    const [records, setRecords] = useState([])
+    const [pricing, setPricing] = useState({})
+    const [projectNames, setProjectNames] = useState({})
+    const [isLoading, setIsLoading] = useState(true)
+    const [isExpanded, setIsExpanded] = useState(false)
+    const [rangeDays, setRangeDays] = useState(30)
+    const [groupBy, setGroupBy] = useState('day')
+    const [isSavingPricing, setIsSavingPricing] = useState(false)
+
+    const fetchUsage = async () => {
+        setIsLoading(true)
+        try {
+            const since = new Date()
+            since.setDate(since.getDate() - rangeDays)
+            const [usage, prices, projects] = await Promise.all([
+                getAIUsage(since),
+                getAIPricing(),
+                getProjects()
+            ])
+            setRecords(usage)
+            setPricing(prices)
+            const names = {}
+            projects?.forEach(p => names[p.id] = p.name)
+            setProjectNames(names)
+        } catch (error) {
+            console.error(error)
+            toast.error("Failed to load AI usage")
+        } finally {
+            setIsLoading(false)
+        }
+    }
+
+    useEffect(() => {
+        if (isExpanded) {
+            fetchUsage()
+        }
+    }, [isExpanded, rangeDays])
+
+    const summary = useMemo(() => summarizeUsage(records, groupBy, pricing), [records, groupBy, pricing])
+    const totals = useMemo(() => summarizeUsage(records, null, pricing)[0], [records, pricing])
+
+    // Every model seen in the range plus any already priced
+    const models = useMemo(() => {
+        const seen = new Set(Object.keys(pricing))
+        records.forEach(r => r.model && seen.add(r.model))
+        return [...seen].sort()
+    }, [records, pricing])
+
+    const getGroupLabel = (key) => {
+        if (!key) return groupBy === 'project' ? 'No project' : 'Unknown'
+        if (groupBy === 'project') return projectNames[key] || key
+        if (groupBy === 'user') {
+            const record = records.find(r => r.userId === key)
+            return record?.userName || record?.userEmail || key
+        }
+        if (groupBy === 'provider') {
+            return records.find(r => r.provider === key)?.providerLabel || key
+        }
+        return key
+    }
+
+    const handlePriceChange = (model, field, value) => {
+        setPricing(prev => ({
+            ...prev,
+            [model]: { ...(prev[model] || { input: '', output: '' }), [field]: value }
+        }))
+    }
+
+    const handleSavePricing = async () => {
+        const prices = {}
+        for (const [model, price] of Object.entries(pricing)) {
+            const input = price.input === '' ? 0 : Number(price.input)
+            const output = price.output === '' ? 0 : Number(price.output)
+            if (Number.isNaN(input) || Number.isNaN(output) || input < 0 || output < 0) {
+                toast.error(`Invalid price for ${model}`)
+                return
+            }
+            if (input > 0 || output > 0) prices[model] = { input, output }
+        }
+
+        setIsSavingPricing(true)
+        try {
+            await saveAIPricing(prices, user)
+            setPricing(prices)
+            toast.success("Pricing saved")
+        } catch (error) {
+            toast.error("Failed to save pricing")
+        } finally {
+            setIsSavingPricing(false)
+        }
+    }
+
+    const columns = [
+        {
+            header: USAGE_GROUPS[groupBy],
+            accessor: "key",
+            width: "30%",
+            render: (row) => (
+                <span className="text-sm text-foreground">{getGroupLabel(row.key)}</span>
+            )
+        },
+        {
+            header: "Requests",
+            accessor: "requests",
+            width: "12%",
+            render: (row) => <span className="text-sm text-muted-foreground">{row.requests}</span>
+        },
+        {
+            header: "Prompt",
+            accessor: "promptTokens",
+            width: "15%",
+            render: (row) => <span className="text-sm text-muted-foreground">{formatTokens(row.promptTokens)}</span>
+        },
+        {
+            header: "Completion",
+            accessor: "completionTokens",
+            width: "15%",
+            render: (row) => <span className="text-sm text-muted-foreground">{formatTokens(row.completionTokens)}</span>
+        },
+        {
+            header: "Total",
+            accessor: "totalTokens",
+            width: "15%",
+            render: (row) => <span className="text-sm font-medium text-foreground">{formatTokens(row.totalTokens)}</span>
+        },
+        {
+            header: "Est. Cost",
+            accessor: "cost",
+            width: "13%",
+            render: (row) => <span className="text-sm text-muted-foreground">{formatCost(row.cost)}</span>
+        }
+    ]
+
+    return (
+        <div id="ai-usage" className="space-y-3 pt-6">
+            <h2 className="text-sm font-medium text-muted-foreground uppercase tracking-wide">AI Usage</h2>
+            <div className="rounded-2xl bg-card border border-border overflow-hidden">
+                {/* Header Row */}
+                <button
+                    onClick={() => setIsExpanded(!isExpanded)}
+                    className="w-full flex items-center gap-4 p-5 hover:bg-muted/50 transition-colors text-left"
+                >
+                    <div className="w-11 h-11 rounded-xl bg-violet-100 dark:bg-violet-900/40 flex items-center justify-center shrink-0">
+                        <BarChart3 className="w-5 h-5 text-violet-600 dark:text-violet-400" />
+                    </div>
+                    <div className="flex-1 min-w-0">
+                        <p className="text-sm font-medium text-foreground">
+                            Token Usage & Cost
+                        </p>
+                        <p className="text-sm text-muted-foreground mt-0.5 truncate">
+                            Tokens used by AI translation, by day, project, user and provider
+                        </p>
+                    </div>
+                    <ChevronRight className={`w-5 h-5 text-muted-foreground shrink-0 transition-transform ${isExpanded ? 'rotate-90' : ''}`} />
+                </button>
+
+                {/* Expanded Content */}
+                {isExpanded && (
+                    <div className="border-t border-border">
+                        {/* Toolbar */}
+                        <div className="p-4 flex flex-wrap items-center gap-2 bg-muted/30">
+                            {RANGES.map(days => (
+                                <PillButton
+                                    key={days}
+                                    variant={rangeDays === days ? 'default' : 'outline'}
+                                    onClick={() => setRangeDays(days)}
+                                >
+                                    {days} days
+                                </PillButton>
+                            ))}
+                            <span className="w-px h-5 bg-border mx-1" />
+                            {Object.entries(USAGE_GROUPS).map(([key, label]) => (
+                                <PillButton
+                                    key={key}
+                                    variant={groupBy === key ? 'default' : 'outline'}
+                                    onClick={() => setGroupBy(key)}
+                                >
+                                    By {label.toLowerCase()}
+                                </PillButton>
+                            ))}
+                            <Button
+                                variant="ghost"
+                                size="sm"
+                                className="ml-auto"
+                                onClick={fetchUsage}
+                                disabled={isLoading}
+                            >
+                                <RefreshCw className={`w-4 h-4 mr-1 ${isLoading ? 'animate-spin' : ''}`} />
+                                Refresh
+                            </Button>
+                        </div>
+
+                        {/* Totals */}
+                        {!isLoading && totals && (
+                            <div className="grid grid-cols-3 gap-4 px-5 py-4 border-b border-border">
+                                <div>
+                                    <p className="text-xs text-muted-foreground">Requests</p>
+                                    <p className="text-lg font-semibold text-foreground">{totals.requests}</p>
+                                </div>
+                                <div>
+                                    <p className="text-xs text-muted-foreground">Total tokens</p>
+                                    <p className="text-lg font-semibold text-foreground">{formatTokens(totals.totalTokens)}</p>
+                                </div>
+                                <div>
+                                    <p className="text-xs text-muted-foreground">Estimated cost</p>
+                                    <p className="text-lg font-semibold text-foreground">{formatCost(totals.cost)}</p>
+                                </div>
+                            </div>
+                        )}
+
+                        {/* Table */}
+                        <div className="max-h-[400px] overflow-auto">
+                            {isLoading ? (
+                                <div className="p-8 text-center text-muted-foreground">Loading...</div>
+                            ) : summary.length === 0 ? (
+                                <div className="p-8 text-center text-muted-foreground">No AI usage in this period</div>
+                            ) : (
+                                <DataTable
+                                    columns={columns}
+                                    data={summary.map(row => ({ ...row, id: row.key || '-' }))}
+                                    onToggleSelect={() => { }}
+                                    onToggleSelectAll={() => { }}
+                                />
+                            )}
+                        </div>
+
+                        {/* Pricing */}
+                        <div className="p-5 border-t border-border space-y-3">
+                            <div>
+                                <p className="text-sm font-medium text-foreground">Price per 1k tokens (USD)</p>
+                                <p className="text-xs text-muted-foreground mt-0.5">
+                                    Used to estimate cost. Models without a price are shown as "-".
+                                </p>
+                            </div>
+                            {models.length === 0 ? (
+                                <p className="text-sm text-muted-foreground">No models used yet</p>
+                            ) : (
+                                <div className="space-y-2">
+                                    {models.map(model => (
+                                        <div key={model} className="grid grid-cols-[1fr_120px_120px] gap-3 items-center">
+                                            <span className="text-sm text-foreground truncate" title={model}>{model}</span>
+                                            <Input
+                                                type="number"
+                                                min="0"
+                                                step="0.0001"
+                                                value={pricing[model]?.input ?? ''}
+                                                onChange={(e) => handlePriceChange(model, 'input', e.target.value)}
+                                                placeholder="Input"
+                                                className="h-8"
+                                            />
+                                            <Input
+                                                type="number"
+                                                min="0"
+                                                step="0.0001"
+                                                value={pricing[model]?.output ?? ''}
+                                                onChange={(e) => handlePriceChange(model, 'output', e.target.value)}
+                                                placeholder="Output"
+                                                className="h-8"
+                                            />
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                            <Button onClick={handleSavePricing} disabled={isSavingPricing || models.length === 0}>
+                                <Save className="w-4 h-4 mr-2" />
+                                {isSavingPricing ? 'Saving...' : 'Save Pricing'}
+                            </Button>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    )
+}
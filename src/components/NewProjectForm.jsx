@@ -12,7 +12,10 @@ import {
     IconButton,
 } from "@/components/ui/shared"
 import { LANGUAGES, COLORS, DESIGN_TOKENS } from "@/lib/constants"
-import { parseFile, detectFileType } from "@/lib/document"
+import { parseFile, detectFileType, sniffFileType } from "@/lib/document"
+import { RESOURCE_FORMATS } from "@/lib/resource-files"
+import { LAYOUT_FORMATS } from "@/lib/office-layout"
+import { MAX_SOURCE_FILE_SIZE } from "@/api/firebase"
 import { toast } from "sonner"
 
 // Derive settings locally since global constants were removed for dynamic support
@@ -31,6 +34,7 @@ export default function NewProjectForm({ isOpen, onClose, onSubmit, importData =
     const [file, setFile] = useState(null)
     const [isDragging, setIsDragging] = useState(false)
     const [parsedSheets, setParsedSheets] = useState(null)
+    const [sourceFiles, setSourceFiles] = useState(null) // { [sheetName]: File } kept for layout-preserving export
     const [isParsing, setIsParsing] = useState(false)
 
     // Legacy support: if importData passed, populate file state mock
@@ -48,6 +52,7 @@ export default function NewProjectForm({ isOpen, onClose, onSubmit, importData =
                 setDescription('')
                 setFile(null)
                 setParsedSheets(null)
+                setSourceFiles(null)
                 setSelectedLanguages(DEFAULT_TARGET_LANGUAGES)
             }
         }
@@ -61,10 +66,10 @@ export default function NewProjectForm({ isOpen, onClose, onSubmit, importData =
 
         setIsParsing(true)
         try {
-            // Check file type
-            const fileType = detectFileType(selectedFile)
+            // Check file type (.json / .xml by their content)
+            const fileType = await sniffFileType(selectedFile)
             if (fileType === 'unknown') {
-                toast.error('Unsupported file type. Please upload .xlsx, .docx, .pptx, .pdf, or .csv')
+                toast.error('Unsupported file type. Please upload .xlsx, .docx, .pptx, .pdf, .csv, .xlf, or a resource file (.json, .po, .xml, .strings, .xcstrings)')
                 setIsParsing(false)
                 return
             }
@@ -79,13 +84,36 @@ export default function NewProjectForm({ isOpen, onClose, onSubmit, importData =
 
             // Parse file immediately
             let sheets = {}
+            let originals = null
             if (fileType === 'docx' || fileType === 'pptx' || fileType === 'pdf') {
                 const data = await parseFile(selectedFile)
-                sheets[data.name || 'Document'] = data.entries.map(entry => ({
+                const sheetName = data.name || 'Document'
+                sheets[sheetName] = data.entries.map(entry => ({
                     en: entry.en || entry.text || '',
                     context: entry.context || '',
+                    ...(entry.sourceLocation && { sourceLocation: entry.sourceLocation }),
                     translations: {}
                 }))
+                if (LAYOUT_FORMATS[fileType]) {
+                    if (selectedFile.size <= MAX_SOURCE_FILE_SIZE) originals = { [sheetName]: selectedFile }
+                    else toast.info(`${selectedFile.name} is too large to keep as original: it will export without its layout`)
+                }
+            } else if (fileType === 'xliff') {
+                // One page per <file>, unit ids are kept on the rows
+                const data = await parseFile(selectedFile)
+                data.files.forEach(xliffFile => {
+                    sheets[xliffFile.name] = xliffFile.entries
+                })
+                if (data.targetLanguage) {
+                    setSelectedLanguages(prev => prev.includes(data.targetLanguage) ? prev : [...prev, data.targetLanguage])
+                }
+            } else if (RESOURCE_FORMATS[fileType]) {
+                // Keys and comments of resource files stay on the rows
+                const data = await parseFile(selectedFile)
+                sheets[data.name || 'Strings'] = data.entries
+                if (data.targetLanguages.length > 0) {
+                    setSelectedLanguages(prev => [...new Set([...prev, ...data.targetLanguages])])
+                }
             } else {
                 // Excel/CSV
                 const { parseExcelFile } = await import('@/lib/excel')
@@ -96,6 +124,7 @@ export default function NewProjectForm({ isOpen, onClose, onSubmit, importData =
             }
 
             setParsedSheets(sheets)
+            setSourceFiles(originals)
             toast.success(`File parsed: ${Object.keys(sheets).length} sheet(s) found`)
 
         } catch (error) {
@@ -144,6 +173,9 @@ export default function NewProjectForm({ isOpen, onClose, onSubmit, importData =
         if (parsedSheets) {
             projectData.sheets = parsedSheets
         }
+        if (sourceFiles) {
+            projectData.sourceFiles = sourceFiles
+        }
 
         onSubmit(projectData)
         onClose()
@@ -195,7 +227,7 @@ export default function NewProjectForm({ isOpen, onClose, onSubmit, importData =
                             type="file"
                             ref={fileInputRef}
                             onChange={(e) => handleFileSelect(e.target.files?.[0])}
-                            accept=".xlsx,.xls,.csv,.docx,.pptx,.pdf"
+                            accept=".xlsx,.xls,.csv,.docx,.pptx,.pdf,.xlf,.xliff,.json,.po,.pot,.xml,.strings,.xcstrings"
                             className="hidden"
                         />
                         <div className="w-12 h-12 bg-primary rounded-xl flex items-center justify-center mb-4 shadow-sm group-hover:scale-105 transition-transform">
@@ -205,7 +237,7 @@ export default function NewProjectForm({ isOpen, onClose, onSubmit, importData =
                             Browse files or drag & drop to upload
                         </p>
                         <p className="text-sm text-gray-500">
-                            .csv, .xlsx, .xls, .docx, .pptx, .pdf
+                            .csv, .xlsx, .xls, .docx, .pptx, .pdf, .xlf, .json, .po, .xml, .strings, .xcstrings
                         </p>
                     </div>
                 ) : (
@@ -225,7 +257,7 @@ export default function NewProjectForm({ isOpen, onClose, onSubmit, importData =
                             </p>
                         </div>
                         <button
-                            onClick={(e) => { e.stopPropagation(); setFile(null); setParsedSheets(null); }}
+                            onClick={(e) => { e.stopPropagation(); setFile(null); setParsedSheets(null); setSourceFiles(null); }}
                             className="text-gray-400 hover:text-red-500 transition-colors p-1 rounded-md hover:bg-red-50"
                         >
                             <Trash2 className="w-[18px] h-[18px]" />
@@ -0,0 +1,208 @@
+// TranslationMemorySection - Inline component in Settings for TMX import/export of translation memory
+import { useState, useRef } from "react"
+import { Database, ChevronRight, Upload, Download } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { addTranslationMemoryEntries, logAction, AUDIT_ACTIONS } from "@/api/firebase"
+import { useProjects } from "@/context/ProjectContext"
+import { useAuth } from "@/context/DevAuthContext"
+import { LANGUAGES } from "@/lib/constants"
+import { parseTmxFile, getApprovedTmxUnits, exportToTmx } from "@/lib/tmx"
+import { toast } from "sonner"
+
+const TARGET_LANGUAGES = Object.values(LANGUAGES).filter(lang => lang.code !== 'en')
+
+export default function TranslationMemorySection() {
+    const { user } = useAuth()
+    const { projects, getProjectRows, getProjectPages, getPageRows } = useProjects()
+    const fileInputRef = useRef(null)
+    const [isExpanded, setIsExpanded] = useState(false)
+    const [isImporting, setIsImporting] = useState(false)
+
+    // Export filters - no projects selected means all projects
+    const [projectIds, setProjectIds] = useState([])
+    const [languages, setLanguages] = useState(TARGET_LANGUAGES.map(lang => lang.code))
+    const [from, setFrom] = useState('')
+    const [to, setTo] = useState('')
+
+    const toggleValue = (setter) => (value) => {
+        setter(prev => prev.includes(value) ? prev.filter(v => v !== value) : [...prev, value])
+    }
+
+    // Rows of every page, or the legacy flat rows for projects without pages
+    const getAllRows = (projectId) => {
+        const pages = getProjectPages(projectId) || []
+        if (pages.length === 0) return getProjectRows(projectId) || []
+        return pages.flatMap(page => getPageRows(projectId, page.id) || [])
+    }
+
+    const handleImport = async (e) => {
+        const file = e.target.files?.[0]
+        e.target.value = ''
+        if (!file) return
+
+        setIsImporting(true)
+        try {
+            const result = await parseTmxFile(file)
+            // Matching is always against English source text
+            const entries = result.entries.filter(entry => entry.sourceLanguage === 'en')
+            if (entries.length === 0) {
+                toast.error("No English to Malay/Chinese units found in this file")
+                return
+            }
+
+            const count = await addTranslationMemoryEntries(entries.map(entry => ({
+                sourceText: entry.sourceText,
+                sourceLanguage: entry.sourceLanguage,
+                targetText: entry.targetText,
+                targetLanguage: entry.targetLanguage,
+                origin: 'tmx',
+                importedFrom: file.name
+            })))
+
+            await logAction(user, AUDIT_ACTIONS.TM_IMPORTED, 'translation_memory', file.name, {
+                content: `Imported ${count} segment(s) from ${file.name}`
+            })
+
+            const skipped = result.entries.length - entries.length
+            const unmapped = result.unmappedLocales.length > 0 ? ` Unsupported languages: ${result.unmappedLocales.join(', ')}.` : ''
+            toast.success(`Imported ${count} segment(s) into translation memory`, {
+                description: skipped > 0 || unmapped ? `${skipped} without English source skipped.${unmapped}` : undefined
+            })
+        } catch (error) {
+            console.error(error)
+            toast.error(error.message || "Failed to import TMX file")
+        } finally {
+            setIsImporting(false)
+        }
+    }
+
+    const handleExport = async () => {
+        if (languages.length === 0) {
+            toast.error("Select at least one language")
+            return
+        }
+        if (from && to && from > to) {
+            toast.error("Start date must be before end date")
+            return
+        }
+
+        const units = getApprovedTmxUnits(
+            projects.map(project => ({ id: project.id, name: project.name, rows: getAllRows(project.id) })),
+            { projectIds, languages, from, to }
+        )
+        if (units.length === 0) {
+            toast.error("No approved translations match these filters")
+            return
+        }
+
+        const date = new Date().toISOString().split('T')[0]
+        exportToTmx(units, `translation-memory_${date}`)
+        await logAction(user, AUDIT_ACTIONS.TM_EXPORTED, 'translation_memory', date, {
+            content: `Exported ${units.length} unit(s) to TMX`
+        })
+        toast.success(`Exported ${units.length} unit(s)`)
+    }
+
+    return (
+        <div id="translation-memory" className="space-y-3 pt-6">
+            <h2 className="text-sm font-medium text-muted-foreground uppercase tracking-wide">Translation Memory</h2>
+            <div className="rounded-2xl bg-card border border-border overflow-hidden">
+                {/* Header Row */}
+                <button
+                    onClick={() => setIsExpanded(!isExpanded)}
+                    className="w-full flex items-center gap-4 p-5 hover:bg-muted/50 transition-colors text-left"
+                >
+                    <div className="w-11 h-11 rounded-xl bg-sky-100 dark:bg-sky-900/40 flex items-center justify-center shrink-0">
+                        <Database className="w-5 h-5 text-sky-600 dark:text-sky-400" />
+                    </div>
+                    <div className="flex-1 min-w-0">
+                        <p className="text-sm font-medium text-foreground">
+                            TMX Import & Export
+                        </p>
+                        <p className="text-sm text-muted-foreground mt-0.5 truncate">
+                            Load vendor translation memory or export approved translations as TMX 1.4
+                        </p>
+                    </div>
+                    <ChevronRight className={`w-5 h-5 text-muted-foreground shrink-0 transition-transform ${isExpanded ? 'rotate-90' : ''}`} />
+                </button>
+
+                {/* Expanded Content */}
+                {isExpanded && (
+                    <div className="border-t border-border divide-y divide-border">
+                        <div className="p-5 space-y-3">
+                            <div>
+                                <p className="text-sm font-medium text-foreground">Import</p>
+                                <p className="text-xs text-muted-foreground mt-0.5">
+                                    Units are matched on their English variant. Existing entries for the same source text are overwritten.
+                                </p>
+                            </div>
+                            <input
+                                ref={fileInputRef}
+                                type="file"
+                                accept=".tmx"
+                                className="hidden"
+                                onChange={handleImport}
+                            />
+                            <Button variant="outline" onClick={() => fileInputRef.current?.click()} disabled={isImporting}>
+                                <Upload className="w-4 h-4 mr-2" />
+                                {isImporting ? 'Importing...' : 'Import TMX'}
+                            </Button>
+                        </div>
+
+                        <div className="p-5 space-y-4">
+                            <div>
+                                <p className="text-sm font-medium text-foreground">Export approved translations</p>
+                                <p className="text-xs text-muted-foreground mt-0.5">
+                                    Leave projects unselected to include all of them.
+                                </p>
+                            </div>
+
+                            <div className="space-y-2">
+                                <span className="text-xs font-medium text-muted-foreground">Projects</span>
+                                <div className="flex flex-wrap gap-2">
+                                    {projects.map(project => (
+                                        <button
+                                            key={project.id}
+                                            onClick={() => toggleValue(setProjectIds)(project.id)}
+                                            className={`px-3 py-1.5 rounded-lg border text-xs transition-all ${projectIds.includes(project.id) ? 'bg-primary/5 border-primary text-primary font-medium' : 'bg-background border-border text-muted-foreground hover:bg-muted/50'}`}
+                                        >
+                                            {project.name}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+
+                            <div className="space-y-2">
+                                <span className="text-xs font-medium text-muted-foreground">Languages</span>
+                                <div className="flex flex-wrap gap-2">
+                                    {TARGET_LANGUAGES.map(lang => (
+                                        <button
+                                            key={lang.code}
+                                            onClick={() => toggleValue(setLanguages)(lang.code)}
+                                            className={`px-3 py-1.5 rounded-lg border text-xs transition-all ${languages.includes(lang.code) ? 'bg-primary/5 border-primary text-primary font-medium' : 'bg-background border-border text-muted-foreground hover:bg-muted/50'}`}
+                                        >
+                                            {lang.label}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+
+                            <div className="flex flex-wrap items-center gap-3">
+                                <span className="text-xs font-medium text-muted-foreground">Approved between</span>
+                                <Input type="date" value={from} onChange={(e) => setFrom(e.target.value)} className="h-8 w-40" />
+                                <span className="text-xs text-muted-foreground">and</span>
+                                <Input type="date" value={to} onChange={(e) => setTo(e.target.value)} className="h-8 w-40" />
+                            </div>
+
+                            <Button onClick={handleExport}>
+                                <Download className="w-4 h-4 mr-2" />
+                                Export TMX
+                            </Button>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    )
+}
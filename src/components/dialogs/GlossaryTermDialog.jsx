@@ -40,6 +40,8 @@ export default function GlossaryTermDialog({ open, onOpenChange, initialData, on
         category: '',
         status: 'draft',
         remark: '',
+        definition: '',
+        partOfSpeech: '',
     })
 
     useEffect(() => {
@@ -53,6 +55,8 @@ export default function GlossaryTermDialog({ open, onOpenChange, initialData, on
                     category: initialData.category || categoryNames[0] || '',
                     status: initialData.status || 'draft',
                     remark: initialData.remark || '',
+                    definition: initialData.definition || '',
+                    partOfSpeech: initialData.partOfSpeech || '',
                 })
             } else {
                 setFormData({
@@ -62,6 +66,8 @@ export default function GlossaryTermDialog({ open, onOpenChange, initialData, on
                     category: categoryNames[0] || '',
                     status: 'draft',
                     remark: '',
+                    definition: '',
+                    partOfSpeech: '',
                 })
             }
         }
@@ -115,6 +121,36 @@ export default function GlossaryTermDialog({ open, onOpenChange, initialData, on
                         </div>
                     </div>
 
+                    {/* Definition & Part of Speech (TBX) */}
+                    <div className="grid grid-cols-[1fr_140px] gap-4">
+                        <div className="space-y-2">
+                            <Label>Definition</Label>
+                            <Textarea
+                                placeholder="What the term means"
+                                value={formData.definition}
+                                onChange={e => setFormData(prev => ({ ...prev, definition: e.target.value }))}
+                                className="min-h-[60px]"
+                            />
+                        </div>
+                        <div className="space-y-2">
+                            <Label>Part of speech</Label>
+                            <Input
+                                placeholder="e.g. noun"
+                                value={formData.partOfSpeech}
+                                onChange={e => setFormData(prev => ({ ...prev, partOfSpeech: e.target.value }))}
+                            />
+                        </div>
+                    </div>
+
+                    {initialData?.forbiddenTerms && Object.keys(initialData.forbiddenTerms).length > 0 && (
+                        <div className="rounded-md bg-rose-50 dark:bg-rose-900/20 px-3 py-2 text-xs text-rose-700 dark:text-rose-400">
+                            <p className="font-medium mb-1">Forbidden variants</p>
+                            {Object.entries(initialData.forbiddenTerms).map(([field, variants]) => (
+                                <p key={field}>{field.toUpperCase()}: {variants.join(', ')}</p>
+                            ))}
+                        </div>
+                    )}
+
                     {/* Category */}
                     <div className="space-y-2">
                         <Label>Category</Label>
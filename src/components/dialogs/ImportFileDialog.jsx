@@ -10,7 +10,7 @@ import {
 import { detectFileType } from "@/lib/document"
 import { toast } from "sonner"
 
-export default function ImportFileDialog({ isOpen, onClose, onImport, title = "Import files", accept = ".xlsx,.xls,.csv,.docx,.pptx,.pdf" }) {
+export default function ImportFileDialog({ isOpen, onClose, onImport, title = "Import files", accept = ".xlsx,.xls,.csv,.docx,.pptx,.pdf,.xlf,.xliff,.json,.po,.pot,.xml,.strings,.xcstrings" }) {
     const [file, setFile] = useState(null)
     const [isDragging, setIsDragging] = useState(false)
     const [isLoading, setIsLoading] = useState(false)
@@ -0,0 +1,123 @@
+import { useState, useEffect } from "react"
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogFooter } from "@/components/ui/dialog"
+import { Button } from "@/components/ui/button"
+import { GitMerge } from "lucide-react"
+import { combineValues, formatMergeValue } from "@/lib/merge"
+import { cn } from "@/lib/utils"
+
+const CHOICE_LABELS = {
+    theirs: 'Theirs',
+    mine: 'Mine',
+    both: 'Both'
+}
+
+// "maxLength" -> "Max length", "translations.my" -> "My"
+const toLabel = (path) => {
+    const name = path.split('.').pop().replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase()
+    return name.charAt(0).toUpperCase() + name.slice(1)
+}
+
+/**
+ * MergeConflictDialog - Shown when an edit was based on an outdated version.
+ * For each field both sides changed, the user keeps their value, the other
+ * person's, or both (text fields). Only the footer buttons close it: Esc or a
+ * click outside must not throw the edit away.
+ */
+export function MergeConflictDialog({ open, conflict, onResolve, onDiscard }) {
+    const [choices, setChoices] = useState({})
+
+    // Start from "mine" for every field of a new conflict
+    useEffect(() => {
+        if (conflict) {
+            setChoices(Object.fromEntries(conflict.conflicts.map(field => [field.path, 'mine'])))
+        }
+    }, [conflict])
+
+    if (!conflict) return null
+
+    const { title = 'item', labels = {}, conflicts, theirs } = conflict
+    const theirName = theirs?.lastModifiedBy?.name || theirs?.lastModifiedBy?.email || 'Someone else'
+
+    const chooseAll = (choice) => {
+        setChoices(Object.fromEntries(conflicts.map(field => [field.path, choice])))
+    }
+
+    const getPreview = (field, choice) => {
+        if (choice === 'both') return formatMergeValue(combineValues(field.theirs, field.mine))
+        return formatMergeValue(field[choice])
+    }
+
+    return (
+        <Dialog open={open}>
+            <DialogContent
+                className="sm:max-w-[640px] max-h-[85vh] flex flex-col [&>button:last-child]:hidden"
+                onEscapeKeyDown={(e) => e.preventDefault()}
+                onPointerDownOutside={(e) => e.preventDefault()}
+                onInteractOutside={(e) => e.preventDefault()}
+            >
+                <DialogHeader>
+                    <DialogTitle className="flex items-center gap-2">
+                        <GitMerge className="w-4 h-4 text-amber-500" />
+                        This {title} was changed while you were editing
+                    </DialogTitle>
+                    <DialogDescription>
+                        {theirName} saved a newer version. Choose what to keep for each field you both changed - everything else is merged automatically.
+                    </DialogDescription>
+                </DialogHeader>
+
+                <div className="flex items-center justify-end gap-1">
+                    <Button variant="ghost" size="sm" onClick={() => chooseAll('theirs')}>Keep all theirs</Button>
+                    <Button variant="ghost" size="sm" onClick={() => chooseAll('mine')}>Keep all mine</Button>
+                </div>
+
+                <div className="flex-1 overflow-y-auto space-y-3 pr-1">
+                    {conflicts.map(field => {
+                        const options = field.canCombine ? ['theirs', 'mine', 'both'] : ['theirs', 'mine']
+                        return (
+                            <div key={field.path} className="rounded-lg border border-slate-200 p-3">
+                                <div className="text-sm font-medium text-slate-700 mb-2">
+                                    {labels[field.path] || toLabel(field.path)}
+                                </div>
+                                <div className={cn("grid gap-2", options.length === 3 ? "grid-cols-3" : "grid-cols-2")}>
+                                    {options.map(choice => {
+                                        const preview = getPreview(field, choice)
+                                        const isSelected = choices[field.path] === choice
+                                        return (
+                                            <button
+                                                key={choice}
+                                                type="button"
+                                                onClick={() => setChoices(prev => ({ ...prev, [field.path]: choice }))}
+                                                className={cn(
+                                                    "text-left rounded-md border p-2 text-xs transition-colors",
+                                                    isSelected
+                                                        ? "border-primary bg-primary/5 ring-1 ring-primary"
+                                                        : "border-slate-200 hover:bg-slate-50"
+                                                )}
+                                            >
+                                                <div className="font-semibold text-slate-700 mb-1">{CHOICE_LABELS[choice]}</div>
+                                                <div className="whitespace-pre-wrap break-words text-slate-600 max-h-32 overflow-y-auto">
+                                                    {preview || <span className="italic text-slate-400">(empty)</span>}
+                                                </div>
+                                            </button>
+                                        )
+                                    })}
+                                </div>
+                            </div>
+                        )
+                    })}
+                </div>
+
+                <DialogFooter>
+                    <Button variant="outline" onClick={onDiscard}>
+                        Discard my changes
+                    </Button>
+                    <Button onClick={() => onResolve(choices)}>
+                        Save merged
+                    </Button>
+                </DialogFooter>
+            </DialogContent>
+        </Dialog>
+    )
+}
+
+export default MergeConflictDialog
@@ -1,18 +1,57 @@
-import { useState } from "react"
+import { useState, useEffect, useRef } from "react"
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogFooter } from "@/components/ui/dialog"
 import { Button } from "@/components/ui/button"
 import { Checkbox } from "@/components/ui/checkbox"
 import { Label } from "@/components/ui/label"
+import { Input } from "@/components/ui/input"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
 import { LANGUAGES } from "@/lib/constants"
+import { getTMSettings } from "@/lib/translation-memory"
+import { DEFAULT_LIMIT_FONT } from "@/lib/length-limits"
+import { AIService, CIRCUIT_STATES } from "@/api/ai"
 import { useProjects } from "@/context/ProjectContext"
 import { toast } from "sonner"
-import { Globe } from "lucide-react"
+import { Globe, ChevronUp, ChevronDown, X, Plus } from "lucide-react"
 
 // Derive available targets from registry (exclude en)
 const AVAILABLE_TARGETS = Object.values(LANGUAGES).filter(l => l.code !== 'en')
 
+// Select value for "use the workspace provider"
+const DEFAULT_PROVIDER_VALUE = 'default'
+
+// Stored length limits -> form strings (empty = no limit)
+const toLimitForm = (limits = {}) => {
+    const toStrings = (entries = {}) => Object.fromEntries(Object.entries(entries).map(([key, value]) => [
+        key,
+        { maxLength: value?.maxLength ? String(value.maxLength) : '', maxWidth: value?.maxWidth ? String(value.maxWidth) : '' }
+    ]))
+    return {
+        font: limits.font || DEFAULT_LIMIT_FONT,
+        pages: toStrings(limits.pages),
+        categories: toStrings(limits.categories)
+    }
+}
+
+// Form strings -> stored limits, dropping entries without any limit
+const fromLimitForm = (form) => {
+    const toNumbers = (entries) => {
+        const result = {}
+        Object.entries(entries).forEach(([key, value]) => {
+            const maxLength = Number(value.maxLength) > 0 ? Math.floor(Number(value.maxLength)) : null
+            const maxWidth = Number(value.maxWidth) > 0 ? Math.floor(Number(value.maxWidth)) : null
+            if (maxLength || maxWidth) result[key] = { maxLength, maxWidth }
+        })
+        return result
+    }
+    return {
+        font: form.font.trim() || DEFAULT_LIMIT_FONT,
+        pages: toNumbers(form.pages),
+        categories: toNumbers(form.categories)
+    }
+}
+
 export function ProjectSettingsDialog({ open, onOpenChange, project }) {
-    const { updateProject } = useProjects()
+    const { saveProjectSettings, recheckProjectQA, getProjectPages, getPageRows, getProjectRows } = useProjects()
     const [isLoading, setIsLoading] = useState(false)
 
     // Initialize with project's languages or defaults
@@ -20,6 +59,97 @@ export function ProjectSettingsDialog({ open, onOpenChange, project }) {
         project?.targetLanguages || ['my', 'zh']
     )
 
+    // Translation memory thresholds (percent)
+    const [tmSettings, setTmSettings] = useState(getTMSettings(project))
+
+    // AI provider override for this project
+    const [aiProvider, setAiProvider] = useState(project?.aiProvider || DEFAULT_PROVIDER_VALUE)
+    const [providers, setProviders] = useState(AIService.getProviders())
+
+    // Providers tried in order when the primary one fails
+    const [fallbackProviders, setFallbackProviders] = useState(project?.aiFallbackProviders || [])
+
+    // Character / pixel limits per page and row category
+    const [lengthLimits, setLengthLimits] = useState(toLimitForm(project?.lengthLimits))
+    const [newCategory, setNewCategory] = useState('')
+
+    // The project the form was filled from - edits are saved against its version
+    const baseProjectRef = useRef(null)
+
+    // Re-sync with the project each time the dialog opens
+    useEffect(() => {
+        if (open) {
+            baseProjectRef.current = project
+            setSelectedLanguages(project?.targetLanguages || ['my', 'zh'])
+            setTmSettings(getTMSettings(project))
+            setAiProvider(project?.aiProvider || DEFAULT_PROVIDER_VALUE)
+            setFallbackProviders(project?.aiFallbackProviders || [])
+            setLengthLimits(toLimitForm(project?.lengthLimits))
+            setNewCategory('')
+            AIService.loadEndpoints().then(() => setProviders(AIService.getProviders()))
+        }
+    }, [open])
+
+    const handleThresholdChange = (key, value) => {
+        setTmSettings(prev => ({ ...prev, [key]: value === '' ? '' : Number(value) }))
+    }
+
+    // The primary provider cannot also be a fallback
+    const handleProviderChange = (value) => {
+        setAiProvider(value)
+        const primary = value === DEFAULT_PROVIDER_VALUE ? AIService.getCurrentProvider() : value
+        setFallbackProviders(prev => prev.filter(providerId => providerId !== primary))
+    }
+
+    const handleMoveFallback = (index, offset) => {
+        setFallbackProviders(prev => {
+            const next = [...prev]
+            const [moved] = next.splice(index, 1)
+            next.splice(index + offset, 0, moved)
+            return next
+        })
+    }
+
+    const getProviderLabel = (providerId) => {
+        const provider = providers.find(p => p.id === providerId)
+        return provider ? `${provider.icon} ${provider.label}` : providerId
+    }
+
+    // Note for providers currently skipped by the circuit breaker
+    const getCircuitNote = (providerId) => {
+        const status = AIService.getCircuitStatus(providerId)
+        if (status.state !== CIRCUIT_STATES.OPEN) return null
+        return `Failing - skipped until ${new Date(status.retryAt).toLocaleTimeString()}`
+    }
+
+    const primaryProvider = aiProvider === DEFAULT_PROVIDER_VALUE ? AIService.getCurrentProvider() : aiProvider
+    const addableFallbacks = providers.filter(p => p.id !== primaryProvider && !fallbackProviders.includes(p.id))
+
+    const pages = project ? getProjectPages(project.id) : []
+
+    // Categories used by rows (from the Excel "category" column) plus configured ones
+    const categories = [...new Set([
+        ...pages.flatMap(page => getPageRows(project.id, page.id)),
+        ...(project ? getProjectRows(project.id) : [])
+    ].map(row => row?.category).filter(Boolean).concat(Object.keys(lengthLimits.categories)))]
+
+    const handleLimitChange = (group, key, field, value) => {
+        setLengthLimits(prev => ({
+            ...prev,
+            [group]: {
+                ...prev[group],
+                [key]: { maxLength: '', maxWidth: '', ...prev[group][key], [field]: value }
+            }
+        }))
+    }
+
+    const handleAddCategory = () => {
+        const name = newCategory.trim()
+        if (!name) return
+        handleLimitChange('categories', name, 'maxLength', lengthLimits.categories[name]?.maxLength || '')
+        setNewCategory('')
+    }
+
     const handleToggleLanguage = (langCode) => {
         setSelectedLanguages(prev => {
             if (prev.includes(langCode)) {
@@ -36,11 +166,35 @@ export function ProjectSettingsDialog({ open, onOpenChange, project }) {
             return
         }
 
+        const { autoApplyThreshold, suggestThreshold } = tmSettings
+        const isValidThreshold = (val) => Number.isInteger(val) && val >= 1 && val <= 100
+        if (!isValidThreshold(autoApplyThreshold) || !isValidThreshold(suggestThreshold)) {
+            toast.error("Thresholds must be whole numbers between 1 and 100")
+            return
+        }
+        if (suggestThreshold > autoApplyThreshold) {
+            toast.error("Suggest threshold cannot be higher than auto-apply threshold")
+            return
+        }
+
         setIsLoading(true)
         try {
-            await updateProject(project.id, {
-                targetLanguages: selectedLanguages
-            })
+            const updates = {
+                targetLanguages: selectedLanguages,
+                tmSettings: { autoApplyThreshold, suggestThreshold },
+                aiProvider: aiProvider === DEFAULT_PROVIDER_VALUE ? null : aiProvider,
+                aiFallbackProviders: fallbackProviders.filter(providerId => providerId !== primaryProvider),
+                lengthLimits: fromLimitForm(lengthLimits)
+            }
+            // Checked against the project as the dialog opened with it
+            const saved = await saveProjectSettings(project.id, baseProjectRef.current || project, updates)
+            if (!saved) {
+                toast.info("Your changes were discarded - the project shows the latest settings")
+                onOpenChange(false)
+                return
+            }
+            // Stored QA results follow the new target languages and length limits
+            recheckProjectQA(project.id, saved)
             toast.success("Project settings updated")
             onOpenChange(false)
         } catch (error) {
@@ -52,7 +206,7 @@ export function ProjectSettingsDialog({ open, onOpenChange, project }) {
 
     return (
         <Dialog open={open} onOpenChange={onOpenChange}>
-            <DialogContent className="sm:max-w-[425px]">
+            <DialogContent className="sm:max-w-[425px] max-h-[90vh] overflow-y-auto">
                 <DialogHeader>
                     <DialogTitle className="flex items-center gap-2">
                         <Globe className="w-5 h-5 text-slate-500" />
@@ -83,6 +237,156 @@ export function ProjectSettingsDialog({ open, onOpenChange, project }) {
                             </div>
                         ))}
                     </div>
+
+                    <h3 className="text-sm font-medium mt-6 mb-3 text-slate-900">AI Provider</h3>
+                    <p className="text-xs text-slate-500 mb-4">
+                        Provider used when translating rows in this project.
+                    </p>
+
+                    <Select value={aiProvider} onValueChange={handleProviderChange}>
+                        <SelectTrigger>
+                            <SelectValue placeholder="Select provider" />
+                        </SelectTrigger>
+                        <SelectContent>
+                            <SelectItem value={DEFAULT_PROVIDER_VALUE}>Workspace default</SelectItem>
+                            {providers.map(provider => (
+                                <SelectItem key={provider.id} value={provider.id}>
+                                    {provider.icon} {provider.label}
+                                </SelectItem>
+                            ))}
+                        </SelectContent>
+                    </Select>
+                    {getCircuitNote(primaryProvider) && (
+                        <p className="text-xs text-amber-600 mt-1.5">{getCircuitNote(primaryProvider)}</p>
+                    )}
+
+                    <h3 className="text-sm font-medium mt-6 mb-3 text-slate-900">Fallback Providers</h3>
+                    <p className="text-xs text-slate-500 mb-4">
+                        Tried in this order when the provider above is unavailable or rate limited.
+                    </p>
+
+                    <div className="space-y-2">
+                        {fallbackProviders.map((providerId, index) => (
+                            <div key={providerId} className="flex items-center gap-2 rounded-md border border-slate-200 px-3 py-1.5">
+                                <span className="text-xs text-slate-400 w-4">{index + 1}.</span>
+                                <div className="flex-1 min-w-0">
+                                    <p className="text-sm truncate">{getProviderLabel(providerId)}</p>
+                                    {getCircuitNote(providerId) && (
+                                        <p className="text-xs text-amber-600">{getCircuitNote(providerId)}</p>
+                                    )}
+                                </div>
+                                <Button variant="ghost" size="icon" className="h-7 w-7" disabled={index === 0} onClick={() => handleMoveFallback(index, -1)}>
+                                    <ChevronUp className="w-4 h-4" />
+                                </Button>
+                                <Button variant="ghost" size="icon" className="h-7 w-7" disabled={index === fallbackProviders.length - 1} onClick={() => handleMoveFallback(index, 1)}>
+                                    <ChevronDown className="w-4 h-4" />
+                                </Button>
+                                <Button variant="ghost" size="icon" className="h-7 w-7" onClick={() => setFallbackProviders(prev => prev.filter(p => p !== providerId))}>
+                                    <X className="w-4 h-4" />
+                                </Button>
+                            </div>
+                        ))}
+
+                        {addableFallbacks.length > 0 && (
+                            <Select value="" onValueChange={(providerId) => setFallbackProviders(prev => [...prev, providerId])}>
+                                <SelectTrigger>
+                                    <SelectValue placeholder="Add fallback provider" />
+                                </SelectTrigger>
+                                <SelectContent>
+                                    {addableFallbacks.map(provider => (
+                                        <SelectItem key={provider.id} value={provider.id}>
+                                            {provider.icon} {provider.label}
+                                        </SelectItem>
+                                    ))}
+                                </SelectContent>
+                            </Select>
+                        )}
+                    </div>
+
+                    <h3 className="text-sm font-medium mt-6 mb-3 text-slate-900">Length Limits</h3>
+                    <p className="text-xs text-slate-500 mb-4">
+                        Maximum characters and rendered width for translations. A row's own limit wins over its page, and its page over its category.
+                    </p>
+
+                    <div className="space-y-1.5 mb-4">
+                        <Label htmlFor="limit-font" className="text-xs font-medium text-slate-500">Font for pixel width</Label>
+                        <Input
+                            id="limit-font"
+                            value={lengthLimits.font}
+                            onChange={(e) => setLengthLimits(prev => ({ ...prev, font: e.target.value }))}
+                            placeholder={DEFAULT_LIMIT_FONT}
+                        />
+                    </div>
+
+                    <div className="grid grid-cols-[1fr_72px_72px] gap-2 text-xs font-medium text-slate-500 mb-1.5">
+                        <span>Applies to</span>
+                        <span>Max chars</span>
+                        <span>Max px</span>
+                    </div>
+                    <div className="space-y-1.5">
+                        {[
+                            ...pages.map(page => ({ group: 'pages', key: page.id, label: `Page: ${page.name}` })),
+                            ...categories.map(category => ({ group: 'categories', key: category, label: `Category: ${category}` }))
+                        ].map(({ group, key, label }) => (
+                            <div key={`${group}-${key}`} className="grid grid-cols-[1fr_72px_72px] gap-2 items-center">
+                                <span className="text-sm truncate" title={label}>{label}</span>
+                                {['maxLength', 'maxWidth'].map(field => (
+                                    <Input
+                                        key={field}
+                                        type="number"
+                                        min={1}
+                                        value={lengthLimits[group][key]?.[field] || ''}
+                                        onChange={(e) => handleLimitChange(group, key, field, e.target.value)}
+                                        placeholder="—"
+                                        className="h-8"
+                                    />
+                                ))}
+                            </div>
+                        ))}
+                    </div>
+
+                    <div className="flex items-center gap-2 mt-2">
+                        <Input
+                            value={newCategory}
+                            onChange={(e) => setNewCategory(e.target.value)}
+                            onKeyDown={(e) => { if (e.key === 'Enter') handleAddCategory() }}
+                            placeholder="Add category (e.g. Banner)"
+                            className="h-8"
+                        />
+                        <Button variant="outline" size="sm" onClick={handleAddCategory} disabled={!newCategory.trim()}>
+                            <Plus className="w-4 h-4" />
+                        </Button>
+                    </div>
+
+                    <h3 className="text-sm font-medium mt-6 mb-3 text-slate-900">Translation Memory</h3>
+                    <p className="text-xs text-slate-500 mb-4">
+                        Matches at or above the auto-apply score are used without calling the AI. Matches at or above the suggest score are offered in the row editor.
+                    </p>
+
+                    <div className="grid grid-cols-2 gap-4">
+                        <div className="space-y-1.5">
+                            <Label htmlFor="tm-auto-apply" className="text-xs font-medium text-slate-500">Auto-apply above (%)</Label>
+                            <Input
+                                id="tm-auto-apply"
+                                type="number"
+                                min={1}
+                                max={100}
+                                value={tmSettings.autoApplyThreshold}
+                                onChange={(e) => handleThresholdChange('autoApplyThreshold', e.target.value)}
+                            />
+                        </div>
+                        <div className="space-y-1.5">
+                            <Label htmlFor="tm-suggest" className="text-xs font-medium text-slate-500">Suggest above (%)</Label>
+                            <Input
+                                id="tm-suggest"
+                                type="number"
+                                min={1}
+                                max={100}
+                                value={tmSettings.suggestThreshold}
+                                onChange={(e) => handleThresholdChange('suggestThreshold', e.target.value)}
+                            />
+                        </div>
+                    </div>
                 </div>
 
                 <DialogFooter>
@@ -5,3 +5,4 @@ export { ConfirmDialog } from './ConfirmDialog'
 export { ProjectSettingsDialog } from './ProjectSettingsDialog'
 export { SendForReviewDialog } from './SendForReviewDialog'
 export { default as ImportFileDialog } from './ImportFileDialog'
+export { MergeConflictDialog } from './MergeConflictDialog'
@@ -18,6 +18,7 @@ import {
 } from "@/components/ui/dropdown-menu"
 import { useState, useEffect } from "react"
 import ConfirmDialog from "../dialogs/ConfirmDialog"
+import { NotificationBell } from "./notification-bell"
 
 // Icon mapping for breadcrumb items
 const iconMap = {
@@ -89,6 +90,9 @@ function TopBar({ breadcrumbs }) {
             {/* Right: Icons */}
             <div style={{ display: 'flex', alignItems: 'center', gap: '16px' }}>
 
+                {/* Mentions and other in-app notifications */}
+                <NotificationBell />
+
                 {/* User Avatar / Role Switcher (Dev) */}
                 <DropdownMenu>
                     <DropdownMenuTrigger asChild>
@@ -0,0 +1,97 @@
+import { Bell, AtSign } from "lucide-react"
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu"
+import { useNotifications } from "@/hooks/useNotifications"
+import { formatRelativeTime, NOTIFICATION_TYPES } from "@/api/firebase"
+import { getLanguageLabel } from "@/lib/constants"
+import { cn } from "@/lib/utils"
+
+// Where a notification leads - the row, with its details sheet open
+const getNotificationLink = (notification) => {
+  const params = new URLSearchParams()
+  if (notification.pageId) params.set("page", notification.pageId)
+  if (notification.rowId) params.set("row", notification.rowId)
+  return `#project/${notification.projectId}?${params.toString()}`
+}
+
+const getNotificationTitle = (notification) => {
+  const actor = notification.actor?.name || "Someone"
+  if (notification.type === NOTIFICATION_TYPES.MENTION) {
+    const target = notification.lang ? ` (${getLanguageLabel(notification.lang)})` : ""
+    return `${actor} mentioned you${target}`
+  }
+  return actor
+}
+
+export function NotificationBell() {
+  const { notifications, unreadCount, markRead, markAllRead } = useNotifications()
+
+  const handleOpen = (notification) => {
+    markRead(notification)
+    window.location.hash = getNotificationLink(notification)
+  }
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <button
+          className="relative flex items-center justify-center w-8 h-8 rounded-md text-muted-foreground hover:bg-slate-100 hover:text-foreground data-[state=open]:bg-slate-200 transition-colors"
+          title="Notifications"
+        >
+          <Bell className="w-4 h-4" />
+          {unreadCount > 0 && (
+            <span className="absolute -top-0.5 -right-0.5 min-w-[16px] h-4 px-1 rounded-full bg-primary text-white text-[10px] font-semibold flex items-center justify-center">
+              {unreadCount > 9 ? "9+" : unreadCount}
+            </span>
+          )}
+        </button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end" className="w-80 rounded-xl p-0">
+        <div className="flex items-center justify-between px-4 py-3">
+          <span className="text-sm font-semibold text-foreground">Notifications</span>
+          {unreadCount > 0 && (
+            <button
+              type="button"
+              onClick={markAllRead}
+              className="text-xs text-primary hover:underline"
+            >
+              Mark all as read
+            </button>
+          )}
+        </div>
+        <DropdownMenuSeparator className="my-0" />
+        <div className="max-h-96 overflow-y-auto p-1">
+          {notifications.length === 0 ? (
+            <p className="px-3 py-6 text-center text-xs text-muted-foreground">No notifications yet</p>
+          ) : notifications.map(notification => (
+            <DropdownMenuItem
+              key={notification.id}
+              onClick={() => handleOpen(notification)}
+              className="cursor-pointer items-start gap-2 py-2.5 px-3"
+            >
+              <AtSign className={cn("mt-0.5 h-4 w-4 shrink-0", notification.read ? "text-muted-foreground" : "text-primary")} />
+              <div className="min-w-0 flex-1 space-y-0.5">
+                <p className={cn("text-xs", notification.read ? "text-muted-foreground" : "font-medium text-foreground")}>
+                  {getNotificationTitle(notification)}
+                </p>
+                {notification.excerpt && (
+                  <p className="text-xs text-muted-foreground line-clamp-2">{notification.excerpt}</p>
+                )}
+                <p className="text-[11px] text-muted-foreground/70">
+                  {notification.projectName}
+                  {notification.createdAt?.toDate && ` · ${formatRelativeTime(notification.createdAt.toDate())}`}
+                </p>
+              </div>
+              {!notification.read && <span className="mt-1.5 h-2 w-2 shrink-0 rounded-full bg-primary" />}
+            </DropdownMenuItem>
+          ))}
+        </div>
+      </DropdownMenuContent>
+    </DropdownMenu>
+  )
+}
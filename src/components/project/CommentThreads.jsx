@@ -0,0 +1,335 @@
+/**
+ * CommentThreads Component
+ * Threaded discussion on a row, per language: start a thread, reply, @mention
+ * people (they get a notification) and resolve or reopen threads
+ */
+import { useState, useEffect, useRef } from 'react'
+import { MessageSquare, CheckCircle2, RotateCcw, Send } from 'lucide-react'
+import { toast } from 'sonner'
+import { Button } from '@/components/ui/button'
+import { Textarea } from '@/components/ui/textarea'
+import { useAuth } from '@/context/DevAuthContext'
+import { useRowComments } from '@/hooks/useComments'
+import { getUsers, formatRelativeTime } from '@/api/firebase'
+import { LANGUAGES } from '@/lib/constants'
+import { findMentionQuery, insertMention, filterMentionUsers, splitMentions, extractMentions, getMentionName } from '@/lib/mentions'
+import { cn } from '@/lib/utils'
+
+const getLanguageLabel = (lang) => LANGUAGES[lang]?.label || lang
+
+function CommentText({ text, users }) {
+    return (
+        <p className="text-sm text-foreground whitespace-pre-wrap break-words">
+            {splitMentions(text, users).map((part, index) => part.type === 'mention'
+                ? <span key={index} className="font-medium text-primary">{part.value}</span>
+                : <span key={index}>{part.value}</span>)}
+        </p>
+    )
+}
+
+// Textarea with an @mention picker. Ctrl/Cmd+Enter submits.
+function MentionTextarea({ users, placeholder, submitLabel, onSubmit, onCancel, autoFocus }) {
+    const [text, setText] = useState('')
+    const [mentionQuery, setMentionQuery] = useState(null)
+    const [highlighted, setHighlighted] = useState(0)
+    const [submitting, setSubmitting] = useState(false)
+    const textareaRef = useRef(null)
+
+    const suggestions = mentionQuery ? filterMentionUsers(users, mentionQuery.query) : []
+
+    const updateQuery = (value, caret) => {
+        setMentionQuery(findMentionQuery(value, caret))
+        setHighlighted(0)
+    }
+
+    const pickUser = (user) => {
+        const textarea = textareaRef.current
+        const next = insertMention(text, mentionQuery, textarea.selectionStart, user)
+        setText(next.text)
+        setMentionQuery(null)
+        requestAnimationFrame(() => {
+            textarea.focus()
+            textarea.setSelectionRange(next.caret, next.caret)
+        })
+    }
+
+    const handleSubmit = async () => {
+        const trimmed = text.trim()
+        if (!trimmed || submitting) return
+        setSubmitting(true)
+        try {
+            await onSubmit({ text: trimmed, mentions: extractMentions(trimmed, users) })
+            setText('')
+        } catch (error) {
+            toast.error('Failed to post comment')
+        } finally {
+            setSubmitting(false)
+        }
+    }
+
+    const handleKeyDown = (e) => {
+        if (suggestions.length > 0) {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault()
+                const step = e.key === 'ArrowDown' ? 1 : -1
+                setHighlighted(prev => (prev + step + suggestions.length) % suggestions.length)
+                return
+            }
+            if (e.key === 'Enter' || e.key === 'Tab') {
+                e.preventDefault()
+                pickUser(suggestions[highlighted])
+                return
+            }
+            if (e.key === 'Escape') {
+                e.preventDefault()
+                setMentionQuery(null)
+                return
+            }
+        }
+        if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
+            e.preventDefault()
+            handleSubmit()
+        }
+    }
+
+    return (
+        <div className="space-y-2">
+            <div className="relative">
+                <Textarea
+                    ref={textareaRef}
+                    value={text}
+                    autoFocus={autoFocus}
+                    placeholder={placeholder}
+                    className="min-h-[64px] text-sm"
+                    onChange={(e) => {
+                        setText(e.target.value)
+                        updateQuery(e.target.value, e.target.selectionStart)
+                    }}
+                    onClick={(e) => updateQuery(text, e.target.selectionStart)}
+                    onKeyDown={handleKeyDown}
+                    onBlur={() => setTimeout(() => setMentionQuery(null), 150)}
+                />
+                {suggestions.length > 0 && (
+                    <div className="absolute left-0 right-0 top-full mt-1 z-50 rounded-md border border-border bg-popover shadow-md py-1">
+                        {suggestions.map((user, index) => (
+                            <button
+                                key={user.id}
+                                type="button"
+                                onMouseDown={(e) => {
+                                    e.preventDefault()
+                                    pickUser(user)
+                                }}
+                                className={cn(
+                                    "flex w-full items-center justify-between gap-2 px-3 py-1.5 text-left text-xs",
+                                    index === highlighted ? "bg-muted" : "hover:bg-muted"
+                                )}
+                            >
+                                <span className="font-medium text-foreground">{getMentionName(user)}</span>
+                                <span className="truncate text-muted-foreground">{user.email}</span>
+                            </button>
+                        ))}
+                    </div>
+                )}
+            </div>
+            <div className="flex items-center justify-end gap-2">
+                {onCancel && (
+                    <Button variant="ghost" size="sm" className="h-7 text-xs" onClick={onCancel}>
+                        Cancel
+                    </Button>
+                )}
+                <Button size="sm" className="h-7 text-xs" disabled={!text.trim() || submitting} onClick={handleSubmit}>
+                    <Send className="w-3 h-3 mr-1" />
+                    {submitLabel}
+                </Button>
+            </div>
+        </div>
+    )
+}
+
+function Thread({ thread, users, mentionableUsers, onReply, onResolve }) {
+    const [isReplying, setIsReplying] = useState(false)
+
+    return (
+        <div className={cn("rounded-lg border p-3 space-y-3", thread.resolved ? "border-border bg-muted/40" : "border-border")}>
+            <div className="flex items-center justify-between gap-2">
+                <span className="text-[11px] font-medium uppercase tracking-wide text-muted-foreground">
+                    {getLanguageLabel(thread.lang)}
+                </span>
+                <Button
+                    variant="ghost"
+                    size="sm"
+                    className="h-6 px-2 text-[11px]"
+                    onClick={() => onResolve(thread, !thread.resolved)}
+                >
+                    {thread.resolved
+                        ? <><RotateCcw className="w-3 h-3 mr-1" /> Reopen</>
+                        : <><CheckCircle2 className="w-3 h-3 mr-1" /> Resolve</>}
+                </Button>
+            </div>
+
+            {(thread.comments || []).map(comment => (
+                <div key={comment.id} className="space-y-0.5">
+                    <div className="text-[11px] text-muted-foreground">
+                        <span className="font-medium text-foreground">{comment.author?.name || 'Unknown'}</span>
+                        {comment.createdAt?.toDate && <>{' · '}{formatRelativeTime(comment.createdAt.toDate())}</>}
+                    </div>
+                    <CommentText text={comment.text} users={users} />
+                </div>
+            ))}
+
+            {thread.resolved && (
+                <p className="text-[11px] text-muted-foreground">
+                    Resolved by {thread.resolvedBy?.name || 'Unknown'}
+                    {thread.resolvedAt?.toDate && ` · ${formatRelativeTime(thread.resolvedAt.toDate())}`}
+                </p>
+            )}
+
+            {isReplying ? (
+                <MentionTextarea
+                    users={mentionableUsers}
+                    autoFocus
+                    placeholder="Reply... (@ to mention)"
+                    submitLabel={thread.resolved ? 'Reply and reopen' : 'Reply'}
+                    onSubmit={async (comment) => {
+                        await onReply(thread, comment)
+                        setIsReplying(false)
+                    }}
+                    onCancel={() => setIsReplying(false)}
+                />
+            ) : (
+                <button
+                    type="button"
+                    onClick={() => setIsReplying(true)}
+                    className="text-xs text-muted-foreground hover:text-foreground"
+                >
+                    Reply
+                </button>
+            )}
+        </div>
+    )
+}
+
+export function CommentThreads({ projectId, projectName, pageId, rowId, languages = [] }) {
+    const { user } = useAuth()
+    const userId = user?.id || user?.uid
+    const { threads, startThread, reply, setResolved } = useRowComments({ projectId, projectName, pageId, rowId })
+    const [users, setUsers] = useState([])
+    const [languageFilter, setLanguageFilter] = useState('all')
+    const [newThreadLang, setNewThreadLang] = useState(languages[0])
+    const [showResolved, setShowResolved] = useState(false)
+
+    useEffect(() => {
+        getUsers()
+            .then(result => setUsers(result || []))
+            .catch(err => console.error('Failed to load users for mentions', err))
+    }, [])
+
+    useEffect(() => {
+        if (!languages.includes(newThreadLang)) setNewThreadLang(languages[0])
+    }, [languages.join(',')])
+
+    // People to mention - everyone but the author
+    const mentionableUsers = users.filter(u => u.id !== userId)
+
+    const handleResolve = async (thread, resolved) => {
+        try {
+            await setResolved(thread, resolved)
+        } catch (error) {
+            toast.error(resolved ? 'Failed to resolve thread' : 'Failed to reopen thread')
+        }
+    }
+
+    const inLanguage = threads.filter(thread => languageFilter === 'all' || thread.lang === languageFilter)
+    const openThreads = inLanguage.filter(thread => !thread.resolved)
+    const resolvedThreads = inLanguage.filter(thread => thread.resolved)
+    const visibleThreads = showResolved ? inLanguage : openThreads
+
+    return (
+        <div className="space-y-3">
+            <div className="flex items-center justify-between">
+                <h3 className="flex items-center gap-1.5 text-xs font-medium text-muted-foreground uppercase tracking-wide">
+                    <MessageSquare className="w-3.5 h-3.5" />
+                    Comments
+                    {openThreads.length > 0 && (
+                        <span className="text-[10px] font-semibold text-white bg-primary rounded-full px-1.5 normal-case">
+                            {openThreads.length} open
+                        </span>
+                    )}
+                </h3>
+                {resolvedThreads.length > 0 && (
+                    <button
+                        type="button"
+                        onClick={() => setShowResolved(prev => !prev)}
+                        className="text-xs text-muted-foreground hover:text-foreground"
+                    >
+                        {showResolved ? 'Hide resolved' : `Show resolved (${resolvedThreads.length})`}
+                    </button>
+                )}
+            </div>
+
+            <div className="flex flex-wrap gap-1">
+                {['all', ...languages].map(lang => (
+                    <button
+                        key={lang}
+                        type="button"
+                        onClick={() => {
+                            setLanguageFilter(lang)
+                            if (lang !== 'all') setNewThreadLang(lang)
+                        }}
+                        className={cn(
+                            "px-2 py-0.5 rounded-full text-[11px] border transition-colors",
+                            languageFilter === lang
+                                ? "bg-pink-50 text-pink-700 border-pink-200"
+                                : "border-transparent text-muted-foreground hover:bg-muted"
+                        )}
+                    >
+                        {lang === 'all' ? 'All' : getLanguageLabel(lang)}
+                    </button>
+                ))}
+            </div>
+
+            {visibleThreads.length === 0 && (
+                <p className="text-xs text-muted-foreground italic">
+                    {inLanguage.length === 0 ? 'No comments yet' : 'No open threads'}
+                </p>
+            )}
+            {visibleThreads.map(thread => (
+                <Thread
+                    key={thread.id}
+                    thread={thread}
+                    users={users}
+                    mentionableUsers={mentionableUsers}
+                    onReply={reply}
+                    onResolve={handleResolve}
+                />
+            ))}
+
+            <div className="space-y-2 pt-1">
+                <div className="flex flex-wrap items-center gap-1 text-[11px] text-muted-foreground">
+                    <span className="mr-1">New thread on</span>
+                    {languages.map(lang => (
+                        <button
+                            key={lang}
+                            type="button"
+                            onClick={() => setNewThreadLang(lang)}
+                            className={cn(
+                                "px-2 py-0.5 rounded-full border transition-colors",
+                                newThreadLang === lang
+                                    ? "bg-primary/10 text-primary border-primary/30"
+                                    : "border-transparent hover:bg-muted"
+                            )}
+                        >
+                            {getLanguageLabel(lang)}
+                        </button>
+                    ))}
+                </div>
+                <MentionTextarea
+                    users={mentionableUsers}
+                    placeholder="Add a comment... (@ to mention)"
+                    submitLabel="Comment"
+                    onSubmit={(comment) => startThread(newThreadLang, comment)}
+                />
+            </div>
+        </div>
+    )
+}
@@ -2,21 +2,30 @@
  * ExportMenu Component
  * Reusable dropdown menu for exporting project data in various formats
  */
-import { Download, FileSpreadsheet, FileText, Presentation } from 'lucide-react'
+import { Braces, Download, FileCode, FileSpreadsheet, FileText, Presentation } from 'lucide-react'
 import { PillButton } from '@/components/ui/shared'
 import {
     DropdownMenu,
     DropdownMenuContent,
     DropdownMenuItem,
+    DropdownMenuSub,
+    DropdownMenuSubContent,
+    DropdownMenuSubTrigger,
     DropdownMenuTrigger,
 } from '@/components/ui/dropdown-menu'
 import { LANGUAGES } from '@/lib/constants'
+import { XLIFF_VERSIONS } from '@/lib/xliff'
+import { RESOURCE_FORMATS } from '@/lib/resource-files'
 
 export function ExportMenu({
     targetLanguages = [],
     onExportExcel,
     onExportDocx,
+    onExportDocxAll,
     onExportPptx,
+    onExportPptxAll,
+    onExportXliff,
+    onExportResource,
     style = {}
 }) {
     return (
@@ -52,6 +61,13 @@ export function ExportMenu({
                         <span>{LANGUAGES[lang]?.label || lang}</span>
                     </DropdownMenuItem>
                 ))}
+                {/* Only offered when the page keeps its original document */}
+                {onExportDocxAll && targetLanguages.length > 1 && (
+                    <DropdownMenuItem onClick={onExportDocxAll} className="cursor-pointer pl-6">
+                        <FileText className="w-4 h-4 mr-2" />
+                        <span>All languages</span>
+                    </DropdownMenuItem>
+                )}
 
                 {/* PowerPoint Export - per language */}
                 {targetLanguages.length > 0 && (
@@ -69,6 +85,64 @@ export function ExportMenu({
                         <span>{LANGUAGES[lang]?.label || lang}</span>
                     </DropdownMenuItem>
                 ))}
+                {onExportPptxAll && targetLanguages.length > 1 && (
+                    <DropdownMenuItem onClick={onExportPptxAll} className="cursor-pointer pl-6">
+                        <Presentation className="w-4 h-4 mr-2" />
+                        <span>All languages</span>
+                    </DropdownMenuItem>
+                )}
+
+                {/* XLIFF Export - per language, choice of version */}
+                {onExportXliff && targetLanguages.length > 0 && (
+                    <DropdownMenuItem disabled className="opacity-50 font-semibold text-xs pt-2 pb-1">
+                        XLIFF
+                    </DropdownMenuItem>
+                )}
+                {onExportXliff && targetLanguages.map(lang => (
+                    <DropdownMenuSub key={`xliff-${lang}`}>
+                        <DropdownMenuSubTrigger className="cursor-pointer pl-6">
+                            <FileCode className="w-4 h-4 mr-2" />
+                            <span>{LANGUAGES[lang]?.label || lang}</span>
+                        </DropdownMenuSubTrigger>
+                        <DropdownMenuSubContent>
+                            {XLIFF_VERSIONS.map(version => (
+                                <DropdownMenuItem
+                                    key={version}
+                                    onClick={() => onExportXliff(lang, version)}
+                                    className="cursor-pointer"
+                                >
+                                    XLIFF {version}
+                                </DropdownMenuItem>
+                            ))}
+                        </DropdownMenuSubContent>
+                    </DropdownMenuSub>
+                ))}
+
+                {/* Resource files for developers - per format, choice of language */}
+                {onExportResource && targetLanguages.length > 0 && (
+                    <DropdownMenuItem disabled className="opacity-50 font-semibold text-xs pt-2 pb-1">
+                        Resource Files
+                    </DropdownMenuItem>
+                )}
+                {onExportResource && targetLanguages.length > 0 && Object.entries(RESOURCE_FORMATS).map(([format, { label }]) => (
+                    <DropdownMenuSub key={`resource-${format}`}>
+                        <DropdownMenuSubTrigger className="cursor-pointer pl-6">
+                            <Braces className="w-4 h-4 mr-2" />
+                            <span>{label}</span>
+                        </DropdownMenuSubTrigger>
+                        <DropdownMenuSubContent>
+                            {targetLanguages.map(lang => (
+                                <DropdownMenuItem
+                                    key={lang}
+                                    onClick={() => onExportResource(format, lang)}
+                                    className="cursor-pointer"
+                                >
+                                    {LANGUAGES[lang]?.label || lang}
+                                </DropdownMenuItem>
+                            ))}
+                        </DropdownMenuSubContent>
+                    </DropdownMenuSub>
+                ))}
             </DropdownMenuContent>
         </DropdownMenu>
     )
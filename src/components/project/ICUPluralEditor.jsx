@@ -0,0 +1,84 @@
+/**
+ * ICUPluralEditor Component
+ * Edits an ICU plural message with one input per plural category of the target
+ * language (CLDR rules). Falls back to the raw text editor (children) on request
+ * or when the current text cannot be split by category.
+ */
+import { useState } from 'react'
+import { Input } from '@/components/ui/input'
+import { getPluralEditorParts, printPluralEditorParts, validateICUMessage } from '@/lib/icu-message'
+
+export function ICUPluralEditor({ source, value, language, onChange, children }) {
+    const [showRaw, setShowRaw] = useState(false)
+    const parts = getPluralEditorParts(value, source, language)
+    const error = value ? validateICUMessage(value) : null
+
+    const updatePart = (partIndex, optionIndex, text) => {
+        const next = parts.map((part, index) => {
+            if (index !== partIndex) return part
+            if (part.type === 'text') return { ...part, text }
+            return {
+                ...part,
+                options: part.options.map((option, i) => i === optionIndex ? { ...option, text } : option)
+            }
+        })
+        onChange(printPluralEditorParts(next))
+    }
+
+    const toggle = parts && (
+        <button
+            type="button"
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={() => setShowRaw(prev => !prev)}
+            className="text-[11px] text-primary hover:underline"
+        >
+            {showRaw ? 'Edit by plural form' : 'Edit as text'}
+        </button>
+    )
+
+    if (!parts || showRaw) {
+        return (
+            <div>
+                {children}
+                <div className="flex items-center justify-between gap-2 mt-1">
+                    <span className="text-[11px] text-rose-600">{error}</span>
+                    {toggle}
+                </div>
+            </div>
+        )
+    }
+
+    return (
+        <div className="space-y-1.5 rounded-lg border border-primary/40 bg-white p-2">
+            {parts.map((part, partIndex) => part.type === 'text' ? (
+                <Input
+                    key={partIndex}
+                    value={part.text}
+                    onChange={(e) => updatePart(partIndex, null, e.target.value)}
+                    className="h-7 px-2 text-[12px]"
+                    aria-label="Text outside the plural"
+                />
+            ) : (
+                <div key={partIndex} className="space-y-1">
+                    <p className="text-[11px] font-medium text-muted-foreground">
+                        {`{${part.node.name}}`} {part.node.type === 'selectordinal' ? 'ordinal' : 'plural'}
+                    </p>
+                    {part.options.map((option, optionIndex) => (
+                        <div key={option.selector} className="flex items-center gap-1.5">
+                            <span className="w-10 shrink-0 text-[11px] text-muted-foreground">{option.selector}</span>
+                            <Input
+                                value={option.text}
+                                onChange={(e) => updatePart(partIndex, optionIndex, e.target.value)}
+                                className="h-7 px-2 text-[12px]"
+                            />
+                        </div>
+                    ))}
+                </div>
+            ))}
+            <div className="flex items-center justify-between gap-2">
+                <span className="text-[11px] text-rose-600">{error}</span>
+                {toggle}
+            </div>
+        </div>
+    )
+}
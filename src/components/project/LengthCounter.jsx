@@ -0,0 +1,29 @@
+/**
+ * LengthCounter Component
+ * Live character / pixel-width counter shown under a translation while editing
+ */
+import { checkLengthLimits, hasLengthLimits } from '@/lib/length-limits'
+import { cn } from '@/lib/utils'
+
+export function LengthCounter({ text, limits, className }) {
+    if (!hasLengthLimits(limits)) return null
+    const { length, width, overLength, overWidth } = checkLengthLimits(text || '', limits)
+
+    return (
+        <div className={cn("flex items-center justify-end gap-2 mt-1 text-[11px] tabular-nums", className)}>
+            {limits.maxLength && (
+                <span className={overLength ? 'text-rose-600 font-medium' : 'text-muted-foreground'}>
+                    {length}/{limits.maxLength} chars
+                </span>
+            )}
+            {limits.maxWidth && width !== null && (
+                <span
+                    className={overWidth ? 'text-rose-600 font-medium' : 'text-muted-foreground'}
+                    title={`Measured in ${limits.font}`}
+                >
+                    {width}/{limits.maxWidth} px
+                </span>
+            )}
+        </div>
+    )
+}
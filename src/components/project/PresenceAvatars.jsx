@@ -0,0 +1,53 @@
+/**
+ * PresenceAvatars Component
+ * Overlapping avatars of the other people on a page or row. People editing get
+ * an amber ring, viewers a neutral one.
+ */
+import { Avatar, AvatarImage, AvatarFallback } from '@/components/ui/avatar'
+import { cn } from '@/lib/utils'
+
+const getInitials = (name = '') => name
+    .split(/[\s@._-]+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map(part => part[0].toUpperCase())
+    .join('') || '?'
+
+export function PresenceAvatars({ people = [], rowId, max = 4, size = 'md', className }) {
+    if (people.length === 0) return null
+    const shown = people.slice(0, max)
+    const hidden = people.length - shown.length
+    const sizeClass = size === 'sm' ? 'h-5 w-5 text-[9px]' : 'h-7 w-7 text-[11px]'
+
+    // Editing is only shown for the row in question when avatars are per row
+    const isEditing = (person) => rowId ? person.editingRowId === rowId : !!person.editingRowId
+
+    return (
+        <div className={cn("flex items-center -space-x-1.5", className)}>
+            {shown.map(person => (
+                <Avatar
+                    key={person.userId}
+                    className={cn(
+                        sizeClass,
+                        "ring-2",
+                        isEditing(person) ? "ring-amber-400" : "ring-white dark:ring-slate-900"
+                    )}
+                    title={`${person.name} - ${isEditing(person) ? 'editing' : 'viewing'}`}
+                >
+                    {person.avatar && <AvatarImage src={person.avatar} alt={person.name} />}
+                    <AvatarFallback className="bg-primary/10 text-primary font-semibold">
+                        {getInitials(person.name)}
+                    </AvatarFallback>
+                </Avatar>
+            ))}
+            {hidden > 0 && (
+                <span
+                    className={cn(sizeClass, "relative flex items-center justify-center rounded-full bg-muted text-muted-foreground font-semibold ring-2 ring-white dark:ring-slate-900")}
+                    title={people.slice(max).map(person => person.name).join(', ')}
+                >
+                    +{hidden}
+                </span>
+            )}
+        </div>
+    )
+}
@@ -0,0 +1,140 @@
+/**
+ * RevisionHistory Component
+ * Timeline of the changes to one field of a row (the source text or a
+ * translation), newest first, each with a character-level diff against the
+ * value it replaced and a way to bring that version back
+ */
+import { useState } from 'react'
+import { History, RotateCcw, ChevronDown, ChevronRight } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { formatRelativeTime, REVISION_SOURCES } from '@/api/firebase'
+import { getStatusConfig } from '@/lib/constants'
+import { diffChars } from '@/lib/text-diff'
+
+const SOURCE_LABELS = {
+    [REVISION_SOURCES.AI]: 'AI',
+    [REVISION_SOURCES.TM]: 'Translation memory',
+    [REVISION_SOURCES.MANUAL]: 'Manual edit',
+    [REVISION_SOURCES.IMPORT]: 'Import',
+    [REVISION_SOURCES.APPROVAL]: 'Approval',
+}
+
+const getAuthorName = (author) => author?.name || author?.email || 'Unknown'
+
+function TextDiff({ before, after }) {
+    const parts = diffChars(before, after)
+    if (parts.length === 0) {
+        return <span className="italic text-muted-foreground">(empty)</span>
+    }
+    return (
+        <p className="text-xs whitespace-pre-wrap break-words leading-relaxed">
+            {parts.map((part, index) => {
+                if (part.type === 'delete') {
+                    return <del key={index} className="bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400">{part.value}</del>
+                }
+                if (part.type === 'insert') {
+                    return <ins key={index} className="no-underline bg-emerald-100 text-emerald-700 dark:bg-emerald-900/30 dark:text-emerald-400">{part.value}</ins>
+                }
+                return <span key={index} className="text-foreground">{part.value}</span>
+            })}
+        </p>
+    )
+}
+
+export function RevisionHistory({ revisions = [], currentText = '', loading = false, complete = true, onRestore }) {
+    const [expanded, setExpanded] = useState(false)
+    const [restoringId, setRestoringId] = useState(null)
+
+    if (!loading && revisions.length === 0) return null
+
+    const handleRestore = async (text, revision, key = revision.id) => {
+        setRestoringId(key)
+        try {
+            await onRestore?.(text, revision)
+        } finally {
+            setRestoringId(null)
+        }
+    }
+
+    // The oldest revision also holds the text from before any recorded change
+    // (only when the whole history was loaded)
+    const oldest = revisions[revisions.length - 1]
+    const canRestoreOriginal = complete && oldest && oldest.previousValue && oldest.previousValue !== currentText
+
+    return (
+        <div className="space-y-2">
+            <button
+                type="button"
+                onClick={() => setExpanded(prev => !prev)}
+                className="flex items-center gap-1 text-xs text-muted-foreground hover:text-foreground"
+            >
+                {expanded ? <ChevronDown className="w-3 h-3" /> : <ChevronRight className="w-3 h-3" />}
+                <History className="w-3 h-3" />
+                History {loading ? '' : `(${revisions.length})`}
+            </button>
+
+            {expanded && (
+                <ol className="space-y-3 border-l border-border pl-3 ml-1.5">
+                    {revisions.map(revision => {
+                        const createdAt = revision.createdAt?.toDate?.()
+                        const textChanged = revision.value !== revision.previousValue
+                        const status = revision.status && revision.status !== revision.previousStatus
+                            ? getStatusConfig(revision.status)
+                            : null
+                        const canRestore = onRestore && textChanged && revision.value !== currentText
+
+                        return (
+                            <li key={revision.id} className="space-y-1">
+                                <div className="flex items-center justify-between gap-2 text-[11px] text-muted-foreground">
+                                    <span className="truncate">
+                                        <span className="font-medium text-foreground">{getAuthorName(revision.author)}</span>
+                                        {' · '}{SOURCE_LABELS[revision.source] || revision.source}
+                                        {createdAt && <>{' · '}{formatRelativeTime(createdAt)}</>}
+                                    </span>
+                                    {canRestore && (
+                                        <Button
+                                            variant="ghost"
+                                            size="sm"
+                                            className="h-6 px-2 text-[11px]"
+                                            disabled={!!restoringId}
+                                            onClick={() => handleRestore(revision.value, revision)}
+                                        >
+                                            <RotateCcw className="w-3 h-3 mr-1" />
+                                            {restoringId === revision.id ? 'Restoring...' : 'Restore'}
+                                        </Button>
+                                    )}
+                                </div>
+                                {textChanged
+                                    ? <TextDiff before={revision.previousValue} after={revision.value} />
+                                    : <p className="text-xs text-muted-foreground italic">Text unchanged</p>}
+                                {(status || revision.restoredFrom) && (
+                                    <p className="text-[11px] text-muted-foreground">
+                                        {status && <>Marked {status.label.toLowerCase()}</>}
+                                        {status && revision.restoredFrom && ' · '}
+                                        {revision.restoredFrom && 'Restored from an earlier version'}
+                                    </p>
+                                )}
+                            </li>
+                        )
+                    })}
+
+                    {canRestoreOriginal && onRestore && (
+                        <li className="flex items-center justify-between gap-2 text-[11px] text-muted-foreground">
+                            <span>Before the first recorded change</span>
+                            <Button
+                                variant="ghost"
+                                size="sm"
+                                className="h-6 px-2 text-[11px]"
+                                disabled={!!restoringId}
+                                onClick={() => handleRestore(oldest.previousValue, oldest, 'original')}
+                            >
+                                <RotateCcw className="w-3 h-3 mr-1" />
+                                {restoringId === 'original' ? 'Restoring...' : 'Restore original'}
+                            </Button>
+                        </li>
+                    )}
+                </ol>
+            )}
+        </div>
+    )
+}
@@ -0,0 +1,177 @@
+/**
+ * RowDetailsSheet Component
+ * Side panel with the source text and per-language translation details of a row:
+ * status, where the translation came from, which AI provider/model produced it
+ * and any QA issues or mandated glossary terms it does not use, plus the revision
+ * history of the source text and of each translation and the row's comment threads
+ */
+import { useState, useEffect } from 'react'
+import { Sheet, SheetContent, SheetHeader, SheetTitle, SheetDescription } from '@/components/ui/sheet'
+import { AIService, formatTranslationError } from '@/api/ai'
+import { getStatusConfig, LANGUAGES } from '@/lib/constants'
+import { QA_RULES, QA_SEVERITY } from '@/lib/qa-checks'
+import { formatResourceKey } from '@/lib/resource-files'
+import { getRowRevisions, REVISION_HISTORY_LIMIT } from '@/api/firebase'
+import { RevisionHistory } from './RevisionHistory'
+import { CommentThreads } from './CommentThreads'
+
+const ORIGIN_LABELS = {
+    ai: 'AI translation',
+    tm: 'Translation memory',
+}
+
+function DetailItem({ label, value }) {
+    if (!value) return null
+    return (
+        <div className="flex items-start justify-between gap-4 text-xs">
+            <span className="text-muted-foreground shrink-0">{label}</span>
+            <span className="text-foreground text-right break-all">{value}</span>
+        </div>
+    )
+}
+
+export function RowDetailsSheet({ row, projectId, projectName, targetLanguages = [], open, onOpenChange, onRestore }) {
+    const [revisions, setRevisions] = useState([])
+    const [loadingRevisions, setLoadingRevisions] = useState(false)
+
+    // Reload whenever the row is saved - every save bumps its version
+    useEffect(() => {
+        if (!open || !projectId || !row?.id) {
+            setRevisions([])
+            return
+        }
+        let cancelled = false
+        setLoadingRevisions(true)
+        getRowRevisions(projectId, row.id).then(result => {
+            if (cancelled) return
+            setRevisions(result)
+            setLoadingRevisions(false)
+        })
+        return () => { cancelled = true }
+    }, [open, projectId, row?.id, row?.version])
+
+    const getFieldRevisions = (field) => revisions.filter(revision => revision.field === field)
+    // At the limit, older revisions were not loaded - the oldest shown is not the original
+    const hasOlderRevisions = revisions.length >= REVISION_HISTORY_LIMIT
+    const handleRestore = (field) => onRestore && ((text, revision) => onRestore(field, text, revision))
+
+    const rowStatus = getStatusConfig(row?.status)
+
+    return (
+        <Sheet open={open} onOpenChange={onOpenChange}>
+            <SheetContent className="w-full sm:max-w-md overflow-y-auto">
+                <SheetHeader>
+                    <SheetTitle>Row Details</SheetTitle>
+                    <SheetDescription>
+                        {row?.translatedAt
+                            ? `Last translated ${new Date(row.translatedAt).toLocaleString()}`
+                            : 'Not translated yet'}
+                    </SheetDescription>
+                </SheetHeader>
+
+                {row && (
+                    <div className="mt-6 space-y-6">
+                        <div className="space-y-2">
+                            <h3 className="text-xs font-medium text-muted-foreground uppercase tracking-wide">English</h3>
+                            <p className="text-sm text-foreground whitespace-pre-wrap">
+                                {row.en || row.text || row.source_text || ''}
+                            </p>
+                            <div className="flex items-center gap-2 text-xs">
+                                <span className="w-2 h-2 rounded-full" style={{ backgroundColor: rowStatus.color }} />
+                                <span className="text-muted-foreground">{rowStatus.label}</span>
+                            </div>
+                            <DetailItem label="Key" value={formatResourceKey(row.key)} />
+                            <DetailItem label="Category" value={row.category} />
+                            <DetailItem label="Max length" value={row.maxLength && `${row.maxLength} characters`} />
+                            <DetailItem label="Max width" value={row.maxWidth && `${row.maxWidth} px`} />
+                            {row.status === 'error' && row.translationError && (
+                                <p className="text-xs text-red-600">{formatTranslationError(row.translationError)}</p>
+                            )}
+                            <RevisionHistory
+                                revisions={getFieldRevisions('en')}
+                                currentText={row.source_text ?? row.en ?? ''}
+                                loading={loadingRevisions}
+                                complete={!hasOlderRevisions}
+                                onRestore={handleRestore('en')}
+                            />
+                        </div>
+
+                        {targetLanguages.map(lang => {
+                            const translation = row.translations?.[lang] || {}
+                            const text = translation.text || row[lang] || ''
+                            const status = getStatusConfig(translation.status || row.status)
+                            const glossaryViolations = (row.glossaryViolations || []).filter(v => v.lang === lang)
+                            const qaIssues = row.qa?.[lang] || []
+                            const origin = translation.origin
+                                ? ORIGIN_LABELS[translation.origin] || translation.origin
+                                : text ? 'Manual / imported' : null
+
+                            return (
+                                <div key={lang} className="space-y-2 border-t border-border pt-4">
+                                    <div className="flex items-center justify-between">
+                                        <h3 className="text-xs font-medium text-muted-foreground uppercase tracking-wide">
+                                            {LANGUAGES[lang]?.label || lang}
+                                        </h3>
+                                        <span className="flex items-center gap-1.5 text-xs text-muted-foreground">
+                                            <span className="w-2 h-2 rounded-full" style={{ backgroundColor: status.color }} />
+                                            {status.label}
+                                        </span>
+                                    </div>
+                                    <p className="text-sm text-foreground whitespace-pre-wrap">
+                                        {text || <span className="text-muted-foreground italic">No translation</span>}
+                                    </p>
+                                    <div className="space-y-1">
+                                        <DetailItem label="Source" value={origin} />
+                                        <DetailItem label="Provider" value={translation.provider && AIService.getProviderLabel(translation.provider)} />
+                                        <DetailItem label="Model" value={translation.model} />
+                                        <DetailItem label="TM match" value={translation.tmMatch && `${translation.tmMatch.score}%`} />
+                                        <DetailItem label="Remark" value={translation.remark} />
+                                    </div>
+                                    {qaIssues.length > 0 && (
+                                        <div className="space-y-1">
+                                            {qaIssues.map((qaIssue, index) => (
+                                                <p
+                                                    key={`${qaIssue.rule}-${index}`}
+                                                    className={`text-xs ${qaIssue.severity === QA_SEVERITY.ERROR ? 'text-red-600' : 'text-amber-600'}`}
+                                                >
+                                                    {QA_RULES[qaIssue.rule]?.label || qaIssue.rule}: {qaIssue.message}
+                                                </p>
+                                            ))}
+                                        </div>
+                                    )}
+                                    {glossaryViolations.length > 0 && (
+                                        <div className="rounded-md bg-amber-50 dark:bg-amber-900/20 px-3 py-2 text-xs text-amber-700 dark:text-amber-400">
+                                            <p className="font-medium mb-1">Glossary terms not used</p>
+                                            {glossaryViolations.map(v => (
+                                                <p key={v.term}>{v.term} → {v.expected}</p>
+                                            ))}
+                                        </div>
+                                    )}
+                                    <RevisionHistory
+                                        revisions={getFieldRevisions(lang)}
+                                        currentText={text}
+                                        loading={loadingRevisions}
+                                        complete={!hasOlderRevisions}
+                                        onRestore={handleRestore(lang)}
+                                    />
+                                </div>
+                            )
+                        })}
+
+                        {projectId && (
+                            <div className="border-t border-border pt-4">
+                                <CommentThreads
+                                    projectId={projectId}
+                                    projectName={projectName}
+                                    pageId={row.pageId}
+                                    rowId={row.id}
+                                    languages={['en', ...targetLanguages]}
+                                />
+                            </div>
+                        )}
+                    </div>
+                )}
+            </SheetContent>
+        </Sheet>
+    )
+}
@@ -3,3 +3,9 @@
  * Barrel file for project-related components
  */
 export { ExportMenu } from './ExportMenu'
+export { RowDetailsSheet } from './RowDetailsSheet'
+export { LengthCounter } from './LengthCounter'
+export { ICUPluralEditor } from './ICUPluralEditor'
+export { PresenceAvatars } from './PresenceAvatars'
+export { RevisionHistory } from './RevisionHistory'
+export { CommentThreads } from './CommentThreads'
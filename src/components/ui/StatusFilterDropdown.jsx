@@ -11,7 +11,7 @@ const DEFAULT_STATUS_OPTIONS = [
     { id: 'changes', label: 'Need Changes', color: COLORS.negative },
 ]
 
-export function StatusFilterDropdown({ selectedStatuses = [], onStatusChange, statusOptions = DEFAULT_STATUS_OPTIONS, className, style }) {
+export function StatusFilterDropdown({ selectedStatuses = [], onStatusChange, statusOptions = DEFAULT_STATUS_OPTIONS, qaOptions, selectedQA = [], onQAChange, className, style }) {
     const [isOpen, setIsOpen] = useState(false)
     const dropdownRef = useRef(null)
 
@@ -33,12 +33,20 @@ export function StatusFilterDropdown({ selectedStatuses = [], onStatusChange, st
         onStatusChange(newStatuses)
     }
 
+    // Optional second section filtering by QA result
+    const toggleQA = (qaId) => {
+        onQAChange(selectedQA.includes(qaId)
+            ? selectedQA.filter(q => q !== qaId)
+            : [...selectedQA, qaId])
+    }
+
     const clearAll = () => {
         onStatusChange([])
+        onQAChange?.([])
         setIsOpen(false)
     }
 
-    const activeCount = selectedStatuses.length
+    const activeCount = selectedStatuses.length + (qaOptions ? selectedQA.length : 0)
 
     return (
         <div ref={dropdownRef} style={{ position: 'relative' }}>
@@ -120,6 +128,22 @@ export function StatusFilterDropdown({ selectedStatuses = [], onStatusChange, st
                             />
                         )
                     })}
+
+                    {qaOptions && (
+                        <>
+                            <div className="px-4 py-2 mt-1 text-xs font-semibold text-muted-foreground border-y border-border">
+                                Filter by QA
+                            </div>
+                            {qaOptions.map(option => (
+                                <StatusOption
+                                    key={option.id}
+                                    status={option}
+                                    isSelected={selectedQA.includes(option.id)}
+                                    onToggle={() => toggleQA(option.id)}
+                                />
+                            ))}
+                        </>
+                    )}
                 </div>
             )}
         </div>
@@ -0,0 +1,101 @@
+// ConflictContext - Saves versioned documents and resolves stale edits
+// Fields only one side changed are merged silently; fields both sides changed
+// are put to the user in a merge dialog (theirs / mine / both)
+import { createContext, useContext, useState, useCallback, useRef } from 'react'
+import { isVersionConflict } from '@/api/firebase'
+import { findConflicts, mergeUpdate } from '@/lib/merge'
+import { MergeConflictDialog } from '@/components/dialogs/MergeConflictDialog'
+
+// Merge rounds before giving up on a document that keeps changing
+const MAX_MERGE_ATTEMPTS = 3
+
+const ConflictContext = createContext(null)
+
+export function ConflictProvider({ children }) {
+    const [pending, setPending] = useState(null) // { conflict, resolve }
+    const queueRef = useRef(Promise.resolve())
+
+    // Ask the user about conflicting fields - one dialog at a time, later conflicts wait.
+    // Resolves with { [path]: 'theirs' | 'mine' | 'both' }, or null to discard the edit
+    const askUser = useCallback((conflict) => {
+        const answer = queueRef.current.then(() => new Promise(resolve => setPending({ conflict, resolve })))
+        queueRef.current = answer
+        return answer
+    }, [])
+
+    const handleClose = (resolutions) => {
+        pending?.resolve(resolutions)
+        setPending(null)
+    }
+
+    /**
+     * Save an update with a version check, merging it into the latest version
+     * of the document as often as needed
+     * @param {Object} options
+     * @param {Function} options.save - (updates, expectedVersion) => Promise<newVersion>
+     * @param {Object} options.base - Document the update was based on
+     * @param {Object} options.updates - The update
+     * @param {number} options.version - Version the update was based on
+     * @param {Object} options.latest - Latest document, when already known to be stale
+     * @param {Function} options.normalize - Brings a stored document into the shape of `base`
+     * @param {Function} options.prepare - (mergedUpdate, latest) => update, e.g. to recompute derived fields
+     * @param {string} options.title - What is being saved ("row", "glossary term" ...)
+     * @param {Object} options.labels - { [path]: label } for the dialog
+     * @param {Array} options.textFields - Fields that can keep both values
+     * @param {Object} options.mirrors - See mergeUpdate
+     * @returns {Promise<Object>} { saved, updates, version, latest } - `latest` is the document
+     *   the update was merged into (null if there was no conflict)
+     */
+    const saveVersioned = useCallback(async (options) => {
+        const { save, base, updates, version, normalize = doc => doc, prepare, title, labels, textFields, mirrors } = options
+        let pendingUpdates = updates
+        let expectedVersion = version
+        let basis = base
+        let latest = options.latest ? normalize(options.latest) : null
+
+        for (let attempt = 0; attempt <= MAX_MERGE_ATTEMPTS; attempt++) {
+            if (latest) {
+                const conflicts = findConflicts(basis, latest, pendingUpdates, { textFields, mirrors })
+                const resolutions = conflicts.length > 0
+                    ? await askUser({ title, labels, conflicts, theirs: latest })
+                    : {}
+                if (!resolutions) return { saved: false, latest }
+
+                const merged = mergeUpdate(basis, latest, pendingUpdates, resolutions, { mirrors })
+                pendingUpdates = prepare ? prepare(merged, latest) : merged
+                expectedVersion = latest.version ?? 0
+                basis = latest
+            }
+
+            try {
+                const newVersion = await save(pendingUpdates, expectedVersion)
+                return { saved: true, updates: pendingUpdates, version: newVersion, latest }
+            } catch (error) {
+                if (!isVersionConflict(error)) throw error
+                latest = normalize(error.current)
+            }
+        }
+
+        throw new Error(`This ${title || 'item'} keeps changing - please try again`)
+    }, [askUser])
+
+    return (
+        <ConflictContext.Provider value={{ saveVersioned }}>
+            {children}
+            <MergeConflictDialog
+                open={!!pending}
+                conflict={pending?.conflict}
+                onResolve={handleClose}
+                onDiscard={() => handleClose(null)}
+            />
+        </ConflictContext.Provider>
+    )
+}
+
+export function useConflicts() {
+    const context = useContext(ConflictContext)
+    if (!context) {
+        throw new Error('useConflicts must be used within a ConflictProvider')
+    }
+    return context
+}
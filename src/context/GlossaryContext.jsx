@@ -4,8 +4,10 @@ import { createContext, useContext, useState, useCallback, useEffect } from 'rea
 import * as dbService from '@/api/firebase'
 import { logAction, AUDIT_ACTIONS } from '@/api/firebase'
 import { toast } from "sonner"
+import { getTermDetails } from '@/lib/tbx'
 
 import { useAuth } from '@/context/DevAuthContext'
+import { useConflicts } from '@/context/ConflictContext'
 
 // Safe auth hook - returns null user if auth context not ready
 function useSafeAuth() {
@@ -16,10 +18,52 @@ function useSafeAuth() {
 // Feature flag - set to true to use Firestore
 
 
+// Normalize terms to ensure consistent field names (handle legacy data)
+function normalizeTerm(t) {
+    const tx = t.translations || {}
+
+    // Helper to extract text from translation value (string or object with .text)
+    const getText = (val) => {
+        if (!val) return ''
+        // Handle Firestore Timestamp or unexpected objects? No, just check .text
+        if (typeof val === 'object' && val.text) return val.text
+        if (typeof val === 'string') return val
+        return ''
+    }
+
+    return {
+        ...t,
+        // Check top-level first, then translations object (handling both string and object formats)
+        en: t.en || t.english || t.term || getText(tx.en) || getText(tx.english) || '',
+        my: t.my || t.malay || getText(tx.my) || getText(tx.malay) || '',
+        // Added 'zh' (from constants)
+        cn: t.cn || t.chinese || t.zh || getText(tx.cn) || getText(tx.chinese) || getText(tx.zh) || '',
+        // Check category and categoryId
+        category: t.category || t.categoryId || 'General',
+        remark: t.remark || t.remarks || '',
+        status: t.status || 'draft',
+        // Ensure translations object is populated for AI consumption
+        translations: {
+            en: t.en || t.english || t.term || getText(tx.en) || getText(tx.english) || '',
+            my: t.my || t.malay || getText(tx.my) || getText(tx.malay) || '',
+            cn: t.cn || t.chinese || t.zh || getText(tx.cn) || getText(tx.chinese) || getText(tx.zh) || ''
+        }
+    }
+}
+
+// How a stale term update is merged
+const TERM_MERGE_OPTIONS = {
+    title: 'glossary term',
+    labels: { en: 'English', my: 'Malay', cn: 'Chinese', partOfSpeech: 'Part of speech' },
+    textFields: ['en', 'my', 'cn', 'remark', 'definition'],
+    normalize: normalizeTerm
+}
+
 const GlossaryContext = createContext(null)
 
 export function GlossaryProvider({ children }) {
     const { user } = useSafeAuth()
+    const { saveVersioned } = useConflicts()
     const [terms, setTerms] = useState([])
     const [categories, setCategories] = useState([])
     const [isLoading, setIsLoading] = useState(true)
@@ -47,38 +91,7 @@ export function GlossaryProvider({ children }) {
                 finalCategories = seeded
             }
 
-            // Normalize terms to ensure consistent field names (handle legacy data)
-            const normalizedTerms = firestoreTerms.map(t => {
-                const tx = t.translations || {}
-
-                // Helper to extract text from translation value (string or object with .text)
-                const getText = (val) => {
-                    if (!val) return ''
-                    // Handle Firestore Timestamp or unexpected objects? No, just check .text
-                    if (typeof val === 'object' && val.text) return val.text
-                    if (typeof val === 'string') return val
-                    return ''
-                }
-
-                return {
-                    ...t,
-                    // Check top-level first, then translations object (handling both string and object formats)
-                    en: t.en || t.english || t.term || getText(tx.en) || getText(tx.english) || '',
-                    my: t.my || t.malay || getText(tx.my) || getText(tx.malay) || '',
-                    // Added 'zh' (from constants)
-                    cn: t.cn || t.chinese || t.zh || getText(tx.cn) || getText(tx.chinese) || getText(tx.zh) || '',
-                    // Check category and categoryId
-                    category: t.category || t.categoryId || 'General',
-                    remark: t.remark || t.remarks || '',
-                    status: t.status || 'draft',
-                    // Ensure translations object is populated for AI consumption
-                    translations: {
-                        en: t.en || t.english || t.term || getText(tx.en) || getText(tx.english) || '',
-                        my: t.my || t.malay || getText(tx.my) || getText(tx.malay) || '',
-                        cn: t.cn || t.chinese || t.zh || getText(tx.cn) || getText(tx.chinese) || getText(tx.zh) || ''
-                    }
-                }
-            })
+            const normalizedTerms = firestoreTerms.map(normalizeTerm)
 
             setTerms(normalizedTerms)
             setCategories(finalCategories)
@@ -120,6 +133,7 @@ export function GlossaryProvider({ children }) {
             category: term.category || 'General',
             remark: term.remark || '',
             status: term.status || 'draft',
+            ...getTermDetails(term),
             createdBy: user ? {
                 uid: user.id || user.uid,
                 email: user.email,
@@ -146,7 +160,7 @@ export function GlossaryProvider({ children }) {
     // Batch add terms
     const addTerms = useCallback(async (newTerms) => {
         // Firebase auto-generates created/updated timestamps
-        // Only pass valid fields: en, my, cn, category, remark, status
+        // Only pass valid fields: en, my, cn, category, remark, status and TBX details
         const termDataArray = newTerms.map(term => ({
             en: term.en || '',
             my: term.my || '',
@@ -154,6 +168,7 @@ export function GlossaryProvider({ children }) {
             category: term.category || 'General',
             remark: term.remark || '',
             status: term.status || 'draft',
+            ...getTermDetails(term),
             createdBy: user ? {
                 uid: user.id || user.uid,
                 email: user.email,
@@ -176,11 +191,15 @@ export function GlossaryProvider({ children }) {
         const existingTerm = terms.find(t => t.id === id)
         try {
             // Logic: If editing content on Approved term, revert to Draft
-            const isContentEdit = Object.keys(updates).some(k => ['en', 'english', 'my', 'malay', 'cn', 'chinese', 'category', 'remark'].includes(k))
+            const isContentEdit = Object.keys(updates).some(k => ['en', 'english', 'my', 'malay', 'cn', 'chinese', 'category', 'remark', 'definition', 'partOfSpeech'].includes(k))
             const isStatusChange = 'status' in updates
             const isApproved = existingTerm.status === 'approved' || existingTerm.status === 'published'
 
             let finalUpdates = { ...updates }
+            // A cleared definition / part of speech is removed from the term
+            for (const key of ['definition', 'partOfSpeech']) {
+                if (key in finalUpdates) finalUpdates[key] = finalUpdates[key]?.trim() || null
+            }
             if (isContentEdit && !isStatusChange && isApproved) {
                 finalUpdates.status = 'draft'
             }
@@ -194,10 +213,24 @@ export function GlossaryProvider({ children }) {
                 }
             }
 
-            await dbService.updateGlossaryTerm(id, finalUpdates)
+            // Checked against the version this client loaded; stale edits are merged
+            const result = await saveVersioned({
+                save: (termUpdates, version) => dbService.updateGlossaryTerm(id, termUpdates, version),
+                base: existingTerm,
+                updates: finalUpdates,
+                version: existingTerm.version ?? 0,
+                ...TERM_MERGE_OPTIONS
+            })
+            if (!result.saved) {
+                setTerms(prev => prev.map(t => t.id === id ? result.latest : t))
+                toast.info("Your changes were discarded - the term shows the latest version")
+                return
+            }
+
             const updatedTerm = {
-                ...existingTerm,
-                ...finalUpdates,
+                ...(result.latest || existingTerm),
+                ...result.updates,
+                version: result.version,
                 dateModified: new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
             }
             setTerms(prev => prev.map(t => t.id === id ? updatedTerm : t))
@@ -209,7 +242,7 @@ export function GlossaryProvider({ children }) {
         } catch (error) {
             toast.error("Failed to update term")
         }
-    }, [terms, user])
+    }, [terms, user, saveVersioned])
 
     // Approve a term (Manager only)
     const approveTerm = useCallback(async (id) => {
@@ -227,11 +260,22 @@ export function GlossaryProvider({ children }) {
                 approvedAt: new Date().toISOString()
             }
 
-            await dbService.updateGlossaryTerm(id, approvalData)
+            const result = await saveVersioned({
+                save: (termUpdates, version) => dbService.updateGlossaryTerm(id, termUpdates, version),
+                base: existingTerm,
+                updates: approvalData,
+                version: existingTerm.version ?? 0,
+                ...TERM_MERGE_OPTIONS
+            })
+            if (!result.saved) {
+                setTerms(prev => prev.map(t => t.id === id ? result.latest : t))
+                return
+            }
 
             const updatedTerm = {
-                ...existingTerm,
-                ...approvalData
+                ...(result.latest || existingTerm),
+                ...result.updates,
+                version: result.version
             }
 
             setTerms(prev => prev.map(t => t.id === id ? updatedTerm : t))
@@ -245,7 +289,7 @@ export function GlossaryProvider({ children }) {
         } catch (error) {
             toast.error("Failed to approve term")
         }
-    }, [terms, user])
+    }, [terms, user, saveVersioned])
 
     // Delete a term (with Firestore sync)
     const deleteTerm = useCallback(async (id) => {
@@ -98,6 +98,7 @@ export function ProjectProvider({ children }) {
         getProject: data.getProject,
         addProject: data.addProject,
         updateProject: data.updateProject,
+        saveProjectSettings: data.saveProjectSettings,
         deleteProject: data.deleteProject,
         stats: data.stats,
 
@@ -107,10 +108,12 @@ export function ProjectProvider({ children }) {
         updateProjectRows: data.updateProjectRows,
         addProjectRows: data.addProjectRows,
         recomputeProjectStats: data.recomputeProjectStats,
+        recheckProjectQA: data.recheckProjectQA,
 
         // Pages
         getProjectPages: data.getProjectPages,
         getPageRows: data.getPageRows,
+        watchPageRows: data.watchPageRows,
         getSelectedPageId: data.getSelectedPageId,
         selectPage: data.selectPage,
         addPageRows: data.addPageRows,
@@ -7,6 +7,7 @@ import { logAction, AUDIT_ACTIONS } from '@/api/firebase'
 import { toast } from "sonner"
 
 import { useAuth } from '@/context/DevAuthContext'
+import { useConflicts } from '@/context/ConflictContext'
 
 // Safe auth hook - returns null user if auth context not ready
 function useSafeAuth() {
@@ -23,6 +24,13 @@ const iconMap = {
     'MessageSquare': MessageSquare,
 }
 
+// How a stale template update is merged
+const TEMPLATE_MERGE_OPTIONS = {
+    title: 'prompt template',
+    textFields: ['name', 'description', 'prompt', 'tags'],
+    normalize: t => ({ ...t, icon: iconMap[t.iconName] || FileText })
+}
+
 // Feature flag - set to true to use Firestore
 
 
@@ -30,6 +38,7 @@ const PromptContext = createContext(null)
 
 export function PromptProvider({ children }) {
     const { user } = useSafeAuth()
+    const { saveVersioned } = useConflicts()
     const [templates, setTemplates] = useState([])
     const [isLoading, setIsLoading] = useState(true)
     const [dataSource, setDataSource] = useState('loading')
@@ -122,8 +131,21 @@ export function PromptProvider({ children }) {
                 } : {})
             }
 
-            await dbService.updateTemplate(id, updatesWithMeta)
-            const updatedTemplate = { ...existingTemplate, ...updatesWithMeta }
+            // Checked against the version this client loaded; stale edits are merged
+            const result = await saveVersioned({
+                save: (templateUpdates, version) => dbService.updateTemplate(id, templateUpdates, version),
+                base: existingTemplate,
+                updates: updatesWithMeta,
+                version: existingTemplate?.version ?? 0,
+                ...TEMPLATE_MERGE_OPTIONS
+            })
+            if (!result.saved) {
+                setTemplates(prev => prev.map(t => t.id === id ? result.latest : t))
+                toast.info("Your changes were discarded - the template shows the latest version")
+                return
+            }
+
+            const updatedTemplate = { ...(result.latest || existingTemplate), ...result.updates, version: result.version }
             setTemplates(prev => prev.map(t => t.id === id ? updatedTemplate : t))
 
             // Audit log - check if this is a publish action
@@ -137,7 +159,7 @@ export function PromptProvider({ children }) {
         } catch (error) {
             toast.error("Failed to update template")
         }
-    }, [templates, user])
+    }, [templates, user, saveVersioned])
 
     // Delete a template (with Firestore sync)
     const deleteTemplate = useCallback(async (id) => {
@@ -0,0 +1,78 @@
+import { useState, useEffect, useMemo, useCallback } from 'react'
+import { useAuth } from '@/context/DevAuthContext'
+import {
+    createCommentThread,
+    addThreadComment,
+    setThreadResolved,
+    subscribeToRowThreads,
+    subscribeToOpenThreads
+} from '@/api/firebase'
+
+/**
+ * Hook for the comment threads of one row
+ * @param {Object} target - { projectId, projectName, pageId, rowId }
+ * @returns {Object} { threads, startThread(lang, comment), reply(thread, comment), setResolved(thread, resolved) }
+ *   - comment is { text, mentions: [userId] }
+ */
+export function useRowComments({ projectId, projectName, pageId, rowId }) {
+    const { user } = useAuth()
+    const userId = user?.id || user?.uid
+    const [threads, setThreads] = useState([])
+
+    useEffect(() => {
+        setThreads([])
+        if (!projectId || !rowId) return undefined
+        return subscribeToRowThreads(projectId, rowId, setThreads)
+    }, [projectId, rowId])
+
+    const author = useMemo(() => user && { ...user, id: userId }, [user, userId])
+
+    const startThread = useCallback((lang, comment) => {
+        return createCommentThread({ projectId, projectName, pageId, rowId, lang }, comment, author)
+    }, [projectId, projectName, pageId, rowId, author])
+
+    const reply = useCallback((thread, comment) => addThreadComment(thread, comment, author), [author])
+
+    const setResolved = useCallback((thread, resolved) => setThreadResolved(thread.id, resolved, author), [author])
+
+    return { threads, startThread, reply, setResolved }
+}
+
+// Row ids are only unique within a project
+const getRowKey = (projectId, rowId) => `${projectId}/${rowId}`
+
+/**
+ * Hook for unresolved threads, to badge and filter rows
+ * @param {Object} options - { projectIds, enabled } - threads of these projects only
+ * @returns {Object} { openThreads, getOpenThreadCount(projectId, rowId, lang?), hasOpenThreads(projectId, rowId) }
+ */
+export function useOpenThreads({ projectIds = [], enabled = true } = {}) {
+    const [openThreads, setOpenThreads] = useState([])
+    const projectKey = [...new Set(projectIds.filter(Boolean))].sort().join(',')
+
+    useEffect(() => {
+        setOpenThreads([])
+        if (!enabled || !projectKey) return undefined
+        return subscribeToOpenThreads(projectKey.split(','), setOpenThreads)
+    }, [projectKey, enabled])
+
+    // { [projectId/rowId]: { total, [lang]: count } }
+    const countsByRow = useMemo(() => {
+        const counts = {}
+        openThreads.forEach(thread => {
+            const key = getRowKey(thread.projectId, thread.rowId)
+            const rowCounts = counts[key] || (counts[key] = { total: 0 })
+            rowCounts.total++
+            rowCounts[thread.lang] = (rowCounts[thread.lang] || 0) + 1
+        })
+        return counts
+    }, [openThreads])
+
+    const getOpenThreadCount = useCallback((projectId, rowId, lang) => {
+        return countsByRow[getRowKey(projectId, rowId)]?.[lang || 'total'] || 0
+    }, [countsByRow])
+
+    const hasOpenThreads = useCallback((projectId, rowId) => !!countsByRow[getRowKey(projectId, rowId)], [countsByRow])
+
+    return { openThreads, getOpenThreadCount, hasOpenThreads }
+}
@@ -0,0 +1,34 @@
+import { useState, useEffect, useCallback } from 'react'
+import { useAuth } from '@/context/DevAuthContext'
+import { subscribeToNotifications, markNotificationRead, markNotificationsRead } from '@/api/firebase'
+
+/**
+ * Hook for the current user's in-app notifications (live)
+ * @returns {Object} { notifications, unreadCount, markRead(notification), markAllRead() }
+ */
+export function useNotifications() {
+    const { user } = useAuth()
+    const userId = user?.id || user?.uid
+    const [notifications, setNotifications] = useState([])
+
+    useEffect(() => {
+        setNotifications([])
+        if (!userId) return undefined
+        return subscribeToNotifications(userId, setNotifications)
+    }, [userId])
+
+    const unreadCount = notifications.filter(notification => !notification.read).length
+
+    const markRead = useCallback((notification) => {
+        if (notification.read) return
+        markNotificationRead(notification.id).catch(() => { })
+    }, [])
+
+    const markAllRead = useCallback(() => {
+        const unreadIds = notifications.filter(notification => !notification.read).map(notification => notification.id)
+        if (unreadIds.length === 0) return
+        markNotificationsRead(unreadIds).catch(() => { })
+    }, [notifications])
+
+    return { notifications, unreadCount, markRead, markAllRead }
+}
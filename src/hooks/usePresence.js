@@ -0,0 +1,76 @@
+import { useState, useEffect, useMemo, useCallback } from 'react'
+import { useAuth } from '@/context/DevAuthContext'
+import { updatePresence, clearPresence, subscribeToPresence, PRESENCE_TIMEOUT_MS } from '@/api/firebase'
+
+// How often our own presence is refreshed (well within PRESENCE_TIMEOUT_MS)
+const HEARTBEAT_MS = 30 * 1000
+
+/**
+ * Hook for live presence on a project page
+ * Publishes which row the current user is viewing / editing and lists the other
+ * people on the same page. A row someone else is editing is soft-locked: editing
+ * it is still possible, but the UI should warn first.
+ * @param {string} projectId
+ * @param {string} pageId
+ * @param {Object} activity - { viewingRowId, editingRowId } of the current user
+ */
+export function usePresence(projectId, pageId, { viewingRowId = null, editingRowId = null } = {}) {
+    const { user } = useAuth()
+    const userId = user?.id || user?.uid
+    const [entries, setEntries] = useState([])
+    const [now, setNow] = useState(() => Date.now())
+
+    // Everyone present in the project
+    useEffect(() => {
+        if (!projectId || !userId) return undefined
+        return subscribeToPresence(projectId, setEntries)
+    }, [projectId, userId])
+
+    // Publish our state whenever it changes, then keep it alive with a heartbeat
+    useEffect(() => {
+        if (!projectId || !userId || !pageId) return undefined
+
+        const publish = () => {
+            updatePresence(projectId, { ...user, id: userId }, { pageId, viewingRowId, editingRowId }).catch(() => { })
+        }
+        publish()
+        const intervalId = setInterval(() => {
+            publish()
+            setNow(Date.now())
+        }, HEARTBEAT_MS)
+        return () => clearInterval(intervalId)
+    }, [projectId, pageId, userId, viewingRowId, editingRowId])
+
+    // Leave the project on unmount or when the tab closes
+    useEffect(() => {
+        if (!projectId || !userId) return undefined
+
+        const leave = () => {
+            clearPresence(projectId, userId).catch(() => { })
+        }
+        window.addEventListener('beforeunload', leave)
+        return () => {
+            window.removeEventListener('beforeunload', leave)
+            leave()
+        }
+    }, [projectId, userId])
+
+    // Other people on this page, without stale entries
+    const viewers = useMemo(() => entries.filter(entry =>
+        entry.userId !== userId &&
+        entry.pageId === pageId &&
+        now - entry.lastSeen < PRESENCE_TIMEOUT_MS
+    ), [entries, userId, pageId, now])
+
+    // People viewing or editing a row
+    const getRowViewers = useCallback((rowId) => {
+        return viewers.filter(entry => entry.viewingRowId === rowId || entry.editingRowId === rowId)
+    }, [viewers])
+
+    // The person editing a row, or null
+    const getRowLock = useCallback((rowId) => {
+        return viewers.find(entry => entry.editingRowId === rowId) || null
+    }, [viewers])
+
+    return { viewers, getRowViewers, getRowLock }
+}
@@ -1,11 +1,34 @@
 // useProjectData - Hook for managing project data with Firebase
-import { useState, useCallback, useEffect } from 'react'
+import { useState, useCallback, useEffect, useRef } from 'react'
 import * as dbService from '@/api/firebase'
 import { logAction, AUDIT_ACTIONS } from '@/api/firebase'
 import { toast } from 'sonner'
 import { useAuth } from '@/context/DevAuthContext'
+import { useConflicts } from '@/context/ConflictContext'
 import { LANGUAGES } from '@/lib/constants'
 import { ROLES } from '@/lib/permissions'
+import { checkRowQA, isSameQAResult } from '@/lib/qa-checks'
+import { resolveLengthLimits } from '@/lib/length-limits'
+import { getResourceKeyFields } from '@/lib/resource-files'
+
+// How a stale settings edit is merged - shown in the merge dialog
+const PROJECT_MERGE_OPTIONS = {
+    title: 'project',
+    labels: {
+        targetLanguages: 'Target languages',
+        tmSettings: 'Translation memory thresholds',
+        aiProvider: 'AI provider',
+        aiFallbackProviders: 'Fallback providers',
+        lengthLimits: 'Length limits'
+    },
+    textFields: ['name', 'description']
+}
+
+// QA result of a row under its project's target languages and length limits
+const getRowQAResult = (project, row) => {
+    const targetLanguages = project?.targetLanguages || ['my', 'zh']
+    return checkRowQA(row, targetLanguages, resolveLengthLimits(row, project))
+}
 
 /**
  * Manages project data loading and CRUD operations with Firebase
@@ -13,6 +36,7 @@ import { ROLES } from '@/lib/permissions'
  */
 export function useProjectData() {
     const { user, role } = useAuth()
+    const { saveVersioned } = useConflicts()
 
     // Helper to check if approval can be bypassed
     const canBypassApproval = (project) => {
@@ -30,6 +54,16 @@ export function useProjectData() {
     const [isLoading, setIsLoading] = useState(true)
     const [dataSource, setDataSource] = useState('loading')
 
+    // Version each row was last written at (or is being written at) by this client, so
+    // back-to-back writes like queued -> translating -> translated build on each other
+    // before the listener reports the new versions
+    const rowVersionsRef = useRef({})
+
+    // Pages with a live row listener ("projectId/pageId" -> latest listener rows, null
+    // until the first snapshot). The poll leaves their rows to the listener, so it
+    // never brings back stale rows or drops optimistic patches.
+    const watchedPagesRef = useRef(new Map())
+
     // Load data only when user is authenticated (Firestore rules require auth)
     useEffect(() => {
         if (!user) {
@@ -87,11 +121,12 @@ export function useProjectData() {
                                 } catch (migrationErr) {
                                 }
                             } else {
-                                // Load page rows normally
+                                // Load page rows normally (watched pages come from their listener)
                                 for (const page of pages) {
-                                    const pRows = await dbService.getPageRows(project.id, page.id)
+                                    const pRows = watchedPagesRef.current.get(`${project.id}/${page.id}`)
+                                        || await dbService.getPageRows(project.id, page.id)
                                     pageRows[page.id] = pRows || []
-                                    allProjectRows = [...allProjectRows, ...pRows]
+                                    allProjectRows = [...allProjectRows, ...pageRows[page.id]]
                                 }
                             }
 
@@ -114,7 +149,7 @@ export function useProjectData() {
                             allPagesData[project.id] = { pages, pageRows }
 
                             if (pages.length > 0) {
-                                setSelectedPageId(prev => ({ ...prev, [project.id]: pages[0].id }))
+                                setSelectedPageId(prev => prev[project.id] ? prev : { ...prev, [project.id]: pages[0].id })
                             }
                         } catch (err) {
                         }
@@ -122,7 +157,17 @@ export function useProjectData() {
 
                     setProjects(projectsWithStats)
                     setProjectRows(allRows)
-                    setProjectPages(allPagesData)
+                    setProjectPages(prev => {
+                        const next = { ...allPagesData }
+                        // Keep the rows of watched pages as they are in state
+                        watchedPagesRef.current.forEach((_, key) => {
+                            const [projectId, pageId] = key.split('/')
+                            const liveRows = prev[projectId]?.pageRows?.[pageId]
+                            if (!next[projectId] || !liveRows) return
+                            next[projectId] = { ...next[projectId], pageRows: { ...next[projectId].pageRows, [pageId]: liveRows } }
+                        })
+                        return next
+                    })
                     setDataSource('firestore')
                     // Projects loaded successfully
                 }
@@ -166,6 +211,34 @@ export function useProjectData() {
         return projectPages[projectId]?.pageRows?.[pageId] || []
     }, [projectPages])
 
+    // Keep a page's rows in sync with Firestore while it is open, so changes made
+    // by other users show up live. Returns the unsubscribe function.
+    const watchPageRows = useCallback((projectId, pageId) => {
+        if (dataSource !== 'firestore' || !projectId || !pageId) return undefined
+
+        const key = `${projectId}/${pageId}`
+        watchedPagesRef.current.set(key, null)
+        const unsubscribe = dbService.subscribeToPageRows(projectId, pageId, (rows) => {
+            if (watchedPagesRef.current.has(key)) watchedPagesRef.current.set(key, rows)
+            setProjectPages(prev => {
+                const projData = prev[projectId]
+                if (!projData) return prev
+
+                return {
+                    ...prev,
+                    [projectId]: {
+                        ...projData,
+                        pageRows: { ...projData.pageRows, [pageId]: rows }
+                    }
+                }
+            })
+        })
+        return () => {
+            unsubscribe()
+            watchedPagesRef.current.delete(key)
+        }
+    }, [dataSource])
+
     // Get currently selected page for a project
     const getSelectedPageId = useCallback((projectId) => {
         return selectedPageId[projectId] || null
@@ -176,17 +249,44 @@ export function useProjectData() {
         setSelectedPageId(prev => ({ ...prev, [projectId]: pageId }))
     }, [])
 
-    // Update a project
+    // Update a project's bookkeeping (last modifier, stats): written without a new
+    // version, so it never makes a settings edit stale. Settings go through saveProjectSettings
     const updateProject = useCallback((id, updates) => {
         setProjects(prev => prev.map(p =>
             p.id === id ? { ...p, ...updates } : p
         ))
 
         if (dataSource === 'firestore') {
-            dbService.updateProject(id, updates).catch(() => { })
+            dbService.touchProject(id, updates).catch(() => { })
         }
     }, [dataSource])
 
+    /**
+     * Save settings edited from `base` (the project as the dialog showed it) with a
+     * version check - changes saved by someone else since are merged, asking about
+     * settings both changed
+     * @returns {Promise<Object|null>} The saved project, null when the user discarded the edit
+     */
+    const saveProjectSettings = useCallback(async (id, base, updates) => {
+        if (dataSource !== 'firestore') {
+            updateProject(id, updates)
+            return { ...base, ...updates }
+        }
+
+        const result = await saveVersioned({
+            save: (projectUpdates, version) => dbService.updateProject(id, projectUpdates, version),
+            base,
+            updates,
+            version: base.version ?? 0,
+            ...PROJECT_MERGE_OPTIONS
+        })
+        const project = result.saved
+            ? { ...(result.latest || base), ...result.updates, version: result.version }
+            : result.latest
+        setProjects(prev => prev.map(p => p.id === id ? { ...p, ...project } : p))
+        return result.saved ? project : null
+    }, [dataSource, updateProject, saveVersioned])
+
     // Delete a project
     const deleteProject = useCallback((id) => {
         setProjects(prev => prev.filter(p => p.id !== id))
@@ -201,7 +301,124 @@ export function useProjectData() {
     }, [dataSource])
 
     // Update a single row
-    const updateProjectRow = useCallback(async (projectId, rowId, updates) => {
+    // Re-run QA checks when an update touches the source or a translation
+    const withQAResult = (projectId, row, updates) => {
+        const project = projects.find(p => p.id === projectId)
+        const targetLanguages = project?.targetLanguages || ['my', 'zh']
+        const contentKeys = ['en', 'source_text', 'translations', 'maxLength', 'maxWidth', 'category', ...targetLanguages]
+        // Nested paths ("translations.my") count as their top-level field
+        if (!row || !Object.keys(updates).some(k => contentKeys.includes(k.split('.')[0]))) return updates
+        return { ...updates, qa: getRowQAResult(project, { ...row, ...updates }) }
+    }
+
+    // QA result for an added row - only rows that arrive with translations are checked
+    const getInitialQAResult = (project, row) => {
+        const targetLanguages = project?.targetLanguages || ['my', 'zh']
+        const hasTranslation = targetLanguages.some(lang => (row.translations?.[lang]?.text || row[lang] || '').trim())
+        return hasTranslation ? getRowQAResult(project, row) : null
+    }
+
+    // Find a row in the page-specific or legacy flat rows
+    const findProjectRow = (projectId, rowId) => {
+        const pageRows = Object.values(projectPages[projectId]?.pageRows || {}).flat()
+        return pageRows.find(r => r.id === rowId) || (projectRows[projectId] || []).find(r => r.id === rowId)
+    }
+
+    // Version a row write is checked against - the version an edit started from
+    // (exact), or else the newest version this client knows of
+    const claimRowVersion = (rowId, version, exact = false) => {
+        const expected = exact ? version ?? 0 : Math.max(version ?? 0, rowVersionsRef.current[rowId] ?? 0)
+        rowVersionsRef.current[rowId] = expected + 1
+        return expected
+    }
+
+    // Apply fields to a row in both the page-specific and legacy flat rows
+    const patchRowState = (projectId, rowId, fields) => {
+        const patch = row => row.id === rowId ? { ...row, ...fields } : row
+        setProjectRows(prev => prev[projectId] ? { ...prev, [projectId]: prev[projectId].map(patch) } : prev)
+        setProjectPages(prev => {
+            const projData = prev[projectId]
+            if (!projData) return prev
+            const pageRows = Object.fromEntries(Object.entries(projData.pageRows || {}).map(([pageId, rows]) => [pageId, (rows || []).map(patch)]))
+            return { ...prev, [projectId]: { ...projData, pageRows } }
+        })
+    }
+
+    // How a stale row update is merged: legacy flat fields follow the merged translations
+    const getRowMergeOptions = (projectId) => {
+        const project = projects.find(p => p.id === projectId)
+        const targetLanguages = project?.targetLanguages || ['my', 'zh']
+        return {
+            title: 'row',
+            labels: {
+                source_text: 'Source text',
+                ...Object.fromEntries(Object.entries(LANGUAGES).map(([code, lang]) => [`translations.${code}`, lang.label]))
+            },
+            textFields: ['source_text', 'translations', 'remark', 'context'],
+            mirrors: {
+                en: 'source_text',
+                ...Object.fromEntries(targetLanguages.map(lang => [lang, `translations.${lang}`]))
+            },
+            prepare: (merged, latest) => withQAResult(projectId, latest, merged)
+        }
+    }
+
+    /**
+     * Write a row update with a version check. A stale update is merged into the
+     * latest row, asking the user about fields both sides changed.
+     * @param {Object} options - { expectedVersion, latest, revision: { source, restoredFrom } }
+     * @returns {Promise<Object|false>} The row as saved (with the merged update when it was
+     *   stale), false when the user discarded their changes
+     */
+    const saveRow = async (projectId, pageId, baseRow, updates, options = {}) => {
+        const { expectedVersion, latest = null, revision = {} } = options
+        const rowId = baseRow.id
+        try {
+            const result = await saveVersioned({
+                save: (rowUpdates, version) => pageId
+                    ? dbService.updatePageRow(projectId, pageId, rowId, rowUpdates, version, revision)
+                    : dbService.updateProjectRow(projectId, rowId, rowUpdates, version, revision),
+                base: baseRow,
+                updates,
+                version: expectedVersion,
+                latest,
+                ...getRowMergeOptions(projectId)
+            })
+
+            if (!result.saved) {
+                rowVersionsRef.current[rowId] = result.latest.version ?? 0
+                patchRowState(projectId, rowId, result.latest)
+                return false
+            }
+            rowVersionsRef.current[rowId] = result.version
+            patchRowState(projectId, rowId, result.latest
+                ? { ...result.latest, ...result.updates, version: result.version }
+                : { version: result.version })
+            return { ...(result.latest || baseRow), ...result.updates, version: result.version }
+        } catch (error) {
+            delete rowVersionsRef.current[rowId]
+            throw error
+        }
+    }
+
+    // options: { base, source, restoredFrom } - base is the row as the user saw it (an edit,
+    // a dialog or selection): the write is checked against its version, so a stale edit is
+    // merged instead of overwriting. source (ai, tm, manual, import, approval) is recorded
+    // in the revision history and inferred from the update when not given.
+    // Resolves to the row as saved, or false when the user discarded a merge
+    const updateProjectRow = useCallback(async (projectId, rowId, rowUpdates, options = {}) => {
+        const existingRow = findProjectRow(projectId, rowId)
+        const baseRow = options.base || existingRow
+        const updates = withQAResult(projectId, existingRow, rowUpdates)
+
+        // Logic: If editing content (en/my/zh) on an Approved/Review row, revert to Draft
+        // Unless the update itself explicitly sets the status (e.g. approval action).
+        // Part of the saved update, so the live listener does not bring the old status back
+        const isContentEdit = Object.keys(updates).some(k => ['en', 'my', 'zh', 'remark', 'remarks', 'translations'].includes(k))
+        if (isContentEdit && !('status' in updates) && ['approved', 'review', 'published'].includes(existingRow?.status)) {
+            updates.status = 'draft'
+        }
+
         // First, determine which page contains this row (BEFORE any state updates)
         let pageIdForRow = null
         const projectData = projectPages[projectId]
@@ -248,21 +465,9 @@ export function useProjectData() {
         // Update legacy flat rows
         setProjectRows(prev => ({
             ...prev,
-            [projectId]: (prev[projectId] || []).map(row => {
-                if (row.id !== rowId) return row
-
-                // Logic: If editing content on Approved row, revert to Draft
-                const isContentEdit = Object.keys(updates).some(k => ['en', 'my', 'zh', 'remark', 'remarks', 'translations'].includes(k))
-                const isStatusChange = 'status' in updates
-                const isApprovedOrReview = ['approved', 'review', 'published'].includes(row.status)
-
-                let finalUpdates = { ...updates }
-                if (isContentEdit && !isStatusChange && isApprovedOrReview) {
-                    finalUpdates.status = 'draft'
-                }
-
-                return { ...row, ...finalUpdates }
-            })
+            [projectId]: (prev[projectId] || []).map(row =>
+                row.id === rowId ? { ...row, ...updates } : row
+            )
         }))
 
         // Also update page-specific rows
@@ -277,23 +482,9 @@ export function useProjectData() {
                         ...projData,
                         pageRows: {
                             ...projData.pageRows,
-                            [pageIdForRow]: (projData.pageRows[pageIdForRow] || []).map(row => {
-                                if (row.id !== rowId) return row
-
-                                // Logic: If editing content (en/my/zh) on an Approved/Review row, revert to Draft
-                                // Unless the update itself explicitly sets the status (e.g. approval action)
-                                const isContentEdit = Object.keys(updates).some(k => ['en', 'my', 'zh', 'remark', 'remarks', 'translations'].includes(k))
-                                const isStatusChange = 'status' in updates
-                                const isApprovedOrReview = ['approved', 'review', 'published'].includes(row.status)
-
-                                let finalUpdates = { ...updates }
-                                if (isContentEdit && !isStatusChange && isApprovedOrReview) {
-                                    finalUpdates.status = 'draft'
-                                    // Also toast to inform user? Maybe too noisy.
-                                }
-
-                                return { ...row, ...finalUpdates }
-                            })
+                            [pageIdForRow]: (projData.pageRows[pageIdForRow] || []).map(row =>
+                                row.id === rowId ? { ...row, ...updates } : row
+                            )
                         }
                     }
                 }
@@ -301,24 +492,27 @@ export function useProjectData() {
         }
 
         // Sync to Firestore - use the pageId we already determined
+        // (no pageId: row is in the legacy flat structure)
         if (dataSource === 'firestore') {
-            if (pageIdForRow) {
-                // Row is in a page - use page-specific update
-                // Update page row
-                await dbService.updatePageRow(projectId, pageIdForRow, rowId, updates)
-            } else {
-                // Row is in legacy flat structure
-                // Update legacy row
-                await dbService.updateProjectRow(projectId, rowId, updates)
-            }
+            // A row this client never loaded has no version to check against
+            const expectedVersion = baseRow ? claimRowVersion(rowId, baseRow.version, !!options.base) : undefined
+            return saveRow(projectId, pageIdForRow, baseRow || { id: rowId }, updates, {
+                expectedVersion,
+                revision: { source: options.source, restoredFrom: options.restoredFrom }
+            })
         }
-    }, [dataSource, projectPages, projects, user, role, updateProject])
+        return { ...(existingRow || { id: rowId }), ...updates }
+    }, [dataSource, projectPages, projectRows, projects, user, role, updateProject, saveVersioned])
 
     // Update multiple rows at once
-    const updateProjectRows = useCallback((projectId, rowUpdates) => {
+    // rowUpdates: [{ id, changes, base }] - base is the row as the user saw it (a selection,
+    // a dialog), checked exactly like updateProjectRow's options.base
+    // options: { source } - see updateProjectRow
+    // Returns a promise settling once the rows are written (callers may ignore it)
+    const updateProjectRows = useCallback((projectId, rowUpdates, options = {}) => {
         // Enriched updates with Smart Approval and Metadata
         const enrichedUpdates = rowUpdates.map(u => {
-            const changes = { ...u.changes }
+            const changes = withQAResult(projectId, findProjectRow(projectId, u.id), { ...u.changes })
 
             // Smart Approval
             if (changes.status === 'review') {
@@ -389,18 +583,59 @@ export function useProjectData() {
             }
         })
 
-        // Sync to Firestore
+        // Sync to Firestore - each row checked against the version it was updated from
         if (dataSource === 'firestore') {
-            dbService.updateProjectRows(projectId, enrichedUpdates).catch(() => { })
+            const baseRows = Object.fromEntries(enrichedUpdates.map(u => [u.id, u.base || findProjectRow(projectId, u.id)]))
+            const versionedUpdates = enrichedUpdates.map(u => ({ ...u, version: claimRowVersion(u.id, baseRows[u.id]?.version, !!u.base) }))
+
+            const revision = { source: options.source }
+            const saving = dbService.updateProjectRows(projectId, versionedUpdates, revision)
+                .then(({ versions, conflicts }) => {
+                    Object.assign(rowVersionsRef.current, versions)
+                    // Stale rows are merged one at a time
+                    return conflicts.reduce((previous, conflict) => previous.then(() => {
+                        const update = versionedUpdates.find(u => u.id === conflict.id)
+                        const baseRow = baseRows[conflict.id] || conflict.current
+                        return saveRow(projectId, conflict.current.pageId, baseRow, update.changes, {
+                            expectedVersion: conflict.expectedVersion,
+                            latest: conflict.current,
+                            revision
+                        })
+                    }), Promise.resolve())
+                }, (error) => {
+                    versionedUpdates.forEach(u => { delete rowVersionsRef.current[u.id] })
+                    throw error
+                })
+            // Fire-and-forget callers are not told about failures
+            saving.catch(() => { })
+            return saving
         }
-    }, [dataSource, projects, user, role, updateProject])
+        return Promise.resolve()
+    }, [dataSource, projectPages, projectRows, projects, user, role, updateProject, saveVersioned])
+
+    // Re-run QA on every row of a project after its settings changed (target
+    // languages, length limits); only rows whose result changed are written
+    const recheckProjectQA = useCallback((projectId, project) => {
+        const rows = [
+            ...(projectRows[projectId] || []),
+            ...Object.values(projectPages[projectId]?.pageRows || {}).flat()
+        ]
+        const rowUpdates = rows
+            .map(row => ({ row, qa: getRowQAResult(project, row) }))
+            .filter(({ row, qa }) => !isSameQAResult(row.qa, qa))
+            .map(({ row, qa }) => ({ id: row.id, changes: { qa } }))
+
+        if (rowUpdates.length > 0) updateProjectRows(projectId, rowUpdates)
+        return rowUpdates.length
+    }, [projectPages, projectRows, updateProjectRows])
 
     // Add rows to a project
     const addProjectRows = useCallback(async (projectId, newRows) => {
         const rowsWithIds = newRows.map((row, idx) => ({
             ...row,
             id: row.id || `row_${Date.now()}_${idx}`,
-            status: row.status || 'pending'
+            status: row.status || 'pending',
+            qa: getInitialQAResult(projects.find(p => p.id === projectId), row)
         }))
 
         setProjectRows(prev => ({
@@ -428,14 +663,15 @@ export function useProjectData() {
         }
 
         return rowsWithIds
-    }, [dataSource])
+    }, [dataSource, projects])
 
     // Add rows to a specific page
     const addPageRows = useCallback(async (projectId, pageId, newRows) => {
         const rowsWithIds = newRows.map((row, idx) => ({
             ...row,
             id: row.id || `row_${Date.now()}_${idx}`,
-            status: row.status || 'pending'
+            status: row.status || 'pending',
+            qa: getInitialQAResult(projects.find(p => p.id === projectId), { ...row, pageId })
         }))
 
         setProjectPages(prev => ({
@@ -489,7 +725,7 @@ export function useProjectData() {
         }
 
         return rowsWithIds
-    }, [dataSource, user])
+    }, [dataSource, user, projects])
 
     // Delete rows
     const deleteRows = useCallback(async (projectId, rowIds, currentPageId) => {
@@ -538,7 +774,7 @@ export function useProjectData() {
 
     // Add a new project
     const addProject = useCallback(async (project) => {
-        const { sheets, ...projectMeta } = project
+        const { sheets, sourceFiles, ...projectMeta } = project
 
         const projectData = {
             ...projectMeta,
@@ -586,8 +822,14 @@ export function useProjectData() {
                     for (const [index, sheetName] of sheetNames.entries()) {
                         const rows = sheets[sheetName]
 
-                        // Create Page
-                        const page = await dbService.addProjectPage(createdProjectId, { name: sheetName })
+                        // Create Page, keeping the original document for layout-preserving export
+                        const sourceFile = sourceFiles?.[sheetName]
+                            ? await dbService.saveSourceFile(createdProjectId, sourceFiles[sheetName])
+                            : null
+                        const page = await dbService.addProjectPage(createdProjectId, {
+                            name: sheetName,
+                            ...(sourceFile && { sourceFile })
+                        })
                         if (index === 0) firstPageId = page.id
 
                         // Add Rows - map import columns to schema
@@ -596,7 +838,15 @@ export function useProjectData() {
                             // Detect standard languages from constants
                             Object.keys(LANGUAGES).forEach(code => {
                                 if (code === 'en') return // Source
-                                if (row[code]) {
+                                // XLIFF imports carry per-language text and status
+                                const imported = row.translations?.[code]
+                                if (imported?.text) {
+                                    translations[code] = {
+                                        text: imported.text,
+                                        status: imported.status || 'draft',
+                                        remark: ''
+                                    }
+                                } else if (row[code]) {
                                     translations[code] = {
                                         text: row[code],
                                         status: 'draft',
@@ -609,13 +859,18 @@ export function useProjectData() {
                             const source_text = row.en || row.source_text || ""
 
                             return {
+                                ...(row.unitId && { unitId: row.unitId }), // XLIFF unit id, written back on export
+                                ...getResourceKeyFields(row), // Resource file keys (i18next, PO, Android, iOS)
+                                ...(row.sourceLocation && { sourceLocation: row.sourceLocation }), // Paragraph in the original document
                                 source_text,
                                 translations,
-                                status: 'draft',
+                                status: row.status || 'draft',
                                 context: row.context || "",
-                                promptId: row.promptId || ""
+                                promptId: row.promptId || "",
+                                category: row.category || "",
+                                maxLength: row.maxLength || null
                             }
-                        })
+                        }).map(row => ({ ...row, qa: getInitialQAResult(newProject, { ...row, pageId: page.id }) }))
                         const createdRows = await dbService.addPageRows(createdProjectId, page.id, cleanRows)
 
                         // Update Local State for Page with PocketBase-generated records
@@ -670,9 +925,9 @@ export function useProjectData() {
     const addProjectPage = useCallback(async (projectId, pageData, rows = []) => {
         if (dataSource === 'firestore') {
             const page = await dbService.addProjectPage(projectId, pageData)
-            if (rows.length > 0) {
-                await dbService.addPageRows(projectId, page.id, rows)
-            }
+            const savedRows = rows.length > 0
+                ? await dbService.addPageRows(projectId, page.id, rows.map(row => ({ ...row, qa: getInitialQAResult(projects.find(p => p.id === projectId), { ...row, pageId: page.id }) })))
+                : []
 
             // Audit log
             if (user) {
@@ -688,14 +943,14 @@ export function useProjectData() {
                     pages: [...(prev[projectId]?.pages || []), page],
                     pageRows: {
                         ...(prev[projectId]?.pageRows || {}),
-                        [page.id]: rows
+                        [page.id]: savedRows
                     }
                 }
             }))
             setSelectedPageId(prev => ({ ...prev, [projectId]: page.id }))
             return page
         }
-    }, [dataSource, user])
+    }, [dataSource, user, projects])
 
     // Delete a project page
     const deleteProjectPage = useCallback(async (projectId, pageId) => {
@@ -704,6 +959,10 @@ export function useProjectData() {
             const page = projectPages[projectId]?.pages.find(p => p.id === pageId)
 
             await dbService.deleteProjectPage(projectId, pageId)
+            // Orphaned originals only cost storage, so do not block the deletion
+            if (page?.sourceFile) {
+                dbService.deleteSourceFile(projectId, page.sourceFile.id).catch(err => console.error('Failed to delete original file', err))
+            }
 
             // Audit log
             if (user && page) {
@@ -802,6 +1061,7 @@ export function useProjectData() {
         getProject,
         addProject,
         updateProject,
+        saveProjectSettings,
         deleteProject,
         stats,
 
@@ -812,10 +1072,12 @@ export function useProjectData() {
         addProjectRows,
         deleteRows,
         recomputeProjectStats,
+        recheckProjectQA,
 
         // Pages
         getProjectPages,
         getPageRows,
+        watchPageRows,
         getSelectedPageId,
         selectPage,
         addPageRows,
@@ -1,6 +1,7 @@
 // useTranslation - Hook for managing translation queue and Gemini API calls
 import { useState, useCallback, useRef, useEffect } from 'react'
 import { toast } from 'sonner'
+import { toPromptGlossary } from '@/lib/glossary-utils'
 
 // Queue configuration
 const BATCH_SIZE = 10
@@ -57,13 +58,7 @@ export function useTranslation(updateRowsFn, fetchGlossaryFn) {
             const results = await ai.generateBatch(inputs, {
                 template,
                 targetLanguages, // Now dynamic
-                glossaryTerms: glossaryTerms.map(t => ({
-                    english: t.en || t.english,
-                    translations: {
-                        ms: t.my || t.malay,
-                        zh: t.cn || t.zh || t.chinese
-                    }
-                }))
+                glossaryTerms: toPromptGlossary(glossaryTerms, targetLanguages)
             })
 
             // Format results for row update (V2 Schema)
@@ -164,7 +159,7 @@ export function useTranslation(updateRowsFn, fetchGlossaryFn) {
                 }
 
                 const resultUpdates = results.map(r => ({ id: r.id, changes: r }))
-                updateRowsFn(batch.projectId, resultUpdates)
+                updateRowsFn(batch.projectId, resultUpdates, { source: 'ai' })
 
             } catch (error) {
                 const errorUpdates = batch.rows.map(r => ({ id: r.id, changes: { status: 'error' } }))
@@ -0,0 +1,108 @@
+/**
+ * Utility functions for daily AI usage quotas
+ *
+ * Limits apply per day to each user, each project and each provider, counted
+ * in translated rows and/or tokens. A limit of null (or 0) means unlimited.
+ */
+
+// Quota scopes, in the order they are checked
+export const QUOTA_SCOPES = {
+    user: 'User',
+    project: 'Project',
+    provider: 'Provider'
+}
+
+// Counted units
+export const QUOTA_UNITS = {
+    rows: 'rows',
+    tokens: 'tokens'
+}
+
+export const DEFAULT_QUOTA_SETTINGS = {
+    limits: {
+        user: { rows: null, tokens: null },
+        project: { rows: null, tokens: null },
+        provider: { rows: null, tokens: null }
+    },
+    warnThreshold: 80 // Percent of a limit at which the remaining budget is shown
+}
+
+/**
+ * Merge stored settings over the defaults
+ * @param {Object} settings
+ */
+export function getQuotaSettings(settings) {
+    const limits = {}
+    Object.keys(QUOTA_SCOPES).forEach(scope => {
+        limits[scope] = { ...DEFAULT_QUOTA_SETTINGS.limits[scope], ...(settings?.limits?.[scope] || {}) }
+    })
+    return {
+        ...DEFAULT_QUOTA_SETTINGS,
+        ...(settings || {}),
+        limits
+    }
+}
+
+/**
+ * Quota day (UTC), so every client and the server agree on when a day resets
+ * @param {Date} date
+ */
+export function getQuotaDay(date = new Date()) {
+    return date.toISOString().slice(0, 10)
+}
+
+/**
+ * Counter document id for a scope + id + day
+ * @param {string} scope - One of QUOTA_SCOPES
+ * @param {string} id - User id, project id or provider id
+ * @param {string} day - See getQuotaDay
+ */
+export function getQuotaKey(scope, id, day = getQuotaDay()) {
+    // Firestore ids cannot contain "/"
+    return `${scope}_${String(id).replace(/\//g, '_')}_${day}`
+}
+
+/**
+ * Compare today's usage with the configured limits
+ * @param {Object} settings - Quota settings (see getQuotaSettings)
+ * @param {Object} usage - { [scope]: { rows, tokens } } used today
+ * @param {number} rows - Rows about to be translated (0 for a status check)
+ * @returns {{ exceeded: Object|null, warnings: Array }} Each entry is
+ *   { scope, unit, used, limit, remaining }. exceeded is the first limit the
+ *   request would break; warnings lists limits past the warn threshold.
+ */
+export function evaluateQuota(settings, usage, rows = 0) {
+    const { limits, warnThreshold } = getQuotaSettings(settings)
+    let exceeded = null
+    const warnings = []
+
+    Object.keys(QUOTA_SCOPES).forEach(scope => {
+        if (!usage?.[scope]) return
+
+        Object.keys(QUOTA_UNITS).forEach(unit => {
+            const limit = Number(limits[scope]?.[unit]) || 0
+            if (limit <= 0) return
+
+            const used = usage[scope][unit] || 0
+            const entry = { scope, unit, used, limit, remaining: Math.max(0, limit - used) }
+
+            // Tokens are only known afterwards, so a request is allowed while any budget is left
+            const isOver = unit === 'rows' && rows > 0 ? used + rows > limit : used >= limit
+            if (isOver) {
+                if (!exceeded) exceeded = entry
+            } else if (used / limit * 100 >= warnThreshold) {
+                warnings.push(entry)
+            }
+        })
+    })
+
+    return { exceeded, warnings }
+}
+
+/**
+ * Short description of a quota entry, e.g. "Project: 120 of 500 rows left today"
+ * @param {Object} entry - From evaluateQuota
+ */
+export function formatQuotaEntry(entry) {
+    return `${QUOTA_SCOPES[entry.scope]}: ${entry.remaining.toLocaleString()} of ${entry.limit.toLocaleString()} ${entry.unit} left today`
+}
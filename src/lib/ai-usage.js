@@ -0,0 +1,125 @@
+/**
+ * Utility functions for AI token usage and cost accounting
+ *
+ * Providers report usage in different shapes (Gemini `usageMetadata`,
+ * OpenAI-compatible `usage`); everything is normalized to
+ * { promptTokens, completionTokens, totalTokens } before it is stored.
+ */
+
+// Rough characters-per-token ratio, used when a provider reports no usage
+const CHARS_PER_TOKEN = 4
+
+// Dashboard grouping options
+export const USAGE_GROUPS = {
+    day: 'Day',
+    project: 'Project',
+    user: 'User',
+    provider: 'Provider'
+}
+
+/**
+ * Normalize provider usage data
+ * @param {Object} response - Gemini response/chunk or OpenAI-compatible response/chunk
+ * @returns {{ promptTokens: number, completionTokens: number, totalTokens: number } | null}
+ */
+export function parseUsageStats(response) {
+    const gemini = response?.usageMetadata
+    if (gemini) {
+        const promptTokens = gemini.promptTokenCount || 0
+        // Thinking tokens are billed as output
+        const completionTokens = (gemini.candidatesTokenCount || 0) + (gemini.thoughtsTokenCount || 0)
+        return {
+            promptTokens,
+            completionTokens,
+            totalTokens: gemini.totalTokenCount || promptTokens + completionTokens
+        }
+    }
+
+    const openai = response?.usage
+    if (openai) {
+        const promptTokens = openai.prompt_tokens || 0
+        const completionTokens = openai.completion_tokens || 0
+        return {
+            promptTokens,
+            completionTokens,
+            totalTokens: openai.total_tokens || promptTokens + completionTokens
+        }
+    }
+
+    return null
+}
+
+/**
+ * Approximate usage from text length (for endpoints that do not report usage)
+ * @param {string} promptText
+ * @param {string} completionText
+ */
+export function estimateUsage(promptText, completionText) {
+    const promptTokens = Math.ceil((promptText || '').length / CHARS_PER_TOKEN)
+    const completionTokens = Math.ceil((completionText || '').length / CHARS_PER_TOKEN)
+    return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens, estimated: true }
+}
+
+/**
+ * Estimated cost of a usage record
+ * @param {Object} record - { model, provider, promptTokens, completionTokens }
+ * @param {Object} pricing - { [model or provider]: { input, output } } price per 1k tokens
+ * @returns {number|null} null if no price is configured
+ */
+export function estimateCost(record, pricing = {}) {
+    const price = pricing[record.model] || pricing[record.provider]
+    if (!price) return null
+    return ((record.promptTokens || 0) / 1000) * (Number(price.input) || 0)
+        + ((record.completionTokens || 0) / 1000) * (Number(price.output) || 0)
+}
+
+// Group key for a record
+function getGroupKey(record, groupBy) {
+    switch (groupBy) {
+        case 'day': {
+            const date = record.timestamp instanceof Date ? record.timestamp : new Date(record.timestamp || 0)
+            return date.toISOString().slice(0, 10)
+        }
+        case 'project':
+            return record.projectId || ''
+        case 'user':
+            return record.userId || ''
+        case 'provider':
+            return record.provider || ''
+        default:
+            return ''
+    }
+}
+
+/**
+ * Aggregate usage records
+ * @param {Array} records - Usage records
+ * @param {string} groupBy - One of USAGE_GROUPS
+ * @param {Object} pricing - Price table (see estimateCost)
+ * @returns {Array} [{ key, requests, promptTokens, completionTokens, totalTokens, cost }]
+ *   Day groups are sorted newest first, others by total tokens. cost is null
+ *   when none of the group's records has a price.
+ */
+export function summarizeUsage(records, groupBy, pricing = {}) {
+    const groups = new Map()
+
+    records.forEach(record => {
+        const key = getGroupKey(record, groupBy)
+        if (!groups.has(key)) {
+            groups.set(key, { key, requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: null })
+        }
+        const group = groups.get(key)
+        group.requests++
+        group.promptTokens += record.promptTokens || 0
+        group.completionTokens += record.completionTokens || 0
+        group.totalTokens += record.totalTokens || 0
+
+        const cost = estimateCost(record, pricing)
+        if (cost !== null) group.cost = (group.cost || 0) + cost
+    })
+
+    const summary = [...groups.values()]
+    return groupBy === 'day'
+        ? summary.sort((a, b) => b.key.localeCompare(a.key))
+        : summary.sort((a, b) => b.totalTokens - a.totalTokens)
+}
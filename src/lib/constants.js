@@ -78,11 +78,11 @@ export const STATUS_FILTER_OPTIONS = [
 // ============================================
 
 export const LANGUAGES = {
-    en: { id: 'en', code: 'en', label: 'English', nativeLabel: 'English', direction: 'ltr' },
-    my: { id: 'my', code: 'my', label: 'Bahasa Malaysia', nativeLabel: 'Bahasa Malaysia', direction: 'ltr' },
-    zh: { id: 'zh', code: 'zh', label: 'Simplified Chinese', nativeLabel: '简体中文', direction: 'ltr' },
+    en: { id: 'en', code: 'en', label: 'English', nativeLabel: 'English', direction: 'ltr', locale: 'en' },
+    my: { id: 'my', code: 'my', label: 'Bahasa Malaysia', nativeLabel: 'Bahasa Malaysia', direction: 'ltr', locale: 'ms-MY' },
+    zh: { id: 'zh', code: 'zh', label: 'Simplified Chinese', nativeLabel: '简体中文', direction: 'ltr', locale: 'zh-CN' },
     // Future languages can be added here:
-    // ja: { id: 'ja', code: 'ja', label: 'Japanese', nativeLabel: '日本語', direction: 'ltr' },
+    // ja: { id: 'ja', code: 'ja', label: 'Japanese', nativeLabel: '日本語', direction: 'ltr', locale: 'ja-JP' },
 }
 
 // Default source language (can be overridden per project)
@@ -105,6 +105,24 @@ export const getNativeLabel = (code) => {
     return LANGUAGES[code]?.nativeLabel || LANGUAGES[code]?.label || code
 }
 
+// BCP 47 tag used in exchange files (XLIFF etc.) - our codes are not all standard ('my' is Malay here)
+export const getLocaleTag = (code) => {
+    return LANGUAGES[code]?.locale || code
+}
+
+// Language code for a BCP 47 tag from an exchange file ('ms-MY', 'ms', 'zh_CN' ...), null if unsupported
+export const getLanguageCodeFromLocale = (tag) => {
+    if (!tag) return null
+    const normalized = String(tag).trim().replace(/_/g, '-').toLowerCase()
+    const primary = normalized.split('-')[0]
+    const languages = Object.values(LANGUAGES)
+    const match = languages.find(l => l.locale?.toLowerCase() === normalized)
+        || languages.find(l => l.code === normalized)
+        || languages.find(l => l.locale?.toLowerCase().split('-')[0] === primary)
+        || languages.find(l => l.code === primary)
+    return match?.code || null
+}
+
 
 // ============================================
 // DESIGN TOKENS
@@ -4,11 +4,10 @@
  */
 import mammoth from 'mammoth';
 import { Document, Packer, Paragraph, TextRun, HeadingLevel, Table, TableRow, TableCell, WidthType } from 'docx';
-import JSZip from 'jszip';
 import PptxGenJS from 'pptxgenjs';
-import { xml2js } from 'xml-js';
 import * as pdfjsLib from 'pdfjs-dist';
 import { LANGUAGES } from '@/lib/constants';
+import { extractLayoutSegments } from '@/lib/office-layout';
 
 // Set worker source for PDF.js - Use local public file to avoid CDN CORS/version issues
 pdfjsLib.GlobalWorkerOptions.workerSrc = '/pdf.worker.min.mjs';
@@ -102,22 +101,17 @@ export async function parseDocxFile(file) {
                 const arrayBuffer = e.target.result;
 
                 // Use mammoth to extract raw text and HTML
-                const [textResult, htmlResult] = await Promise.all([
+                const [textResult, htmlResult, segments] = await Promise.all([
                     mammoth.extractRawText({ arrayBuffer }),
-                    mammoth.convertToHtml({ arrayBuffer })
+                    mammoth.convertToHtml({ arrayBuffer }),
+                    extractLayoutSegments('docx', arrayBuffer)
                 ]);
 
-                // Split text into paragraphs (non-empty lines)
-                const paragraphs = textResult.value
-                    .split('\n')
-                    .map(line => line.trim())
-                    .filter(line => line.length > 0);
-
-                // Create entries for each paragraph
-                const entries = paragraphs.map((text, index) => ({
+                // One entry per paragraph (body, tables, headers/footers, notes),
+                // remembering where it sits in the original for the layout export
+                const entries = segments.map((segment, index) => ({
                     id: `docx_${Date.now()}_${index}`,
-                    en: text,
-                    order: index,
+                    ...segment,
                     translations: {}
                 }));
 
@@ -294,120 +288,32 @@ export async function exportToDocx(rows, filename, options = {}) {
 }
 
 /**
- * Parse a PPTX file and extract text content from slides
+ * Parse a PPTX file and extract text content from slides, speaker notes and layouts
  * @param {File} file - The PPTX file to parse
  * @returns {Promise<Object>} Parsed content
  */
 export async function parsePptxFile(file) {
-    return new Promise(async (resolve, reject) => {
-        try {
-            const zip = new JSZip();
-            const content = await zip.loadAsync(file);
-
-            // Find all slide files
-            const slideFiles = Object.keys(content.files)
-                .filter(name => name.match(/ppt\/slides\/slide\d+\.xml/))
-                .sort((a, b) => {
-                    // Sort by slide number: slide1, slide2, slide10
-                    const numA = parseInt(a.match(/slide(\d+)\.xml/)[1]);
-                    const numB = parseInt(b.match(/slide(\d+)\.xml/)[1]);
-                    return numA - numB;
-                });
-
-            const entries = [];
-            let globalIndex = 0;
-
-            for (const slideName of slideFiles) {
-                const slideXml = await content.files[slideName].async('text');
-                const result = xml2js(slideXml, { compact: true, ignoreComment: true, alwaysChildren: true });
-
-                // Helper to extract text recursively
-                const extractText = (node) => {
-                    let text = '';
-                    if (node._text) text += node._text;
-                    if (node['a:t']) { // Text tag in PPTX
-                        // Check if it has text content directly or in _text
-                        if (typeof node['a:t'] === 'string') text += node['a:t'];
-                        else if (node['a:t']._text) text += node['a:t']._text;
-                    }
-
-                    // Traverse children
-                    Object.keys(node).forEach(key => {
-                        if (key === '_attributes' || key === '_text') return;
-                        if (Array.isArray(node[key])) {
-                            node[key].forEach(child => text += extractText(child) + ' ');
-                        } else if (typeof node[key] === 'object') {
-                            text += extractText(node[key]) + ' ';
-                        }
-                    });
-                    return text;
-                };
-
-                // Traverse specific path for text bodies if possible, or just dump all text
-                // Structure: p:sp -> p:txBody -> a:p -> a:r -> a:t
-                // Using a simpler recursive finder on the whole XML handling widely varying structures
-
-                // We want to separate text by paragraphs (a:p)
-                // Let's find all <a:p> elements manually or via traversal
-
-                // Optimized extraction: Find all <a:p> tags which represent paragraphs
-                // This usually requires a proper XML traversal finding specific nodes
-                // For MVP, we'll try a regex approach on the XML string for simplicity and valid order?
-                // No, regex on XML is fragile. Let's iterate the JS object.
-
-                const slideText = [];
-                const findParagraphs = (node) => {
-                    if (node['a:p']) { // Found paragraph(s)
-                        const pList = Array.isArray(node['a:p']) ? node['a:p'] : [node['a:p']];
-                        pList.forEach(p => {
-                            // Extract text runs from this paragraph
-                            let pText = '';
-                            if (p['a:r']) {
-                                const rList = Array.isArray(p['a:r']) ? p['a:r'] : [p['a:r']];
-                                rList.forEach(r => {
-                                    if (r['a:t']) {
-                                        pText += (r['a:t']._text || '') + '';
-                                    }
-                                });
-                            }
-                            if (pText.trim()) slideText.push(pText.trim());
-                        });
-                    } else {
-                        Object.keys(node).forEach(key => {
-                            if (typeof node[key] === 'object' && node[key] !== null) {
-                                findParagraphs(node[key]);
-                            }
-                        });
-                    }
-                };
-
-                findParagraphs(result);
-
-                slideText.forEach(text => {
-                    entries.push({
-                        id: `pptx_${Date.now()}_${globalIndex}`,
-                        en: text,
-                        order: globalIndex,
-                        context: `Slide ${slideName.match(/slide(\d+)/)[1]}`,
-                        translations: {}
-                    });
-                    globalIndex++;
-                });
-            }
-
-            resolve({
-                type: 'pptx',
-                name: file.name.replace('.pptx', ''),
-                entries,
-                raw: '', // Not keeping raw XML
-                html: ''
-            });
-
-        } catch (error) {
-            console.error('[PPTX Parser] Error:', error);
-            reject(error);
-        }
-    });
+    try {
+        // One entry per paragraph of the slides, their speaker notes and slide layouts,
+        // remembering slide, shape and paragraph for the layout export
+        const segments = await extractLayoutSegments('pptx', file);
+        const entries = segments.map((segment, index) => ({
+            id: `pptx_${Date.now()}_${index}`,
+            ...segment,
+            translations: {}
+        }));
+
+        return {
+            type: 'pptx',
+            name: file.name.replace('.pptx', ''),
+            entries,
+            raw: '', // Not keeping raw XML
+            html: ''
+        };
+    } catch (error) {
+        console.error('[PPTX Parser] Error:', error);
+        throw error;
+    }
 }
 
 /**
@@ -477,7 +383,7 @@ export async function exportToPptx(rows, filename, options = {}) {
 /**
  * Detect file type from file extension
  * @param {File} file
- * @returns {'xlsx'|'docx'|'pptx'|'pdf'|'csv'|'unknown'}
+ * @returns {'xlsx'|'docx'|'pptx'|'pdf'|'csv'|'xliff'|'json'|'po'|'android'|'strings'|'xcstrings'|'unknown'}
  */
 export function detectFileType(file) {
     const name = file.name.toLowerCase();
@@ -486,16 +392,59 @@ export function detectFileType(file) {
     if (name.endsWith('.pptx')) return 'pptx';
     if (name.endsWith('.pdf')) return 'pdf';
     if (name.endsWith('.csv')) return 'csv';
+    if (name.endsWith('.xlf') || name.endsWith('.xliff')) return 'xliff';
+    // Glossaries (TermBase eXchange)
+    if (name.endsWith('.tbx')) return 'tbx';
+    // Software localization resource files
+    if (name.endsWith('.json')) return 'json';
+    if (name.endsWith('.po') || name.endsWith('.pot')) return 'po';
+    if (name.endsWith('.xml')) return 'android';
+    if (name.endsWith('.xcstrings')) return 'xcstrings';
+    if (name.endsWith('.strings')) return 'strings';
     return 'unknown';
 }
 
+// Local name of the first element of an XML document (prefix dropped)
+const getXmlRootName = (text) => text
+    .replace(/<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>[]*(\[[\s\S]*?\])?\s*>/gi, '')
+    .match(/<(?:[\w.-]+:)?([\w.-]+)[\s/>]/)?.[1] || null;
+
+/**
+ * Detect file type, reading the content of .json and .xml files: both extensions
+ * are shared by several formats, so their root element / keys decide
+ * @param {File} file
+ * @returns {Promise<string>} See detectFileType
+ */
+export async function sniffFileType(file) {
+    const type = detectFileType(file);
+    if (type !== 'json' && type !== 'android') return type;
+
+    const head = await file.slice(0, 4096).text();
+    if (type === 'android') {
+        const root = getXmlRootName(head);
+        if (root === 'xliff') return 'xliff';
+        if (root === 'resources') return 'android';
+        if (root === 'tbx' || root === 'martif') return 'tbx';
+        return 'unknown';
+    }
+
+    // Apple String Catalogs are JSON too
+    try {
+        const data = JSON.parse(await file.text());
+        if (data && typeof data.strings === 'object' && 'sourceLanguage' in data && 'version' in data) return 'xcstrings';
+    } catch (e) {
+        // Invalid JSON is reported by the parser
+    }
+    return 'json';
+}
+
 /**
  * Unified file parser that routes to the appropriate parser
  * @param {File} file
  * @returns {Promise<Object>} Parsed content
  */
 export async function parseFile(file) {
-    const type = detectFileType(file);
+    const type = await sniffFileType(file);
 
     switch (type) {
         case 'docx':
@@ -510,6 +459,19 @@ export async function parseFile(file) {
             return parseExcelFile(file);
         case 'pptx':
             return parsePptxFile(file);
+        case 'xliff':
+            const { parseXliffFile } = await import('@/lib/xliff');
+            return parseXliffFile(file);
+        case 'json':
+        case 'po':
+        case 'android':
+        case 'strings':
+        case 'xcstrings':
+            const { parseResourceFile } = await import('@/lib/resource-files');
+            return parseResourceFile(file, type);
+        case 'tbx':
+            // Glossary terms, not project rows - see parseTbxFile
+            throw new Error(`${file.name} is a TBX glossary: import it from the Glossary page`);
         default:
             throw new Error(`Unsupported file type: ${file.name}`);
     }
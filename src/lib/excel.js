@@ -81,10 +81,14 @@ export async function parseExcelFile(file) {
                         headerMap[lang.nativeLabel.toLowerCase()] = lang.code
                     })
 
+                    // Length limit column (characters per translation)
+                    const maxLengthHeaders = ['max length', 'maxlength', 'max chars', 'max characters', 'character limit', 'char limit']
+
                     // Normalize headers
                     const normalizedHeaders = headers.map(h => {
                         // Direct match
                         if (headerMap[h]) return headerMap[h]
+                        if (maxLengthHeaders.includes(h)) return 'maxLength'
 
                         // Partial match logic
                         if (h.includes('english') || h.includes('source')) return 'en'
@@ -123,10 +127,13 @@ export async function parseExcelFile(file) {
                             if ((header === 'remark' || header === 'remarks' || header === 'note' || header === 'notes') && row[idx]) {
                                 entry.remark = String(row[idx]).trim()
                             }
+                            if (header === 'maxLength' && Number(row[idx]) > 0) {
+                                entry.maxLength = Math.floor(Number(row[idx]))
+                            }
                         })
 
                         // Only add if at least one field has content
-                        const hasContent = Object.keys(entry).some(k => k !== 'rowIndex' && k !== 'category' && k !== 'remark')
+                        const hasContent = Object.keys(entry).some(k => !['rowIndex', 'category', 'remark', 'maxLength'].includes(k))
                         if (hasContent) {
                             entries.push(entry)
                         }
@@ -8,6 +8,78 @@ export function escapeRegex(str) {
     return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
 }
 
+// Map language codes to possible field names on a glossary term (check multiple)
+const GLOSSARY_FIELDS = {
+    en: ['en', 'english'],
+    my: ['my', 'malay'],
+    zh: ['cn', 'chinese', 'zh']
+}
+
+/**
+ * Value of a glossary term in one language
+ * @param {Object} term - Glossary term
+ * @param {string} languageCode - Language code (en, my, zh)
+ * @returns {string|null}
+ */
+export function getGlossaryTermValue(term, languageCode) {
+    for (const field of GLOSSARY_FIELDS[languageCode] || []) {
+        if (term?.[field]?.trim()) return term[field].trim()
+    }
+    return null
+}
+
+/**
+ * Glossary in the shape AI providers expect, keyed by project language codes
+ * @param {Array} glossaryTerms - List of glossary terms
+ * @param {Array} targetLanguages - Language codes to include
+ * @returns {Array} [{ english, translations: { [lang]: text } }]
+ */
+export function toPromptGlossary(glossaryTerms, targetLanguages = ['my', 'zh']) {
+    return (glossaryTerms || [])
+        .map(term => {
+            const translations = {}
+            targetLanguages.forEach(lang => {
+                const value = getGlossaryTermValue(term, lang)
+                if (value) translations[lang] = value
+            })
+            return { english: getGlossaryTermValue(term, 'en'), translations }
+        })
+        .filter(term => term.english && Object.keys(term.translations).length > 0)
+}
+
+/**
+ * Glossary terms found in the source that a translation does not use
+ * @param {string} sourceText - English source
+ * @param {Object} translations - { [lang]: { text } } or { [lang]: text }
+ * @param {Array} glossaryTerms - List of glossary terms
+ * @param {Array} targetLanguages - Language codes to verify
+ * @returns {Array} [{ lang, term, expected }] (term = English glossary term)
+ */
+export function findGlossaryViolations(sourceText, translations, glossaryTerms, targetLanguages) {
+    const violations = []
+    const matches = findGlossaryMatches(sourceText, glossaryTerms, 'en')
+    if (matches.length === 0) return violations
+
+    const seen = new Set()
+    for (const match of matches) {
+        const english = getGlossaryTermValue(match.term, 'en')
+        for (const lang of targetLanguages) {
+            const expected = getGlossaryTermValue(match.term, lang)
+            const key = `${lang}:${english}`
+            if (!expected || seen.has(key)) continue
+            seen.add(key)
+
+            const translation = translations?.[lang]
+            const text = typeof translation === 'string' ? translation : translation?.text || ''
+            if (findGlossaryMatches(text, [match.term], lang).length === 0) {
+                violations.push({ lang, term: english, expected })
+            }
+        }
+    }
+
+    return violations
+}
+
 /**
  * Find glossary matches in text
  * @param {string} text - The text to search in
@@ -18,14 +90,7 @@ export function escapeRegex(str) {
 export function findGlossaryMatches(text, glossaryTerms, languageCode) {
     if (!text || !glossaryTerms || glossaryTerms.length === 0) return []
 
-    // Map language codes to possible field names (check multiple)
-    const fieldMap = {
-        en: ['en', 'english'],
-        my: ['my', 'malay'],
-        zh: ['cn', 'chinese', 'zh']
-    }
-    const fields = fieldMap[languageCode]
-    if (!fields) return []
+    if (!GLOSSARY_FIELDS[languageCode]) return []
 
     const matches = []
 
@@ -33,15 +98,7 @@ export function findGlossaryMatches(text, glossaryTerms, languageCode) {
     // but we could if needed. For strictly finding matches:
 
     for (const term of glossaryTerms) {
-        // Try multiple field names
-        let termValue = null
-        for (const field of fields) {
-            if (term[field]?.trim()) {
-                termValue = term[field].trim()
-                break
-            }
-        }
-
+        const termValue = getGlossaryTermValue(term, languageCode)
         if (!termValue) continue
 
         const pattern = languageCode === 'zh'
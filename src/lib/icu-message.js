@@ -0,0 +1,397 @@
+/**
+ * ICU MessageFormat
+ * Parser and printer for messages like `{count, plural, one {# item} other {# items}}`,
+ * structure checks between a source and its translation, and the per-category
+ * model used by the plural editor. Plural categories come from the CLDR rules
+ * built into Intl.PluralRules.
+ */
+import { getLocaleTag } from '@/lib/constants'
+
+// CLDR order, used to sort categories for display
+export const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other']
+
+const SELECT_TYPES = ['plural', 'selectordinal', 'select']
+const SIMPLE_TYPES = ['number', 'date', 'time', 'spellout', 'ordinal', 'duration']
+
+// Messages with plural/select arguments - plain {name} placeholders are not treated as ICU
+const ICU_PATTERN = /\{\s*[^\s{},]+\s*,\s*(?:plural|selectordinal|select)\s*,/
+
+export const isICUMessage = (text) => ICU_PATTERN.test(text || '')
+
+const syntaxError = (message, offset) => Object.assign(new Error(message), { offset })
+
+// ============================================
+// PARSER
+// ============================================
+
+class Parser {
+    constructor(message) {
+        this.message = message
+        this.index = 0
+    }
+
+    peek(offset = 0) {
+        return this.message[this.index + offset]
+    }
+
+    skipWhitespace() {
+        while (this.index < this.message.length && /\s/.test(this.peek())) this.index++
+    }
+
+    readWhile(pattern) {
+        const start = this.index
+        while (this.index < this.message.length && pattern.test(this.peek())) this.index++
+        return this.message.slice(start, this.index)
+    }
+
+    expect(char) {
+        if (this.peek() !== char) {
+            throw syntaxError(`Expected "${char}" at position ${this.index + 1}`, this.index)
+        }
+        this.index++
+    }
+
+    // Sequence of text, arguments and # up to a closing brace (nested) or the end
+    parseNodes(inPlural, depth) {
+        const nodes = []
+        let text = ''
+        const flushText = () => {
+            if (text) nodes.push({ type: 'text', value: text })
+            text = ''
+        }
+
+        while (this.index < this.message.length) {
+            const char = this.peek()
+            if (char === '}') {
+                if (depth === 0) throw syntaxError(`Unexpected "}" at position ${this.index + 1}`, this.index)
+                break
+            }
+            if (char === '{') {
+                flushText()
+                nodes.push(this.parseArgument(inPlural, depth))
+            } else if (char === '#' && inPlural) {
+                flushText()
+                nodes.push({ type: 'pound' })
+                this.index++
+            } else if (char === "'") {
+                text += this.parseApostrophe(inPlural)
+            } else {
+                text += char
+                this.index++
+            }
+        }
+
+        if (depth > 0 && this.index >= this.message.length) {
+            throw syntaxError('Unclosed "{"', this.message.length)
+        }
+        flushText()
+        return nodes
+    }
+
+    // '' is a literal apostrophe, '{...}' quotes syntax characters, any other ' is literal
+    parseApostrophe(inPlural) {
+        const next = this.peek(1)
+        if (next === "'") {
+            this.index += 2
+            return "'"
+        }
+        if (next !== '{' && next !== '}' && next !== '|' && !(inPlural && next === '#')) {
+            this.index++
+            return "'"
+        }
+
+        this.index++
+        let quoted = ''
+        while (this.index < this.message.length) {
+            if (this.peek() === "'") {
+                if (this.peek(1) === "'") {
+                    quoted += "'"
+                    this.index += 2
+                    continue
+                }
+                this.index++
+                return quoted
+            }
+            quoted += this.peek()
+            this.index++
+        }
+        return quoted
+    }
+
+    parseArgument(inPlural, depth) {
+        const start = this.index
+        this.expect('{')
+        this.skipWhitespace()
+        const name = this.readWhile(/[^\s{},#']/)
+        if (!name) throw syntaxError(`Expected an argument name at position ${this.index + 1}`, this.index)
+        this.skipWhitespace()
+
+        if (this.peek() === '}') {
+            this.index++
+            return { type: 'argument', name }
+        }
+        this.expect(',')
+        this.skipWhitespace()
+        const type = this.readWhile(/[a-z]/)
+        this.skipWhitespace()
+
+        if (SIMPLE_TYPES.includes(type)) {
+            let style = ''
+            if (this.peek() === ',') {
+                this.index++
+                style = this.readWhile(/[^}]/).trim()
+            }
+            this.expect('}')
+            return { type: 'simple', name, format: type, style }
+        }
+        if (!SELECT_TYPES.includes(type)) {
+            throw syntaxError(`Unknown argument type "${type}" in {${name}}`, start)
+        }
+
+        this.expect(',')
+        this.skipWhitespace()
+        let offset = 0
+        if (type !== 'select' && this.message.startsWith('offset:', this.index)) {
+            this.index += 'offset:'.length
+            this.skipWhitespace()
+            offset = Number(this.readWhile(/\d/))
+            this.skipWhitespace()
+        }
+
+        const options = {}
+        while (this.index < this.message.length && this.peek() !== '}') {
+            const selector = this.readWhile(/[^\s{}]/)
+            if (!selector) throw syntaxError(`Expected an option in {${name}} at position ${this.index + 1}`, this.index)
+            if (type !== 'select' && !PLURAL_CATEGORIES.includes(selector) && !/^=\d+$/.test(selector)) {
+                throw syntaxError(`Invalid plural category "${selector}" in {${name}}`, this.index - selector.length)
+            }
+            if (options[selector]) throw syntaxError(`Duplicate option "${selector}" in {${name}}`, this.index - selector.length)
+            this.skipWhitespace()
+            this.expect('{')
+            options[selector] = this.parseNodes(type !== 'select' || inPlural, depth + 1)
+            this.expect('}')
+            this.skipWhitespace()
+        }
+        this.expect('}')
+
+        if (!options.other) throw syntaxError(`Missing "other" option in {${name}}`, start)
+        return { type, name, offset, options }
+    }
+}
+
+/**
+ * Parse an ICU message
+ * @param {string} message
+ * @returns {Array} Nodes: text / argument / pound / simple / plural / selectordinal / select
+ * @throws {Error} With `offset` of the syntax error
+ */
+export function parseICUMessage(message) {
+    return new Parser(message || '').parseNodes(false, 0)
+}
+
+/**
+ * Syntax error of a message, null when it parses
+ * @param {string} message
+ * @returns {string|null}
+ */
+export function validateICUMessage(message) {
+    try {
+        parseICUMessage(message)
+        return null
+    } catch (error) {
+        return error.message
+    }
+}
+
+// ============================================
+// PRINTER
+// ============================================
+
+// Quote runs of syntax characters ('{name}' stays readable)
+const escapeText = (text, inPlural) => {
+    const escaped = text.replace(/'/g, "''")
+    return inPlural
+        ? escaped.replace(/[{}#][^{}#]*[{}#]|[{}#]/g, match => `'${match}'`)
+        : escaped.replace(/[{}][^{}]*[{}]|[{}]/g, match => `'${match}'`)
+}
+
+/**
+ * Print nodes back to ICU syntax
+ * @param {Array} nodes - From parseICUMessage
+ * @param {boolean} inPlural - Whether # is special (inside a plural option)
+ * @returns {string}
+ */
+export function printICUMessage(nodes, inPlural = false) {
+    return nodes.map(node => {
+        switch (node.type) {
+            case 'text':
+                return escapeText(node.value, inPlural)
+            case 'pound':
+                return '#'
+            case 'argument':
+                return `{${node.name}}`
+            case 'simple':
+                return `{${node.name}, ${node.format}${node.style ? `, ${node.style}` : ''}}`
+            default:
+                return printSelectArgument(node, Object.entries(node.options).map(([selector, option]) =>
+                    [selector, printICUMessage(option, node.type !== 'select' || inPlural)]
+                ))
+        }
+    }).join('')
+}
+
+// {name, type, [offset:n ]selector {text} ...} from already printed option texts
+const printSelectArgument = (node, options) => {
+    const offset = node.offset ? `offset:${node.offset} ` : ''
+    return `{${node.name}, ${node.type}, ${offset}${options.map(([selector, text]) => `${selector} {${text}}`).join(' ')}}`
+}
+
+// ============================================
+// STRUCTURE CHECKS
+// ============================================
+
+/**
+ * CLDR plural categories of a language
+ * @param {string} languageCode - Our language code
+ * @param {string} type - 'plural' (cardinal) or 'selectordinal'
+ * @returns {Array} e.g. ['one', 'other']
+ */
+export function getPluralCategories(languageCode, type = 'plural') {
+    try {
+        const rules = new Intl.PluralRules(getLocaleTag(languageCode), { type: type === 'selectordinal' ? 'ordinal' : 'cardinal' })
+        const categories = rules.resolvedOptions().pluralCategories
+        return PLURAL_CATEGORIES.filter(category => categories.includes(category))
+    } catch (error) {
+        return ['one', 'other']
+    }
+}
+
+// Plural/select arguments and simple argument names anywhere in the message
+function collectArguments(nodes, found = { selects: [], names: new Set() }) {
+    nodes.forEach(node => {
+        if (node.type === 'argument' || node.type === 'simple') {
+            found.names.add(node.name)
+        } else if (SELECT_TYPES.includes(node.type)) {
+            found.names.add(node.name)
+            found.selects.push(node)
+            Object.values(node.options).forEach(option => collectArguments(option, found))
+        }
+    })
+    return found
+}
+
+/**
+ * Compare the ICU structure of a translation with its source
+ * @param {string} source - Source message
+ * @param {string} target - Translation
+ * @param {string} languageCode - Target language (decides the required plural categories)
+ * @returns {Array} Problem descriptions, empty when fine or when neither text is ICU
+ */
+export function checkICUMessage(source, target, languageCode) {
+    if (!isICUMessage(source) && !isICUMessage(target)) return []
+
+    let targetNodes
+    try {
+        targetNodes = parseICUMessage(target)
+    } catch (error) {
+        return [`Invalid ICU syntax: ${error.message}`]
+    }
+
+    let sourceNodes
+    try {
+        sourceNodes = parseICUMessage(source)
+    } catch (error) {
+        return [] // A broken source is not the translation's fault
+    }
+
+    const problems = []
+    const sourceArguments = collectArguments(sourceNodes)
+    const targetArguments = collectArguments(targetNodes)
+
+    const missingNames = [...sourceArguments.names].filter(name => !targetArguments.names.has(name))
+    if (missingNames.length) {
+        problems.push(`Missing ${missingNames.map(name => `{${name}}`).join(', ')}`)
+    }
+
+    targetArguments.selects.forEach(node => {
+        const required = node.type === 'select'
+            ? sourceArguments.selects
+                .filter(sourceNode => sourceNode.type === 'select' && sourceNode.name === node.name)
+                .flatMap(sourceNode => Object.keys(sourceNode.options))
+            : getPluralCategories(languageCode, node.type)
+        const missing = [...new Set(required)].filter(selector => !node.options[selector])
+        if (missing.length) {
+            problems.push(`{${node.name}} is missing ${node.type === 'select' ? 'options' : 'plural categories'}: ${missing.join(', ')}`)
+        }
+    })
+
+    return problems
+}
+
+// ============================================
+// PLURAL EDITOR MODEL
+// ============================================
+
+/**
+ * Split a message into editable parts: raw text between top-level plurals, and
+ * one text per plural category for every top-level plural
+ * @param {string} value - Current translation ('' starts from the source)
+ * @param {string} source - Source message
+ * @param {string} languageCode - Target language
+ * @returns {Array|null} Parts ({ type: 'text', text } | { type: 'plural', node, options: [{ selector, text }] }), null when it cannot be edited by category
+ */
+export function getPluralEditorParts(value, source, languageCode) {
+    const fromSource = !(value || '').trim()
+    let nodes
+    try {
+        nodes = parseICUMessage(fromSource ? source : value)
+    } catch (error) {
+        return null
+    }
+    if (!nodes.some(node => node.type === 'plural' || node.type === 'selectordinal')) return null
+
+    const parts = []
+    let pending = []
+    const flushText = () => {
+        if (pending.length) parts.push({ type: 'text', text: printICUMessage(pending) })
+        pending = []
+    }
+
+    nodes.forEach(node => {
+        if (node.type !== 'plural' && node.type !== 'selectordinal') {
+            pending.push(node)
+            return
+        }
+        flushText()
+        // The language's categories plus exact matches (=0) and whatever the message already has
+        const selectors = [...new Set([
+            ...Object.keys(node.options).filter(selector => selector.startsWith('=')),
+            ...getPluralCategories(languageCode, node.type),
+            ...(fromSource ? [] : Object.keys(node.options))
+        ])].sort((a, b) => PLURAL_CATEGORIES.indexOf(a) - PLURAL_CATEGORIES.indexOf(b))
+        parts.push({
+            type: 'plural',
+            node,
+            options: selectors.map(selector => ({
+                selector,
+                // Categories the source lacks start from its "other" text
+                text: printICUMessage(node.options[selector] || node.options.other, true)
+            }))
+        })
+    })
+    flushText()
+
+    return parts
+}
+
+/**
+ * Message text of editor parts
+ * @param {Array} parts - From getPluralEditorParts (texts possibly edited)
+ * @returns {string}
+ */
+export function printPluralEditorParts(parts) {
+    return parts.map(part => part.type === 'text'
+        ? part.text
+        : printSelectArgument(part.node, part.options.map(option => [option.selector, option.text]))
+    ).join('')
+}
@@ -0,0 +1,207 @@
+// Image translation rendering: the original text of each block is painted over
+// with the surrounding background, then the translation is drawn in its place
+// at the largest font size that still fits the block
+import { downloadBlob } from '@/lib/utils'
+
+const FONT_FAMILY = "'Lato', 'Noto Sans SC', 'PingFang SC', 'Microsoft YaHei', sans-serif"
+const MIN_FONT_SIZE = 8
+const LINE_HEIGHT = 1.2
+// Grow boxes slightly so anti-aliased edges of the original glyphs are covered too
+const BOX_PADDING = 2
+
+// Characters that can wrap anywhere (CJK, kana, hangul, full-width forms)
+const CJK = '\\u3000-\\u30ff\\u3400-\\u9fff\\uac00-\\ud7af\\uff00-\\uffef'
+const WRAP_ANYWHERE = new RegExp(`[${CJK}]`)
+const TOKENS = new RegExp(`[${CJK}]|[^\\s${CJK}]+|\\s+`, 'g')
+
+/**
+ * Load an image element from a URL (object URL or data URL)
+ * @param {string} src
+ * @returns {Promise<HTMLImageElement>}
+ */
+export function loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const image = new Image()
+        image.onload = () => resolve(image)
+        image.onerror = () => reject(new Error('Could not load image'))
+        image.src = src
+    })
+}
+
+// Block box (fractions of the image) in whole pixels, padded and clamped to the image
+const toPixelBox = (box, width, height) => {
+    const x = Math.max(0, Math.floor(box.x * width) - BOX_PADDING)
+    const y = Math.max(0, Math.floor(box.y * height) - BOX_PADDING)
+    return {
+        x,
+        y,
+        width: Math.min(width, Math.ceil((box.x + box.width) * width) + BOX_PADDING) - x,
+        height: Math.min(height, Math.ceil((box.y + box.height) * height) + BOX_PADDING) - y
+    }
+}
+
+// Pixels of a one pixel wide line just outside a box side, or null at the image edge
+const readEdge = (ctx, x, y, width, height) => {
+    if (x < 0 || y < 0 || x + width > ctx.canvas.width || y + height > ctx.canvas.height) return null
+    return ctx.getImageData(x, y, width, height).data
+}
+
+const mix = (a, b, t) => a + (b - a) * t
+
+/**
+ * Paint a box with the background around it. Each pixel blends a left-right and a
+ * top-bottom interpolation of the pixels just outside the box, which handles flat
+ * colors and gradients. Sides at the image edge fall back to the opposite side.
+ * @returns {Array} Average [r, g, b] of the fill, for picking a readable text color
+ */
+function fillBackground(ctx, box) {
+    const { x, y, width, height } = box
+    const left = readEdge(ctx, x - 1, y, 1, height)
+    const right = readEdge(ctx, x + width, y, 1, height)
+    const top = readEdge(ctx, x, y - 1, width, 1)
+    const bottom = readEdge(ctx, x, y + height, width, 1)
+    const fill = ctx.createImageData(width, height)
+    const total = [0, 0, 0]
+
+    for (let row = 0; row < height; row++) {
+        for (let column = 0; column < width; column++) {
+            const offset = (row * width + column) * 4
+            for (let channel = 0; channel < 4; channel++) {
+                const horizontal = left || right
+                    ? mix((left || right)[row * 4 + channel], (right || left)[row * 4 + channel], width > 1 ? column / (width - 1) : 0)
+                    : null
+                const vertical = top || bottom
+                    ? mix((top || bottom)[column * 4 + channel], (bottom || top)[column * 4 + channel], height > 1 ? row / (height - 1) : 0)
+                    : null
+                // A box covering the whole image has nothing around it
+                fill.data[offset + channel] = horizontal !== null && vertical !== null
+                    ? (horizontal + vertical) / 2
+                    : horizontal ?? vertical ?? 255
+                if (channel < 3) total[channel] += fill.data[offset + channel]
+            }
+        }
+    }
+
+    ctx.putImageData(fill, x, y)
+    const pixels = Math.max(1, width * height)
+    return total.map(value => value / pixels)
+}
+
+// Black or white, whichever reads better on the given background
+const getContrastColor = ([r, g, b]) => (0.299 * r + 0.587 * g + 0.114 * b) / 255 > 0.5 ? '#000000' : '#ffffff'
+
+const getFont = (size, bold) => `${bold ? 'bold ' : ''}${size}px ${FONT_FAMILY}`
+
+/**
+ * Wrap text into lines no wider than maxWidth - on spaces, or between any two
+ * characters for scripts written without spaces. Explicit line breaks are kept.
+ */
+function wrapText(ctx, text, maxWidth) {
+    const lines = []
+    text.split('\n').forEach(paragraph => {
+        const tokens = paragraph.match(TOKENS) || ['']
+        let line = ''
+        tokens.forEach(token => {
+            const candidate = line + token
+            if (line.trim() && ctx.measureText(candidate.trimEnd()).width > maxWidth) {
+                lines.push(line.trimEnd())
+                line = WRAP_ANYWHERE.test(token) ? token : token.trimStart()
+            } else {
+                line = candidate
+            }
+        })
+        lines.push(line.trimEnd())
+    })
+    return lines
+}
+
+/**
+ * Largest font size at which the wrapped text fits the box
+ * @returns {{ size: number, lines: Array<string> }}
+ */
+function fitText(ctx, text, box, bold) {
+    for (let size = Math.max(MIN_FONT_SIZE, Math.floor(box.height / LINE_HEIGHT)); size > MIN_FONT_SIZE; size--) {
+        ctx.font = getFont(size, bold)
+        const lines = wrapText(ctx, text, box.width)
+        const fits = lines.length * size * LINE_HEIGHT <= box.height
+            && lines.every(line => ctx.measureText(line).width <= box.width)
+        if (fits) return { size, lines }
+    }
+    // Too long for the box even at the smallest size - draw it anyway, clipped
+    ctx.font = getFont(MIN_FONT_SIZE, bold)
+    return { size: MIN_FONT_SIZE, lines: wrapText(ctx, text, box.width) }
+}
+
+function drawText(ctx, text, box, { color, bold, align }) {
+    const { size, lines } = fitText(ctx, text, box, bold)
+    const lineHeight = size * LINE_HEIGHT
+    const top = box.y + (box.height - lines.length * lineHeight) / 2
+    const x = align === 'center' ? box.x + box.width / 2 : align === 'right' ? box.x + box.width : box.x
+
+    ctx.save()
+    ctx.beginPath()
+    ctx.rect(box.x, box.y, box.width, box.height)
+    ctx.clip()
+    ctx.font = getFont(size, bold)
+    ctx.fillStyle = color
+    ctx.textAlign = align || 'left'
+    ctx.textBaseline = 'middle'
+    lines.forEach((line, index) => ctx.fillText(line, x, top + lineHeight * (index + 0.5)))
+    ctx.restore()
+}
+
+/**
+ * Draw the image with the translated blocks on a canvas. Blocks without a
+ * translation in the target language keep their original text.
+ * @param {HTMLImageElement} image - Original image
+ * @param {Array} blocks - [{ box, color, bold, align, translations: { [lang]: text } }]
+ * @param {Object} options - { targetLanguage }
+ * @returns {HTMLCanvasElement}
+ */
+export function renderTranslatedImage(image, blocks, options = {}) {
+    const { targetLanguage } = options
+    const canvas = document.createElement('canvas')
+    canvas.width = image.naturalWidth
+    canvas.height = image.naturalHeight
+    const ctx = canvas.getContext('2d', { willReadFrequently: true })
+    ctx.drawImage(image, 0, 0)
+
+    const translated = blocks
+        .filter(block => block.box && block.translations?.[targetLanguage]?.trim())
+        .map(block => ({ block, box: toPixelBox(block.box, canvas.width, canvas.height) }))
+        .filter(({ box }) => box.width > 0 && box.height > 0)
+
+    // Clear every box before drawing any text, so padding never cuts into a neighbour's translation
+    const backgrounds = translated.map(({ box }) => fillBackground(ctx, box))
+    translated.forEach(({ block, box }, index) => {
+        drawText(ctx, block.translations[targetLanguage].trim(), box, {
+            color: block.color || getContrastColor(backgrounds[index]),
+            bold: block.bold,
+            align: block.align
+        })
+    })
+
+    return canvas
+}
+
+/**
+ * Download the translated image as PNG
+ * @param {HTMLImageElement} image - Original image
+ * @param {Array} blocks - See renderTranslatedImage
+ * @param {string} filename - Output filename (without extension)
+ * @param {Object} options - { targetLanguage }
+ * @returns {Promise<void>}
+ */
+export function exportTranslatedImage(image, blocks, filename, options = {}) {
+    const canvas = renderTranslatedImage(image, blocks, options)
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (!blob) {
+                reject(new Error('Could not render image'))
+                return
+            }
+            downloadBlob(blob, `${filename}.png`)
+            resolve()
+        }, 'image/png')
+    })
+}
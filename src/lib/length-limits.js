@@ -0,0 +1,97 @@
+/**
+ * Translation Length Limits
+ * A row's translations may be limited in characters (maxLength) and/or rendered
+ * width in pixels (maxWidth, measured with canvas against the project's font).
+ * Limits come from the row itself, then its page, then its category.
+ */
+
+export const DEFAULT_LIMIT_FONT = '14px Arial'
+
+// Characters per pixel budget when turning a width limit into a prompt hint
+const WIDTH_SAMPLE_TEXT = 'The quick brown fox jumps over the lazy dog 0123456789'
+
+const toLimit = (value) => {
+    const number = Number(value)
+    return Number.isFinite(number) && number > 0 ? Math.floor(number) : null
+}
+
+/**
+ * Effective limits of a row
+ * @param {Object} row - Row ({ maxLength, maxWidth, pageId, category })
+ * @param {Object} project - Project ({ lengthLimits: { font, pages: { [pageId]: limits }, categories: { [name]: limits } } })
+ * @returns {{ maxLength: number|null, maxWidth: number|null, font: string }}
+ */
+export function resolveLengthLimits(row, project) {
+    const settings = project?.lengthLimits || {}
+    const sources = [
+        row,
+        settings.pages?.[row?.pageId],
+        settings.categories?.[row?.category]
+    ]
+    const pick = (key) => sources.reduce((found, source) => found ?? toLimit(source?.[key]), null)
+
+    return {
+        maxLength: pick('maxLength'),
+        maxWidth: pick('maxWidth'),
+        font: settings.font || DEFAULT_LIMIT_FONT
+    }
+}
+
+export const hasLengthLimits = (limits) => !!(limits?.maxLength || limits?.maxWidth)
+
+// Characters as the user sees them (emoji and CJK count once)
+export const countCharacters = (text) => Array.from(text || '').length
+
+let measureContext = null
+
+/**
+ * Rendered width of a single line of text
+ * @param {string} text
+ * @param {string} font - CSS font shorthand, e.g. '14px Arial'
+ * @returns {number|null} Width in pixels, null when canvas is unavailable
+ */
+export function measureTextWidth(text, font = DEFAULT_LIMIT_FONT) {
+    if (typeof document === 'undefined') return null
+    if (!measureContext) {
+        measureContext = document.createElement('canvas').getContext('2d')
+        if (!measureContext) return null
+    }
+    measureContext.font = font
+    // Multi-line text is limited by its widest line
+    return Math.max(...String(text || '').split('\n').map(line => measureContext.measureText(line).width))
+}
+
+/**
+ * Measure a translation against its limits
+ * @param {string} text
+ * @param {Object} limits - From resolveLengthLimits
+ * @returns {{ length: number, width: number|null, overLength: boolean, overWidth: boolean }}
+ */
+export function checkLengthLimits(text, limits) {
+    const length = countCharacters(text)
+    const width = limits?.maxWidth ? measureTextWidth(text, limits.font) : null
+    return {
+        length,
+        width: width === null ? null : Math.ceil(width),
+        overLength: !!limits?.maxLength && length > limits.maxLength,
+        overWidth: !!limits?.maxWidth && width !== null && width > limits.maxWidth
+    }
+}
+
+/**
+ * Character budget to give the AI - the character limit, or an estimate of how
+ * many average characters fit the width limit, whichever is tighter
+ * @param {Object} limits - From resolveLengthLimits
+ * @returns {number|null}
+ */
+export function getCharacterBudget(limits) {
+    const budgets = []
+    if (limits?.maxLength) budgets.push(limits.maxLength)
+    if (limits?.maxWidth) {
+        const sampleWidth = measureTextWidth(WIDTH_SAMPLE_TEXT, limits.font)
+        if (sampleWidth) {
+            budgets.push(Math.floor(limits.maxWidth / (sampleWidth / WIDTH_SAMPLE_TEXT.length)))
+        }
+    }
+    return budgets.length > 0 ? Math.min(...budgets) : null
+}
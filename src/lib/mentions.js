@@ -0,0 +1,89 @@
+// @mentions in comments. A mention is "@" followed by a user's display name,
+// so comments stay readable as plain text.
+
+// Characters that may not directly follow a mentioned name
+const NAME_CHAR = /[\p{L}\p{N}_]/u
+
+export const getMentionName = (user) => user?.name || user?.email?.split('@')[0] || ''
+
+/**
+ * The "@partial" being typed just before the caret, if any
+ * @param {string} text
+ * @param {number} caret
+ * @returns {Object|null} { query, start } - start is the index of the "@"
+ */
+export function findMentionQuery(text, caret) {
+    const match = text.slice(0, caret).match(/(^|\s)@([^\s@]*)$/)
+    if (!match) return null
+    return { query: match[2], start: caret - match[2].length - 1 }
+}
+
+/**
+ * Replace the "@partial" before the caret with a full mention
+ * @returns {Object} { text, caret }
+ */
+export function insertMention(text, mentionQuery, caret, user) {
+    const mention = `@${getMentionName(user)} `
+    return {
+        text: text.slice(0, mentionQuery.start) + mention + text.slice(caret),
+        caret: mentionQuery.start + mention.length
+    }
+}
+
+/**
+ * Users matching a partially typed name
+ */
+export function filterMentionUsers(users, query, max = 6) {
+    const q = query.toLowerCase()
+    return users
+        .filter(user => getMentionName(user).toLowerCase().includes(q) || (user.email || '').toLowerCase().includes(q))
+        .slice(0, max)
+}
+
+/**
+ * Split a comment into text and mentions. Longer names win, so "@Anna Lee"
+ * is not also read as a mention of "Anna".
+ * @param {string} text
+ * @param {Array} users - [{ id, name, email }]
+ * @returns {Array} [{ type: 'text' | 'mention', value, userId }]
+ */
+export function splitMentions(text = '', users = []) {
+    const candidates = users
+        .map(user => ({ userId: user.id, name: getMentionName(user) }))
+        .filter(candidate => candidate.name)
+        .sort((a, b) => b.name.length - a.name.length)
+
+    const parts = []
+    let buffer = ''
+    let index = 0
+    while (index < text.length) {
+        const atBoundary = index === 0 || /\s/.test(text[index - 1])
+        const found = text[index] === '@' && atBoundary && candidates.find(({ name }) => {
+            const end = index + 1 + name.length
+            return text.slice(index + 1, end).toLowerCase() === name.toLowerCase() &&
+                (end === text.length || !NAME_CHAR.test(text[end]))
+        })
+
+        if (found) {
+            if (buffer) parts.push({ type: 'text', value: buffer })
+            buffer = ''
+            const value = text.slice(index, index + 1 + found.name.length)
+            parts.push({ type: 'mention', value, userId: found.userId })
+            index += value.length
+        } else {
+            buffer += text[index]
+            index++
+        }
+    }
+    if (buffer) parts.push({ type: 'text', value: buffer })
+    return parts
+}
+
+/**
+ * IDs of the users mentioned in a comment
+ */
+export function extractMentions(text, users) {
+    return [...new Set(splitMentions(text, users)
+        .filter(part => part.type === 'mention')
+        .map(part => part.userId))]
+}
@@ -0,0 +1,148 @@
+// Three-way merge of a stale update into the latest version of a document.
+// A field only conflicts when both sides changed it, to different values -
+// a field changed on one side only is taken from that side.
+
+// Bookkeeping every write sets itself - never merged or shown
+const IGNORED_FIELDS = ['updatedAt', 'version', 'lastModifiedBy', 'lastModifiedAt', 'qa', 'dateModified']
+
+// Maps merged per key, so e.g. each translation language is its own field
+const NESTED_FIELDS = ['translations']
+
+const isEmpty = (value) => value === undefined || value === null || value === ''
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value)
+
+// Translation entries ({ text, status, origin ... }) are compared and shown by their text
+const isTextEntry = (value) => isPlainObject(value) && 'text' in value
+const getComparable = (value) => isTextEntry(value) ? value.text : value
+
+// Key order and empty values do not make two values different
+function toStable(value) {
+    if (isEmpty(value)) return null
+    if (Array.isArray(value)) return value.map(toStable)
+    if (isPlainObject(value)) {
+        if (typeof value.toMillis === 'function') return value.toMillis()
+        return Object.keys(value).sort()
+            .map(key => [key, toStable(value[key])])
+            .filter(([, item]) => item !== null)
+    }
+    return value
+}
+
+const isSame = (a, b) => JSON.stringify(toStable(getComparable(a))) === JSON.stringify(toStable(getComparable(b)))
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc)
+
+// Mirrors only apply when the update also writes the field they copy
+const getActiveMirrors = (mine, mirrors = {}) => Object.fromEntries(
+    Object.entries(mirrors).filter(([key, path]) => key in mine && getPath(mine, path) !== undefined)
+)
+
+// One entry per field the update writes: { path, key, subKey, base, theirs, mine }
+function getFields(base, theirs, mine, mirrors) {
+    return Object.keys(mine)
+        .filter(key => !IGNORED_FIELDS.includes(key) && !(key in mirrors))
+        .flatMap(key => {
+            if (NESTED_FIELDS.includes(key) && isPlainObject(mine[key])) {
+                return Object.keys(mine[key]).map(subKey => ({
+                    path: `${key}.${subKey}`,
+                    key,
+                    subKey,
+                    base: base?.[key]?.[subKey],
+                    theirs: theirs?.[key]?.[subKey],
+                    mine: mine[key][subKey]
+                }))
+            }
+            return [{ path: key, key, base: base?.[key], theirs: theirs?.[key], mine: mine[key] }]
+        })
+}
+
+// 'mine', 'theirs' or 'conflict'
+function getChangedSide(field) {
+    const changedByMe = !isSame(field.base, field.mine)
+    const changedByThem = !isSame(field.base, field.theirs)
+    if (changedByMe && changedByThem && !isSame(field.theirs, field.mine)) return 'conflict'
+    return changedByMe ? 'mine' : 'theirs'
+}
+
+/**
+ * Both values in one - texts one after the other, lists joined
+ */
+export function combineValues(theirs, mine) {
+    if (Array.isArray(theirs) && Array.isArray(mine)) return [...new Set([...theirs, ...mine])]
+    const text = [getComparable(theirs), getComparable(mine)].filter(value => !isEmpty(value)).join('\n')
+    return isTextEntry(mine) ? { ...mine, text } : text
+}
+
+/**
+ * Text of a value for display
+ */
+export function formatMergeValue(value) {
+    const comparable = getComparable(value)
+    if (isEmpty(comparable)) return ''
+    if (Array.isArray(comparable)) return comparable.join(', ')
+    if (isPlainObject(comparable)) return JSON.stringify(comparable)
+    return String(comparable)
+}
+
+/**
+ * Fields that both the stale update and someone else changed
+ * @param {Object} base - Document the update was based on
+ * @param {Object} theirs - Latest version of the document
+ * @param {Object} mine - The stale update
+ * @param {Object} options - { textFields: paths or keys that can keep both values, mirrors }
+ * @returns {Array} [{ path, base, theirs, mine, canCombine }]
+ */
+export function findConflicts(base, theirs, mine, options = {}) {
+    const { textFields = [] } = options
+    return getFields(base, theirs, mine, getActiveMirrors(mine, options.mirrors))
+        .filter(field => getChangedSide(field) === 'conflict')
+        .map(({ path, key, base: baseValue, theirs: theirValue, mine: myValue }) => ({
+            path,
+            base: baseValue,
+            theirs: theirValue,
+            mine: myValue,
+            canCombine: textFields.includes(path) || textFields.includes(key)
+        }))
+}
+
+/**
+ * Rebuild a stale update on top of the latest version of the document
+ * @param {Object} base - Document the update was based on
+ * @param {Object} theirs - Latest version of the document
+ * @param {Object} mine - The stale update
+ * @param {Object} resolutions - { [path]: 'theirs' | 'mine' | 'both' } for the conflicting fields
+ * @param {Object} options - { mirrors: { legacyKey: path } } - legacy copies of a field
+ *   (e.g. a row's `en` mirrors `source_text`) follow the merged value of that field
+ * @returns {Object} The update to write over `theirs`
+ */
+export function mergeUpdate(base, theirs, mine, resolutions = {}, options = {}) {
+    const mirrors = getActiveMirrors(mine, options.mirrors)
+    const update = {}
+
+    getFields(base, theirs, mine, mirrors).forEach(field => {
+        const side = getChangedSide(field)
+        const choice = side === 'conflict' ? resolutions[field.path] || 'mine' : side
+
+        if (field.subKey !== undefined) {
+            // Nested maps are written whole, starting from their latest content
+            update[field.key] = update[field.key] || { ...(theirs?.[field.key] || {}) }
+            if (choice === 'theirs') return
+            update[field.key][field.subKey] = choice === 'both' ? combineValues(field.theirs, field.mine) : field.mine
+            return
+        }
+        // Their value is already stored
+        if (choice === 'theirs') return
+        update[field.key] = choice === 'both' ? combineValues(field.theirs, field.mine) : field.mine
+    })
+
+    Object.keys(mine).filter(key => IGNORED_FIELDS.includes(key)).forEach(key => {
+        update[key] = mine[key]
+    })
+
+    const merged = { ...theirs, ...update }
+    Object.entries(mirrors).forEach(([key, path]) => {
+        update[key] = getComparable(getPath(merged, path)) ?? ''
+    })
+
+    return update
+}
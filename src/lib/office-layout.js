@@ -0,0 +1,558 @@
+// Layout-preserving round-trip for Office documents: segments are read from the
+// original XML parts together with their location, and translations are written
+// back into a copy of the original file so styles, tables and images survive
+import JSZip from 'jszip'
+import { downloadBlob } from '@/lib/utils'
+
+const XML_NS = 'http://www.w3.org/XML/1998/namespace'
+const MC_NS = 'http://schemas.openxmlformats.org/markup-compatibility/2006'
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main'
+const A_NS = 'http://schemas.openxmlformats.org/drawingml/2006/main'
+const P_NS = 'http://schemas.openxmlformats.org/presentationml/2006/main'
+const R_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships'
+
+// Text bodies are shrunk once a translation is this much longer than the original
+const TEXT_GROWTH_TOLERANCE = 1.1
+const MIN_FONT_SCALE = 0.5
+
+const partNumber = (name) => Number(name.match(/(\d+)\.xml$/)?.[1] || 0)
+const byPartNumber = (a, b) => partNumber(a) - partNumber(b)
+
+// ============================================
+// XML HELPERS
+// ============================================
+
+const closest = (node, namespace, localName) => {
+    for (let el = node.parentNode; el && el.nodeType === 1; el = el.parentNode) {
+        if (el.localName === localName && el.namespaceURI === namespace) return el
+    }
+    return null
+}
+
+const childElements = (parent, namespace, localName) => Array.from(parent?.children || [])
+    .filter(el => el.localName === localName && el.namespaceURI === namespace)
+
+const parseXml = (xml, name) => {
+    const doc = new DOMParser().parseFromString(xml, 'application/xml')
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error(`Could not read ${name}`)
+    }
+    return doc
+}
+
+// Relationship targets are relative to the part's folder
+const resolvePath = (folder, target) => {
+    if (target.startsWith('/')) return target.slice(1)
+    const segments = []
+    const path = `${folder}${target}`
+    path.split('/').forEach(segment => {
+        if (segment === '..') segments.pop()
+        else if (segment && segment !== '.') segments.push(segment)
+    })
+    return segments.join('/')
+}
+
+/**
+ * Relationships of a package part
+ * @returns {Promise<Array>} [{ id, type, target }] - type is the last segment of the
+ * relationship type URI, target the resolved part name
+ */
+async function readRelationships(zip, partName) {
+    const folder = partName.slice(0, partName.lastIndexOf('/') + 1)
+    const relsName = `${folder}_rels/${partName.slice(folder.length)}.rels`
+    const file = zip.file(relsName)
+    if (!file) return []
+
+    const doc = parseXml(await file.async('text'), relsName)
+    return Array.from(doc.getElementsByTagNameNS('*', 'Relationship')).map(rel => ({
+        id: rel.getAttribute('Id'),
+        type: (rel.getAttribute('Type') || '').split('/').pop(),
+        target: resolvePath(folder, rel.getAttribute('Target') || '')
+    }))
+}
+
+// Translation with the spacing around the original paragraph text, e.g. before a page number field
+const keepOuterSpacing = (original, text) => `${original.match(/^\s*/)[0]}${text.trim()}${original.match(/\s*$/)[0]}`
+
+// The run carrying most of the text gives a PowerPoint paragraph its formatting
+const getMainRun = (runs) => runs.reduce((longest, run) => run.text.length > longest.text.length ? run : longest, runs[0])
+
+// ============================================
+// WORDPROCESSINGML (DOCX)
+// ============================================
+
+// Children of a run that carry text; page and column breaks are layout, not text
+const isTextNode = (el) => {
+    if (el.localName === 't' || el.localName === 'tab' || el.localName === 'cr') return true
+    if (el.localName === 'br') return !['page', 'column'].includes(el.getAttributeNS(W_NS, 'type'))
+    return false
+}
+
+const getRunText = (run) => Array.from(run.children)
+    .filter(isTextNode)
+    .map(el => el.localName === 't' ? el.textContent : el.localName === 'tab' ? '\t' : '\n')
+    .join('')
+
+// Run properties that change how text looks; language and proofing marks don't
+const getRunFormat = (run) => {
+    const properties = childElements(run, W_NS, 'rPr')[0]
+    if (!properties) return ''
+    return Array.from(properties.children)
+        .filter(el => !['lang', 'noProof'].includes(el.localName))
+        .map(el => new XMLSerializer().serializeToString(el))
+        .join('')
+}
+
+/**
+ * Runs of a paragraph (not those of nested text box paragraphs), flagging field
+ * results such as page numbers so they are never overwritten
+ */
+function getDocxRuns(paragraph) {
+    let fieldDepth = 0
+
+    return Array.from(paragraph.getElementsByTagNameNS(W_NS, 'r'))
+        .filter(run => closest(run, W_NS, 'p') === paragraph)
+        .map(run => {
+            const isInField = fieldDepth > 0
+            const fieldChars = childElements(run, W_NS, 'fldChar')
+            fieldChars.forEach(fieldChar => {
+                const fieldType = fieldChar.getAttributeNS(W_NS, 'fldCharType')
+                if (fieldType === 'begin') fieldDepth++
+                if (fieldType === 'end') fieldDepth = Math.max(0, fieldDepth - 1)
+            })
+
+            const isField = isInField || fieldDepth > 0 || fieldChars.length > 0 || !!closest(run, W_NS, 'fldSimple')
+            return { run, text: isField ? '' : getRunText(run), isField, format: getRunFormat(run) }
+        })
+}
+
+/**
+ * Text runs grouped by formatting. The formatting carrying most of the text is the
+ * paragraph's own; other groups (bold words, links ...) get an id, 1, 2 ...
+ * Whitespace-only runs join the group before them.
+ * @returns {Array} [{ run, text, id }] - run is the first run of the group
+ */
+function getFormatGroups(textRuns) {
+    const lengths = {}
+    textRuns.forEach(({ text, format }) => {
+        if (text.trim()) lengths[format] = (lengths[format] || 0) + text.length
+    })
+    const formats = Object.keys(lengths)
+    const mainFormat = formats.length > 0
+        ? formats.reduce((main, format) => lengths[format] > lengths[main] ? format : main)
+        : textRuns[0].format
+
+    const groups = []
+    textRuns.forEach(({ run, text, format }) => {
+        const last = groups[groups.length - 1]
+        const groupFormat = text.trim() ? format : (last?.format ?? mainFormat)
+        if (last && last.format === groupFormat) last.text += text
+        else groups.push({ run, text, format: groupFormat })
+    })
+
+    let id = 0
+    return groups.map(group => ({ ...group, id: group.format === mainFormat ? null : ++id }))
+}
+
+// Paragraph text with differently formatted spans as <g id="n"> inline codes, as XLIFF
+// has them, so translators can keep bold words, links etc. where they belong
+const getDocxText = (runs) => {
+    const textRuns = runs.filter(run => run.text && !run.isField)
+    if (textRuns.length === 0) return ''
+    return getFormatGroups(textRuns).map(({ text, id }) => id ? `<g id="${id}">${text}</g>` : text).join('')
+}
+
+const FORMAT_CODE_PATTERN = /<g id="(\d+)">([\s\S]*?)<\/g>/g
+const STRAY_CODE_PATTERN = /<\/?g\b[^<>]*>/g
+
+// Translation split at its inline codes: [{ text, id }] - id null for the paragraph's own formatting
+function splitFormatCodes(text) {
+    const segments = []
+    let last = 0
+    for (const match of text.matchAll(FORMAT_CODE_PATTERN)) {
+        segments.push({ text: text.slice(last, match.index), id: null }, { text: match[2], id: Number(match[1]) })
+        last = match.index + match[0].length
+    }
+    segments.push({ text: text.slice(last), id: null })
+    return segments
+        .map(segment => ({ ...segment, text: segment.text.replace(STRAY_CODE_PATTERN, '') }))
+        .filter(segment => segment.text)
+}
+
+function getDocxContext(paragraph, part) {
+    const style = Array.from(paragraph.getElementsByTagNameNS(W_NS, 'pStyle'))[0]?.getAttributeNS(W_NS, 'val') || ''
+    const area = part.context
+        || (closest(paragraph, W_NS, 'txbxContent') ? 'Text box' : null)
+        || (closest(paragraph, W_NS, 'tc') ? 'Table' : null)
+    return [area, /^(heading|title|subtitle)/i.test(style) ? style : null].filter(Boolean).join(', ')
+}
+
+// Text, tabs and line breaks of a translation as WordprocessingML run children
+function createDocxTextNodes(doc, prefix, text) {
+    return text.split(/(\t|\n)/).filter(Boolean).map(token => {
+        if (token === '\t') return doc.createElementNS(W_NS, `${prefix}:tab`)
+        if (token === '\n') return doc.createElementNS(W_NS, `${prefix}:br`)
+        const t = doc.createElementNS(W_NS, `${prefix}:t`)
+        t.setAttributeNS(XML_NS, 'xml:space', 'preserve')
+        t.textContent = token
+        return t
+    })
+}
+
+/**
+ * Replace the text of a paragraph. Each span of the translation goes into a new run
+ * with the formatting of the original text it stands for - inline codes take that
+ * of their group, the rest the paragraph's own. The original text runs are emptied,
+ * not removed, so images and bookmarks stay in place.
+ */
+function writeDocxParagraph(paragraph, runIndices, text) {
+    const runs = getDocxRuns(paragraph)
+    const textRuns = runIndices.map(index => runs[index]).filter(run => run && !run.isField)
+    if (textRuns.length === 0) return false
+
+    const groups = getFormatGroups(textRuns)
+    const main = groups.find(group => group.id === null) || groups[0]
+    const content = keepOuterSpacing(runs.map(run => run.text).join(''), text)
+    const doc = paragraph.ownerDocument
+    const prefix = main.run.prefix || 'w'
+
+    splitFormatCodes(content).forEach(segment => {
+        const source = groups.find(group => group.id !== null && group.id === segment.id) || main
+        const properties = childElements(source.run, W_NS, 'rPr')[0]
+        const run = doc.createElementNS(W_NS, `${prefix}:r`)
+        if (properties) run.appendChild(properties.cloneNode(true))
+        createDocxTextNodes(doc, prefix, segment.text).forEach(node => run.appendChild(node))
+        main.run.parentNode.insertBefore(run, main.run)
+    })
+
+    textRuns.forEach(({ run }) => {
+        Array.from(run.children).filter(isTextNode).forEach(node => run.removeChild(node))
+    })
+    return true
+}
+
+// Parts in reading order with the context shown on their rows
+async function getDocxParts(zip) {
+    const names = Object.keys(zip.files)
+    return [
+        ...names.filter(name => name === 'word/document.xml').map(name => ({ name, context: '' })),
+        ...names.filter(name => /^word\/header\d*\.xml$/.test(name)).sort(byPartNumber).map(name => ({ name, context: 'Header' })),
+        ...names.filter(name => /^word\/footer\d*\.xml$/.test(name)).sort(byPartNumber).map(name => ({ name, context: 'Footer' })),
+        ...names.filter(name => name === 'word/footnotes.xml').map(name => ({ name, context: 'Footnote' })),
+        ...names.filter(name => name === 'word/endnotes.xml').map(name => ({ name, context: 'Endnote' }))
+    ]
+}
+
+// ============================================
+// PRESENTATIONML (PPTX)
+// ============================================
+
+const PLACEHOLDER_LABELS = { title: 'Title', ctrTitle: 'Title', subTitle: 'Subtitle' }
+
+/**
+ * Runs of a DrawingML paragraph. Soft line breaks count as text so they can be
+ * rewritten, fields (slide number, date) are never overwritten
+ */
+const getPptxRuns = (paragraph) => Array.from(paragraph.children)
+    .filter(el => el.namespaceURI === A_NS && ['r', 'br', 'fld'].includes(el.localName))
+    .map(run => {
+        if (run.localName === 'fld') return { run, text: '', isField: true }
+        if (run.localName === 'br') return { run, text: '\n', isField: false }
+        return { run, text: childElements(run, A_NS, 't')[0]?.textContent || '', isField: false }
+    })
+
+// Shape (or table frame) holding a paragraph with its id and placeholder type
+function getPptxShape(paragraph) {
+    const shape = closest(paragraph, P_NS, 'sp') || closest(paragraph, P_NS, 'graphicFrame')
+    const properties = Array.from(shape?.children || []).find(el => el.localName.startsWith('nv'))
+    const placeholder = properties && Array.from(properties.getElementsByTagNameNS(P_NS, 'ph'))[0]
+    return {
+        id: childElements(properties, P_NS, 'cNvPr')[0]?.getAttribute('id') || null,
+        placeholder: placeholder ? placeholder.getAttribute('type') || 'body' : null
+    }
+}
+
+// Placeholders on layouts and masters only hold prompt text ("Click to edit ...")
+const isPptxTranslatable = (paragraph, part) => part.kind === 'slide' || part.kind === 'notes'
+    || !getPptxShape(paragraph).placeholder
+
+function getPptxContext(paragraph, part) {
+    const layoutName = part.kind === 'layout'
+        ? paragraph.ownerDocument.getElementsByTagNameNS(P_NS, 'cSld')[0]?.getAttribute('name')
+        : null
+    const area = closest(paragraph, A_NS, 'tc') ? 'Table' : PLACEHOLDER_LABELS[getPptxShape(paragraph).placeholder]
+    return [layoutName ? `${part.context}: ${layoutName}` : part.context, area].filter(Boolean).join(', ')
+}
+
+const getPptxLocation = (paragraph, part) => ({
+    ...(part.slide && { slide: part.slide }),
+    shape: getPptxShape(paragraph).id
+})
+
+/**
+ * Replace the text of a paragraph. Its text runs are merged into copies of the
+ * main run, so the translation takes on that run's formatting, and line breaks
+ * are rebuilt with the same properties. Fields stay where they are.
+ */
+function writePptxParagraph(paragraph, runIndices, text) {
+    const runs = getPptxRuns(paragraph)
+    const textRuns = runIndices.map(index => runs[index]).filter(run => run && !run.isField)
+    const mainRuns = textRuns.filter(({ run }) => run.localName === 'r')
+    if (mainRuns.length === 0) return false
+
+    const main = getMainRun(mainRuns)
+    const content = keepOuterSpacing(runs.map(run => run.text).join(''), text)
+    const properties = childElements(main.run, A_NS, 'rPr')[0]
+    const doc = paragraph.ownerDocument
+    const prefix = main.run.prefix || 'a'
+
+    content.split('\n').forEach((line, index) => {
+        if (index > 0) {
+            const lineBreak = doc.createElementNS(A_NS, `${prefix}:br`)
+            if (properties) lineBreak.appendChild(properties.cloneNode(true))
+            paragraph.insertBefore(lineBreak, main.run)
+        }
+        if (!line) return
+        const run = main.run.cloneNode(true)
+        childElements(run, A_NS, 't')[0].textContent = line
+        paragraph.insertBefore(run, main.run)
+    })
+    textRuns.forEach(({ run }) => paragraph.removeChild(run))
+    return true
+}
+
+// fontScale is in thousandths of a percent, or a percentage string in strict files
+const parseFontScale = (value) => {
+    if (!value) return 1
+    return value.endsWith('%') ? parseFloat(value) / 100 : Number(value) / 100000
+}
+
+/**
+ * Shrink the text of shapes whose translation came out longer than the original,
+ * as PowerPoint's "Shrink text on overflow" would. Shapes that resize to fit their
+ * text and table cells (rows grow on their own) are left alone.
+ * @param {Array} changes - [{ paragraph, original, text }]
+ */
+function fitPptxText(changes) {
+    const bodies = new Map()
+    changes.forEach(({ paragraph, original, text }) => {
+        const body = closest(paragraph, P_NS, 'txBody')
+        if (!body) return
+        const length = bodies.get(body) || { original: 0, text: 0 }
+        bodies.set(body, { original: length.original + original.trim().length, text: length.text + text.trim().length })
+    })
+
+    bodies.forEach((length, body) => {
+        if (length.text <= length.original * TEXT_GROWTH_TOLERANCE) return
+        const bodyPr = childElements(body, A_NS, 'bodyPr')[0]
+        if (!bodyPr || childElements(bodyPr, A_NS, 'spAutoFit').length > 0) return
+
+        const current = childElements(bodyPr, A_NS, 'normAutofit')[0]
+        // Text area grows with the square of the font size
+        const scale = Math.max(MIN_FONT_SCALE, parseFontScale(current?.getAttribute('fontScale')) * Math.sqrt(length.original / length.text))
+        const autofit = current || bodyPr.ownerDocument.createElementNS(A_NS, `${bodyPr.prefix || 'a'}:normAutofit`)
+        // PowerPoint uses steps of 2.5%
+        autofit.setAttribute('fontScale', String(Math.floor(scale * 40) * 2500))
+
+        if (!current) {
+            childElements(bodyPr, A_NS, 'noAutofit').forEach(el => bodyPr.removeChild(el))
+            // Autofit comes before 3D and extension settings in the schema
+            const next = Array.from(bodyPr.children).find(el => ['scene3d', 'sp3d', 'flatTx', 'extLst'].includes(el.localName))
+            bodyPr.insertBefore(autofit, next || null)
+        }
+    })
+}
+
+/**
+ * Slides in presentation order, each followed by its speaker notes, then the
+ * text of slide layouts and masters
+ */
+async function getPptxParts(zip) {
+    const presentationName = 'ppt/presentation.xml'
+    const file = zip.file(presentationName)
+    if (!file) throw new Error('Not a valid PowerPoint file')
+
+    const presentation = parseXml(await file.async('text'), presentationName)
+    const slideTargets = new Map((await readRelationships(zip, presentationName))
+        .filter(rel => rel.type === 'slide')
+        .map(rel => [rel.id, rel.target]))
+    const slideNames = Array.from(presentation.getElementsByTagNameNS(P_NS, 'sldId'))
+        .map(slideId => slideTargets.get(slideId.getAttributeNS(R_NS, 'id')))
+        .filter(name => name && zip.file(name))
+
+    const parts = []
+    for (const [index, name] of slideNames.entries()) {
+        const slide = index + 1
+        parts.push({ name, context: `Slide ${slide}`, kind: 'slide', slide })
+
+        const notes = (await readRelationships(zip, name)).find(rel => rel.type === 'notesSlide')
+        if (notes && zip.file(notes.target)) {
+            parts.push({ name: notes.target, context: `Slide ${slide}, Notes`, kind: 'notes', slide })
+        }
+    }
+
+    const names = Object.keys(zip.files)
+    return [
+        ...parts,
+        ...names.filter(name => /^ppt\/slideLayouts\/slideLayout\d+\.xml$/.test(name)).sort(byPartNumber).map(name => ({ name, context: 'Layout', kind: 'layout' })),
+        ...names.filter(name => /^ppt\/slideMasters\/slideMaster\d+\.xml$/.test(name)).sort(byPartNumber).map(name => ({ name, context: 'Master', kind: 'master' }))
+    ]
+}
+
+// ============================================
+// FORMATS
+// ============================================
+
+export const LAYOUT_FORMATS = {
+    docx: {
+        namespace: W_NS,
+        mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        extension: 'docx',
+        getParts: getDocxParts,
+        getRuns: getDocxRuns,
+        getText: getDocxText,
+        getContext: getDocxContext,
+        writeParagraph: writeDocxParagraph
+    },
+    pptx: {
+        namespace: A_NS,
+        mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+        extension: 'pptx',
+        getParts: getPptxParts,
+        getRuns: getPptxRuns,
+        getContext: getPptxContext,
+        getLocation: getPptxLocation,
+        isTranslatable: isPptxTranslatable,
+        writeParagraph: writePptxParagraph,
+        fitText: fitPptxText
+    }
+}
+
+// Paragraphs of a part in document order; their index is the stored location
+const getParagraphs = (doc, namespace) => Array.from(doc.getElementsByTagNameNS(namespace, 'p'))
+
+// ============================================
+// IMPORT
+// ============================================
+
+/**
+ * Read the text segments of an Office document with their location
+ * @param {string} format - Key of LAYOUT_FORMATS
+ * @param {ArrayBuffer|Blob} source - Original file
+ * @returns {Promise<Array>} [{ en, order, context, sourceLocation: { part, paragraph, runs } }] -
+ * PPTX locations also carry the slide number and shape id; DOCX text marks spans
+ * formatted unlike the rest of the paragraph as <g id="n"> codes
+ */
+export async function extractLayoutSegments(format, source) {
+    const layout = LAYOUT_FORMATS[format]
+    const zip = await JSZip.loadAsync(source)
+    const entries = []
+
+    for (const part of await layout.getParts(zip)) {
+        const doc = parseXml(await zip.file(part.name).async('text'), part.name)
+
+        getParagraphs(doc, layout.namespace).forEach((paragraph, paragraphIndex) => {
+            // Text boxes are stored twice; the VML fallback copy is left as is
+            if (closest(paragraph, MC_NS, 'Fallback')) return
+            if (layout.isTranslatable?.(paragraph, part) === false) return
+
+            const runs = layout.getRuns(paragraph)
+            const text = runs.map(run => run.text).join('')
+            if (!text.trim()) return
+
+            entries.push({
+                en: (layout.getText?.(runs) ?? text).trim(),
+                order: entries.length,
+                context: layout.getContext(paragraph, part),
+                sourceLocation: {
+                    part: part.name,
+                    ...layout.getLocation?.(paragraph, part),
+                    paragraph: paragraphIndex,
+                    runs: runs.map((run, index) => run.text ? index : null).filter(index => index !== null)
+                }
+            })
+        })
+    }
+
+    return entries
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+/**
+ * Write translations into a copy of the original document
+ * @param {string} format - Key of LAYOUT_FORMATS
+ * @param {ArrayBuffer|Blob} source - Original file
+ * @param {Array} rows - Rows with sourceLocation
+ * @param {Object} options - { targetLanguage }
+ * @returns {Promise<{ blob: Blob, written: number, missing: number }>} - missing counts
+ * translations that could not be placed, including rows with no location in the original
+ */
+export async function buildLayoutDocument(format, source, rows, options = {}) {
+    const { targetLanguage } = options
+    const layout = LAYOUT_FORMATS[format]
+    const zip = await JSZip.loadAsync(source)
+    let written = 0
+    let missing = 0
+
+    const getText = (row) => row.translations?.[targetLanguage]?.text || row[targetLanguage] || ''
+
+    // Rows grouped by the part they came from; translated rows added after import have no place
+    const rowsByPart = {}
+    rows.forEach(row => {
+        const part = row.sourceLocation?.part
+        if (part) rowsByPart[part] = [...(rowsByPart[part] || []), row]
+        else if (getText(row).trim()) missing++
+    })
+
+    for (const [partName, partRows] of Object.entries(rowsByPart)) {
+        const file = zip.file(partName)
+        if (!file) {
+            missing += partRows.length
+            continue
+        }
+
+        const doc = parseXml(await file.async('text'), partName)
+        const paragraphs = getParagraphs(doc, layout.namespace)
+        const changes = []
+
+        partRows.forEach(row => {
+            const text = getText(row)
+            const paragraph = paragraphs[row.sourceLocation.paragraph]
+            if (!text.trim()) return
+
+            const original = paragraph ? layout.getRuns(paragraph).map(run => run.text).join('') : ''
+            if (paragraph && layout.writeParagraph(paragraph, row.sourceLocation.runs || [], text)) {
+                changes.push({ paragraph, original, text })
+                written++
+            } else {
+                missing++
+            }
+        })
+        layout.fitText?.(changes)
+
+        let xml = new XMLSerializer().serializeToString(doc)
+        if (!xml.startsWith('<?xml')) xml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${xml}`
+        zip.file(partName, xml)
+    }
+
+    const blob = await zip.generateAsync({ type: 'blob', mimeType: layout.mimeType, compression: 'DEFLATE' })
+    return { blob, written, missing }
+}
+
+/**
+ * Download a translated copy of the original document
+ * @param {string} format - Key of LAYOUT_FORMATS
+ * @param {ArrayBuffer|Blob} source - Original file
+ * @param {Array} rows - Rows with sourceLocation
+ * @param {string} filename - Output filename (without extension)
+ * @param {Object} options - { targetLanguage }
+ * @returns {Promise<{ written: number, missing: number }>}
+ */
+export async function exportWithLayout(format, source, rows, filename, options = {}) {
+    const { blob, written, missing } = await buildLayoutDocument(format, source, rows, options)
+    downloadBlob(blob, `${filename}.${LAYOUT_FORMATS[format].extension}`)
+    return { written, missing }
+}
@@ -0,0 +1,192 @@
+/**
+ * Translation QA Checks
+ * Rule-based checks comparing a translation with its English source.
+ * Issues with severity 'error' block sending a row for review; warnings are informational.
+ */
+import { checkLengthLimits } from '@/lib/length-limits'
+import { isICUMessage, checkICUMessage } from '@/lib/icu-message'
+
+export const QA_SEVERITY = {
+    ERROR: 'error',
+    WARNING: 'warning'
+}
+
+export const QA_RULES = {
+    empty: { label: 'Empty translation', severity: QA_SEVERITY.ERROR },
+    placeholders: { label: 'Placeholder mismatch', severity: QA_SEVERITY.ERROR },
+    icu: { label: 'ICU message error', severity: QA_SEVERITY.ERROR },
+    length: { label: 'Too long', severity: QA_SEVERITY.ERROR },
+    numbers: { label: 'Number mismatch', severity: QA_SEVERITY.WARNING },
+    currency: { label: 'Currency mismatch', severity: QA_SEVERITY.WARNING },
+    whitespace: { label: 'Leading/trailing whitespace', severity: QA_SEVERITY.WARNING },
+    doubleSpaces: { label: 'Doubled spaces', severity: QA_SEVERITY.WARNING },
+    untranslated: { label: 'Untranslated', severity: QA_SEVERITY.WARNING },
+    punctuation: { label: 'Punctuation mismatch', severity: QA_SEVERITY.WARNING }
+}
+
+// {{var}}, {name}, %s / %d / %1$s, HTML tags
+const PLACEHOLDER_PATTERN = /\{\{\s*[\w.]+\s*\}\}|\{[\w.]+\}|%(?:\d+\$)?[sdif@]|<\/?[a-zA-Z][^<>]*\/?>/g
+const NUMBER_PATTERN = /\d+(?:[.,]\d+)*/g
+// Codes may run straight into the amount (RM10.90), so no word boundary after them
+const CURRENCY_PATTERN = /\b(?:RM|MYR|USD|SGD|RMB|CNY)(?![A-Za-z])|[$€£¥]/g
+
+// Sentence-ending punctuation and its full-width (Chinese) equivalent
+const END_PUNCTUATION = {
+    '.': ['.', '。'],
+    '!': ['!', '！'],
+    '?': ['?', '？'],
+    ':': [':', '：']
+}
+
+const matchAll = (text, pattern) => text.match(pattern) || []
+
+// Multiset difference: items of a missing from b
+const missingFrom = (a, b) => {
+    const remaining = [...b]
+    return a.filter(item => {
+        const index = remaining.indexOf(item)
+        if (index === -1) return true
+        remaining.splice(index, 1)
+        return false
+    })
+}
+
+// Items of a missing from b, ignoring how often they occur
+const missingDistinct = (a, b) => [...new Set(a)].filter(item => !b.includes(item))
+
+// 1,234.50 and 1234.50 are the same number
+const normalizeNumber = (value) => value.replace(/,(?=\d{3}\b)/g, '').replace(',', '.')
+
+const issue = (rule, message) => ({ rule, severity: QA_RULES[rule].severity, message })
+
+/**
+ * Run every rule on one translation
+ * @param {string} source - English source text
+ * @param {string} target - Translation
+ * @param {string} languageCode - Target language (zh uses full-width punctuation)
+ * @param {Object} limits - Optional length limits ({ maxLength, maxWidth, font } from resolveLengthLimits)
+ * @returns {Array} [{ rule, severity, message }]
+ */
+export function runQAChecks(source, target, languageCode, limits = null) {
+    source = source || ''
+    target = target || ''
+    const issues = []
+
+    if (!source.trim()) return issues
+    if (!target.trim()) return [issue('empty', 'No translation')]
+
+    // ICU plural/select options repeat text per category, and the target language may have fewer categories
+    const icu = isICUMessage(source) || isICUMessage(target)
+    const difference = icu ? missingDistinct : missingFrom
+    checkICUMessage(source, target, languageCode).forEach(problem => issues.push(issue('icu', problem)))
+
+    const sourcePlaceholders = matchAll(source, PLACEHOLDER_PATTERN)
+    const targetPlaceholders = matchAll(target, PLACEHOLDER_PATTERN)
+    const missingPlaceholders = difference(sourcePlaceholders, targetPlaceholders)
+    const extraPlaceholders = difference(targetPlaceholders, sourcePlaceholders)
+    if (missingPlaceholders.length || extraPlaceholders.length) {
+        const parts = []
+        if (missingPlaceholders.length) parts.push(`missing ${missingPlaceholders.join(' ')}`)
+        if (extraPlaceholders.length) parts.push(`unexpected ${extraPlaceholders.join(' ')}`)
+        issues.push(issue('placeholders', parts.join(', ')))
+    }
+
+    // Numbers inside placeholders (%1$s) are checked above
+    const stripPlaceholders = (text) => text.replace(PLACEHOLDER_PATTERN, ' ')
+    const sourceNumbers = matchAll(stripPlaceholders(source), NUMBER_PATTERN).map(normalizeNumber)
+    const targetNumbers = matchAll(stripPlaceholders(target), NUMBER_PATTERN).map(normalizeNumber)
+    const missingNumbers = difference(sourceNumbers, targetNumbers)
+    if (missingNumbers.length) {
+        issues.push(issue('numbers', `missing ${missingNumbers.join(', ')}`))
+    }
+
+    const missingCurrency = difference(matchAll(source, CURRENCY_PATTERN), matchAll(target, CURRENCY_PATTERN))
+    if (missingCurrency.length) {
+        issues.push(issue('currency', `missing ${missingCurrency.join(', ')}`))
+    }
+
+    const edgeWhitespace = (text) => [/^\s/.test(text), /\s$/.test(text)]
+    const [sourceLeading, sourceTrailing] = edgeWhitespace(source)
+    const [targetLeading, targetTrailing] = edgeWhitespace(target)
+    if (sourceLeading !== targetLeading || sourceTrailing !== targetTrailing) {
+        issues.push(issue('whitespace', 'Leading or trailing whitespace differs from the source'))
+    }
+
+    const length = checkLengthLimits(target, limits)
+    if (length.overLength) {
+        issues.push(issue('length', `${length.length}/${limits.maxLength} characters`))
+    }
+    if (length.overWidth) {
+        issues.push(issue('length', `${length.width}/${limits.maxWidth} px wide`))
+    }
+
+    if (/ {2,}/.test(target) && !/ {2,}/.test(source)) {
+        issues.push(issue('doubleSpaces', 'Contains doubled spaces'))
+    }
+
+    // Only flag text that has words to translate
+    if (target.trim() === source.trim() && /[A-Za-z]{2,}/.test(stripPlaceholders(source))) {
+        issues.push(issue('untranslated', 'Same as the source'))
+    }
+
+    const sourceEnd = source.trim().slice(-1)
+    const targetEnd = target.trim().slice(-1)
+    const expectedEnd = END_PUNCTUATION[sourceEnd]
+    const targetHasEnd = Object.values(END_PUNCTUATION).some(marks => marks.includes(targetEnd))
+    if (expectedEnd && !expectedEnd.includes(targetEnd)) {
+        issues.push(issue('punctuation', `Should end with "${languageCode === 'zh' ? expectedEnd[1] : sourceEnd}"`))
+    } else if (!expectedEnd && targetHasEnd) {
+        issues.push(issue('punctuation', `Ends with "${targetEnd}" but the source does not`))
+    }
+
+    return issues
+}
+
+/**
+ * QA result for a row, keyed by language (languages without issues are omitted)
+ * @param {Object} row - Row with en/source_text and translations
+ * @param {Array} targetLanguages
+ * @param {Object} limits - Optional length limits of the row
+ * @returns {Object|null} { [lang]: issues } or null when every language passes
+ */
+export function checkRowQA(row, targetLanguages = [], limits = null) {
+    const source = row?.en || row?.source_text || row?.text || ''
+    const result = {}
+    targetLanguages.forEach(lang => {
+        const target = row?.translations?.[lang]?.text ?? row?.[lang] ?? ''
+        const issues = runQAChecks(source, target, lang, limits)
+        if (issues.length > 0) result[lang] = issues
+    })
+    return Object.keys(result).length > 0 ? result : null
+}
+
+/**
+ * Count issues of a stored QA result
+ * @param {Object|null} qa - { [lang]: issues }
+ * @returns {{ errors: number, warnings: number }}
+ */
+export function countQAIssues(qa) {
+    const counts = { errors: 0, warnings: 0 }
+    Object.values(qa || {}).forEach(issues => {
+        issues.forEach(({ severity }) => {
+            if (severity === QA_SEVERITY.ERROR) counts.errors++
+            else counts.warnings++
+        })
+    })
+    return counts
+}
+
+// Comparable form of a stored QA result (Firestore does not keep map key order)
+const getQASignature = (qa) => JSON.stringify(Object.keys(qa || {}).sort()
+    .map(lang => [lang, qa[lang].map(({ rule, severity, message }) => [rule, severity, message])]))
+
+/**
+ * Whether two stored QA results report the same issues
+ * @param {Object|null} a
+ * @param {Object|null} b
+ * @returns {boolean}
+ */
+export const isSameQAResult = (a, b) => getQASignature(a) === getQASignature(b)
+
+// Whether a stored QA result blocks sending the row for review
+export const hasBlockingQAIssues = (qa) => countQAIssues(qa).errors > 0
@@ -0,0 +1,727 @@
+// Software localization resource files: i18next JSON, gettext PO, Android strings.xml, Apple .strings / .xcstrings
+// Keys are kept on rows as `key` (plus `plural` / `arrayItem` for grouped strings) so files can be rebuilt per language
+import { LANGUAGES, getLocaleTag, getLanguageCodeFromLocale } from '@/lib/constants'
+import { downloadTextFile } from '@/lib/utils'
+
+export const RESOURCE_FORMATS = {
+    json: { label: 'i18next JSON', extension: 'json', mimeType: 'application/json' },
+    po: { label: 'gettext PO', extension: 'po', mimeType: 'text/x-gettext-translation' },
+    android: { label: 'Android XML', extension: 'xml', mimeType: 'application/xml' },
+    strings: { label: 'iOS .strings', extension: 'strings', mimeType: 'text/plain' },
+    xcstrings: { label: 'String Catalog', extension: 'xcstrings', mimeType: 'application/json' }
+}
+
+// CLDR plural categories, also the i18next key suffixes (key_one, key_other)
+export const PLURAL_QUANTITIES = ['zero', 'one', 'two', 'few', 'many', 'other']
+
+// gettext separates msgctxt from msgid with EOT in its own keys
+const PO_CONTEXT_SEPARATOR = '\u0004'
+
+// Apple language ids differ from our locale tags
+const APPLE_LOCALES = { my: 'ms', zh: 'zh-Hans' }
+
+// gettext plural forms; languages not listed use the English rule
+const PO_PLURAL_FORMS = {
+    my: 'nplurals=1; plural=0;',
+    zh: 'nplurals=1; plural=0;'
+}
+const DEFAULT_PO_PLURAL_FORMS = 'nplurals=2; plural=(n != 1);'
+
+const pluralKey = (name, quantity) => `${name}_${quantity}`
+
+/**
+ * Resource key fields of a row, for copying them onto imported rows
+ * @param {Object} row
+ * @returns {Object} { key, plural, arrayItem } (only those that are set)
+ */
+export function getResourceKeyFields(row) {
+    const fields = {}
+    if (row?.key) fields.key = row.key
+    if (row?.plural) fields.plural = row.plural
+    if (row?.arrayItem) fields.arrayItem = row.arrayItem
+    return fields
+}
+
+// Key as shown to users (gettext context separator made visible)
+export const formatResourceKey = (key) => (key || '').replace(PO_CONTEXT_SEPARATOR, ' › ')
+
+const makeEntry = (entries, fields) => {
+    entries.push({
+        en: '',
+        context: '',
+        translations: {},
+        ...fields,
+        order: entries.length
+    })
+}
+
+// ============================================
+// i18next JSON
+// ============================================
+
+function parseI18nextJson(text) {
+    const data = JSON.parse(text)
+    // Keys come from the object structure - a bare string or list has none
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Not an i18next JSON file: expected an object of keys')
+    }
+    const entries = []
+
+    const walk = (value, path, parentIsArray) => {
+        if (typeof value === 'string') {
+            const key = path.join('.')
+            const last = path[path.length - 1]
+            const pluralMatch = last.match(new RegExp(`^(.+)_(${PLURAL_QUANTITIES.join('|')})$`))
+            const fields = { key, en: value }
+            if (parentIsArray) {
+                fields.arrayItem = { name: path.slice(0, -1).join('.'), index: Number(last) }
+            } else if (pluralMatch) {
+                fields.plural = { name: [...path.slice(0, -1), pluralMatch[1]].join('.'), quantity: pluralMatch[2] }
+            }
+            makeEntry(entries, fields)
+        } else if (Array.isArray(value)) {
+            value.forEach((item, index) => walk(item, [...path, String(index)], true))
+        } else if (value && typeof value === 'object') {
+            Object.entries(value).forEach(([key, item]) => walk(item, [...path, key], false))
+        }
+    }
+    walk(data, [], false)
+
+    return { entries }
+}
+
+function buildI18nextJson(rows, targetLanguage) {
+    const root = {}
+    const arrayNames = new Set(rows.filter(row => row.arrayItem).map(row => row.arrayItem.name))
+
+    rows.forEach(row => {
+        const value = getExportText(row, targetLanguage)
+        if (!value) return
+
+        const path = getRowKey(row).split('.')
+        let node = root
+        path.slice(0, -1).forEach((segment, index) => {
+            if (typeof node[segment] !== 'object' || node[segment] === null) {
+                node[segment] = arrayNames.has(path.slice(0, index + 1).join('.')) ? [] : {}
+            }
+            node = node[segment]
+        })
+        node[path[path.length - 1]] = value
+    })
+
+    return JSON.stringify(root, null, 2) + '\n'
+}
+
+// ============================================
+// GETTEXT PO / POT
+// ============================================
+
+const unquotePo = (value) => value.slice(1, -1).replace(/\\(.)/g, (match, char) =>
+    ({ n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\' })[char] ?? char
+)
+
+const quotePo = (value) => `"${String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\t/g, '\\t')}"`
+
+function readPoEntries(text) {
+    const entries = []
+    const newEntry = () => ({ comments: [], flags: [], msgctxt: null, msgid: null, msgidPlural: null, msgstr: [] })
+    let entry = newEntry()
+    let field = null
+
+    const flush = () => {
+        if (entry.msgid !== null) entries.push(entry)
+        entry = newEntry()
+        field = null
+    }
+
+    text.split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim()
+        if (!line) {
+            if (entry.msgid !== null) flush()
+            return
+        }
+        if (line.startsWith('#~')) return // Obsolete entries
+
+        if (line.startsWith('#')) {
+            if (entry.msgstr.length > 0) flush()
+            if (line.startsWith('#,')) {
+                entry.flags.push(...line.slice(2).split(',').map(flag => flag.trim()))
+            } else if (line.startsWith('#.') || line.startsWith('# ') || line === '#') {
+                // Extracted and translator comments become the row context
+                const comment = line.replace(/^#\.?\s?/, '')
+                if (comment) entry.comments.push(comment)
+            }
+            return
+        }
+
+        const keyword = line.match(/^(msgctxt|msgid_plural|msgid|msgstr)(?:\[(\d+)\])?\s+(".*")$/)
+        if (keyword) {
+            const [, name, index, value] = keyword
+            if ((name === 'msgctxt' || name === 'msgid') && entry.msgstr.length > 0) flush()
+            field = name === 'msgstr' ? { name, index: Number(index || 0) } : { name }
+            setPoField(entry, field, unquotePo(value))
+        } else if (line.startsWith('"') && field) {
+            setPoField(entry, field, unquotePo(line), true)
+        }
+    })
+    flush()
+
+    return entries
+}
+
+function setPoField(entry, field, value, append = false) {
+    if (field.name === 'msgstr') {
+        entry.msgstr[field.index] = (append ? entry.msgstr[field.index] || '' : '') + value
+        return
+    }
+    const key = field.name === 'msgid_plural' ? 'msgidPlural' : field.name
+    entry[key] = (append ? entry[key] || '' : '') + value
+}
+
+function parsePo(text) {
+    const poEntries = readPoEntries(text)
+    const header = poEntries.find(entry => entry.msgid === '' && entry.msgctxt === null)
+    const headerFields = Object.fromEntries((header?.msgstr[0] || '').split('\n')
+        .map(line => line.match(/^([\w-]+):\s*(.*)$/))
+        .filter(Boolean)
+        .map(([, name, value]) => [name.toLowerCase(), value.trim()]))
+    const language = getLanguageCodeFromLocale(headerFields.language)
+    const targetLanguage = language && language !== 'en' ? language : null
+    const pluralCount = Number(headerFields['plural-forms']?.match(/nplurals\s*=\s*(\d+)/)?.[1] || 2)
+
+    const entries = []
+    poEntries.filter(entry => entry !== header).forEach(entry => {
+        const key = entry.msgctxt !== null ? `${entry.msgctxt}${PO_CONTEXT_SEPARATOR}${entry.msgid}` : entry.msgid
+        const context = entry.comments.join('\n')
+        const status = entry.flags.includes('fuzzy') ? 'changes' : 'draft'
+        const translation = (text) => targetLanguage && text ? { [targetLanguage]: { text, status } } : {}
+
+        if (entry.msgidPlural === null) {
+            makeEntry(entries, { key, en: entry.msgid, context, translations: translation(entry.msgstr[0]) })
+            return
+        }
+
+        // With a single plural form msgstr[0] covers every count
+        const forms = {
+            one: entry.msgstr[0],
+            other: pluralCount === 1 ? entry.msgstr[0] : entry.msgstr[entry.msgstr.length - 1]
+        }
+        makeEntry(entries, { key: pluralKey(key, 'one'), plural: { name: key, quantity: 'one' }, en: entry.msgid, context, translations: translation(forms.one) })
+        makeEntry(entries, { key: pluralKey(key, 'other'), plural: { name: key, quantity: 'other' }, en: entry.msgidPlural, context, translations: translation(forms.other) })
+    })
+
+    return { entries, targetLanguages: targetLanguage ? [targetLanguage] : [] }
+}
+
+function buildPo(rows, targetLanguage, { projectName = '' } = {}) {
+    const pluralForms = PO_PLURAL_FORMS[targetLanguage] || DEFAULT_PO_PLURAL_FORMS
+    const pluralCount = Number(pluralForms.match(/nplurals=(\d+)/)[1])
+    const headerLines = [
+        `Project-Id-Version: ${projectName}`,
+        `Language: ${getLocaleTag(targetLanguage).replace('-', '_')}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: 8bit',
+        `Plural-Forms: ${pluralForms}`
+    ]
+    const blocks = [['msgid ""', 'msgstr ""', ...headerLines.map(line => quotePo(`${line}\n`))].join('\n')]
+    const seen = new Set()
+
+    // msgctxt keeps entries with the same source text apart
+    const getContext = (row, msgid) => {
+        const key = row.plural?.name || row.key
+        if (key?.includes(PO_CONTEXT_SEPARATOR)) return key.split(PO_CONTEXT_SEPARATOR)[0]
+        if (key && key !== msgid) return key
+        return seen.has(msgid) ? row.id : null
+    }
+
+    const commentLines = (row) => (row.context || '').split('\n').filter(Boolean).map(line => `#. ${line}`)
+    const fuzzy = (row) => getExportStatus(row, targetLanguage) === 'changes' ? ['#, fuzzy'] : []
+
+    groupRows(rows).forEach(group => {
+        if (group.type === 'plural') {
+            const one = group.rows.find(row => row.plural.quantity === 'one') || group.rows[0]
+            const other = group.rows.find(row => row.plural.quantity === 'other') || group.rows[group.rows.length - 1]
+            const msgid = getSourceText(one)
+            const msgctxt = getContext(one, msgid)
+            const translations = pluralCount === 1
+                ? [getTranslationText(other, targetLanguage)]
+                : [getTranslationText(one, targetLanguage), ...Array(pluralCount - 1).fill(getTranslationText(other, targetLanguage))]
+            seen.add(msgid)
+            blocks.push([
+                ...commentLines(one),
+                ...fuzzy(other),
+                msgctxt !== null && `msgctxt ${quotePo(msgctxt)}`,
+                `msgid ${quotePo(msgid)}`,
+                `msgid_plural ${quotePo(getSourceText(other))}`,
+                ...translations.map((text, index) => `msgstr[${index}] ${quotePo(text)}`)
+            ].filter(Boolean).join('\n'))
+            return
+        }
+
+        group.rows.forEach(row => {
+            const msgid = getSourceText(row)
+            if (!msgid) return
+            const msgctxt = getContext(row, msgid)
+            seen.add(msgid)
+            blocks.push([
+                ...commentLines(row),
+                ...fuzzy(row),
+                msgctxt !== null && `msgctxt ${quotePo(msgctxt)}`,
+                `msgid ${quotePo(msgid)}`,
+                `msgstr ${quotePo(getTranslationText(row, targetLanguage))}`
+            ].filter(Boolean).join('\n'))
+        })
+    })
+
+    return blocks.join('\n\n') + '\n'
+}
+
+// ============================================
+// ANDROID strings.xml
+// ============================================
+
+const unescapeAndroid = (value) => {
+    let text = value
+    // A fully quoted value keeps its whitespace and apostrophes as they are
+    if (text.length >= 2 && text.startsWith('"') && text.endsWith('"')) text = text.slice(1, -1)
+    return text.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (match, escaped) => {
+        if (escaped.length === 5) return String.fromCharCode(parseInt(escaped.slice(1), 16))
+        return ({ n: '\n', t: '\t' })[escaped] ?? escaped
+    })
+}
+
+const escapeXml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+
+const escapeAndroid = (value) => escapeXml(String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\t/g, '\\t')
+    .replace(/^([@?])/, '\\$1'))
+
+// Markup allowed in string values (<b>, <i>, <xliff:g>, <annotation> ...)
+const ANDROID_TAG_PATTERN = /<\/?[A-Za-z][\w.-]*(?::[A-Za-z][\w.-]*)?(?:\s+[\w.:-]+\s*=\s*"[^"]*")*\s*\/?>/g
+const XLIFF_NAMESPACE = 'urn:oasis:names:tc:xliff:document:1.2'
+
+// Text of a value with its markup kept as tags (textContent would drop them)
+function androidText(node) {
+    return Array.from(node.childNodes).map(child => {
+        if (child.nodeType === 3 || child.nodeType === 4) return child.nodeValue // Text, CDATA
+        if (child.nodeType !== 1) return ''
+        const attrs = Array.from(child.attributes)
+            .filter(attr => !attr.name.startsWith('xmlns'))
+            .map(attr => ` ${attr.name}="${escapeXml(attr.value)}"`)
+            .join('')
+        const inner = androidText(child)
+        return inner ? `<${child.nodeName}${attrs}>${inner}</${child.nodeName}>` : `<${child.nodeName}${attrs}/>`
+    }).join('')
+}
+
+// Escape a value, writing its markup back as tags
+const escapeAndroidValue = (value) => {
+    const text = String(value ?? '')
+    let result = ''
+    let last = 0
+    for (const match of text.matchAll(ANDROID_TAG_PATTERN)) {
+        result += escapeAndroid(text.slice(last, match.index)) + match[0]
+        last = match.index + match[0].length
+    }
+    return result + escapeAndroid(text.slice(last))
+}
+
+// Resource names only allow letters, digits, _ and .
+const toAndroidName = (key) => String(key).replace(/[^A-Za-z0-9_.]/g, '_').replace(/^(\d)/, '_$1')
+
+function parseAndroid(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml')
+    const root = doc.documentElement
+    if (doc.getElementsByTagName('parsererror').length > 0 || root?.localName !== 'resources') {
+        throw new Error('Not a valid Android strings.xml file')
+    }
+
+    const entries = []
+    let comment = ''
+    Array.from(root.childNodes).forEach(node => {
+        if (node.nodeType === 8) { // Comment node
+            comment = node.data.trim()
+            return
+        }
+        if (node.nodeType !== 1) return
+
+        const name = node.getAttribute('name')
+        const context = comment
+        comment = ''
+        if (!name || node.getAttribute('translatable') === 'false') return
+
+        const items = Array.from(node.childNodes).filter(child => child.nodeType === 1 && child.localName === 'item')
+        if (node.localName === 'string') {
+            makeEntry(entries, { key: name, en: unescapeAndroid(androidText(node)), context })
+        } else if (node.localName === 'plurals') {
+            items.forEach(item => {
+                const quantity = item.getAttribute('quantity')
+                makeEntry(entries, { key: pluralKey(name, quantity), plural: { name, quantity }, en: unescapeAndroid(androidText(item)), context })
+            })
+        } else if (node.localName === 'string-array') {
+            items.forEach((item, index) => {
+                makeEntry(entries, { key: `${name}.${index}`, arrayItem: { name, index }, en: unescapeAndroid(androidText(item)), context })
+            })
+        }
+    })
+
+    return { entries: entries.filter(entry => entry.en.trim()) }
+}
+
+function buildAndroid(rows, targetLanguage) {
+    // <xliff:g> placeholders need their namespace declared
+    const usesXliff = rows.some(row => getExportText(row, targetLanguage).includes('<xliff:'))
+    const lines = ['<?xml version="1.0" encoding="utf-8"?>', usesXliff ? `<resources xmlns:xliff="${XLIFF_NAMESPACE}">` : '<resources>']
+    const comment = (row) => row.context && lines.push(`    <!-- ${row.context.replace(/--/g, '- -')} -->`)
+
+    groupRows(rows).forEach(group => {
+        if (group.type === 'plural') {
+            const translated = group.rows.filter(row => getTranslationText(row, targetLanguage))
+            if (translated.length === 0) return
+            comment(group.rows[0])
+            lines.push(`    <plurals name="${toAndroidName(group.name)}">`)
+            translated.forEach(row => {
+                lines.push(`        <item quantity="${row.plural.quantity}">${escapeAndroidValue(getTranslationText(row, targetLanguage))}</item>`)
+            })
+            lines.push('    </plurals>')
+        } else if (group.type === 'array') {
+            // Arrays must stay complete, untranslated items keep the source text
+            if (!group.rows.some(row => getTranslationText(row, targetLanguage))) return
+            comment(group.rows[0])
+            lines.push(`    <string-array name="${toAndroidName(group.name)}">`)
+            group.rows.forEach(row => {
+                lines.push(`        <item>${escapeAndroidValue(getExportText(row, targetLanguage))}</item>`)
+            })
+            lines.push('    </string-array>')
+        } else {
+            group.rows.forEach(row => {
+                const text = getTranslationText(row, targetLanguage)
+                if (!text) return
+                comment(row)
+                lines.push(`    <string name="${toAndroidName(getRowKey(row))}">${escapeAndroidValue(text)}</string>`)
+            })
+        }
+    })
+
+    lines.push('</resources>')
+    return lines.join('\n') + '\n'
+}
+
+// ============================================
+// APPLE .strings
+// ============================================
+
+function readStringsLiteral(text, start) {
+    let value = ''
+    let index = start + 1
+    while (index < text.length && text[index] !== '"') {
+        if (text[index] === '\\') {
+            const next = text[index + 1]
+            if ((next === 'U' || next === 'u') && /^[0-9a-fA-F]{4}$/.test(text.slice(index + 2, index + 6))) {
+                value += String.fromCharCode(parseInt(text.slice(index + 2, index + 6), 16))
+                index += 6
+                continue
+            }
+            value += ({ n: '\n', t: '\t', r: '\r' })[next] ?? next
+            index += 2
+            continue
+        }
+        value += text[index]
+        index++
+    }
+    return { value, end: index + 1 }
+}
+
+function parseStrings(text) {
+    const entries = []
+    let comment = ''
+    let index = 0
+
+    const skipWhitespace = () => {
+        while (index < text.length && /\s/.test(text[index])) index++
+    }
+
+    while (index < text.length) {
+        skipWhitespace()
+        if (text.startsWith('/*', index)) {
+            const end = text.indexOf('*/', index + 2)
+            comment = text.slice(index + 2, end === -1 ? text.length : end).trim()
+            index = end === -1 ? text.length : end + 2
+        } else if (text.startsWith('//', index)) {
+            const end = text.indexOf('\n', index)
+            comment = text.slice(index + 2, end === -1 ? text.length : end).trim()
+            index = end === -1 ? text.length : end + 1
+        } else if (text[index] === '"') {
+            const key = readStringsLiteral(text, index)
+            index = key.end
+            skipWhitespace()
+            if (text[index] !== '=') throw new Error(`Invalid .strings file near "${key.value}"`)
+            index++
+            skipWhitespace()
+            const value = readStringsLiteral(text, index)
+            index = value.end
+            skipWhitespace()
+            if (text[index] === ';') index++
+
+            makeEntry(entries, { key: key.value, en: value.value, context: comment })
+            comment = ''
+        } else {
+            index++
+        }
+    }
+
+    return { entries: entries.filter(entry => entry.en.trim()) }
+}
+
+const quoteStrings = (value) => `"${String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\t/g, '\\t')}"`
+
+function buildStrings(rows, targetLanguage) {
+    const blocks = []
+    rows.forEach(row => {
+        const text = getTranslationText(row, targetLanguage)
+        if (!text) return
+        blocks.push([
+            row.context && `/* ${row.context.replace(/\*\//g, '* /')} */`,
+            `${quoteStrings(getRowKey(row, true))} = ${quoteStrings(text)};`
+        ].filter(Boolean).join('\n'))
+    })
+    return blocks.join('\n\n') + '\n'
+}
+
+// ============================================
+// APPLE STRING CATALOG (.xcstrings)
+// ============================================
+
+const XCSTRINGS_STATUS = { needs_review: 'review' }
+
+function parseXcstrings(text) {
+    const catalog = JSON.parse(text)
+    const sourceLanguage = catalog.sourceLanguage || 'en'
+    const entries = []
+    const targetLanguages = new Set()
+
+    // { code: stringUnit } for every supported target language
+    const collectTranslations = (localizations, getUnit) => {
+        const translations = {}
+        Object.entries(localizations || {}).forEach(([tag, localization]) => {
+            const code = getLanguageCodeFromLocale(tag)
+            const unit = getUnit(localization)
+            if (tag === sourceLanguage || !code || code === 'en' || !unit?.value) return
+            translations[code] = { text: unit.value, status: XCSTRINGS_STATUS[unit.state] || 'draft' }
+            targetLanguages.add(code)
+        })
+        return translations
+    }
+
+    Object.entries(catalog.strings || {}).forEach(([key, item]) => {
+        if (item.shouldTranslate === false) return
+        const localizations = item.localizations || {}
+        const context = item.comment || ''
+        const pluralVariations = localizations[sourceLanguage]?.variations?.plural
+
+        if (pluralVariations) {
+            Object.entries(pluralVariations).forEach(([quantity, variation]) => {
+                makeEntry(entries, {
+                    key: pluralKey(key, quantity),
+                    plural: { name: key, quantity },
+                    en: variation.stringUnit?.value || key,
+                    context,
+                    translations: collectTranslations(localizations, localization => localization.variations?.plural?.[quantity]?.stringUnit)
+                })
+            })
+            return
+        }
+
+        makeEntry(entries, {
+            key,
+            // Catalog keys are usually the source text itself
+            en: localizations[sourceLanguage]?.stringUnit?.value || key,
+            context,
+            translations: collectTranslations(localizations, localization => localization.stringUnit)
+        })
+    })
+
+    return { entries: entries.filter(entry => entry.en.trim()), targetLanguages: [...targetLanguages] }
+}
+
+function buildXcstrings(rows, targetLanguage) {
+    const targetTag = APPLE_LOCALES[targetLanguage] || getLocaleTag(targetLanguage)
+    const stringUnit = (value, status) => ({
+        stringUnit: { state: status === 'review' ? 'needs_review' : 'translated', value }
+    })
+    const strings = {}
+
+    groupRows(rows).forEach(group => {
+        if (group.type === 'plural') {
+            const source = {}
+            const target = {}
+            group.rows.forEach(row => {
+                source[row.plural.quantity] = stringUnit(getSourceText(row))
+                const text = getTranslationText(row, targetLanguage)
+                if (text) target[row.plural.quantity] = stringUnit(text, getExportStatus(row, targetLanguage))
+            })
+            strings[group.name] = {
+                ...(group.rows[0].context && { comment: group.rows[0].context }),
+                localizations: {
+                    en: { variations: { plural: source } },
+                    ...(Object.keys(target).length > 0 && { [targetTag]: { variations: { plural: target } } })
+                }
+            }
+            return
+        }
+
+        group.rows.forEach(row => {
+            const text = getTranslationText(row, targetLanguage)
+            strings[getRowKey(row, true)] = {
+                ...(row.context && { comment: row.context }),
+                localizations: {
+                    en: stringUnit(getSourceText(row)),
+                    ...(text && { [targetTag]: stringUnit(text, getExportStatus(row, targetLanguage)) })
+                }
+            }
+        })
+    })
+
+    return JSON.stringify({ sourceLanguage: 'en', strings, version: '1.0' }, null, 2) + '\n'
+}
+
+// ============================================
+// SHARED EXPORT HELPERS
+// ============================================
+
+const getSourceText = (row) => row.en || row.source_text || row.text || ''
+
+const getTranslationText = (row, language) => row.translations?.[language]?.text || row[language] || ''
+
+const getExportStatus = (row, language) => row.translations?.[language]?.status || row.status
+
+// Translation, or the source text for array items that have to be complete
+const getExportText = (row, language) => getTranslationText(row, language) || (row.arrayItem ? getSourceText(row) : '')
+
+// Rows created in the app have no key; Apple formats fall back to the source text like Xcode does
+const getRowKey = (row, sourceAsKey = false) => row.key || (sourceAsKey ? getSourceText(row) : row.id)
+
+// Plural forms and array items grouped under their name, in row order
+function groupRows(rows) {
+    const groups = []
+    const byName = new Map()
+    rows.forEach(row => {
+        const type = row.plural ? 'plural' : row.arrayItem ? 'array' : 'string'
+        if (type === 'string') {
+            groups.push({ type, rows: [row] })
+            return
+        }
+        const name = (row.plural || row.arrayItem).name
+        const groupKey = `${type}:${name}`
+        if (!byName.has(groupKey)) {
+            const group = { type, name, rows: [] }
+            byName.set(groupKey, group)
+            groups.push(group)
+        }
+        byName.get(groupKey).rows.push(row)
+    })
+    groups.filter(group => group.type === 'array').forEach(group => {
+        group.rows.sort((a, b) => a.arrayItem.index - b.arrayItem.index)
+    })
+    return groups
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+const PARSERS = {
+    json: parseI18nextJson,
+    po: parsePo,
+    android: parseAndroid,
+    strings: parseStrings,
+    xcstrings: parseXcstrings
+}
+
+const BUILDERS = {
+    json: buildI18nextJson,
+    po: buildPo,
+    android: buildAndroid,
+    strings: buildStrings,
+    xcstrings: buildXcstrings
+}
+
+// .strings files are often UTF-16 with a byte order mark
+async function readText(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer())
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) return new TextDecoder('utf-16le').decode(bytes.subarray(2))
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) return new TextDecoder('utf-16be').decode(bytes.subarray(2))
+    return new TextDecoder('utf-8').decode(bytes).replace(/^\uFEFF/, '')
+}
+
+/**
+ * Parse a resource file content
+ * @param {string} text - File content
+ * @param {string} format - Key of RESOURCE_FORMATS
+ * @param {string} name - File name without extension
+ * @returns {Object} { type, name, entries: [{ key, plural?, arrayItem?, en, context, translations, order }], targetLanguages }
+ */
+export function parseResource(text, format, name = 'Strings') {
+    const parse = PARSERS[format]
+    if (!parse) throw new Error(`Unsupported resource format: ${format}`)
+    const { entries, targetLanguages = [] } = parse(text)
+    return { type: format, name, entries, targetLanguages }
+}
+
+/**
+ * Parse a resource file
+ * @param {File} file
+ * @param {string} format - Key of RESOURCE_FORMATS (from detectFileType)
+ * @returns {Promise<Object>} See parseResource
+ */
+export async function parseResourceFile(file, format) {
+    const text = await readText(file)
+    return parseResource(text, format, file.name.replace(/\.[^/.]+$/, ''))
+}
+
+/**
+ * Build a localized resource file for one target language
+ * @param {string} format - Key of RESOURCE_FORMATS
+ * @param {Array} rows - Rows with key / plural / arrayItem
+ * @param {Object} options - { targetLanguage, projectName }
+ * @returns {string} File content
+ */
+export function buildResourceFile(format, rows, options = {}) {
+    const build = BUILDERS[format]
+    if (!build) throw new Error(`Unsupported resource format: ${format}`)
+    return build(rows, options.targetLanguage, options)
+}
+
+/**
+ * Export rows as a localized resource file
+ * @param {string} format - Key of RESOURCE_FORMATS
+ * @param {Array} rows
+ * @param {string} filename - Output filename (without extension)
+ * @param {Object} options - { targetLanguage, projectName }
+ */
+export function exportToResourceFile(format, rows, filename, options = {}) {
+    if (!LANGUAGES[options.targetLanguage]) {
+        throw new Error(`Unsupported target language: ${options.targetLanguage}`)
+    }
+
+    const { extension, mimeType } = RESOURCE_FORMATS[format]
+    downloadTextFile(buildResourceFile(format, rows, options), `${filename}.${extension}`, mimeType)
+    return true
+}
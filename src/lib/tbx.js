@@ -0,0 +1,254 @@
+// TBX (TermBase eXchange) Import/Export for glossary terms
+// Reads TBX 2019 (<tbx>, conceptEntry/langSec/termSec) and TBX 2008 / TBX-Basic
+// (<martif>, termEntry/langSet/tig|ntig), writes TBX 2019 TBX-Basic (DCA style)
+import { getLocaleTag, getLanguageCodeFromLocale } from '@/lib/constants'
+import { downloadTextFile } from '@/lib/utils'
+
+// Glossary terms keep Chinese in `cn`
+const TERM_FIELDS = { en: 'en', my: 'my', zh: 'cn' }
+
+// TBX administrativeStatus / normativeAuthorization values -> our term status
+const STATUS_VALUES = {
+    preferredterm: 'preferred',
+    standardizedterm: 'preferred',
+    legalterm: 'preferred',
+    regulatedterm: 'preferred',
+    admittedterm: 'admitted',
+    deprecatedterm: 'forbidden',
+    supersededterm: 'forbidden',
+    forbidden: 'forbidden',
+    forbiddenterm: 'forbidden',
+    notrecommended: 'forbidden'
+}
+
+const TBX_STATUS = {
+    preferred: 'preferredTerm-admn-sts',
+    admitted: 'admittedTerm-admn-sts',
+    forbidden: 'deprecatedTerm-admn-sts'
+}
+
+/**
+ * TBX details of a glossary term that are worth storing (no empty values)
+ * @param {Object} term - Glossary term
+ * @returns {Object} { definition, partOfSpeech, usageNotes, termStatus, forbiddenTerms }
+ */
+export function getTermDetails(term) {
+    const details = {}
+    if (term?.definition?.trim()) details.definition = term.definition.trim()
+    if (term?.partOfSpeech?.trim()) details.partOfSpeech = term.partOfSpeech.trim()
+    for (const key of ['usageNotes', 'termStatus', 'forbiddenTerms']) {
+        const value = term?.[key]
+        if (value && Object.keys(value).length > 0) details[key] = value
+    }
+    return details
+}
+
+// ============================================
+// IMPORT
+// ============================================
+
+const childElements = (parent, ...names) => Array.from(parent?.children || []).filter(el => names.includes(el.localName))
+const getLang = (el) => el.getAttributeNS('http://www.w3.org/XML/1998/namespace', 'lang') || el.getAttribute('xml:lang') || el.getAttribute('lang')
+
+// Value of a data category on an element - DCA (<descrip type="x">) or DCT (<basic:x>) style,
+// optionally wrapped in a *Grp element
+function getDataCategory(parent, type) {
+    const candidates = [
+        ...childElements(parent, 'descrip', 'termNote', 'admin', 'note', type),
+        ...childElements(parent, 'descripGrp', 'termNoteGrp', 'adminGrp').flatMap(group => childElements(group, 'descrip', 'termNote', 'admin', type))
+    ]
+    const match = candidates.find(el => el.localName === type || el.getAttribute('type') === type)
+    return match?.textContent.trim() || ''
+}
+
+const toTermStatus = (value) => STATUS_VALUES[value.replace(/-admn-sts$/i, '').replace(/[\s_-]/g, '').toLowerCase()] || null
+
+function parseTermSection(termSec) {
+    // ntig wraps the term and its notes in a termGrp
+    const container = childElements(termSec, 'termGrp')[0] || termSec
+    const term = childElements(container, 'term')[0]?.textContent.trim() || ''
+    const status = toTermStatus(getDataCategory(container, 'administrativeStatus'))
+        || toTermStatus(getDataCategory(container, 'normativeAuthorization'))
+        || toTermStatus(getDataCategory(termSec, 'administrativeStatus'))
+        || 'preferred'
+
+    return {
+        term,
+        status,
+        partOfSpeech: getDataCategory(container, 'partOfSpeech') || getDataCategory(termSec, 'partOfSpeech'),
+        usageNote: getDataCategory(termSec, 'usageNote')
+            || childElements(termSec, 'note').map(el => el.textContent.trim()).filter(Boolean).join('\n')
+    }
+}
+
+function parseEntry(entry, defaultCategory) {
+    const term = { en: '', my: '', cn: '', category: getDataCategory(entry, 'subjectField') || defaultCategory }
+    const usageNotes = {}
+    const termStatus = {}
+    const forbiddenTerms = {}
+    let definition = getDataCategory(entry, 'definition')
+    let partOfSpeech = ''
+    const unmappedLocales = []
+
+    childElements(entry, 'langSec', 'langSet').forEach(langSec => {
+        const locale = getLang(langSec)
+        const field = TERM_FIELDS[getLanguageCodeFromLocale(locale)]
+        if (!field) {
+            unmappedLocales.push(locale)
+            return
+        }
+
+        if (!definition || field === 'en') definition = getDataCategory(langSec, 'definition') || definition
+
+        const sections = childElements(langSec, 'termSec', 'tig', 'ntig').map(parseTermSection).filter(section => section.term)
+        // Preferred beats admitted; forbidden variants are kept separately
+        const allowed = sections.filter(section => section.status !== 'forbidden')
+        const main = allowed.find(section => section.status === 'preferred') || allowed[0]
+        const forbidden = sections.filter(section => section.status === 'forbidden').map(section => section.term)
+
+        if (main && !term[field]) {
+            term[field] = main.term
+            termStatus[field] = main.status
+            if (main.usageNote) usageNotes[field] = main.usageNote
+            if (main.partOfSpeech && (field === 'en' || !partOfSpeech)) partOfSpeech = main.partOfSpeech
+        }
+        if (forbidden.length > 0) forbiddenTerms[field] = [...(forbiddenTerms[field] || []), ...forbidden]
+    })
+
+    return {
+        term: {
+            ...term,
+            remark: '',
+            status: 'draft',
+            ...getTermDetails({ definition, partOfSpeech, usageNotes, termStatus, forbiddenTerms })
+        },
+        unmappedLocales
+    }
+}
+
+/**
+ * Parse TBX markup into glossary terms
+ * @param {string} xml - File content
+ * @param {Object} options - { defaultCategory }
+ * @returns {Object} { type, terms, unmappedLocales, entryCount }
+ */
+export function parseTbx(xml, options = {}) {
+    const { defaultCategory = 'General' } = options
+    const doc = new DOMParser().parseFromString(xml, 'application/xml')
+    const root = doc.documentElement
+    if (doc.getElementsByTagName('parsererror').length > 0 || !['tbx', 'martif'].includes(root?.localName)) {
+        throw new Error('Not a valid TBX file')
+    }
+
+    const entries = [
+        ...Array.from(root.getElementsByTagNameNS('*', 'conceptEntry')),
+        ...Array.from(root.getElementsByTagNameNS('*', 'termEntry'))
+    ]
+    const unmappedLocales = new Set()
+    const terms = []
+
+    entries.forEach(entry => {
+        const result = parseEntry(entry, defaultCategory)
+        result.unmappedLocales.forEach(locale => unmappedLocales.add(locale))
+        if (result.term.en) terms.push(result.term)
+    })
+
+    return {
+        type: 'tbx',
+        terms,
+        unmappedLocales: [...unmappedLocales],
+        entryCount: entries.length
+    }
+}
+
+/**
+ * Parse a TBX file
+ * @param {File} file - .tbx file
+ * @param {Object} options - See parseTbx
+ * @returns {Promise<Object>} See parseTbx
+ */
+export async function parseTbxFile(file, options = {}) {
+    const xml = await file.text()
+    return parseTbx(xml, options)
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+const escapeXml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+
+function buildTermSection(text, status, partOfSpeech, usageNote) {
+    return [
+        '                    <termSec>',
+        `                        <term>${escapeXml(text)}</term>`,
+        partOfSpeech && `                        <termNote type="partOfSpeech">${escapeXml(partOfSpeech)}</termNote>`,
+        `                        <termNote type="administrativeStatus">${TBX_STATUS[status] || TBX_STATUS.preferred}</termNote>`,
+        usageNote && `                        <note>${escapeXml(usageNote)}</note>`,
+        '                    </termSec>'
+    ].filter(Boolean).join('\n')
+}
+
+function buildEntry(term, index) {
+    const lines = [
+        `            <conceptEntry id="${escapeXml(term.id || `c${index + 1}`)}">`,
+        term.category && `                <descrip type="subjectField">${escapeXml(term.category)}</descrip>`
+    ]
+
+    Object.entries(TERM_FIELDS).forEach(([lang, field]) => {
+        const text = term[field]?.trim()
+        const forbidden = term.forbiddenTerms?.[field] || []
+        if (!text && forbidden.length === 0) return
+
+        lines.push(`                <langSec xml:lang="${getLocaleTag(lang)}">`)
+        if (lang === 'en' && term.definition) {
+            lines.push(`                    <descrip type="definition">${escapeXml(term.definition)}</descrip>`)
+        }
+        if (text) {
+            lines.push(buildTermSection(text, term.termStatus?.[field], term.partOfSpeech, term.usageNotes?.[field]))
+        }
+        forbidden.forEach(variant => lines.push(buildTermSection(variant, 'forbidden', term.partOfSpeech)))
+        lines.push('                </langSec>')
+    })
+
+    lines.push('            </conceptEntry>')
+    return lines.filter(Boolean).join('\n')
+}
+
+/**
+ * Build a TBX-Basic document, one conceptEntry per glossary term
+ * @param {Array} terms - Glossary terms
+ * @returns {string} TBX markup
+ */
+export function buildTbx(terms) {
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<tbx type="TBX-Basic" style="dca" xml:lang="en" xmlns="urn:iso:std:iso:30042:ed-2">',
+        '    <tbxHeader>',
+        '        <fileDesc>',
+        '            <sourceDesc><p>WordFlow glossary</p></sourceDesc>',
+        '        </fileDesc>',
+        '    </tbxHeader>',
+        '    <text>',
+        '        <body>',
+        ...terms.filter(term => term.en?.trim()).map(buildEntry),
+        '        </body>',
+        '    </text>',
+        '</tbx>'
+    ].join('\n') + '\n'
+}
+
+/**
+ * Export glossary terms as a TBX file
+ * @param {Array} terms - Glossary terms
+ * @param {string} filename - Output filename (without extension)
+ */
+export function exportGlossaryToTbx(terms, filename = 'glossary_export') {
+    if (!terms || terms.length === 0) return false
+    downloadTextFile(buildTbx(terms), `${filename}.tbx`, 'application/x-tbx+xml')
+    return true
+}
@@ -0,0 +1,72 @@
+// Character-level text diff, for showing what a revision changed
+
+// Past this many table cells the LCS gets slow - the changed middle is shown as a replacement
+const MAX_DIFF_CELLS = 250000
+
+// Join runs of the same operation
+function pushOp(ops, type, value) {
+    if (!value) return
+    const last = ops[ops.length - 1]
+    if (last?.type === type) last.value += value
+    else ops.push({ type, value })
+}
+
+/**
+ * Diff two texts character by character (code points, so emoji and CJK stay whole)
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array} [{ type: 'equal' | 'insert' | 'delete', value }]
+ */
+export function diffChars(before = '', after = '') {
+    const a = Array.from(before || '')
+    const b = Array.from(after || '')
+
+    // Common prefix and suffix need no table
+    let start = 0
+    while (start < a.length && start < b.length && a[start] === b[start]) start++
+    let endA = a.length
+    let endB = b.length
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--
+        endB--
+    }
+
+    const ops = []
+    pushOp(ops, 'equal', a.slice(0, start).join(''))
+
+    const middleA = a.slice(start, endA)
+    const middleB = b.slice(start, endB)
+    if (middleA.length * middleB.length > MAX_DIFF_CELLS) {
+        pushOp(ops, 'delete', middleA.join(''))
+        pushOp(ops, 'insert', middleB.join(''))
+    } else {
+        // Longest common subsequence lengths of the suffixes
+        const table = Array.from({ length: middleA.length + 1 }, () => new Uint32Array(middleB.length + 1))
+        for (let i = middleA.length - 1; i >= 0; i--) {
+            for (let j = middleB.length - 1; j >= 0; j--) {
+                table[i][j] = middleA[i] === middleB[j]
+                    ? table[i + 1][j + 1] + 1
+                    : Math.max(table[i + 1][j], table[i][j + 1])
+            }
+        }
+
+        let i = 0
+        let j = 0
+        while (i < middleA.length && j < middleB.length) {
+            if (middleA[i] === middleB[j]) {
+                pushOp(ops, 'equal', middleA[i])
+                i++
+                j++
+            } else if (table[i + 1][j] >= table[i][j + 1]) {
+                pushOp(ops, 'delete', middleA[i++])
+            } else {
+                pushOp(ops, 'insert', middleB[j++])
+            }
+        }
+        pushOp(ops, 'delete', middleA.slice(i).join(''))
+        pushOp(ops, 'insert', middleB.slice(j).join(''))
+    }
+
+    pushOp(ops, 'equal', a.slice(endA).join(''))
+    return ops
+}
@@ -0,0 +1,239 @@
+// TMX 1.4 Import/Export for exchanging translation memory with vendors and CAT tools
+import { LANGUAGES, getLocaleTag, getLanguageCodeFromLocale } from '@/lib/constants'
+import { downloadTextFile } from '@/lib/utils'
+
+const TMX_VERSION = '1.4'
+const APPROVED_STATUSES = ['approved', 'completed']
+
+// ============================================
+// DATES
+// ============================================
+
+// TMX dates are UTC in basic ISO 8601 form: YYYYMMDDThhmmssZ
+const toTmxDate = (value) => {
+    const date = value ? new Date(value) : null
+    if (!date || Number.isNaN(date.getTime())) return undefined
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+}
+
+const fromTmxDate = (value) => {
+    const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(value || '')
+    if (!match) return null
+    const [, year, month, day, hours, minutes, seconds] = match
+    return `${year}-${month}-${day}T${hours}:${minutes}:${seconds}.000Z`
+}
+
+// ============================================
+// IMPORT
+// ============================================
+
+const childElements = (parent, name) => Array.from(parent?.children || []).filter(el => el.localName === name)
+// xml:lang is namespaced, TMX 1.1 files use a plain lang attribute
+const getVariantLocale = (tuv) => tuv.getAttributeNS('http://www.w3.org/XML/1998/namespace', 'lang')
+    || tuv.getAttribute('xml:lang')
+    || tuv.getAttribute('lang')
+// Inline codes (<bpt>, <ept>, <ph> ...) are flattened to their text
+const getSegmentText = (tuv) => childElements(tuv, 'seg')[0]?.textContent ?? ''
+
+/**
+ * Parse TMX markup into translation memory entries, one per target variant of each <tu>
+ * @param {string} xml - File content
+ * @param {string} name - File name without extension
+ * @returns {Object} { type, name, sourceLanguage, sourceLocale, entries, targetLanguages, unmappedLocales, unitCount }
+ */
+export function parseTmx(xml, name = 'TMX') {
+    const doc = new DOMParser().parseFromString(xml, 'application/xml')
+    const root = doc.documentElement
+    if (doc.getElementsByTagName('parsererror').length > 0 || root?.localName !== 'tmx') {
+        throw new Error('Not a valid TMX file')
+    }
+
+    const header = childElements(root, 'header')[0]
+    const headerLocale = header?.getAttribute('srclang')
+    // *all* means any variant can be the source - ours is English
+    const sourceLocale = headerLocale && headerLocale !== '*all*' ? headerLocale : getLocaleTag('en')
+    const sourceLanguage = getLanguageCodeFromLocale(sourceLocale)
+
+    const entries = []
+    const unmappedLocales = new Set()
+    const units = Array.from(root.getElementsByTagNameNS('*', 'tu'))
+
+    units.forEach(unit => {
+        const variants = childElements(unit, 'tuv').map(tuv => {
+            const locale = getVariantLocale(tuv) || ''
+            return { locale, language: getLanguageCodeFromLocale(locale), text: getSegmentText(tuv), element: tuv }
+        })
+
+        // Our memory is keyed on English, so prefer it over the declared source
+        const unitLocale = unit.getAttribute('srclang')
+        const unitSourceLanguage = unitLocale && unitLocale !== '*all*' ? getLanguageCodeFromLocale(unitLocale) : sourceLanguage
+        const source = variants.find(variant => variant.language === 'en')
+            || variants.find(variant => variant.language === unitSourceLanguage)
+        if (!source?.text.trim()) return
+
+        const note = childElements(unit, 'note').map(el => el.textContent).filter(Boolean).join('\n')
+
+        variants.forEach(variant => {
+            if (variant === source || !variant.text.trim()) return
+            if (!variant.language) {
+                unmappedLocales.add(variant.locale)
+                return
+            }
+            const changeDate = variant.element.getAttribute('changedate') || unit.getAttribute('changedate')
+            const creationDate = variant.element.getAttribute('creationdate') || unit.getAttribute('creationdate')
+
+            entries.push({
+                sourceText: source.text,
+                sourceLanguage: source.language,
+                targetText: variant.text,
+                targetLanguage: variant.language,
+                targetLocale: variant.locale,
+                tuid: unit.getAttribute('tuid') || null,
+                note,
+                createdAt: fromTmxDate(creationDate),
+                changedAt: fromTmxDate(changeDate) || fromTmxDate(creationDate)
+            })
+        })
+    })
+
+    return {
+        type: 'tmx',
+        name,
+        sourceLanguage,
+        sourceLocale,
+        entries,
+        targetLanguages: [...new Set(entries.map(entry => entry.targetLanguage))],
+        unmappedLocales: [...unmappedLocales],
+        unitCount: units.length
+    }
+}
+
+/**
+ * Parse a TMX file
+ * @param {File} file - .tmx file
+ * @returns {Promise<Object>} See parseTmx
+ */
+export async function parseTmxFile(file) {
+    const xml = await file.text()
+    return parseTmx(xml, file.name.replace(/\.[^/.]+$/, ''))
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+const escapeXml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+
+const attributes = (values) => Object.entries(values)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('')
+
+// When a translation was last approved/changed, for date filters and changedate
+const getRowDate = (row) => row.approvedAt || row.lastModifiedAt || row.translatedAt || null
+
+/**
+ * Collect approved translations from project rows as TMX units
+ * @param {Array} projects - [{ id, name, rows }]
+ * @param {Object} filters - { projectIds, languages, from, to } (dates as YYYY-MM-DD, inclusive)
+ * @returns {Array} [{ id, sourceText, translations: { [lang]: text }, changedAt, projectName, note }]
+ */
+export function getApprovedTmxUnits(projects, filters = {}) {
+    const { projectIds, languages = Object.keys(LANGUAGES).filter(code => code !== 'en'), from, to } = filters
+    const fromTime = from ? new Date(`${from}T00:00:00`).getTime() : null
+    const toTime = to ? new Date(`${to}T23:59:59.999`).getTime() : null
+    const units = []
+
+    projects
+        .filter(project => !projectIds?.length || projectIds.includes(project.id))
+        .forEach(project => {
+            project.rows.forEach(row => {
+                const sourceText = row.source_text || row.en || row.text || ''
+                if (!sourceText.trim()) return
+
+                const changedAt = getRowDate(row)
+                const time = changedAt ? new Date(changedAt).getTime() : null
+                if ((fromTime || toTime) && !time) return
+                if (fromTime && time < fromTime) return
+                if (toTime && time > toTime) return
+
+                const translations = {}
+                languages.forEach(lang => {
+                    const translation = row.translations?.[lang]
+                    const text = translation?.text ?? row[lang] ?? ''
+                    const status = translation?.status || row.status
+                    if (text.trim() && APPROVED_STATUSES.includes(status)) translations[lang] = text
+                })
+                if (Object.keys(translations).length === 0) return
+
+                units.push({
+                    id: row.id,
+                    sourceText,
+                    translations,
+                    changedAt,
+                    projectName: project.name,
+                    note: row.context || ''
+                })
+            })
+        })
+
+    return units
+}
+
+/**
+ * Build a TMX 1.4 document
+ * @param {Array} units - [{ id, sourceText, translations: { [lang]: text }, changedAt, projectName, note }]
+ * @param {Object} options - { sourceLanguage }
+ * @returns {string} TMX markup
+ */
+export function buildTmx(units, options = {}) {
+    const { sourceLanguage = 'en' } = options
+    const sourceLocale = getLocaleTag(sourceLanguage)
+    const now = toTmxDate(new Date())
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<tmx${attributes({ version: TMX_VERSION })}>`,
+        `    <header${attributes({
+            creationtool: 'WordFlow',
+            creationtoolversion: '1.0',
+            segtype: 'sentence',
+            'o-tmf': 'WordFlow',
+            adminlang: 'en-US',
+            srclang: sourceLocale,
+            datatype: 'plaintext',
+            creationdate: now
+        })}/>`,
+        '    <body>'
+    ]
+
+    units.forEach(unit => {
+        const changedate = toTmxDate(unit.changedAt)
+        lines.push(`        <tu${attributes({ tuid: unit.id, changedate })}>`)
+        if (unit.projectName) lines.push(`            <prop type="x-project">${escapeXml(unit.projectName)}</prop>`)
+        if (unit.note) lines.push(`            <note>${escapeXml(unit.note)}</note>`)
+        lines.push(`            <tuv${attributes({ 'xml:lang': sourceLocale })}><seg>${escapeXml(unit.sourceText)}</seg></tuv>`)
+        Object.entries(unit.translations).forEach(([lang, text]) => {
+            lines.push(`            <tuv${attributes({ 'xml:lang': getLocaleTag(lang), changedate })}><seg>${escapeXml(text)}</seg></tuv>`)
+        })
+        lines.push('        </tu>')
+    })
+
+    lines.push('    </body>')
+    lines.push('</tmx>')
+    return lines.join('\n') + '\n'
+}
+
+/**
+ * Export units as a TMX file
+ * @param {Array} units - See buildTmx
+ * @param {string} filename - Output filename (without extension)
+ */
+export function exportToTmx(units, filename) {
+    downloadTextFile(buildTmx(units), `${filename}.tmx`, 'application/x-tmx+xml')
+    return true
+}
@@ -0,0 +1,287 @@
+/**
+ * Utility functions for translation memory (TM) matching
+ *
+ * Segments are compared token by token (words, numbers, placeholders,
+ * punctuation) using a weighted edit distance, so a changed price or variable
+ * name costs less than a changed word.
+ */
+
+// Score of an identical segment
+export const TM_EXACT_MATCH = 100
+
+// Minimum score for a TM hit to be offered as a suggestion
+export const TM_FUZZY_THRESHOLD = 75
+
+// Suggestions shown per language in the row editor - only these get a diff
+export const TM_SUGGESTION_LIMIT = 3
+
+// Per-project defaults, overridable via project.tmSettings
+export const DEFAULT_TM_SETTINGS = {
+    autoApplyThreshold: TM_EXACT_MATCH, // Applied without calling the AI
+    suggestThreshold: TM_FUZZY_THRESHOLD // Shown as suggestions in the row editor
+}
+
+/**
+ * Resolve TM thresholds for a project
+ * @param {Object} project
+ * @returns {{ autoApplyThreshold: number, suggestThreshold: number }}
+ */
+export function getTMSettings(project) {
+    return { ...DEFAULT_TM_SETTINGS, ...(project?.tmSettings || {}) }
+}
+
+/**
+ * Normalize a segment for TM comparison (case, surrounding and repeated whitespace)
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeSegment(text) {
+    return (text || '').toLowerCase().replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * Stable key for a segment + target language, used as the TM document id
+ * @param {string} text - Source text
+ * @param {string} languageCode - Target language code
+ * @returns {string}
+ */
+export function getSegmentKey(text, languageCode) {
+    const normalized = normalizeSegment(text)
+
+    // djb2 hash - short, deterministic, good enough to dedupe segments
+    let hash = 5381
+    for (let i = 0; i < normalized.length; i++) {
+        hash = ((hash << 5) + hash + normalized.charCodeAt(i)) >>> 0
+    }
+    return `${languageCode}_${hash.toString(36)}_${normalized.length}`
+}
+
+// ============================================
+// TOKENIZER
+// ============================================
+
+// Order matters: placeholders before punctuation, Han characters one per token
+const TOKEN_PATTERN = /\{\{\s*[\w.-]+\s*\}\}|\{[\w.-]+\}|\d+(?:[.,]\d+)*|\p{Script=Han}|[\p{L}\p{M}']+|[^\s\p{L}\p{M}\d]/gu
+
+const TOKEN_WEIGHTS = {
+    word: 1,
+    number: 1,
+    placeholder: 1,
+    punct: 0.5
+}
+
+function getTokenType(value) {
+    if (/^\{\{?\s*[\w.-]+\s*\}?\}$/.test(value)) return 'placeholder'
+    if (/^\d/.test(value)) return 'number'
+    if (/^[\p{L}\p{M}']/u.test(value)) return 'word'
+    return 'punct'
+}
+
+/**
+ * Split a segment into typed tokens
+ * @param {string} text
+ * @returns {Array} [{ value, norm, type, leadingSpace }]
+ */
+export function tokenizeSegment(text) {
+    const tokens = []
+    if (!text) return tokens
+
+    for (const match of text.matchAll(TOKEN_PATTERN)) {
+        const value = match[0]
+        const type = getTokenType(value)
+        tokens.push({
+            value,
+            type,
+            norm: type === 'placeholder' ? value.replace(/\s+/g, '') : value.toLowerCase(),
+            leadingSpace: match.index > 0 && /\s/.test(text[match.index - 1])
+        })
+    }
+    return tokens
+}
+
+// ============================================
+// SCORING
+// ============================================
+
+// Levenshtein distance between two strings
+function editDistance(a, b) {
+    if (a === b) return 0
+    if (!a.length) return b.length
+    if (!b.length) return a.length
+
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i)
+    for (let i = 1; i <= a.length; i++) {
+        const curr = [i]
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1
+            curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost)
+        }
+        prev = curr
+    }
+    return prev[b.length]
+}
+
+function substitutionCost(a, b) {
+    if (a.norm === b.norm) return 0
+    if (a.type !== b.type) return Math.max(TOKEN_WEIGHTS[a.type], TOKEN_WEIGHTS[b.type])
+
+    // Different value in the same slot - the translation usually only needs the value swapped
+    if (a.type === 'number' || a.type === 'placeholder' || a.type === 'punct') {
+        return TOKEN_WEIGHTS[a.type] * 0.5
+    }
+
+    // Words: partial credit for spelling variants (color/colour)
+    return editDistance(a.norm, b.norm) / Math.max(a.norm.length, b.norm.length)
+}
+
+// Weighted token edit distance, keeping the matrix for the diff backtrace
+function tokenDistance(a, b) {
+    const rows = a.length + 1
+    const cols = b.length + 1
+    const dp = Array.from({ length: rows }, () => new Array(cols).fill(0))
+
+    for (let i = 1; i < rows; i++) dp[i][0] = dp[i - 1][0] + TOKEN_WEIGHTS[a[i - 1].type]
+    for (let j = 1; j < cols; j++) dp[0][j] = dp[0][j - 1] + TOKEN_WEIGHTS[b[j - 1].type]
+
+    for (let i = 1; i < rows; i++) {
+        for (let j = 1; j < cols; j++) {
+            dp[i][j] = Math.min(
+                dp[i - 1][j] + TOKEN_WEIGHTS[a[i - 1].type],
+                dp[i][j - 1] + TOKEN_WEIGHTS[b[j - 1].type],
+                dp[i - 1][j - 1] + substitutionCost(a[i - 1], b[j - 1])
+            )
+        }
+    }
+    return dp
+}
+
+// Walk the matrix back into a list of operations (source = new text, stored = TM source)
+function buildDiff(a, b, dp) {
+    const ops = []
+    let i = a.length
+    let j = b.length
+
+    while (i > 0 || j > 0) {
+        if (i > 0 && j > 0 && dp[i][j] === dp[i - 1][j - 1] + substitutionCost(a[i - 1], b[j - 1])) {
+            const same = a[i - 1].norm === b[j - 1].norm
+            ops.push({ type: same ? 'equal' : 'replace', source: a[i - 1], stored: b[j - 1] })
+            i--
+            j--
+        } else if (i > 0 && dp[i][j] === dp[i - 1][j] + TOKEN_WEIGHTS[a[i - 1].type]) {
+            ops.push({ type: 'insert', source: a[i - 1], stored: null })
+            i--
+        } else {
+            ops.push({ type: 'delete', source: null, stored: b[j - 1] })
+            j--
+        }
+    }
+    return ops.reverse()
+}
+
+const weightOf = tokens => tokens.reduce((sum, t) => sum + TOKEN_WEIGHTS[t.type], 0)
+
+function scoreTokens(a, b, dp) {
+    const total = Math.max(weightOf(a), weightOf(b))
+    if (!total) return 0
+    return Math.max(0, Math.round((1 - dp[a.length][b.length] / total) * 100))
+}
+
+/**
+ * Weighted token count of a segment, stored on TM entries to narrow fuzzy lookups
+ * @param {string} text
+ * @returns {number}
+ */
+export function getSegmentWeight(text) {
+    return weightOf(tokenizeSegment(text))
+}
+
+/**
+ * Weights a stored segment can have and still score at least `threshold` against
+ * a segment of `weight` - the edit distance is never below the weight difference
+ * @param {number} weight - Weight of the text being translated
+ * @param {number} threshold - Minimum match score
+ * @returns {{ min: number, max: number }}
+ */
+export function getWeightRange(weight, threshold) {
+    // Half a point of slack - scores are rounded
+    const ratio = Math.max(threshold - 0.5, 1) / 100
+    return { min: weight * ratio, max: weight / ratio }
+}
+
+/**
+ * Similarity between two segments as a percentage (0-100)
+ * @param {string} source - Text being translated
+ * @param {string} candidate - Source text stored in the TM
+ * @returns {number}
+ */
+export function calculateTMMatch(source, candidate) {
+    const a = normalizeSegment(source)
+    const b = normalizeSegment(candidate)
+    if (!a || !b) return 0
+    // Only identical segments may score 100
+    if (a === b) return TM_EXACT_MATCH
+
+    const sourceTokens = tokenizeSegment(source)
+    const storedTokens = tokenizeSegment(candidate)
+    const dp = tokenDistance(sourceTokens, storedTokens)
+    return Math.min(scoreTokens(sourceTokens, storedTokens, dp), TM_EXACT_MATCH - 1)
+}
+
+/**
+ * Score two segments and describe how they differ
+ * @param {string} source - Text being translated
+ * @param {string} candidate - Source text stored in the TM
+ * @returns {{ score: number, diff: Array }} diff ops: { type: 'equal'|'replace'|'insert'|'delete', source, stored }
+ */
+export function compareSegments(source, candidate) {
+    const a = normalizeSegment(source)
+    const b = normalizeSegment(candidate)
+    if (!a || !b) return { score: 0, diff: [] }
+
+    const sourceTokens = tokenizeSegment(source)
+    const storedTokens = tokenizeSegment(candidate)
+    const dp = tokenDistance(sourceTokens, storedTokens)
+    const diff = buildDiff(sourceTokens, storedTokens, dp)
+
+    // Only identical segments may score 100
+    const score = a === b ? TM_EXACT_MATCH : Math.min(scoreTokens(sourceTokens, storedTokens, dp), TM_EXACT_MATCH - 1)
+    return { score, diff }
+}
+
+// Numbers and placeholders of a segment, sorted - a translation has to carry them over as-is
+const getFixedTokens = (text) => tokenizeSegment(text)
+    .filter(token => token.type === 'number' || token.type === 'placeholder')
+    .map(token => token.norm)
+    .sort()
+
+/**
+ * Whether a TM match can be applied without review of its content: exact matches
+ * always, fuzzy matches only when numbers and placeholders are the same as in
+ * the text being translated (otherwise the stored translation carries the wrong ones)
+ * @param {string} source - Text being translated
+ * @param {Object} match - Candidate from findTMCandidates ({ sourceText, score })
+ * @returns {boolean}
+ */
+export function canAutoApplyTMMatch(source, match) {
+    if (match.score >= TM_EXACT_MATCH) return true
+    return getFixedTokens(source).join('\n') === getFixedTokens(match.sourceText).join('\n')
+}
+
+/**
+ * Rank TM entries against a source text
+ * @param {string} source - Text being translated
+ * @param {Array} entries - TM entries ({ sourceText, targetText, ... })
+ * @param {number} threshold - Minimum score to keep
+ * @returns {Array} Entries with score, best first; the top TM_SUGGESTION_LIMIT also carry a diff
+ */
+export function findTMCandidates(source, entries, threshold = TM_FUZZY_THRESHOLD) {
+    if (!source || !entries || entries.length === 0) return []
+
+    return entries
+        .map(entry => ({ ...entry, score: calculateTMMatch(source, entry.sourceText) }))
+        .filter(entry => entry.score >= threshold)
+        .sort((a, b) => b.score - a.score || (b.usageCount || 0) - (a.usageCount || 0))
+        .map((entry, index) => index < TM_SUGGESTION_LIMIT
+            ? { ...entry, diff: compareSegments(source, entry.sourceText).diff }
+            : entry)
+}
@@ -5,7 +5,23 @@ export function cn(...inputs) {
     return twMerge(clsx(inputs))
 }
 
+// Trigger a browser download of generated text (XLIFF, resource files ...)
+export function downloadTextFile(content, filename, type = 'text/plain') {
+    downloadBlob(new Blob([content], { type: `${type};charset=utf-8` }), filename)
+}
+
+// Trigger a browser download of a generated file
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = filename
+    link.click()
+    URL.revokeObjectURL(url)
+}
+
 import { toast } from "sonner"
+import { QUOTA_SCOPES } from "@/lib/ai-quota"
 
 export function handleTranslationError(error) {
     console.error('Translation error:', error)
@@ -17,6 +33,25 @@ export function handleTranslationError(error) {
         toast.error('Rate limited', {
             description: 'Please wait a moment and try again.'
         })
+    } else if (error.message === 'PROVIDER_UNAVAILABLE') {
+        toast.error('AI provider unavailable', {
+            description: 'The provider is failing right now. Try again in a minute or add a fallback provider in Project Settings.'
+        })
+    } else if (error.message === 'AUTH_REQUIRED') {
+        toast.error('Session expired', {
+            description: 'Please sign in again to use AI translation.'
+        })
+    } else if (error.message === 'QUOTA_EXCEEDED') {
+        const quota = error.quota
+        toast.error('Daily AI quota exceeded', {
+            description: quota
+                ? `${QUOTA_SCOPES[quota.scope]} limit of ${quota.limit.toLocaleString()} ${quota.unit} per day reached (${quota.remaining.toLocaleString()} left). Try fewer rows or ask an admin to raise the quota.`
+                : 'Ask an admin to raise the quota or try again tomorrow.'
+        })
+    } else if (error.message === 'QUOTA_UNAVAILABLE') {
+        toast.error('AI quota check failed', {
+            description: 'Usage could not be verified, so the request was not sent. Please try again.'
+        })
     } else {
         toast.error('Translation failed', {
             description: error.message || 'Unknown error occurred'
@@ -0,0 +1,375 @@
+// XLIFF 1.2 / 2.0 Import/Export for exchanging work with agencies and CAT tools
+import { LANGUAGES, STATUS_CONFIG, getLocaleTag, getLanguageCodeFromLocale } from '@/lib/constants'
+import { downloadTextFile } from '@/lib/utils'
+
+export const XLIFF_VERSIONS = ['1.2', '2.0']
+
+const XLIFF_NAMESPACES = {
+    '1.2': 'urn:oasis:names:tc:xliff:document:1.2',
+    '2.0': 'urn:oasis:names:tc:xliff:document:2.0'
+}
+
+// XLIFF 2.0 Size and Length Restriction module: maxLength is written as a
+// sizeRestriction counted in code points (the xliff:codepoints profile)
+const SIZE_RESTRICTION_NAMESPACE = 'urn:oasis:names:tc:xliff:sizerestriction:2.0'
+const CODEPOINTS_PROFILE = 'xliff:codepoints'
+
+// XLIFF 2.0 has only four states, so our own status travels in subState
+const SUB_STATE_PREFIX = 'wordflow:'
+
+// Inline codes stay in the row text as XLIFF markup so they survive a round trip:
+// empty codes (<x/>, <ph/>), codes holding native markup (<ph>&lt;b&gt;</ph>) and
+// the open/close tags of codes spanning text (<g>, <pc>, <mrk>)
+const INLINE_CODE_PATTERN = /<(?:x|bx|ex|ph|it|bpt|ept|sc|ec|sm|em|cp)\b[^<>]*\/>|<(ph|it|bpt|ept|sub)\b[^<>]*>[\s\S]*?<\/\1>|<\/?(?:g|pc|mrk)\b[^<>]*>/g
+const SPANNING_CODES = ['g', 'pc', 'mrk']
+
+// ============================================
+// STATUS MAPPING
+// ============================================
+
+/**
+ * XLIFF state for one of our statuses
+ * @param {string} status - Row/translation status
+ * @param {boolean} hasText - Whether there is a translation
+ * @param {string} version - '1.2' or '2.0'
+ * @returns {{ state: string, subState?: string, approved?: boolean }}
+ */
+function toXliffState(status, hasText, version) {
+    if (version === '1.2') {
+        switch (status) {
+            case 'approved':
+            case 'completed':
+                return { state: 'final', approved: true }
+            case 'review':
+                return { state: 'needs-review-translation' }
+            case 'changes':
+            case 'rejected':
+                return { state: 'needs-translation' }
+            default:
+                return { state: hasText ? 'translated' : 'new' }
+        }
+    }
+
+    // 2.0: translated/final need a target
+    const subState = STATUS_CONFIG[status] && status !== 'draft' ? `${SUB_STATE_PREFIX}${status}` : undefined
+    if (!hasText) return { state: 'initial', subState }
+    if (status === 'approved' || status === 'completed') return { state: 'final', subState }
+    if (status === 'changes' || status === 'rejected') return { state: 'initial', subState }
+    return { state: 'translated', subState }
+}
+
+/**
+ * Our status for an XLIFF state
+ * @param {Object} attributes - { state, subState, approved }
+ * @param {boolean} hasText - Whether the unit has a translation
+ * @returns {string}
+ */
+function fromXliffState({ state, subState, approved }, hasText) {
+    if (subState?.startsWith(SUB_STATE_PREFIX)) {
+        const status = subState.slice(SUB_STATE_PREFIX.length)
+        if (STATUS_CONFIG[status]) return status
+    }
+    if (approved === 'yes') return 'approved'
+
+    switch (state) {
+        case 'final':
+        case 'signed-off':
+        case 'reviewed':
+            return 'approved'
+        case 'needs-review-translation':
+        case 'needs-review-adaptation':
+        case 'needs-review-l10n':
+            return 'review'
+        case 'needs-translation':
+        case 'needs-adaptation':
+        case 'needs-l10n':
+            return hasText ? 'changes' : 'draft'
+        default:
+            return 'draft'
+    }
+}
+
+// ============================================
+// IMPORT
+// ============================================
+
+const ELEMENT_NODE = 1
+const TEXT_NODE = 3
+const CDATA_SECTION_NODE = 4
+
+// childNodes rather than children, which not every DOM implementation has
+const elementChildren = (parent) => Array.from(parent?.childNodes || []).filter(node => node.nodeType === ELEMENT_NODE)
+const childElements = (parent, name) => elementChildren(parent).filter(el => el.localName === name)
+const descendants = (parent, name) => Array.from(parent.getElementsByTagNameNS('*', name))
+const plainText = (element) => element?.textContent ?? ''
+
+// Markup of an inline code element (without namespace declarations)
+function inlineCodeMarkup(element) {
+    const attrs = Array.from(element.attributes)
+        .filter(attr => attr.name !== 'xmlns' && !attr.name.startsWith('xmlns:'))
+        .map(attr => ` ${attr.name}="${escapeXml(attr.value)}"`)
+        .join('')
+    const name = element.localName
+    if (SPANNING_CODES.includes(name)) return `<${name}${attrs}>${elementText(element)}</${name}>`
+    return element.textContent
+        ? `<${name}${attrs}>${escapeXml(element.textContent)}</${name}>`
+        : `<${name}${attrs}/>`
+}
+
+// Text of a <source>/<target>, inline codes kept as markup
+function elementText(element) {
+    return Array.from(element?.childNodes || []).map(node => {
+        if (node.nodeType === ELEMENT_NODE) return inlineCodeMarkup(node)
+        if (node.nodeType === TEXT_NODE || node.nodeType === CDATA_SECTION_NODE) return node.nodeValue
+        return ''
+    }).join('')
+}
+
+// Page name for a <file> - its original name without folders
+const getFileName = (fileElement, fallback) => {
+    const original = fileElement.getAttribute('original') || fileElement.getAttribute('id') || ''
+    return original.split(/[\\/]/).pop() || fallback
+}
+
+function parseUnit12(unit, languageCode, order) {
+    const en = elementText(childElements(unit, 'source')[0])
+    const target = childElements(unit, 'target')[0]
+    const text = elementText(target)
+    const status = fromXliffState({
+        state: target?.getAttribute('state'),
+        approved: unit.getAttribute('approved')
+    }, !!text)
+    const maxWidth = Number(unit.getAttribute('maxwidth'))
+
+    return {
+        unitId: unit.getAttribute('id'),
+        en,
+        context: childElements(unit, 'note').map(plainText).filter(Boolean).join('\n'),
+        status,
+        // Default size-unit is pixel, only character limits map to maxLength
+        maxLength: unit.getAttribute('size-unit') === 'char' && maxWidth > 0 ? maxWidth : null,
+        translations: languageCode && text ? { [languageCode]: { text, status } } : {},
+        order
+    }
+}
+
+function parseUnit20(unit, languageCode, order, hasCharLimits) {
+    // Segments and ignorables (whitespace between segments) make up the unit text
+    const parts = elementChildren(unit).filter(el => el.localName === 'segment' || el.localName === 'ignorable')
+    const en = parts.map(part => elementText(childElements(part, 'source')[0])).join('')
+    const text = parts.map(part => elementText(childElements(part, 'target')[0])).join('')
+    const segment = parts.find(part => part.localName === 'segment')
+    const status = fromXliffState({
+        state: segment?.getAttribute('state'),
+        subState: segment?.getAttribute('subState')
+    }, !!text)
+    const notes = childElements(childElements(unit, 'notes')[0], 'note')
+    const sizeRestriction = Number(unit.getAttributeNS(SIZE_RESTRICTION_NAMESPACE, 'sizeRestriction'))
+
+    return {
+        unitId: unit.getAttribute('id'),
+        en,
+        context: notes.map(plainText).filter(Boolean).join('\n'),
+        status,
+        // Only limits in code points map to maxLength
+        maxLength: hasCharLimits && sizeRestriction > 0 ? sizeRestriction : null,
+        translations: languageCode && text ? { [languageCode]: { text, status } } : {},
+        order
+    }
+}
+
+// Whether a 2.0 <file> counts its size restrictions in code points
+const hasCodepointsProfile = (fileElement) => childElements(fileElement, 'profiles')
+    .some(profiles => profiles.namespaceURI === SIZE_RESTRICTION_NAMESPACE && profiles.getAttribute('generalProfile') === CODEPOINTS_PROFILE)
+
+/**
+ * Parse XLIFF 1.2 or 2.0 markup
+ * @param {string} xml - File content
+ * @param {string} name - File name without extension
+ * @returns {Object} { type, name, version, sourceLanguage, targetLanguage, targetLocale, files: [{ name, targetLanguage, entries }] }
+ */
+export function parseXliff(xml, name = 'XLIFF') {
+    const doc = new DOMParser().parseFromString(xml, 'application/xml')
+    const root = doc.documentElement
+    if (doc.getElementsByTagName('parsererror').length > 0 || root?.localName !== 'xliff') {
+        throw new Error('Not a valid XLIFF file')
+    }
+
+    const version = (root.getAttribute('version') || '1.2').startsWith('2') ? '2.0' : '1.2'
+    const usedNames = new Set()
+
+    const files = descendants(root, 'file').map((fileElement, index) => {
+        const targetLocale = version === '2.0'
+            ? root.getAttribute('trgLang')
+            : fileElement.getAttribute('target-language')
+        const targetLanguage = getLanguageCodeFromLocale(targetLocale)
+
+        const units = version === '2.0'
+            ? descendants(fileElement, 'unit').map((unit, order) => parseUnit20(unit, targetLanguage, order, hasCodepointsProfile(fileElement)))
+            : descendants(fileElement, 'trans-unit').map((unit, order) => parseUnit12(unit, targetLanguage, order))
+
+        // Pages need distinct names
+        let pageName = getFileName(fileElement, `${name} ${index + 1}`)
+        for (let copy = 2; usedNames.has(pageName); copy++) {
+            pageName = `${getFileName(fileElement, name)} (${copy})`
+        }
+        usedNames.add(pageName)
+
+        return {
+            name: pageName,
+            targetLocale,
+            targetLanguage,
+            entries: units.filter(entry => entry.en.trim())
+        }
+    })
+
+    const sourceLocale = version === '2.0'
+        ? root.getAttribute('srcLang')
+        : descendants(root, 'file')[0]?.getAttribute('source-language')
+
+    return {
+        type: 'xliff',
+        name,
+        version,
+        sourceLanguage: getLanguageCodeFromLocale(sourceLocale),
+        targetLanguage: files[0]?.targetLanguage || null,
+        targetLocale: files[0]?.targetLocale || null,
+        files
+    }
+}
+
+/**
+ * Parse an XLIFF file
+ * @param {File} file - .xlf / .xliff file
+ * @returns {Promise<Object>} See parseXliff
+ */
+export async function parseXliffFile(file) {
+    const xml = await file.text()
+    return parseXliff(xml, file.name.replace(/\.[^/.]+$/, ''))
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+}
+
+// Escape segment text, writing its inline codes back as markup
+const escapeSegment = (text) => {
+    const value = String(text ?? '')
+    let result = ''
+    let last = 0
+    for (const match of value.matchAll(INLINE_CODE_PATTERN)) {
+        result += escapeXml(value.slice(last, match.index)) + match[0]
+        last = match.index + match[0].length
+    }
+    return result + escapeXml(value.slice(last))
+}
+
+// Unit id of a row - the one it was imported with, or the row id
+const getUnitId = (row) => row.unitId || row.id
+
+const attributes = (values) => Object.entries(values)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('')
+
+// Source, translation and status of a row for one language
+const getUnitContent = (row, targetLanguage) => {
+    const translation = row.translations?.[targetLanguage]
+    const text = translation?.text ?? row[targetLanguage] ?? ''
+    return {
+        source: row.en || row.source_text || row.text || '',
+        text,
+        status: translation?.status || row.status || 'draft',
+        note: row.context || ''
+    }
+}
+
+function buildUnit12(row, targetLanguage) {
+    const { source, text, status, note } = getUnitContent(row, targetLanguage)
+    const { state, approved } = toXliffState(status, !!text, '1.2')
+    const limit = Number(row.maxLength) > 0 ? { maxwidth: row.maxLength, 'size-unit': 'char' } : {}
+
+    return [
+        `            <trans-unit${attributes({ id: getUnitId(row), ...limit, approved: approved ? 'yes' : undefined })}>`,
+        `                <source>${escapeSegment(source)}</source>`,
+        `                <target${attributes({ state })}>${escapeSegment(text)}</target>`,
+        note && `                <note>${escapeXml(note)}</note>`,
+        '            </trans-unit>'
+    ].filter(Boolean).join('\n')
+}
+
+function buildUnit20(row, targetLanguage) {
+    const { source, text, status, note } = getUnitContent(row, targetLanguage)
+    const { state, subState } = toXliffState(status, !!text, '2.0')
+    const limit = Number(row.maxLength) > 0 ? { 'slr:sizeRestriction': row.maxLength } : {}
+
+    return [
+        `        <unit${attributes({ id: getUnitId(row), ...limit })}>`,
+        note && `            <notes><note>${escapeXml(note)}</note></notes>`,
+        `            <segment${attributes({ state, subState })}>`,
+        `                <source>${escapeSegment(source)}</source>`,
+        text && `                <target>${escapeSegment(text)}</target>`,
+        '            </segment>',
+        '        </unit>'
+    ].filter(Boolean).join('\n')
+}
+
+/**
+ * Build an XLIFF document, one <file> per page
+ * @param {Array} pages - [{ name, rows }]
+ * @param {Object} options - { targetLanguage, version: '1.2' | '2.0' }
+ * @returns {string} XLIFF markup
+ */
+export function buildXliff(pages, options = {}) {
+    const { targetLanguage = 'my', version = '1.2' } = options
+    const sourceLocale = getLocaleTag('en')
+    const targetLocale = getLocaleTag(targetLanguage)
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>']
+
+    if (version === '2.0') {
+        lines.push(`<xliff${attributes({ xmlns: XLIFF_NAMESPACES['2.0'], 'xmlns:slr': SIZE_RESTRICTION_NAMESPACE, version: '2.0', srcLang: sourceLocale, trgLang: targetLocale })}>`)
+        pages.forEach((page, index) => {
+            lines.push(`    <file${attributes({ id: `f${index + 1}`, original: page.name })}>`)
+            if (page.rows.some(row => Number(row.maxLength) > 0)) {
+                lines.push(`        <slr:profiles${attributes({ generalProfile: CODEPOINTS_PROFILE })}/>`)
+            }
+            page.rows.forEach(row => lines.push(buildUnit20(row, targetLanguage)))
+            lines.push('    </file>')
+        })
+    } else {
+        lines.push(`<xliff${attributes({ version: '1.2', xmlns: XLIFF_NAMESPACES['1.2'] })}>`)
+        pages.forEach(page => {
+            lines.push(`    <file${attributes({ original: page.name, 'source-language': sourceLocale, 'target-language': targetLocale, datatype: 'plaintext' })}>`)
+            lines.push('        <body>')
+            page.rows.forEach(row => lines.push(buildUnit12(row, targetLanguage)))
+            lines.push('        </body>')
+            lines.push('    </file>')
+        })
+    }
+
+    lines.push('</xliff>')
+    return lines.join('\n') + '\n'
+}
+
+/**
+ * Export rows as an XLIFF file for one target language
+ * @param {Array} pages - [{ name, rows }]
+ * @param {string} filename - Output filename (without extension)
+ * @param {Object} options - { targetLanguage, version: '1.2' | '2.0' }
+ */
+export function exportToXliff(pages, filename, options = {}) {
+    if (!LANGUAGES[options.targetLanguage]) {
+        throw new Error(`Unsupported target language: ${options.targetLanguage}`)
+    }
+
+    downloadTextFile(buildXliff(pages, options), `${filename}.xlf`, 'application/xliff+xml')
+    return true
+}
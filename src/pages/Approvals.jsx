@@ -1,6 +1,6 @@
 // Approvals - Review pending translations (Project-page style UI)
-import { useState, useEffect, useMemo } from "react"
-import { Search, Check, X, Undo2 } from "lucide-react"
+import { useState, useEffect, useMemo, useRef } from "react"
+import { Search, Check, X, Undo2, MessageSquare } from "lucide-react"
 import { useProjects } from "@/context/ProjectContext"
 import { useGlossary } from "@/context/GlossaryContext"
 import { COLORS, PrimaryButton, PageContainer } from "@/components/ui/shared"
@@ -13,6 +13,10 @@ import { LANGUAGES, getLanguageLabel } from "@/lib/constants"
 
 import { ReassignManagerDialog } from "@/components/dialogs/ReassignManagerDialog"
 import { getUsers } from "@/api/firebase/roles"
+import { addTranslationMemoryEntries } from "@/api/firebase"
+import { useOpenThreads } from "@/hooks/useComments"
+import { RowDetailsSheet } from "@/components/project"
+import { cn } from "@/lib/utils"
 import { UserPlus } from "lucide-react"
 
 export default function Approvals() {
@@ -29,15 +33,25 @@ export default function Approvals() {
     // Per-language remarks: { [rowId]: { [langCode]: "remark text" } }
     const [localRemarks, setLocalRemarks] = useState({})
 
+    // Rows as they were at their first decision: { [rowId]: row } - saves are checked
+    // against these, so a row changed while under review is merged, not overwritten
+    const decisionBasesRef = useRef({})
+
     const [projectReviewRows, setProjectReviewRows] = useState([])
 
+    // Unresolved comment threads of the projects with rows under review
+    const reviewProjectIds = useMemo(() => projectReviewRows.map(row => row.projectId), [projectReviewRows])
+    const { getOpenThreadCount, hasOpenThreads } = useOpenThreads({ projectIds: reviewProjectIds, enabled: isManager })
+    const [openThreadsOnly, setOpenThreadsOnly] = useState(false)
+    const [detailsRowKey, setDetailsRowKey] = useState(null) // "projectId/rowId" of the row shown in the details sheet
+
     // Pagination state
     const [currentPage, setCurrentPage] = useState(1)
     const [itemsPerPage, setItemsPerPage] = useState(25)
 
     // Reassign Dialog State
     const [reassignOpen, setReassignOpen] = useState(false)
-    const [reassignData, setReassignData] = useState(null) // { rowId, lang, currentManagerId }
+    const [reassignData, setReassignData] = useState(null) // { row, rowId, lang, currentManagerId, projectId }
     const [managers, setManagers] = useState([])
 
     // Load managers on mount
@@ -146,6 +160,7 @@ export default function Approvals() {
 
     // Filter by search
     const filteredRows = activeRows.filter(row => {
+        if (activeTab === "projects" && openThreadsOnly && !hasOpenThreads(row.projectId, row.id)) return false
         if (!searchQuery) return true
         const q = searchQuery.toLowerCase()
         if (activeTab === "glossary") {
@@ -173,7 +188,11 @@ export default function Approvals() {
     // Reset page when tab/search changes
     useEffect(() => {
         setCurrentPage(1)
-    }, [activeTab, searchQuery])
+    }, [activeTab, searchQuery, openThreadsOnly])
+
+    // Review rows with unresolved comments
+    const openThreadRowCount = projectReviewRows.filter(row => hasOpenThreads(row.projectId, row.id)).length
+    const detailsRow = projectReviewRows.find(row => `${row.projectId}/${row.id}` === detailsRowKey)
 
     // Selection handlers
     const toggleSelect = (id) => {
@@ -192,6 +211,9 @@ export default function Approvals() {
 
     // Approval handlers helper
     const updateLocalStatus = (rowId, langCode, status) => {
+        if (!decisionBasesRef.current[rowId]) {
+            decisionBasesRef.current[rowId] = activeRows.find(r => r.id === rowId)
+        }
         setLocalApprovals(prev => ({
             ...prev,
             [rowId]: {
@@ -231,9 +253,10 @@ export default function Approvals() {
         try {
             if (activeTab === "projects") {
                 const affectedProjectIds = new Set()
+                const tmEntries = [] // Approved segments to store in translation memory
 
                 for (const rowId of rowsToUpdate) {
-                    const row = activeRows.find(r => r.id === rowId)
+                    const row = decisionBasesRef.current[rowId] || activeRows.find(r => r.id === rowId)
                     if (!row) continue
 
                     const updates = localApprovals[rowId] || {}
@@ -281,11 +304,36 @@ export default function Approvals() {
                         // If I reject one, the whole row needs attention? Yes usually.
                     }
 
-                    await updateProjectRow(row.projectId, row.id, {
+                    const savedRow = await updateProjectRow(row.projectId, row.id, {
                         translations: newTranslations,
                         status: rowStatus
-                    })
+                    }, { base: row })
                     affectedProjectIds.add(row.projectId)
+                    // Discarded in a merge: nothing was approved
+                    if (!savedRow) continue
+
+                    // Collect newly approved languages for translation memory, with the text
+                    // as saved (a merge may have brought in a newer translation)
+                    Object.entries(updates).forEach(([lang, status]) => {
+                        if (status !== 'approved' || savedRow.translations?.[lang]?.status !== 'approved') return
+                        tmEntries.push({
+                            sourceText: savedRow.source_text || savedRow.en || '',
+                            targetText: savedRow.translations[lang].text || '',
+                            targetLanguage: lang,
+                            projectId: row.projectId,
+                            rowId: row.id,
+                            approvedBy: user ? {
+                                uid: user.id || user.uid,
+                                email: user.email,
+                                name: user.displayName || user.name || user.email?.split('@')[0]
+                            } : null
+                        })
+                    })
+                }
+
+                // TM failures should not block the approval itself
+                if (tmEntries.length > 0) {
+                    addTranslationMemoryEntries(tmEntries).catch(err => console.error('Failed to update translation memory', err))
                 }
 
                 // Recompute stats
@@ -327,6 +375,7 @@ export default function Approvals() {
             }
 
             toast.success("Changes saved successfully")
+            decisionBasesRef.current = {}
             setLocalApprovals({})
             setLocalRemarks({})
             setSelectedIds([])
@@ -411,6 +460,22 @@ export default function Approvals() {
                     <span className="text-[12px] text-slate-500">
                         {row.projectName}
                     </span>
+                    <button
+                        type="button"
+                        onClick={() => setDetailsRowKey(`${row.projectId}/${row.id}`)}
+                        className={cn(
+                            "self-start inline-flex items-center gap-1 text-[11px]",
+                            getOpenThreadCount(row.projectId, row.id) > 0
+                                ? "font-semibold text-primary hover:underline"
+                                : "text-slate-300 hover:text-slate-500"
+                        )}
+                        title={getOpenThreadCount(row.projectId, row.id) > 0
+                            ? `${getOpenThreadCount(row.projectId, row.id)} unresolved comment thread(s)`
+                            : 'Comments'}
+                    >
+                        <MessageSquare className="w-3 h-3" />
+                        {getOpenThreadCount(row.projectId, row.id) > 0 && getOpenThreadCount(row.projectId, row.id)}
+                    </button>
                 </div>
             )
         },
@@ -501,6 +566,7 @@ export default function Approvals() {
                                             <button
                                                 onClick={() => {
                                                     setReassignData({
+                                                        row,
                                                         rowId: row.id,
                                                         lang: lang,
                                                         currentManagerId: translation.assignedManagerId,
@@ -530,6 +596,7 @@ export default function Approvals() {
                                             <button
                                                 onClick={() => {
                                                     setReassignData({
+                                                        row,
                                                         rowId: row.id,
                                                         lang: lang,
                                                         currentManagerId: translation.assignedManagerId,
@@ -576,7 +643,7 @@ export default function Approvals() {
                 )
             }
         }))
-    ], [uniqueTargetLanguages, localApprovals, localRemarks, filteredProjectReviewRows, user, role]) // Add deps
+    ], [uniqueTargetLanguages, localApprovals, localRemarks, filteredProjectReviewRows, user, role, getOpenThreadCount]) // Add deps
 
     const glossaryColumns = [
         {
@@ -653,7 +720,7 @@ export default function Approvals() {
                 actions={
                     <div className="flex gap-2">
                         <button
-                            onClick={() => { setActiveTab("projects"); setSelectedIds([]); setLocalApprovals({}) }}
+                            onClick={() => { setActiveTab("projects"); setSelectedIds([]); setLocalApprovals({}); decisionBasesRef.current = {} }}
                             className={`flex items-center gap-2 px-4 py-1.5 text-sm font-medium rounded-full transition-all border ${activeTab === "projects"
                                 ? 'bg-pink-50 text-pink-700 border-pink-200 shadow-sm'
                                 : 'bg-transparent text-slate-500 border-transparent hover:bg-slate-100 hover:text-slate-700'
@@ -670,7 +737,7 @@ export default function Approvals() {
                             )}
                         </button>
                         <button
-                            onClick={() => { setActiveTab("glossary"); setSelectedIds([]); setLocalApprovals({}) }}
+                            onClick={() => { setActiveTab("glossary"); setSelectedIds([]); setLocalApprovals({}); decisionBasesRef.current = {} }}
                             className={`flex items-center gap-2 px-4 py-1.5 text-sm font-medium rounded-full transition-all border ${activeTab === "glossary"
                                 ? 'bg-pink-50 text-pink-700 border-pink-200 shadow-sm'
                                 : 'bg-transparent text-slate-500 border-transparent hover:bg-slate-100 hover:text-slate-700'
@@ -706,6 +773,20 @@ export default function Approvals() {
                         width="200px"
                     />
 
+                    {activeTab === "projects" && (openThreadRowCount > 0 || openThreadsOnly) && (
+                        <button
+                            onClick={() => setOpenThreadsOnly(prev => !prev)}
+                            className={`flex items-center gap-1.5 h-8 px-3 text-xs font-medium rounded-full border transition-all ${openThreadsOnly
+                                ? 'bg-pink-50 text-pink-700 border-pink-200'
+                                : 'bg-transparent text-slate-500 border-slate-200 hover:bg-slate-100'
+                                }`}
+                            title="Show only rows with unresolved comments"
+                        >
+                            <MessageSquare className="w-3.5 h-3.5" />
+                            Open threads ({openThreadRowCount})
+                        </button>
+                    )}
+
                     <PrimaryButton
                         className="h-8 text-xs px-4"
                         onClick={handleSaveItems}
@@ -745,6 +826,15 @@ export default function Approvals() {
                 )
             }
 
+            <RowDetailsSheet
+                row={detailsRow}
+                projectId={detailsRow?.projectId}
+                projectName={detailsRow?.projectName}
+                targetLanguages={detailsRow?.targetLanguages}
+                open={!!detailsRow}
+                onOpenChange={(open) => { if (!open) setDetailsRowKey(null) }}
+            />
+
             <ReassignManagerDialog
                 open={reassignOpen}
                 onClose={() => setReassignOpen(false)}
@@ -754,9 +844,8 @@ export default function Approvals() {
                     try {
                         // We need to update the specific cell's assignedManagerId
                         // We can use updateProjectRow
-                        const { rowId, lang, projectId } = reassignData
-                        const row = activeRows.find(r => r.id === rowId)
-                        if (!row) return
+                        // Checked against the row as it was when the dialog opened
+                        const { row, rowId, lang, projectId } = reassignData
 
                         const currentTranslations = row.translations || {}
                         const newTranslations = {
@@ -769,7 +858,7 @@ export default function Approvals() {
 
                         await updateProjectRow(projectId, rowId, {
                             translations: newTranslations
-                        })
+                        }, { base: row })
 
                         toast.success("Task reassigned successfully")
                         setReassignOpen(false)
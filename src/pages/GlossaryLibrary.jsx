@@ -27,10 +27,12 @@ import { LAYOUT } from "@/lib/constants"
 import { DataTable, TABLE_STYLES } from "@/components/ui/DataTable"
 import { PageHeader, SearchInput, StatusDot } from "@/components/ui/common"
 import { exportGlossaryToExcel } from "@/lib/export"
+import { parseTbxFile, exportGlossaryToTbx, getTermDetails } from "@/lib/tbx"
 import { handleTranslationError } from "@/lib/utils"
 import * as XLSX from "xlsx"
 import { ImportFileDialog } from "@/components/dialogs"
 import { parseExcelFile } from "@/lib/excel"
+import { sniffFileType } from "@/lib/document"
 import { toast } from "sonner"
 import { getAI } from "@/api/ai"
 import Pagination from "@/components/Pagination"
@@ -46,7 +48,7 @@ import { findGlossaryMatches } from "@/lib/glossary-utils"
 // Using centralized STATUS_CONFIG from @/lib/constants
 
 export default function Glossary() {
-    const { canDo } = useAuth()
+    const { user, canDo } = useAuth()
     const { terms, addTerm, addTerms, updateTerm, deleteTerm, deleteTerms, categories: dynamicCategories } = useGlossary()
     const { templates } = usePrompts()
     const [searchQuery, setSearchQuery] = useState("")
@@ -117,7 +119,8 @@ export default function Glossary() {
                 {
                     targetLanguages: ['my', 'zh'],
                     glossaryTerms: [], // Don't use glossary for glossary translation
-                    template: defaultTemplate
+                    template: defaultTemplate,
+                    usageContext: { user, runId: `run_${Date.now()}`, feature: 'glossary_translation' }
                 }
             )
 
@@ -430,6 +433,11 @@ export default function Glossary() {
         XLSX.writeFile(wb, "glossary_export.xlsx")
     }
 
+    // Export to TBX (categories become subject fields)
+    const handleExportTbx = () => {
+        exportGlossaryToTbx(terms)
+    }
+
     // Check for duplicates in new terms against existing terms
     const findDuplicates = (newTerms) => {
         const duplicateList = []
@@ -484,6 +492,25 @@ export default function Glossary() {
         if (!file) return
 
         try {
+            // .tbx, or TBX saved as .xml
+            const fileType = await sniffFileType(file)
+            if (fileType === 'tbx') {
+                const { terms: tbxTerms, unmappedLocales } = await parseTbxFile(file)
+                if (unmappedLocales.length > 0) {
+                    toast.info(`Skipped unsupported languages: ${unmappedLocales.join(', ')}`)
+                }
+                if (tbxTerms.length > 0) {
+                    await handleImport(tbxTerms)
+                } else {
+                    toast.error("No valid terms found in file")
+                }
+                return
+            }
+            if (!['xlsx', 'csv'].includes(fileType)) {
+                toast.error(`Unsupported file: ${file.name}`)
+                return
+            }
+
             const parsedData = await parseExcelFile(file)
             let allTerms = []
 
@@ -544,6 +571,7 @@ export default function Glossary() {
                     cn: d.new.cn || d.existing.cn,
                     category: d.new.category || d.existing.category,
                     remark: d.new.remark || d.existing.remark,
+                    ...getTermDetails(d.new),
                 }))
 
             await Promise.all(overridePromises)
@@ -842,13 +870,20 @@ export default function Glossary() {
 
                             {/* Export - Available when NO selection and ALL FILLED */}
                             {hasFilteredTerms && !hasSelection && allFilled && (
-                                <PillButton
-                                    variant="outline"
-                                    style={{ height: '32px', fontSize: '12px', padding: '0 16px', marginLeft: '8px' }}
-                                    onClick={handleExport}
-                                >
-                                    <Download style={{ width: '14px', height: '14px' }} /> Export
-                                </PillButton>
+                                <DropdownMenu>
+                                    <DropdownMenuTrigger asChild>
+                                        <PillButton
+                                            variant="outline"
+                                            style={{ height: '32px', fontSize: '12px', padding: '0 16px', marginLeft: '8px' }}
+                                        >
+                                            <Download style={{ width: '14px', height: '14px' }} /> Export
+                                        </PillButton>
+                                    </DropdownMenuTrigger>
+                                    <DropdownMenuContent align="end">
+                                        <DropdownMenuItem onClick={handleExport}>Excel (.xlsx)</DropdownMenuItem>
+                                        <DropdownMenuItem onClick={handleExportTbx}>TBX (.tbx)</DropdownMenuItem>
+                                    </DropdownMenuContent>
+                                </DropdownMenu>
                             )}
 
                             {/* Translate No Selection */}
@@ -1051,7 +1086,7 @@ export default function Glossary() {
                     onClose={() => setIsImportOpen(false)}
                     onImport={handleImportFile}
                     title="Import Glossary Terms"
-                    accept=".xlsx,.xls,.csv"
+                    accept=".xlsx,.xls,.csv,.tbx,.xml"
                 />
 
                 <DuplicateGlossaryDialog
@@ -1,26 +1,436 @@
-// Image Translation - Currently Unavailable
-import { PageContainer } from "@/components/ui/shared"
+// Image Translation - OCR with bounding boxes, per-block editing and a rendered translated image
+import { useState, useEffect, useMemo, useRef } from "react"
+import { ImagePlus, ScanText, Sparkles, Download, FolderPlus, Trash2, X, Loader2, AlertTriangle } from "lucide-react"
+import { PageContainer, Card } from "@/components/ui/shared"
 import { PageHeader } from "@/components/ui/common"
-import { ImageOff } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Textarea } from "@/components/ui/textarea"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { useProjects } from "@/context/ProjectContext"
+import { useGlossary } from "@/context/GlossaryContext"
+import { usePrompts } from "@/context/PromptContext"
+import { useAuth } from "@/context/DevAuthContext"
+import { getAI } from "@/api/ai"
+import { LANGUAGES } from "@/lib/constants"
+import { toPromptGlossary, findGlossaryViolations } from "@/lib/glossary-utils"
+import { loadImage, renderTranslatedImage, exportTranslatedImage } from "@/lib/image-translation"
+import { cn, handleTranslationError } from "@/lib/utils"
+import { toast } from "sonner"
+
+const TARGET_LANGUAGES = Object.keys(LANGUAGES).filter(code => code !== 'en')
+const ACCEPTED_TYPES = ['image/png', 'image/jpeg', 'image/webp']
+// Only Gemini reads images
+const OCR_PROVIDER = 'gemini'
+const BLOCK_CONTEXT = 'Text in an image - keep the translation about as long as the original so it fits the same space'
+// Rendering the full image is too slow to repeat on every keystroke
+const PREVIEW_DELAY_MS = 300
 
 export default function ImageTranslation() {
+    const { user } = useAuth()
+    const { projects, addProjectPage } = useProjects()
+    const { approvedTerms: glossaryTerms } = useGlossary()
+    const { templates } = usePrompts()
+    const fileInputRef = useRef(null)
+
+    const [file, setFile] = useState(null)
+    const [imageUrl, setImageUrl] = useState(null)
+    const [image, setImage] = useState(null)
+    const [blocks, setBlocks] = useState([]) // [{ id, text, box, color, bold, align, translations: { [lang]: text } }]
+    const [selectedBlockId, setSelectedBlockId] = useState(null)
+    const [previewLanguage, setPreviewLanguage] = useState(TARGET_LANGUAGES[0])
+    const [showTranslated, setShowTranslated] = useState(false)
+    const [translatedUrl, setTranslatedUrl] = useState(null)
+    const [isExtracting, setIsExtracting] = useState(false)
+    const [translatingIds, setTranslatingIds] = useState([])
+    const [targetProjectId, setTargetProjectId] = useState('')
+    const [isAdding, setIsAdding] = useState(false)
+
+    // Same default prompt as Quick Check
+    const defaultTemplate = useMemo(() => {
+        const publishedTemplates = templates?.filter(t => t.status !== 'draft') || []
+        return publishedTemplates.find(t => t.isDefault) ||
+            publishedTemplates[0] ||
+        {
+            name: 'Default',
+            prompt: 'Translate accurately while maintaining the original meaning and tone.'
+        }
+    }, [templates])
+
+    // Release the object URL of the previous image
+    useEffect(() => () => {
+        if (imageUrl) URL.revokeObjectURL(imageUrl)
+    }, [imageUrl])
+
+    // Re-render the translated preview once blocks or the language stop changing
+    useEffect(() => {
+        if (!showTranslated || !image) return undefined
+        const timer = setTimeout(() => {
+            try {
+                setTranslatedUrl(renderTranslatedImage(image, blocks, { targetLanguage: previewLanguage }).toDataURL('image/png'))
+            } catch (error) {
+                console.error(error)
+                setTranslatedUrl(null)
+            }
+        }, PREVIEW_DELAY_MS)
+        return () => clearTimeout(timer)
+    }, [showTranslated, image, blocks, previewLanguage])
+
+    const baseName = file?.name.replace(/\.[^/.]+$/, '') || 'image'
+
+    const handleSelectFile = async (e) => {
+        const selected = e.target.files?.[0]
+        e.target.value = ''
+        if (!selected) return
+        if (!ACCEPTED_TYPES.includes(selected.type)) {
+            toast.error('Please choose a PNG, JPEG or WebP image')
+            return
+        }
+
+        const url = URL.createObjectURL(selected)
+        try {
+            setImage(await loadImage(url))
+            setFile(selected)
+            setImageUrl(url)
+            setBlocks([])
+            setSelectedBlockId(null)
+            setShowTranslated(false)
+        } catch (error) {
+            URL.revokeObjectURL(url)
+            toast.error(error.message)
+        }
+    }
+
+    const handleRemoveImage = () => {
+        setFile(null)
+        setImageUrl(null)
+        setImage(null)
+        setBlocks([])
+        setSelectedBlockId(null)
+        setShowTranslated(false)
+        setTranslatedUrl(null)
+    }
+
+    const handleExtract = async () => {
+        if (!file || isExtracting) return
+        setIsExtracting(true)
+        try {
+            const extracted = await getAI(OCR_PROVIDER).extractTextFromImage(file, {
+                usageContext: { user, runId: `run_${Date.now()}`, feature: 'image_translation' }
+            })
+            const located = (extracted || []).filter(block => block.box)
+            setBlocks(located.map(block => ({ ...block, translations: {} })))
+            setSelectedBlockId(null)
+            if (located.length === 0) {
+                toast.error('No text found in this image')
+            } else {
+                toast.success(`Found ${located.length} text block(s)`)
+            }
+        } catch (error) {
+            handleTranslationError(error)
+        } finally {
+            setIsExtracting(false)
+        }
+    }
+
+    const handleTranslate = async (blockIds) => {
+        const items = blocks
+            .filter(block => blockIds.includes(block.id) && block.text.trim())
+            .map(block => ({ id: block.id, text: block.text, context: BLOCK_CONTEXT }))
+        if (items.length === 0) return
+
+        setTranslatingIds(items.map(item => item.id))
+        try {
+            const results = await getAI().generateBatch(items, {
+                sourceLanguage: 'en',
+                targetLanguages: TARGET_LANGUAGES,
+                glossaryTerms: toPromptGlossary(glossaryTerms, TARGET_LANGUAGES),
+                template: defaultTemplate,
+                usageContext: { user, runId: `run_${Date.now()}`, feature: 'image_translation' }
+            })
+
+            setBlocks(prev => prev.map(block => {
+                const result = results?.find(r => String(r.id) === block.id)
+                if (!result) return block
+                const translations = { ...block.translations }
+                TARGET_LANGUAGES.forEach(lang => {
+                    const text = result.translations?.[lang]?.text
+                    if (text) translations[lang] = text
+                })
+                return { ...block, translations }
+            }))
+            if (results?.some(result => result.status === 'error')) {
+                toast.error('Some blocks could not be translated')
+            }
+        } catch (error) {
+            handleTranslationError(error)
+        } finally {
+            setTranslatingIds([])
+        }
+    }
+
+    const updateBlock = (blockId, changes) => {
+        setBlocks(prev => prev.map(block => block.id === blockId ? { ...block, ...changes } : block))
+    }
+
+    const updateTranslation = (block, lang, text) => {
+        updateBlock(block.id, { translations: { ...block.translations, [lang]: text } })
+    }
+
+    const handleDeleteBlock = (blockId) => {
+        setBlocks(prev => prev.filter(block => block.id !== blockId))
+        if (selectedBlockId === blockId) setSelectedBlockId(null)
+    }
+
+    const handleDownload = async () => {
+        try {
+            await exportTranslatedImage(image, blocks, `${baseName}_${previewLanguage}`, { targetLanguage: previewLanguage })
+            toast.success(`Exported ${baseName}_${previewLanguage}.png`)
+        } catch (error) {
+            console.error(error)
+            toast.error(error.message || 'Failed to export image')
+        }
+    }
+
+    const handleAddToProject = async () => {
+        const project = projects.find(p => p.id === targetProjectId)
+        if (!project) return
+        const projectLanguages = project.targetLanguages || ['my', 'zh']
+
+        const rows = blocks.filter(block => block.text.trim()).map(block => {
+            const translations = {}
+            projectLanguages.forEach(lang => {
+                const text = block.translations[lang]?.trim()
+                if (text) translations[lang] = { text, status: 'review', remark: '', origin: 'ai' }
+            })
+            return {
+                source_text: block.text,
+                en: block.text, // Legacy
+                translations,
+                ...Object.fromEntries(Object.entries(translations).map(([lang, translation]) => [lang, translation.text])),
+                status: Object.keys(translations).length > 0 ? 'review' : 'draft',
+                context: `Image: ${file.name}`,
+                promptId: 'default',
+            }
+        })
+        if (rows.length === 0) return
+
+        setIsAdding(true)
+        try {
+            const page = await addProjectPage(project.id, { name: baseName }, rows)
+            toast.success(`Added ${rows.length} row(s) to ${project.name}`, {
+                action: page?.id
+                    ? { label: 'Open', onClick: () => { window.location.hash = `#project/${project.id}?page=${page.id}` } }
+                    : undefined
+            })
+        } catch (error) {
+            console.error(error)
+            toast.error('Failed to add rows to project')
+        } finally {
+            setIsAdding(false)
+        }
+    }
+
+    const hasTranslations = blocks.some(block => block.translations[previewLanguage]?.trim())
+
     return (
         <PageContainer>
             <PageHeader
-                description="Upload images and extract text for translation"
+                description="Upload an image, extract its text and render a translated copy"
+                actions={file && (
+                    <Button variant="outline" onClick={handleRemoveImage}>
+                        <X className="w-4 h-4 mr-2" />
+                        Remove image
+                    </Button>
+                )}
             >
                 Image Translation
             </PageHeader>
 
-            <div className="flex flex-col items-center justify-center min-h-[400px] text-center p-8">
-                <div className="w-16 h-16 bg-slate-100 rounded-full flex items-center justify-center mb-4">
-                    <ImageOff className="w-8 h-8 text-slate-400" />
+            <input
+                ref={fileInputRef}
+                type="file"
+                accept={ACCEPTED_TYPES.join(',')}
+                className="hidden"
+                onChange={handleSelectFile}
+            />
+
+            {!file ? (
+                <button
+                    onClick={() => fileInputRef.current?.click()}
+                    className="w-full flex flex-col items-center justify-center min-h-[320px] rounded-2xl border-2 border-dashed border-border hover:border-primary/50 hover:bg-muted/30 transition-colors text-center p-8"
+                >
+                    <div className="w-14 h-14 bg-slate-100 dark:bg-slate-800 rounded-full flex items-center justify-center mb-4">
+                        <ImagePlus className="w-7 h-7 text-slate-400" />
+                    </div>
+                    <p className="text-sm font-medium text-foreground">Choose an image</p>
+                    <p className="text-sm text-muted-foreground mt-1">PNG, JPEG or WebP</p>
+                </button>
+            ) : (
+                <div className="space-y-4">
+                    {/* Toolbar */}
+                    <div className="flex flex-wrap items-center gap-2">
+                        <Button onClick={handleExtract} disabled={isExtracting}>
+                            {isExtracting ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <ScanText className="w-4 h-4 mr-2" />}
+                            {blocks.length > 0 ? 'Extract again' : 'Extract text'}
+                        </Button>
+                        <Button
+                            variant="outline"
+                            onClick={() => handleTranslate(blocks.map(block => block.id))}
+                            disabled={blocks.length === 0 || translatingIds.length > 0}
+                        >
+                            {translatingIds.length > 1 ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Sparkles className="w-4 h-4 mr-2" />}
+                            Translate all
+                        </Button>
+
+                        <div className="flex-1" />
+
+                        <Select value={previewLanguage} onValueChange={setPreviewLanguage}>
+                            <SelectTrigger className="w-44 h-9">
+                                <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                                {TARGET_LANGUAGES.map(lang => (
+                                    <SelectItem key={lang} value={lang}>{LANGUAGES[lang].label}</SelectItem>
+                                ))}
+                            </SelectContent>
+                        </Select>
+                        <Button variant="outline" onClick={() => setShowTranslated(!showTranslated)} disabled={blocks.length === 0}>
+                            {showTranslated ? 'Show original' : 'Show translated'}
+                        </Button>
+                        <Button variant="outline" onClick={handleDownload} disabled={!hasTranslations}>
+                            <Download className="w-4 h-4 mr-2" />
+                            Download PNG
+                        </Button>
+                    </div>
+
+                    <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 items-start">
+                        {/* Image with block outlines */}
+                        <Card noPadding className="p-3">
+                            <div className="relative">
+                                <img
+                                    src={showTranslated && translatedUrl ? translatedUrl : imageUrl}
+                                    alt={file.name}
+                                    className="w-full h-auto rounded-lg select-none"
+                                    draggable={false}
+                                />
+                                {blocks.map((block, index) => (
+                                    <button
+                                        key={block.id}
+                                        onClick={() => setSelectedBlockId(block.id)}
+                                        title={block.text}
+                                        className={cn(
+                                            "absolute border-2 rounded-sm transition-colors",
+                                            selectedBlockId === block.id
+                                                ? "border-primary bg-primary/10"
+                                                : "border-sky-500/70 hover:bg-sky-500/10"
+                                        )}
+                                        style={{
+                                            left: `${block.box.x * 100}%`,
+                                            top: `${block.box.y * 100}%`,
+                                            width: `${block.box.width * 100}%`,
+                                            height: `${block.box.height * 100}%`
+                                        }}
+                                    >
+                                        <span className="absolute -top-2.5 -left-2.5 min-w-5 h-5 px-1 rounded-full bg-sky-600 text-white text-[10px] leading-5 font-medium">
+                                            {index + 1}
+                                        </span>
+                                    </button>
+                                ))}
+                            </div>
+                        </Card>
+
+                        {/* Blocks */}
+                        <div className="space-y-3">
+                            {blocks.length === 0 ? (
+                                <Card className="text-sm text-muted-foreground text-center">
+                                    {isExtracting ? 'Reading text...' : 'Extract the text to edit and translate it block by block.'}
+                                </Card>
+                            ) : blocks.map((block, index) => {
+                                const violations = findGlossaryViolations(block.text, block.translations, glossaryTerms, TARGET_LANGUAGES)
+                                const isTranslating = translatingIds.includes(block.id)
+                                return (
+                                    <Card
+                                        key={block.id}
+                                        className={cn("space-y-3 transition-colors", selectedBlockId === block.id && "ring-2 ring-primary")}
+                                    >
+                                        <div className="flex items-center gap-2" onClick={() => setSelectedBlockId(block.id)}>
+                                            <span className="text-xs font-medium text-muted-foreground">Block {index + 1}</span>
+                                            <div className="flex-1" />
+                                            <Button
+                                                variant="ghost"
+                                                size="sm"
+                                                onClick={() => handleTranslate([block.id])}
+                                                disabled={isTranslating || !block.text.trim()}
+                                            >
+                                                {isTranslating ? <Loader2 className="w-3.5 h-3.5 mr-1.5 animate-spin" /> : <Sparkles className="w-3.5 h-3.5 mr-1.5" />}
+                                                Translate
+                                            </Button>
+                                            <Button variant="ghost" size="sm" onClick={() => handleDeleteBlock(block.id)} title="Remove block">
+                                                <Trash2 className="w-3.5 h-3.5" />
+                                            </Button>
+                                        </div>
+
+                                        <Textarea
+                                            value={block.text}
+                                            onChange={(e) => updateBlock(block.id, { text: e.target.value })}
+                                            onFocus={() => setSelectedBlockId(block.id)}
+                                            rows={2}
+                                            className="text-sm"
+                                        />
+
+                                        {TARGET_LANGUAGES.map(lang => (
+                                            <div key={lang} className="space-y-1">
+                                                <span className="text-xs font-medium text-muted-foreground">{LANGUAGES[lang].label}</span>
+                                                <Textarea
+                                                    value={block.translations[lang] || ''}
+                                                    onChange={(e) => updateTranslation(block, lang, e.target.value)}
+                                                    onFocus={() => setSelectedBlockId(block.id)}
+                                                    rows={2}
+                                                    className="text-sm"
+                                                />
+                                                {block.translations[lang]?.trim() && violations.filter(v => v.lang === lang).map(violation => (
+                                                    <p key={violation.term} className="flex items-center gap-1.5 text-xs text-amber-600 dark:text-amber-400">
+                                                        <AlertTriangle className="w-3.5 h-3.5 shrink-0" />
+                                                        Glossary: "{violation.term}" should be "{violation.expected}"
+                                                    </p>
+                                                ))}
+                                            </div>
+                                        ))}
+                                    </Card>
+                                )
+                            })}
+
+                            {/* Import into a project */}
+                            {blocks.length > 0 && (
+                                <Card className="space-y-3">
+                                    <div>
+                                        <p className="text-sm font-medium text-foreground">Add to project</p>
+                                        <p className="text-xs text-muted-foreground mt-0.5">
+                                            Blocks become rows on a new page named after the image.
+                                        </p>
+                                    </div>
+                                    <div className="flex items-center gap-2">
+                                        <Select value={targetProjectId} onValueChange={setTargetProjectId}>
+                                            <SelectTrigger className="flex-1 h-9">
+                                                <SelectValue placeholder="Choose a project" />
+                                            </SelectTrigger>
+                                            <SelectContent>
+                                                {projects.map(project => (
+                                                    <SelectItem key={project.id} value={project.id}>{project.name}</SelectItem>
+                                                ))}
+                                            </SelectContent>
+                                        </Select>
+                                        <Button onClick={handleAddToProject} disabled={!targetProjectId || isAdding}>
+                                            {isAdding ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <FolderPlus className="w-4 h-4 mr-2" />}
+                                            Add rows
+                                        </Button>
+                                    </div>
+                                </Card>
+                            )}
+                        </div>
+                    </div>
                 </div>
-                <h3 className="text-lg font-semibold text-slate-900 mb-2">Feature Unavailable</h3>
-                <p className="text-slate-500 max-w-md">
-                    Image translation is currently disabled for maintenance. Please check back later.
-                </p>
-            </div>
+            )}
         </PageContainer>
     )
 }
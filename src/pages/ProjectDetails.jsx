@@ -1,5 +1,5 @@
 import { useState, useRef, useEffect } from "react"
-import { FileSpreadsheet, Download, Square, CheckSquare, Loader2, X, Upload, Plus, Filter, Check, Search, Send, MoreHorizontal, Pencil, Trash2, FileText, Presentation } from "lucide-react"
+import { FileSpreadsheet, Download, Square, CheckSquare, Loader2, X, Upload, Plus, Filter, Check, Search, Send, MoreHorizontal, Pencil, Trash2, FileText, Presentation, Settings, Gauge, Info, AlertTriangle, Lock, MessageSquare } from "lucide-react"
 import { PageHeader, SearchInput } from "@/components/ui/common"
 import { Button } from "@/components/ui/button"
 import { Input } from "@/components/ui/input"
@@ -10,16 +10,27 @@ import { useProjects } from "@/context/ProjectContext"
 import { usePrompts } from "@/context/PromptContext"
 import { useGlossary } from "@/context/GlossaryContext"
 import { useApprovalNotifications } from "@/hooks/useApprovalNotifications"
+import { usePresence } from "@/hooks/usePresence"
+import { useOpenThreads } from "@/hooks/useComments"
 import { useAuth } from "@/context/DevAuthContext"
 import * as XLSX from "xlsx"
 import { parseExcelFile } from "@/lib/excel"
-import { exportToDocx, exportToPptx } from "@/lib/document"
+import { exportToDocx, exportToPptx, detectFileType, sniffFileType, parseFile } from "@/lib/document"
+import { LAYOUT_FORMATS, exportWithLayout } from "@/lib/office-layout"
+import { parseXliffFile, exportToXliff } from "@/lib/xliff"
+import { RESOURCE_FORMATS, exportToResourceFile, getResourceKeyFields } from "@/lib/resource-files"
 import { cn, handleTranslationError } from "@/lib/utils"
-import { getAI } from "@/api/ai"
+import { AIService, runFallbackTranslation, formatTranslationError } from "@/api/ai"
 import { toast } from "sonner"
 import { DataTable, TABLE_STYLES } from "@/components/ui/DataTable"
 import { PromptCategoryDropdown } from "@/components/ui/PromptCategoryDropdown"
-import { logAction, AUDIT_ACTIONS } from "@/api/firebase"
+import { logAction, AUDIT_ACTIONS, findTranslationMemoryMatches, saveSourceFile, getSourceFile, MAX_SOURCE_FILE_SIZE } from "@/api/firebase"
+import { getTMSettings, canAutoApplyTMMatch, TM_SUGGESTION_LIMIT } from "@/lib/translation-memory"
+import { toPromptGlossary, findGlossaryViolations } from "@/lib/glossary-utils"
+import { QA_RULES, QA_SEVERITY, checkRowQA, countQAIssues, hasBlockingQAIssues } from "@/lib/qa-checks"
+import { resolveLengthLimits, getCharacterBudget, checkLengthLimits } from "@/lib/length-limits"
+import { isICUMessage, validateICUMessage } from "@/lib/icu-message"
+import { formatQuotaEntry } from "@/lib/ai-quota"
 import {
     DropdownMenu,
     DropdownMenuContent,
@@ -39,18 +50,52 @@ import { getStatusConfig, LANGUAGES } from "@/lib/constants"
 import { ConfirmDialog, ImportFileDialog, ProjectSettingsDialog, SendForReviewDialog } from "@/components/dialogs"
 import { getUsers } from "@/api/firebase"
 import { GlossaryHighlighter } from "@/components/ui/GlossaryHighlighter"
-import { ExportMenu } from "@/components/project"
+import { ExportMenu, RowDetailsSheet, LengthCounter, ICUPluralEditor, PresenceAvatars } from "@/components/project"
 import Pagination from "@/components/Pagination"
 
 
+// Per-row limit as typed in the editor - a positive whole number, or none
+const toRowLimit = (value) => Number(value) > 0 ? Math.floor(Number(value)) : null
+
+// QA states offered in the filter dropdown
+const QA_FILTER_OPTIONS = [
+    { id: 'errors', label: 'QA errors', color: COLORS.negative },
+    { id: 'warnings', label: 'QA warnings', color: COLORS.warning },
+    { id: 'clean', label: 'No QA issues', color: COLORS.positive },
+]
+
+// QA issues of one translation, errors first
+function QABadge({ issues }) {
+    if (!issues?.length) return null
+    const errors = issues.filter(i => i.severity === QA_SEVERITY.ERROR).length
+    const warnings = issues.length - errors
+    const label = errors > 0
+        ? `${errors} QA error${errors > 1 ? 's' : ''}`
+        : `${warnings} QA warning${warnings > 1 ? 's' : ''}`
+
+    return (
+        <span
+            className={cn(
+                "inline-flex items-center mt-1.5 px-1.5 py-0.5 rounded text-[11px] font-medium border cursor-help",
+                errors > 0 ? "bg-rose-50 text-rose-600 border-rose-100" : "bg-amber-50 text-amber-700 border-amber-100"
+            )}
+            title={issues.map(i => `${QA_RULES[i.rule]?.label || i.rule}: ${i.message}`).join('\n')}
+        >
+            {label}
+        </span>
+    )
+}
+
 export default function ProjectView({ projectId }) {
     const {
         getProject,
         getProjectRows,
         updateProjectRow,
+        updateProjectRows,
         addProjectRows,
         getProjectPages,
         getPageRows,
+        watchPageRows,
         getSelectedPageId,
         selectPage,
         addProjectPage,
@@ -75,14 +120,21 @@ export default function ProjectView({ projectId }) {
     const newRowInputRef = useRef(null)
     const [isImporting, setIsImporting] = useState(false)
     const [isTranslating, setIsTranslating] = useState(false)
+    const [streamingRowIds, setStreamingRowIds] = useState(new Set()) // Rows waiting for a streamed translation
+    const [quotaStatus, setQuotaStatus] = useState({ exceeded: null, warnings: [] }) // Remaining daily AI budget
     const [isSettingsOpen, setIsSettingsOpen] = useState(false)
+    const [detailsRowId, setDetailsRowId] = useState(null) // Row shown in the details sheet
     const [searchQuery, setSearchQuery] = useState("")
     const [statusFilter, setStatusFilter] = useState([]) // Multi-selectable status filter
+    const [qaFilter, setQaFilter] = useState([]) // 'errors' | 'warnings' | 'clean'
+    const [openThreadsOnly, setOpenThreadsOnly] = useState(false) // Only rows with unresolved comments
     const [waitTimeout, setWaitTimeout] = useState(false) // Timeout for waiting for project
     const [deleteConfirm, setDeleteConfirm] = useState(null) // { type: 'bulk' | 'single', data: any }
     const [duplicateConfirm, setDuplicateConfirm] = useState(null) // { row: object, duplicate: object }
     const [editingRowId, setEditingRowId] = useState(null) // Row being edited inline
     const [editingRowData, setEditingRowData] = useState(null) // Data for row being edited
+    const editingBaseRowRef = useRef(null) // Row as it was when editing started - the base for merging a stale save
+    const [tmSuggestions, setTmSuggestions] = useState({}) // Fuzzy TM matches for row being edited: { [lang]: [...] }
 
     const [editWarning, setEditWarning] = useState(null) // { open: boolean, row: object }
     // Remarks Dialog State
@@ -133,6 +185,7 @@ export default function ProjectView({ projectId }) {
 
     const urlParams = new URLSearchParams(hashParts[1] || '')
     const pageIdFromUrl = urlParams.get('page')
+    const rowIdFromUrl = urlParams.get('row') // e.g. from a mention notification
 
     const project = getProject(id)
     const targetLanguages = project?.targetLanguages || ['my', 'zh'] // Get early for use in filters
@@ -161,6 +214,21 @@ export default function ProjectView({ projectId }) {
         }
     }, [id, currentPageId, markAsViewed])
 
+    // Live rows - edits, status changes and AI results of other users show up without a reload
+    useEffect(() => {
+        if (!id || !currentPageId) return undefined
+        return watchPageRows(id, currentPageId)
+    }, [id, currentPageId, watchPageRows])
+
+    // Who else is on this page; rows someone is editing are soft-locked
+    const { viewers, getRowViewers, getRowLock } = usePresence(id, currentPageId, {
+        viewingRowId: detailsRowId,
+        editingRowId
+    })
+
+    // Unresolved comment threads, for the row badges and the filter
+    const { getOpenThreadCount, hasOpenThreads } = useOpenThreads({ projectIds: [id], enabled: !!id })
+
     // Timeout for waiting for newly created project (race condition)
     useEffect(() => {
         if (!project && id && id.length > 10) {
@@ -171,6 +239,25 @@ export default function ProjectView({ projectId }) {
         }
     }, [project, id])
 
+    // Refresh remaining AI budget on load and after each translation run
+    useEffect(() => {
+        if (!id || !user || isTranslating) return
+        let cancelled = false
+        AIService.loadEndpoints()
+            .then(() => {
+                const providerId = AIService.getAvailableProviders().includes(project?.aiProvider)
+                    ? project.aiProvider
+                    : undefined
+                return AIService.getQuotaStatus({ user, projectId: id }, providerId)
+            })
+            .then(status => { if (!cancelled) setQuotaStatus(status) })
+        return () => { cancelled = true }
+    }, [id, user, isTranslating, project?.aiProvider])
+
+    // Tightest limit past the warning threshold (or the one already reached)
+    const quotaEntry = quotaStatus.exceeded || [...quotaStatus.warnings]
+        .sort((a, b) => a.remaining / a.limit - b.remaining / b.limit)[0]
+
     const legacyRows = getProjectRows(id)
 
     const allRows = pages.length > 0 && currentPageId
@@ -194,7 +281,16 @@ export default function ProjectView({ projectId }) {
         // Status filter - if no selection, show all
         const matchesStatus = statusFilter.length === 0 || statusFilter.includes(row.status || 'draft')
 
-        return matchesSearch && matchesStatus
+        // QA filter - rows matching any selected QA state
+        const qaCounts = countQAIssues(row.qa)
+        const matchesQA = qaFilter.length === 0 ||
+            (qaFilter.includes('errors') && qaCounts.errors > 0) ||
+            (qaFilter.includes('warnings') && qaCounts.warnings > 0) ||
+            (qaFilter.includes('clean') && qaCounts.errors === 0 && qaCounts.warnings === 0)
+
+        const matchesComments = !openThreadsOnly || hasOpenThreads(id, row.id)
+
+        return matchesSearch && matchesStatus && matchesQA && matchesComments
     })
 
     // Pagination: Slice rows for current page
@@ -210,7 +306,20 @@ export default function ProjectView({ projectId }) {
     // Reset to page 1 when filters change or items per page changes
     useEffect(() => {
         setCurrentPage(1)
-    }, [searchQuery, statusFilter.length, currentPageId, itemsPerPage])
+    }, [searchQuery, statusFilter.length, qaFilter.length, openThreadsOnly, currentPageId, itemsPerPage])
+
+    // Rows of this page with unresolved comments
+    const openThreadRowCount = (allRows || []).filter(row => row && hasOpenThreads(id, row.id)).length
+
+    // Open the row a link points to, once its page has loaded (and only once per link)
+    const openedRowIdRef = useRef(null)
+    useEffect(() => {
+        if (!rowIdFromUrl || openedRowIdRef.current === rowIdFromUrl) return
+        if ((allRows || []).some(row => row?.id === rowIdFromUrl)) {
+            openedRowIdRef.current = rowIdFromUrl
+            setDetailsRowId(rowIdFromUrl)
+        }
+    }, [rowIdFromUrl, allRows?.length])
 
     // targetLanguages is already declared above near project fetch
 
@@ -310,7 +419,36 @@ export default function ProjectView({ projectId }) {
         XLSX.writeFile(wb, `${project.name}_export.xlsx`)
     }
 
+    // Original document of the current page, when it was kept at import
+    const currentSourceFile = pages.find(p => p.id === currentPageId)?.sourceFile || null
+
+    const handleExportLayout = async (targetLangs) => {
+        // Translations written back into a copy of the original, one file per language
+        const { type } = currentSourceFile
+        try {
+            const source = await getSourceFile(id, currentSourceFile.id)
+            for (const lang of targetLangs) {
+                const { written, missing } = await exportWithLayout(type, source, allRows, `${project.name}_${lang}`, {
+                    targetLanguage: lang
+                })
+                if (missing > 0) {
+                    toast.warning(`${project.name}_${lang}.${type}: ${missing} segment(s) could not be placed in the original`)
+                } else {
+                    toast.success(`Exported ${written} segment(s) to ${project.name}_${lang}.${type}`)
+                }
+            }
+        } catch (error) {
+            console.error(error)
+            toast.error(error.message || 'Failed to export document')
+        }
+    }
+
     const handleExportDocx = async (targetLang) => {
+        if (currentSourceFile?.type === 'docx') {
+            await handleExportLayout([targetLang])
+            return
+        }
+
         // Export as bilingual Word document for a specific target language
         const exportRows = allRows.map(row => ({
             en: row.en || row.text || '',
@@ -334,6 +472,11 @@ export default function ProjectView({ projectId }) {
     }
 
     const handleExportPptx = async (targetLang) => {
+        if (currentSourceFile?.type === 'pptx') {
+            await handleExportLayout([targetLang])
+            return
+        }
+
         // Export as bilingual PowerPoint presentation
         const exportRows = allRows.map(row => ({
             en: row.en || row.text || '',
@@ -354,6 +497,184 @@ export default function ProjectView({ projectId }) {
         }
     }
 
+    const handleExportXliff = (targetLang, version) => {
+        // One <file> for the current page; unit ids are the row ids so the file can be re-imported
+        try {
+            exportToXliff([{ name: currentTitle || project.name, rows: allRows }], `${project.name}_${targetLang}`, {
+                targetLanguage: targetLang,
+                version
+            })
+            toast.success(`Exported to ${project.name}_${targetLang}.xlf`)
+        } catch (error) {
+            toast.error('Failed to export XLIFF')
+        }
+    }
+
+    const handleExportResource = (format, targetLang) => {
+        // Localized resource files for developers, rebuilt from the row keys - one per page,
+        // as each page holds the strings of one imported file
+        const { extension, label } = RESOURCE_FORMATS[format]
+        const exportPages = pages.length > 0
+            ? pages.map(page => ({ name: page.name, rows: getPageRows(id, page.id) }))
+            : [{ name: null, rows: legacyRows }]
+        const files = exportPages.filter(page => page.rows.length > 0)
+        try {
+            files.forEach(page => {
+                const filename = files.length > 1 && page.name
+                    ? `${project.name}_${page.name}_${targetLang}`
+                    : `${project.name}_${targetLang}`
+                exportToResourceFile(format, page.rows, filename, {
+                    targetLanguage: targetLang,
+                    projectName: project.name
+                })
+            })
+            toast.success(files.length > 1
+                ? `Exported ${files.length} ${label} files`
+                : `Exported to ${project.name}_${targetLang}.${extension}`)
+        } catch (error) {
+            toast.error(`Failed to export ${label}`)
+        }
+    }
+
+    const handleImportResource = async (file) => {
+        // A resource file becomes a new page, keeping its keys and comments
+        const data = await parseFile(file)
+        const newRows = data.entries.map(entry => {
+            const translations = Object.fromEntries(Object.entries(entry.translations)
+                .filter(([lang]) => targetLanguages.includes(lang))
+                .map(([lang, translation]) => [lang, { ...translation, remark: '' }]))
+            return {
+                ...getResourceKeyFields(entry),
+                source_text: entry.en,
+                en: entry.en, // Legacy
+                translations,
+                ...Object.fromEntries(Object.entries(translations).map(([lang, translation]) => [lang, translation.text])),
+                status: 'draft',
+                context: entry.context || '',
+                promptId: 'default',
+            }
+        })
+
+        if (newRows.length === 0) {
+            toast.error('No strings found in file')
+            return
+        }
+        await addProjectPage(id, { name: data.name }, newRows)
+        toast.success(`Imported ${newRows.length} string(s) from ${file.name}`)
+    }
+
+    const handleImportDocument = async (file) => {
+        // A document becomes a new page; Office files keep their original for layout-preserving export
+        const fileType = detectFileType(file)
+        const data = await parseFile(file)
+        const newRows = data.entries.map(entry => ({
+            source_text: entry.en,
+            en: entry.en, // Legacy
+            translations: {},
+            status: 'draft',
+            context: entry.context || '',
+            ...(entry.sourceLocation && { sourceLocation: entry.sourceLocation }),
+            promptId: 'default',
+        }))
+
+        if (newRows.length === 0) {
+            toast.error('No text found in document')
+            return
+        }
+        const keepOriginal = LAYOUT_FORMATS[fileType] && file.size <= MAX_SOURCE_FILE_SIZE
+        if (LAYOUT_FORMATS[fileType] && !keepOriginal) {
+            toast.info(`${file.name} is too large to keep as original: it will export without its layout`)
+        }
+        const sourceFile = keepOriginal ? await saveSourceFile(id, file) : null
+        await addProjectPage(id, { name: data.name, ...(sourceFile && { sourceFile }) }, newRows)
+        toast.success(`Imported ${newRows.length} segment(s) from ${file.name}`)
+    }
+
+    const handleImportXliff = async (file) => {
+        // A <file> whose name matches a page of this project updates that page: units
+        // matching a row's unit id update its translation, the others are added to the page.
+        // Any other <file> becomes a new page. Unit ids are stored on the rows, not used as ids.
+        const data = await parseXliffFile(file)
+        let updatedCount = 0
+        let addedCount = 0
+
+        // Only managers approve, so other roles import finished states as review
+        const getImportStatus = (status) => !isManager && ['approved', 'completed', 'published'].includes(status) ? 'review' : status
+        // The row status follows all target languages, as in Approvals
+        const getRowStatus = (translations, current) => {
+            if (targetLanguages.every(lang => translations[lang]?.status === 'approved')) return 'approved'
+            if (targetLanguages.some(lang => translations[lang]?.status === 'changes')) return 'changes'
+            // A language that is no longer approved reopens the row
+            return current === 'approved' ? 'review' : current
+        }
+
+        for (const xliffFile of data.files) {
+            const lang = xliffFile.targetLanguage
+            if (!lang || !targetLanguages.includes(lang)) {
+                toast.error(`${xliffFile.name}: ${xliffFile.targetLocale || 'missing'} is not a target language of this project`)
+                continue
+            }
+
+            const page = pages.find(p => p.name === xliffFile.name)
+            // Rows exported before unit ids were stored carry their row id as unit id
+            const rowsByUnitId = new Map((page ? getPageRows(id, page.id) : []).map(row => [row.unitId || row.id, row]))
+
+            const rowUpdates = []
+            const newRows = []
+            xliffFile.entries.forEach(entry => {
+                const parsed = entry.translations[lang]
+                const translation = parsed && { ...parsed, status: getImportStatus(parsed.status) }
+                const existing = entry.unitId && rowsByUnitId.get(entry.unitId)
+                if (existing) {
+                    // Units without a translation leave the row as it is
+                    if (!translation) return
+                    const translations = {
+                        ...(existing.translations || {}),
+                        [lang]: { ...(existing.translations?.[lang] || {}), text: translation.text, status: translation.status }
+                    }
+                    rowUpdates.push({
+                        id: existing.id,
+                        changes: {
+                            translations,
+                            [lang]: translation.text,
+                            status: getRowStatus(translations, existing.status)
+                        }
+                    })
+                } else {
+                    const translations = translation ? { [lang]: { ...translation, remark: '' } } : {}
+                    newRows.push({
+                        ...(entry.unitId && { unitId: entry.unitId }),
+                        source_text: entry.en,
+                        en: entry.en, // Legacy
+                        translations,
+                        [lang]: translation?.text || '',
+                        status: getRowStatus(translations, translation ? 'review' : 'draft'),
+                        context: entry.context || '',
+                        maxLength: entry.maxLength || null,
+                        promptId: 'default',
+                    })
+                }
+            })
+
+            if (rowUpdates.length > 0) {
+                await updateProjectRows(id, rowUpdates, { source: 'import' })
+                updatedCount += rowUpdates.length
+            }
+            if (newRows.length > 0) {
+                if (page) {
+                    await addPageRows(id, page.id, newRows)
+                } else {
+                    await addProjectPage(id, { name: xliffFile.name }, newRows)
+                }
+                addedCount += newRows.length
+            }
+        }
+
+        if (updatedCount + addedCount > 0) {
+            toast.success(`XLIFF imported: ${updatedCount} row(s) updated, ${addedCount} added`)
+        }
+    }
+
     const handleImportSheet = async (fileOrEvent) => {
         // Support both file object (from dialog) and event (fallback)
         const file = fileOrEvent?.target ? fileOrEvent.target.files?.[0] : fileOrEvent
@@ -361,6 +682,24 @@ export default function ProjectView({ projectId }) {
 
         setIsImporting(true)
         try {
+            const fileType = await sniffFileType(file)
+            if (fileType === 'unknown') {
+                toast.error(`Unsupported file: ${file.name}`)
+                return
+            }
+            if (fileType === 'xliff') {
+                await handleImportXliff(file)
+                return
+            }
+            if (RESOURCE_FORMATS[fileType]) {
+                await handleImportResource(file)
+                return
+            }
+            if (['docx', 'pptx', 'pdf'].includes(fileType)) {
+                await handleImportDocument(file)
+                return
+            }
+
             const parsedData = await parseExcelFile(file)
             for (const [sheetName, sheetData] of Object.entries(parsedData)) {
                 const newRows = sheetData.entries.map((entry, idx) => ({
@@ -368,6 +707,8 @@ export default function ProjectView({ projectId }) {
                     my: entry.malay || entry.my || '',
                     zh: entry.chinese || entry.zh || '',
                     status: 'draft',
+                    category: entry.category || '',
+                    maxLength: entry.maxLength || null,
                 })).filter(row => row.en)
 
                 if (newRows.length > 0) {
@@ -483,6 +824,7 @@ export default function ProjectView({ projectId }) {
             const rowsComponents = deleteConfirm.data
             const updates = rowsComponents.map(row => ({
                 id: row.id,
+                base: row,
                 changes: {
                     status: 'approved', // Direct approval
                     approvedBy: {
@@ -495,8 +837,9 @@ export default function ProjectView({ projectId }) {
             }))
 
             try {
+                // Checked against the rows as selected - rows changed since are merged
                 for (const u of updates) {
-                    await updateProjectRow(id, u.id, u.changes)
+                    await updateProjectRow(id, u.id, u.changes, { base: u.base })
                 }
 
                 toast.success(`Straight to approved! (${rowsComponents.length} rows)`)
@@ -546,9 +889,29 @@ export default function ProjectView({ projectId }) {
     const startEditing = (row) => {
         setEditingRowId(row.id)
         setEditingRowData({ ...row })
+        editingBaseRowRef.current = row
+        setTmSuggestions({})
+
+        // Load translation memory suggestions in the background
+        const sourceText = row.source_text || row.en || row.text || ''
+        if (sourceText.trim()) {
+            findTranslationMemoryMatches([sourceText], targetLanguages, getTMSettings(project).suggestThreshold).then(matches => {
+                // Editing moved on to another row (or stopped) while the lookup ran
+                if (editingBaseRowRef.current !== row) return
+                setTmSuggestions(matches[sourceText] || {})
+            })
+        }
     }
 
-    const handleStartEdit = (row) => {
+    const handleStartEdit = (row, { ignoreLock = false } = {}) => {
+        const lock = getRowLock(row.id)
+        if (lock && !ignoreLock) {
+            toast.warning(`${lock.name} is editing this row`, {
+                description: 'Whoever saves last overwrites the other\'s changes.',
+                action: { label: 'Edit anyway', onClick: () => handleStartEdit(row, { ignoreLock: true }) }
+            })
+            return
+        }
         if (row.status === 'approved') {
             setEditWarning({ open: true, row })
             return
@@ -557,13 +920,43 @@ export default function ProjectView({ projectId }) {
     }
 
     const handleCancelEdit = () => {
+        editingBaseRowRef.current = null
         setEditingRowId(null)
         setEditingRowData(null)
+        setTmSuggestions({})
     }
 
     const handleSaveEdit = async () => {
         if (!editingRowId || !editingRowData) return
 
+        // ICU messages must parse before they are saved
+        const icuSource = isICUMessage(editingRowData.en)
+        const icuErrors = [['en', editingRowData.en], ...targetLanguages.map(lang => [lang, editingRowData[lang]])]
+            .filter(([lang, text]) => text && (icuSource || isICUMessage(text)))
+            .map(([lang, text]) => [lang, validateICUMessage(text)])
+            .filter(([, error]) => error)
+        if (icuErrors.length > 0) {
+            const [lang, error] = icuErrors[0]
+            toast.error(`Invalid ICU message in ${LANGUAGES[lang]?.label || lang}`, { description: error })
+            return
+        }
+
+        // Translations must fit the row's length limits
+        const rowLimits = { maxLength: toRowLimit(editingRowData.maxLength), maxWidth: toRowLimit(editingRowData.maxWidth) }
+        const limits = resolveLengthLimits({ ...editingRowData, ...rowLimits }, project)
+        const tooLong = targetLanguages
+            .map(lang => [lang, checkLengthLimits(editingRowData[lang] || '', limits)])
+            .find(([, result]) => result.overLength || result.overWidth)
+        if (tooLong) {
+            const [lang, result] = tooLong
+            toast.error(`${LANGUAGES[lang]?.label || lang} translation is too long`, {
+                description: result.overLength
+                    ? `${result.length}/${limits.maxLength} characters`
+                    : `${result.width}/${limits.maxWidth} px wide`
+            })
+            return
+        }
+
         try {
             // Build translations JSON from edited data
             const updatedTranslations = { ...(editingRowData.translations || {}) }
@@ -576,21 +969,56 @@ export default function ProjectView({ projectId }) {
                 }
             })
 
-            await updateProjectRow(id, editingRowId, {
+            const glossaryViolations = findGlossaryViolations(editingRowData.en, updatedTranslations, glossaryTerms, targetLanguages)
+
+            const saved = await updateProjectRow(id, editingRowId, {
                 source_text: editingRowData.en,
                 en: editingRowData.en, // Legacy field
                 translations: updatedTranslations,
+                glossaryViolations: glossaryViolations.length > 0 ? glossaryViolations : null,
+                ...rowLimits,
                 status: 'draft', // Reset row status
                 ...Object.fromEntries(targetLanguages.map(lang => [lang, editingRowData[lang] || '']))
-            })
-            toast.success('Row updated')
+            }, { base: editingBaseRowRef.current, source: 'manual' })
+            if (saved === false) {
+                toast.info('Your changes were discarded - the row shows the latest version')
+            } else {
+                toast.success('Row updated')
+            }
             setEditingRowId(null)
             setEditingRowData(null)
+            setTmSuggestions({})
         } catch (error) {
             toast.error('Failed to update row')
         }
     }
 
+    // Bring back an earlier version of the source text or of one translation.
+    // It is saved like a manual edit, so approved content goes back to draft.
+    const handleRestoreRevision = async (row, field, text, revision) => {
+        const sourceText = field === 'en' ? text : (row.source_text ?? row.en ?? '')
+        const translations = { ...(row.translations || {}) }
+        const updates = field === 'en'
+            ? { source_text: text, en: text }
+            : { translations, [field]: text }
+        if (field !== 'en') {
+            translations[field] = { ...(translations[field] || {}), text, status: 'draft' }
+        }
+        const glossaryViolations = findGlossaryViolations(sourceText, translations, glossaryTerms, targetLanguages)
+        updates.glossaryViolations = glossaryViolations.length > 0 ? glossaryViolations : null
+
+        try {
+            const saved = await updateProjectRow(id, row.id, updates, { source: 'manual', restoredFrom: revision.id })
+            if (saved === false) {
+                toast.info('Restore discarded - the row shows the latest version')
+            } else {
+                toast.success(`Restored ${LANGUAGES[field]?.label || field} version`)
+            }
+        } catch (error) {
+            toast.error('Failed to restore version')
+        }
+    }
+
     const handleEditKeyDown = (e) => {
         if (e.key === 'Enter' && !e.shiftKey) {
             e.preventDefault()
@@ -613,14 +1041,20 @@ export default function ProjectView({ projectId }) {
         if (!remarkDialog.row) return
 
         try {
-            await updateProjectRow(id, remarkDialog.row.id, {
+            // The row as it was when the dialog opened - a remark changed since is merged
+            const saved = await updateProjectRow(id, remarkDialog.row.id, {
                 remarks: remarkDialog.text,
                 remarkMetadata: {
                     uid: user?.id || user?.uid,
                     name: user?.displayName || user?.name || 'Unknown',
                     updatedAt: new Date().toISOString()
                 }
-            })
+            }, { base: remarkDialog.row })
+            if (saved === false) {
+                toast.info('Remark discarded - the row shows the latest version')
+                setRemarkDialog({ open: false, row: null, text: '' })
+                return
+            }
 
             // Log Audit Action
             if (user) {
@@ -658,6 +1092,8 @@ export default function ProjectView({ projectId }) {
             return
         }
 
+        if (blockOnQAErrors(candidates)) return
+
         // Store rows and fetch managers, then open dialog
         // Check for Bypass Condition (Manager Only)
         // User requested: "do not allow editor to bypass, even they are project owner"
@@ -695,7 +1131,19 @@ export default function ProjectView({ projectId }) {
         setSendForReviewOpen(true)
     }
 
+    // Re-run QA on rows about to be sent; blocking errors stop the send
+    const blockOnQAErrors = (candidates) => {
+        const blocked = candidates.filter(row => hasBlockingQAIssues(checkRowQA(row, targetLanguages, resolveLengthLimits(row, project))))
+        if (blocked.length === 0) return false
+        toast.error(`${blocked.length} row(s) have QA errors`, {
+            description: 'Fix placeholder, number, length or empty translation errors before sending for review. Use the QA filter to find them.'
+        })
+        return true
+    }
+
     const handleConfirmSendForReview = async (assignments) => {
+        if (blockOnQAErrors(rowsToSend)) return
+
         let successCount = 0
         const loadingToast = toast.loading("Assigning managers...")
 
@@ -722,7 +1170,8 @@ export default function ProjectView({ projectId }) {
                     }
                 })
 
-                await updateProjectRow(id, row.id, updates)
+                // rowsToSend are the rows as selected when the dialog opened
+                await updateProjectRow(id, row.id, updates, { base: row })
                 successCount++
             }
 
@@ -778,16 +1227,94 @@ export default function ProjectView({ projectId }) {
                 return
             }
 
-            // 3. Group rows by prompt ID
-            const rowsByPromptId = {}
+            // 3. Translation memory - matches above the project's auto-apply threshold skip the AI
+            const getSourceText = (row) => row.en || row.text || row.source_text || ''
+            // Row as sent to the AI - length limits become a character budget in the prompt
+            const toTranslationItem = (row) => ({
+                id: row.id,
+                text: getSourceText(row),
+                context: row.context,
+                maxLength: getCharacterBudget(resolveLengthLimits(row, project))
+            })
+            const tmMatches = await findTranslationMemoryMatches(
+                rowsToTranslate.map(getSourceText),
+                targetLanguages,
+                getTMSettings(project).autoApplyThreshold
+            )
+
+            const tmTranslationsByRow = {} // { [rowId]: { [lang]: translation } }
+            const rowsForAI = []
+            let tmAppliedCount = 0
+
             for (const row of rowsToTranslate) {
+                const matches = tmMatches[getSourceText(row)] || {}
+                const tmTranslations = {}
+                targetLanguages.forEach(lang => {
+                    // Fuzzy matches with other numbers or placeholders go to the AI instead
+                    const best = matches[lang]?.find(match => canAutoApplyTMMatch(getSourceText(row), match))
+                    if (!best) return
+                    tmTranslations[lang] = {
+                        text: best.targetText,
+                        status: 'review',
+                        origin: 'tm',
+                        tmMatch: { score: best.score, entryId: best.id }
+                    }
+                })
+
+                const coveredLanguages = Object.keys(tmTranslations)
+                if (coveredLanguages.length === 0) {
+                    rowsForAI.push(row)
+                    continue
+                }
+
+                if (coveredLanguages.length < targetLanguages.length) {
+                    // Partially covered - AI fills the rest, TM wins for covered languages
+                    tmTranslationsByRow[row.id] = tmTranslations
+                    rowsForAI.push(row)
+                    continue
+                }
+
+                const updates = {
+                    translatedAt: new Date().toISOString(),
+                    translations: { ...(row.translations || {}), ...tmTranslations }
+                }
+                targetLanguages.forEach(lang => {
+                    updates[lang] = tmTranslations[lang].text
+                })
+
+                try {
+                    await updateProjectRow(id, row.id, updates)
+                    tmAppliedCount++
+                } catch (err) {
+                    console.error('Row update failed', err)
+                }
+            }
+
+            // 4. Group remaining rows by prompt ID
+            const rowsByPromptId = {}
+            for (const row of rowsForAI) {
                 const key = row.promptId || selectedPromptId || 'default'
                 if (!rowsByPromptId[key]) rowsByPromptId[key] = []
                 rowsByPromptId[key].push(row)
             }
 
             let totalSuccessCount = 0
-            const ai = getAI()
+            const failedRowIds = [] // Rows the AI left out of its answer
+            const glossaryReport = [] // Rows still missing mandated glossary terms after the strict retry
+            const promptGlossary = toPromptGlossary(glossaryTerms, targetLanguages)
+            const usageContext = { user, projectId: id, runId: `run_${Date.now()}`, feature: 'project_translation' }
+
+            // Per-project provider chain (primary override, then fallbacks; workspace provider otherwise)
+            await AIService.loadEndpoints()
+            const providerChain = AIService.getProviderChain(project?.aiProvider, project?.aiFallbackProviders)
+            const providerLabels = Object.fromEntries(providerChain.map(entry => [entry.id, entry.label]))
+            const announcedFallbacks = new Set()
+            const handleFallback = ({ from, to }) => {
+                const key = `${from}>${to}`
+                if (announcedFallbacks.has(key)) return
+                announcedFallbacks.add(key)
+                toast.info(`${providerLabels[from]} is not responding, continuing with ${providerLabels[to]}`)
+            }
 
             for (const [promptKey, groupRows] of Object.entries(rowsByPromptId)) {
                 // Resolve template for this batch
@@ -797,58 +1324,170 @@ export default function ProjectView({ projectId }) {
                     if (found) templateToUse = found
                 }
 
-                // Prepare context-aware glossary
-                const simpleGlossary = glossaryTerms.map(t => ({
-                    english: t.en || t.english,
-                    translations: { ms: t.my || t.malay, zh: t.cn || t.zh || t.chinese }
-                }))
-
-                // Generate
-                const results = await ai.generateBatch(
-                    groupRows.map(row => ({
-                        id: row.id,
-                        text: row.en || row.text || row.source_text || '',
-                        context: row.context
-                    })),
-                    {
-                        template: templateToUse,
-                        targetLanguages: targetLanguages,
-                        glossaryTerms: simpleGlossary
+                const markRowDone = (rowId) => setStreamingRowIds(prev => {
+                    const next = new Set(prev)
+                    next.delete(rowId)
+                    return next
+                })
+
+                // Save a single result - called per row as the stream delivers it
+                const savedIds = new Set()
+                const pendingSaves = []
+                const violationsByRow = {} // { [rowId]: glossary violations of the saved translation }
+                const saveResult = async (streamed, isRetry = false) => {
+                    // Ignore ids the model invented and rows already saved (unless replacing after a retry)
+                    const row = groupRows.find(r => String(r.id) === String(streamed?.id))
+                    if (!row || (savedIds.has(row.id) && !isRetry)) return
+                    savedIds.add(row.id)
+                    const result = { ...streamed, id: row.id }
+
+                    if (result.status === 'error') {
+                        // Keep existing text and flag the row instead of failing the whole batch
+                        const failedTranslations = { ...(row.translations || {}) }
+                        targetLanguages.forEach(lang => {
+                            failedTranslations[lang] = tmTranslationsByRow[row.id]?.[lang] || {
+                                ...(failedTranslations[lang] || { text: row[lang] || '' }),
+                                status: 'error'
+                            }
+                        })
+                        failedRowIds.push(row.id)
+                        try {
+                            await updateProjectRow(id, row.id, {
+                                status: 'error',
+                                translationError: result.error,
+                                translations: failedTranslations
+                            })
+                        } catch (err) {
+                            console.error('Row update failed', err)
+                        } finally {
+                            markRowDone(row.id)
+                        }
+                        return
                     }
-                )
 
-                // Save results
-                for (const result of results) {
-                    if (!result.id) continue
-                    if (!groupRows.find(r => r.id === result.id) && result.id.startsWith('row_')) continue
+                    const translations = {}
+                    Object.entries(result.translations || {}).forEach(([lang, translation]) => {
+                        translations[lang] = { ...translation, origin: 'ai' }
+                    })
+                    Object.assign(translations, tmTranslationsByRow[result.id])
+
+                    // Glossary compliance - every matched term must use its mandated translation
+                    const violations = findGlossaryViolations(getSourceText(row), translations, glossaryTerms, targetLanguages)
+                    violationsByRow[row.id] = violations
 
                     const updates = {
                         translatedAt: new Date().toISOString(),
-                        translations: result.translations
+                        translations,
+                        glossaryViolations: violations.length > 0 ? violations : null
                     }
 
+                    // Clear a previous failure
+                    if (row.status === 'error') updates.status = 'draft'
+                    if (row.translationError) updates.translationError = null
+
                     // Legacy fallback
                     targetLanguages.forEach(lang => {
-                        if (result.translations?.[lang]) {
-                            updates[lang] = result.translations[lang].text
+                        if (translations[lang]) {
+                            updates[lang] = translations[lang].text
                         }
                     })
 
                     try {
                         await updateProjectRow(id, result.id, updates)
-                        totalSuccessCount++
+                        if (!isRetry) totalSuccessCount++
                     } catch (err) {
                         console.error('Row update failed', err)
+                    } finally {
+                        markRowDone(row.id)
+                    }
+                }
+
+                setStreamingRowIds(prev => new Set([...prev, ...groupRows.map(r => r.id)]))
+
+                // Generate (streamed - rows update as soon as their translation is complete,
+                // missing or empty rows are re-requested in smaller batches)
+                const results = await runFallbackTranslation(
+                    providerChain,
+                    groupRows.map(toTranslationItem),
+                    {
+                        template: templateToUse,
+                        targetLanguages: targetLanguages,
+                        glossaryTerms: promptGlossary,
+                        usageContext
+                    },
+                    {
+                        onResult: result => pendingSaves.push(saveResult(result)),
+                        onFallback: handleFallback
                     }
+                )
+
+                // Rows the stream never delivered still get their (empty) result
+                for (const result of results || []) {
+                    pendingSaves.push(saveResult(result))
+                }
+                await Promise.all(pendingSaves)
+
+                // Retry glossary violations once with a stricter prompt, keep whichever translation complies better
+                const violatingRows = groupRows.filter(row => violationsByRow[row.id]?.length > 0)
+                if (violatingRows.length > 0) {
+                    try {
+                        const retryResults = await runFallbackTranslation(
+                            providerChain,
+                            violatingRows.map(toTranslationItem),
+                            {
+                                template: templateToUse,
+                                targetLanguages: targetLanguages,
+                                glossaryTerms: promptGlossary,
+                                strictGlossary: true,
+                                usageContext: { ...usageContext, feature: 'glossary_retry' }
+                            },
+                            { onFallback: handleFallback }
+                        )
+
+                        for (const result of retryResults || []) {
+                            const row = violatingRows.find(r => String(r.id) === String(result?.id))
+                            if (!row || result.status === 'error') continue
+                            const retryViolations = findGlossaryViolations(getSourceText(row), result.translations, glossaryTerms, targetLanguages)
+                            if (retryViolations.length < violationsByRow[row.id].length) {
+                                await saveResult(result, true)
+                            }
+                        }
+                    } catch (err) {
+                        // The first translation is already saved and flagged
+                        console.error('Glossary retry failed', err)
+                    }
+
+                    violatingRows.forEach(row => {
+                        if (violationsByRow[row.id]?.length > 0) {
+                            glossaryReport.push({ rowId: row.id, violations: violationsByRow[row.id] })
+                        }
+                    })
                 }
             }
 
-            toast.success(`Successfully translated ${totalSuccessCount} rows!`)
+            if (tmAppliedCount > 0) {
+                toast.success(`Applied ${tmAppliedCount} rows from translation memory`)
+            }
+            if (rowsForAI.length > 0) {
+                toast.success(`Successfully translated ${totalSuccessCount} rows!`)
+            }
+            if (glossaryReport.length > 0) {
+                const missing = [...new Set(glossaryReport.flatMap(entry =>
+                    entry.violations.map(v => `${v.term} → ${v.expected}`)
+                ))]
+                toast.warning(`${glossaryReport.length} row(s) do not use mandated glossary terms`, {
+                    description: `${missing.slice(0, 3).join(', ')}${missing.length > 3 ? ` and ${missing.length - 3} more` : ''}. Flagged rows are marked in the Status column.`
+                })
+            }
+            if (failedRowIds.length > 0) {
+                toast.warning(`${failedRowIds.length} row(s) could not be translated after retries and were marked as errors`)
+            }
 
         } catch (error) {
             handleTranslationError(error)
         } finally {
             setIsTranslating(false)
+            setStreamingRowIds(new Set())
             deselectAllRows(id)
         }
     }
@@ -877,16 +1516,63 @@ export default function ProjectView({ projectId }) {
                                 placeholder="Enter source text..."
                                 autoFocus
                             />
+                            {isICUMessage(editingRowData?.en) && validateICUMessage(editingRowData.en) && (
+                                <p className="text-[11px] text-rose-600 mt-1">{validateICUMessage(editingRowData.en)}</p>
+                            )}
+                            <div className="flex items-center justify-end gap-1.5 mt-1">
+                                <label htmlFor="edit-max-length" className="text-[11px] text-muted-foreground">Max chars</label>
+                                <Input
+                                    id="edit-max-length"
+                                    type="number"
+                                    min={1}
+                                    value={editingRowData?.maxLength ?? ''}
+                                    onChange={(e) => setEditingRowData(prev => ({ ...prev, maxLength: e.target.value }))}
+                                    placeholder={String(resolveLengthLimits({ ...editingRowData, maxLength: null }, project).maxLength || '—')}
+                                    className="h-6 w-16 px-1.5 text-[11px]"
+                                />
+                                <label htmlFor="edit-max-width" className="text-[11px] text-muted-foreground">Max px</label>
+                                <Input
+                                    id="edit-max-width"
+                                    type="number"
+                                    min={1}
+                                    value={editingRowData?.maxWidth ?? ''}
+                                    onChange={(e) => setEditingRowData(prev => ({ ...prev, maxWidth: e.target.value }))}
+                                    placeholder={String(resolveLengthLimits({ ...editingRowData, maxWidth: null }, project).maxWidth || '—')}
+                                    className="h-6 w-16 px-1.5 text-[11px]"
+                                />
+                            </div>
                         </div>
                     )
                 }
+                const sourceText = row.source_text || row.en || row.text || ''
+                const rowViewers = getRowViewers(row.id)
+                const lock = getRowLock(row.id)
                 return (
                     <div className="whitespace-pre-wrap break-words leading-relaxed">
                         <GlossaryHighlighter
-                            text={row.source_text || row.en || row.text || ''}
+                            text={sourceText}
                             language="en"
                             glossaryTerms={glossaryTerms}
                         />
+                        {rowViewers.length > 0 && (
+                            <div className="flex items-center gap-1.5 mt-1">
+                                <PresenceAvatars people={rowViewers} rowId={row.id} size="sm" max={3} />
+                                {lock && (
+                                    <span className="inline-flex items-center gap-1 text-[11px] font-medium text-amber-600">
+                                        <Lock className="w-3 h-3" />
+                                        {lock.name} is editing
+                                    </span>
+                                )}
+                            </div>
+                        )}
+                        {isICUMessage(sourceText) && (
+                            <span
+                                className="inline-block mt-1 px-1.5 py-0.5 rounded text-[10px] font-medium bg-violet-50 text-violet-600 border border-violet-100"
+                                title="ICU MessageFormat - plural/select syntax is kept intact"
+                            >
+                                ICU
+                            </span>
+                        )}
                     </div>
                 )
             }
@@ -901,16 +1587,73 @@ export default function ProjectView({ projectId }) {
             render: row => {
                 // For editing, use flat data structure
                 if (row.id === editingRowId) {
+                    const textarea = (
+                        <Textarea
+                            value={editingRowData?.[langCode] || ''}
+                            onChange={(e) => setEditingRowData(prev => ({ ...prev, [langCode]: e.target.value }))}
+                            onKeyDown={handleEditKeyDown}
+                            className="w-full h-full min-h-[80px] bg-white resize-y p-3 rounded-lg border border-primary/40 focus:border-primary focus:ring-4 focus:ring-primary/10 shadow-sm transition-all text-sm leading-relaxed"
+                            placeholder="Enter translation..."
+                            autoFocus
+                        />
+                    )
                     return (
                         <div className="relative w-full h-full min-h-[80px]">
-                            <Textarea
-                                value={editingRowData?.[langCode] || ''}
-                                onChange={(e) => setEditingRowData(prev => ({ ...prev, [langCode]: e.target.value }))}
-                                onKeyDown={handleEditKeyDown}
-                                className="w-full h-full min-h-[80px] bg-white resize-y p-3 rounded-lg border border-primary/40 focus:border-primary focus:ring-4 focus:ring-primary/10 shadow-sm transition-all text-sm leading-relaxed"
-                                placeholder="Enter translation..."
-                                autoFocus
+                            {/* Plural messages are edited per CLDR category of the language */}
+                            {isICUMessage(editingRowData?.en) ? (
+                                <ICUPluralEditor
+                                    source={editingRowData.en}
+                                    value={editingRowData?.[langCode] || ''}
+                                    language={langCode}
+                                    onChange={(text) => setEditingRowData(prev => ({ ...prev, [langCode]: text }))}
+                                >
+                                    {textarea}
+                                </ICUPluralEditor>
+                            ) : textarea}
+                            <LengthCounter
+                                text={editingRowData?.[langCode]}
+                                limits={resolveLengthLimits(editingRowData, project)}
                             />
+                            {tmSuggestions[langCode]?.length > 0 && (
+                                <div className="mt-1.5 space-y-1">
+                                    {tmSuggestions[langCode].slice(0, TM_SUGGESTION_LIMIT).map(match => (
+                                        <button
+                                            key={match.id}
+                                            type="button"
+                                            onMouseDown={(e) => e.preventDefault()}
+                                            onClick={() => setEditingRowData(prev => ({ ...prev, [langCode]: match.targetText }))}
+                                            className="w-full flex items-start gap-1.5 text-left text-[11px] rounded px-1.5 py-1 bg-sky-50 border border-sky-100 text-sky-700 hover:bg-sky-100 transition-colors"
+                                            title={`TM source: ${match.sourceText}`}
+                                        >
+                                            <span className="shrink-0 font-semibold">{match.score}%</span>
+                                            <span className="min-w-0">
+                                                <span className="block truncate">{match.targetText}</span>
+                                                {match.score < 100 && (
+                                                    <span className="block truncate text-sky-500/80">
+                                                        {match.diff.map((op, i) => {
+                                                            const token = op.stored || op.source
+                                                            const space = i > 0 && token.leadingSpace ? ' ' : ''
+                                                            if (op.type === 'equal') return space + token.value
+                                                            if (op.type === 'insert') return <ins key={`i${i}`} className="no-underline text-emerald-600">{space}{op.source.value}</ins>
+                                                            const removed = <del key={`d${i}`} className="text-rose-500">{space}{op.stored.value}</del>
+                                                            if (op.type === 'delete') return removed
+                                                            return [removed, <ins key={`i${i}`} className="no-underline text-emerald-600">{op.source.value}</ins>]
+                                                        })}
+                                                    </span>
+                                                )}
+                                            </span>
+                                        </button>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                    )
+                }
+                if (streamingRowIds.has(row.id)) {
+                    return (
+                        <div className="flex items-center gap-1.5 text-muted-foreground">
+                            <Loader2 className="w-3.5 h-3.5 animate-spin" />
+                            <span className="text-xs">Translating...</span>
                         </div>
                     )
                 }
@@ -931,6 +1674,7 @@ export default function ProjectView({ projectId }) {
                                 <span>{translationMeta.remark}</span>
                             </div>
                         )}
+                        <QABadge issues={row.qa?.[langCode]} />
                     </div>
                 )
             }
@@ -965,6 +1709,8 @@ export default function ProjectView({ projectId }) {
                     if (remarks.length > 0) {
                         tooltipText = `Changes requested:\n${remarks.join('\n')}`
                     }
+                } else if (row.status === 'error' && row.translationError) {
+                    tooltipText = `Translation failed: ${formatTranslationError(row.translationError)}`
                 }
 
                 return (
@@ -976,6 +1722,26 @@ export default function ProjectView({ projectId }) {
                         <span className="font-medium text-muted-foreground cursor-help decoration-dotted underline-offset-4">
                             {config.label}
                         </span>
+                        {row.glossaryViolations?.length > 0 && (
+                            <span
+                                title={`Glossary terms not used:\n${row.glossaryViolations
+                                    .map(v => `${LANGUAGES[v.lang]?.label || v.lang}: ${v.term} → ${v.expected}`)
+                                    .join('\n')}`}
+                            >
+                                <AlertTriangle className="w-3.5 h-3.5 text-amber-500" />
+                            </span>
+                        )}
+                        {getOpenThreadCount(id, row.id) > 0 && (
+                            <button
+                                type="button"
+                                onClick={() => setDetailsRowId(row.id)}
+                                className="inline-flex items-center gap-0.5 text-[11px] font-semibold text-primary hover:underline"
+                                title={`${getOpenThreadCount(id, row.id)} unresolved comment thread(s)`}
+                            >
+                                <MessageSquare className="w-3.5 h-3.5" />
+                                {getOpenThreadCount(id, row.id)}
+                            </button>
+                        )}
                     </div>
                 )
             }
@@ -1061,6 +1827,13 @@ export default function ProjectView({ projectId }) {
                             </IconButton>
                         </DropdownMenuTrigger>
                         <DropdownMenuContent align="end" className="min-w-[140px]">
+                            <DropdownMenuItem
+                                onClick={() => setDetailsRowId(row.id)}
+                                className="cursor-pointer"
+                            >
+                                <Info className="w-3.5 h-3.5 mr-2 text-slate-500" />
+                                Details
+                            </DropdownMenuItem>
                             <DropdownMenuItem
                                 onClick={() => handleStartEdit(row)}
                                 className="cursor-pointer"
@@ -1089,13 +1862,25 @@ export default function ProjectView({ projectId }) {
 
 
             {/* Page Title - Static */}
-            <PageHeader description={project?.description || "Manage your project translations and pages"}>{currentTitle}</PageHeader>
+            <PageHeader
+                description={project?.description || "Manage your project translations and pages"}
+                actions={isManager && (
+                    <IconButton title="Project settings" onClick={() => setIsSettingsOpen(true)}>
+                        <Settings className="w-4 h-4" />
+                    </IconButton>
+                )}
+            >
+                {currentTitle}
+            </PageHeader>
 
             {/* Action Bar */}
             <div className="flex flex-col md:flex-row flex-wrap items-start md:items-center justify-between gap-4 py-4 min-h-[80px]">
-                <span className="text-sm font-medium text-slate-500">
-                    {selectedCount > 0 ? `${selectedCount} row(s) selected` : `${rows.length} row(s)`}
-                </span>
+                <div className="flex items-center gap-3">
+                    <span className="text-sm font-medium text-slate-500">
+                        {selectedCount > 0 ? `${selectedCount} row(s) selected` : `${rows.length} row(s)`}
+                    </span>
+                    <PresenceAvatars people={viewers} />
+                </div>
 
                 <div className="flex flex-wrap items-center gap-2">
                     {/* Search */}
@@ -1120,7 +1905,21 @@ export default function ProjectView({ projectId }) {
                             <StatusFilterDropdown
                                 selectedStatuses={statusFilter}
                                 onStatusChange={setStatusFilter}
+                                qaOptions={QA_FILTER_OPTIONS}
+                                selectedQA={qaFilter}
+                                onQAChange={setQaFilter}
                             />
+                            {(openThreadRowCount > 0 || openThreadsOnly) && (
+                                <PillButton
+                                    variant="outline"
+                                    onClick={() => setOpenThreadsOnly(prev => !prev)}
+                                    className={cn(openThreadsOnly && "border-primary text-primary bg-primary/10")}
+                                    title="Show only rows with unresolved comments"
+                                >
+                                    <MessageSquare className="w-3.5 h-3.5 mr-2" />
+                                    Open threads ({openThreadRowCount})
+                                </PillButton>
+                            )}
                         </>
                     )}
 
@@ -1137,6 +1936,20 @@ export default function ProjectView({ projectId }) {
 
 
 
+                    {/* Remaining AI budget (soft warning) */}
+                    {quotaEntry && (
+                        <span
+                            className={cn(
+                                "flex items-center text-xs mr-1",
+                                quotaStatus.exceeded ? "text-red-600" : "text-amber-600"
+                            )}
+                            title={[quotaStatus.exceeded, ...quotaStatus.warnings].filter(Boolean).map(formatQuotaEntry).join('\n')}
+                        >
+                            <Gauge className="w-3.5 h-3.5 mr-1" />
+                            {quotaStatus.exceeded ? 'Daily AI quota reached' : formatQuotaEntry(quotaEntry)}
+                        </span>
+                    )}
+
                     {/* Selection Actions */}
                     {hasSelection && (
                         <>
@@ -1177,7 +1990,11 @@ export default function ProjectView({ projectId }) {
                             targetLanguages={targetLanguages}
                             onExportExcel={handleExport}
                             onExportDocx={handleExportDocx}
+                            onExportDocxAll={currentSourceFile?.type === 'docx' ? () => handleExportLayout(targetLanguages) : undefined}
                             onExportPptx={handleExportPptx}
+                            onExportPptxAll={currentSourceFile?.type === 'pptx' ? () => handleExportLayout(targetLanguages) : undefined}
+                            onExportXliff={handleExportXliff}
+                            onExportResource={handleExportResource}
                             className="ml-2"
                         />
                     )}
@@ -1214,7 +2031,11 @@ export default function ProjectView({ projectId }) {
                             targetLanguages={targetLanguages}
                             onExportExcel={handleExport}
                             onExportDocx={handleExportDocx}
+                            onExportDocxAll={currentSourceFile?.type === 'docx' ? () => handleExportLayout(targetLanguages) : undefined}
                             onExportPptx={handleExportPptx}
+                            onExportPptxAll={currentSourceFile?.type === 'pptx' ? () => handleExportLayout(targetLanguages) : undefined}
+                            onExportXliff={handleExportXliff}
+                            onExportResource={handleExportResource}
                         />
                     )}
                 </div>
@@ -1307,6 +2128,19 @@ export default function ProjectView({ projectId }) {
                 )}
             </DataTable>
 
+            {/* Row Details Sheet */}
+            <RowDetailsSheet
+                row={(allRows || []).find(r => r.id === detailsRowId)}
+                projectId={id}
+                projectName={project?.name}
+                targetLanguages={targetLanguages}
+                open={!!detailsRowId}
+                onOpenChange={(open) => { if (!open) setDetailsRowId(null) }}
+                onRestore={(field, text, revision) => handleRestoreRevision(
+                    (allRows || []).find(r => r.id === detailsRowId), field, text, revision
+                )}
+            />
+
             {/* Project Settings Dialog */}
             <ProjectSettingsDialog
                 open={isSettingsOpen}
@@ -1363,7 +2197,7 @@ export default function ProjectView({ projectId }) {
                 isOpen={isImportOpen}
                 onClose={() => setIsImportOpen(false)}
                 onImport={handleImportSheet}
-                accept=".xlsx,.xls,.csv"
+                accept=".xlsx,.xls,.csv,.docx,.pptx,.pdf,.xlf,.xliff,.json,.po,.pot,.xml,.strings,.xcstrings"
                 title="Import Translation Rows"
             />
 
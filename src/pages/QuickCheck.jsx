@@ -3,6 +3,7 @@
 import { useState, useMemo } from "react"
 import { useGlossary } from "@/context/GlossaryContext"
 import { usePrompts } from "@/context/PromptContext"
+import { useAuth } from "@/context/DevAuthContext"
 import { getAI } from "@/api/ai"
 import { Button } from "@/components/ui/button"
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
@@ -23,6 +24,7 @@ const LANGUAGES = [
 export default function QuickCheck() {
     const { approvedTerms: glossaryTerms } = useGlossary() // Use APPROVED terms for highlighting
     const { templates } = usePrompts()
+    const { user } = useAuth()
 
     const [sourceLanguage, setSourceLanguage] = useState('en')
     const [targetLanguage, setTargetLanguage] = useState('zh')
@@ -60,7 +62,8 @@ export default function QuickCheck() {
                     sourceLanguage: sourceLanguage,
                     targetLanguages: [targetLanguage],
                     glossaryTerms: glossaryTerms || [],
-                    template: defaultTemplate
+                    template: defaultTemplate,
+                    usageContext: { user, runId: `run_${Date.now()}`, feature: 'quick_check' }
                 }
             )
 
@@ -7,12 +7,17 @@ import ManageCategoriesDialog from "@/components/dialogs/ManageCategoriesDialog"
 import UserManagementDialog from "@/components/dialogs/UserManagementDialog"
 import ChangePasswordDialog from "@/components/dialogs/ChangePasswordDialog"
 import { toast } from "sonner"
-import { getUserApiKeys, saveUserApiKeys } from "@/api/firebase/apiKeys"
+import { getConfiguredApiKeys, saveUserApiKeys } from "@/api/firebase/apiKeys"
 import { updateUserLanguages } from "@/api/firebase/roles"
 import { LANGUAGES } from "@/lib/constants"
 import { ROLES } from "@/hooks/useAuth"
 
 import AuditLogsSection from "@/components/AuditLogsSection"
+import AIEndpointsSection from "@/components/AIEndpointsSection"
+import AIUsageSection from "@/components/AIUsageSection"
+import AIQuotasSection from "@/components/AIQuotasSection"
+import AIKeysSection from "@/components/AIKeysSection"
+import TranslationMemorySection from "@/components/TranslationMemorySection"
 import { PageContainer } from "@/components/ui/shared"
 import { PageHeader } from "@/components/ui/common"
 
@@ -33,9 +38,10 @@ export default function Settings() {
     const [isCategoryOpen, setIsCategoryOpen] = useState(false)
     const [isPasswordOpen, setIsPasswordOpen] = useState(false)
 
-    // API Key Management State
-    const [apiKeys, setApiKeys] = useState({ ilmuchat: '' })
-    const [showKeys, setShowKeys] = useState({ ilmuchat: false })
+    // API Key Management State (keys are write-only - the AI proxy holds them)
+    const [apiKeys, setApiKeys] = useState({})
+    const [showKeys, setShowKeys] = useState({})
+    const [configuredKeys, setConfiguredKeys] = useState({})
     const [savingKeys, setSavingKeys] = useState(false)
 
     // Manager Settings State
@@ -71,17 +77,11 @@ export default function Settings() {
         }
     }
 
-    // Load user's API keys on mount
+    // Load which providers the user has saved a key for
     useEffect(() => {
-        async function loadKeys() {
-            if (user?.id) {
-                const keys = await getUserApiKeys(user.id)
-                setApiKeys({
-                    ilmuchat: keys.ilmuchat || ''
-                })
-            }
+        if (user?.id) {
+            getConfiguredApiKeys(user.id).then(setConfiguredKeys)
         }
-        loadKeys()
     }, [user?.id])
 
     // Scroll to section based on URL query param (e.g. #settings?section=security)
@@ -113,7 +113,10 @@ export default function Settings() {
         }
         setSavingKeys(true)
         try {
-            await saveUserApiKeys(user.id, apiKeys)
+            const saved = await saveUserApiKeys(user.id, apiKeys)
+            // Saved keys cannot be read back - clear the inputs and mark them as set
+            setConfiguredKeys(prev => ({ ...prev, ...Object.fromEntries(saved.map(provider => [provider, true])) }))
+            setApiKeys({})
             toast.success('API keys saved successfully')
         } catch (error) {
             toast.error('Failed to save API keys')
@@ -122,12 +125,15 @@ export default function Settings() {
         }
     }
 
-    // Load current AI provider
+    // Load current AI provider and admin-registered endpoints
     const [currentProvider, setCurrentProvider] = useState('ilmuchat')
+    const [endpointProviders, setEndpointProviders] = useState([])
     useEffect(() => {
         const loadProvider = async () => {
             try {
                 const { AIService } = await import('@/api/ai')
+                await AIService.loadEndpoints()
+                setEndpointProviders(AIService.getProviders().filter(p => p.type === 'openai-compatible'))
                 setCurrentProvider(AIService.getCurrentProvider())
             } catch (e) {
             }
@@ -192,18 +198,21 @@ export default function Settings() {
                                     onChange={async (e) => {
                                         const { AIService } = await import('@/api/ai');
                                         AIService.setProvider(e.target.value);
+                                        setCurrentProvider(e.target.value);
                                         toast.success(`Switched to ${e.target.value}`);
                                     }}
                                 >
                                     <option value="ilmuchat">💬 ILMUchat (YTL)</option>
+                                    {endpointProviders.map(provider => (
+                                        <option key={provider.id} value={provider.id}>{provider.icon} {provider.label}</option>
+                                    ))}
                                 </select>
                                 <Button
                                     variant="outline"
                                     onClick={async () => {
                                         const toastId = toast.loading("Testing connection...")
                                         try {
-                                            const { getAI, AIService } = await import('@/api/ai')
-                                            if (user?.id) await AIService.applyUserApiKey(user.id)
+                                            const { getAI } = await import('@/api/ai')
                                             // Ensure we get the current provider
                                             const ai = getAI(currentProvider)
                                             const res = await ai.testConnection()
@@ -221,10 +230,43 @@ export default function Settings() {
                             <div className="space-y-4 pt-4 border-t border-border">
                                 <h4 className="text-sm font-medium text-foreground">Connection Status</h4>
                                 <p className="text-xs text-muted-foreground">
-                                    API keys are managed via environment variables. Click below to verify connectivity.
+                                    Requests go through the AI proxy, which holds the provider keys. Use Test Connection to verify connectivity.
                                 </p>
-                                {/* Inputs removed for production security */}
                             </div>
+
+                            {/* Keys for admin-registered OpenAI-compatible endpoints */}
+                            {endpointProviders.length > 0 && (
+                                <div className="space-y-4 pt-4 mt-4 border-t border-border">
+                                    <h4 className="text-sm font-medium text-foreground">Endpoint API Keys</h4>
+                                    <p className="text-xs text-muted-foreground">
+                                        Optional. Leave empty for endpoints that don't require a key (e.g. local Ollama).
+                                    </p>
+                                    {endpointProviders.map(provider => (
+                                        <div key={provider.id} className="flex items-center gap-3">
+                                            <Key className="w-4 h-4 text-muted-foreground shrink-0" />
+                                            <span className="text-sm text-foreground w-40 truncate" title={provider.label}>{provider.label}</span>
+                                            <input
+                                                type={showKeys[provider.id] ? 'text' : 'password'}
+                                                value={apiKeys[provider.id] || ''}
+                                                onChange={(e) => setApiKeys(prev => ({ ...prev, [provider.id]: e.target.value }))}
+                                                placeholder={configuredKeys[provider.id] ? 'Saved on server - enter a new key to replace' : 'API key'}
+                                                className="flex-1 h-10 px-3 rounded-lg border border-border bg-background text-foreground text-sm focus:outline-none focus:ring-2 focus:ring-ring"
+                                            />
+                                            <Button
+                                                variant="ghost"
+                                                size="icon"
+                                                onClick={() => setShowKeys(prev => ({ ...prev, [provider.id]: !prev[provider.id] }))}
+                                            >
+                                                {showKeys[provider.id] ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
+                                            </Button>
+                                        </div>
+                                    ))}
+                                    <Button onClick={handleSaveApiKeys} disabled={savingKeys}>
+                                        <Save className="w-4 h-4 mr-2" />
+                                        {savingKeys ? 'Saving...' : 'Save Keys'}
+                                    </Button>
+                                </div>
+                            )}
                         </div>
                     </details>
                 </div>
@@ -300,6 +342,26 @@ export default function Settings() {
                 </div>
             )}
 
+            {canDo('approve_translation') && (
+                <TranslationMemorySection />
+            )}
+
+            {canDo('manage_system') && (
+                <AIEndpointsSection />
+            )}
+
+            {canDo('manage_system') && (
+                <AIKeysSection />
+            )}
+
+            {canDo('manage_system') && (
+                <AIUsageSection />
+            )}
+
+            {canDo('manage_system') && (
+                <AIQuotasSection />
+            )}
+
             {canDo('manage_users') && (
                 <AuditLogsSection />
             )}
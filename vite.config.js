@@ -41,13 +41,4 @@ export default defineConfig({
             }
         }
     },
-    server: {
-        proxy: {
-            '/proxy/ilmuchat': {
-                target: 'https://api.ytlailabs.tech',
-                changeOrigin: true,
-                rewrite: (path) => path.replace(/^\/proxy\/ilmuchat/, '')
-            }
-        }
-    }
 })